@@ -12,6 +12,7 @@ const config = require('./src/config');
 const db = require('./src/utils/db');
 const cache = require('./src/utils/cache');
 const userService = require('./src/user/profile');
+const productService = require('./src/product/catalog');
 const embeds = require('./src/bot/embeds');
 const commandsManager = require('./src/commands');
 const interactions = require('./src/bot/interactions');
@@ -34,6 +35,9 @@ async function main() {
     await db.connect();
     logger.info('Conexão com o banco de dados estabelecida');
 
+    // Ajustar produtos criados antes do estoque por unidades
+    await productService.migrateLegacyStock();
+
     // Inicializar cache
     logger.info('Inicializando cache...');
     await cache.initCache();
@@ -134,6 +138,15 @@ async function main() {
 
           await command.execute(interaction);
         }
+        // Autocompletar de opções dos comandos slash
+        else if (interaction.isAutocomplete()) {
+          const command = client.commands.get(interaction.commandName) ||
+                         client.adminCommands.get(interaction.commandName);
+
+          if (command && command.autocomplete) {
+            await command.autocomplete(interaction);
+          }
+        }
         // Botões
         else if (interaction.isButton()) {
           await interactions.handleButtonInteraction(interaction);
@@ -172,6 +185,26 @@ async function main() {
     await client.login(config.discord.token);
     logger.info(`Bot iniciado com sucesso como ${client.user.tag}`);
 
+    // Iniciar servidor de webhooks de pagamento
+    const paymentWebhook = require('./src/payment/webhook');
+    await paymentWebhook.startWebhookServer({
+      onLatePayment: payment => interactions.alertLatePixPayment(client, payment)
+    });
+
+    // Iniciar fila de aprovação de pagamentos
+    await require('./src/bot/approvalQueue').start(client);
+
+    // Aprovação automática de pagamentos de baixo risco
+    require('./src/payment/autoApproval').start(({ result }) => interactions.notifyApprovalResult(client, result));
+
+    // Tarefas das formas de pagamento (ex.: consulta de confirmações em criptomoeda)
+    require('./src/payment/methods').startAll({
+      onLateDeposit: payment => interactions.alertLateCryptoDeposit(client, payment)
+    });
+
+    // Pedidos de avaliação aos compradores após a entrega
+    require('./src/bot/reviewRequests').start(client);
+
     // Iniciar tarefas agendadas
     startScheduledTasks();
 
@@ -226,6 +259,32 @@ function startScheduledTasks() {
       }
     });
 
+    // Expiração de pagamentos pendentes e de análises só pelo comprovante sem confirmação (a cada hora)
+    const paymentService = require('./src/payment/pix');
+
+    cronJob.schedule('0 * * * *', async () => {
+      const expired = await paymentService.expireOverduePayments();
+      const staleProofs = await paymentService.expireStaleProofPayments();
+
+      if (expired + staleProofs > 0) {
+        logger.info(`Pagamentos expirados: ${expired} pendentes, ${staleProofs} em análise sem confirmação do comprovante`);
+      }
+    });
+
+    // Verificação de produtos próximos de esgotar (diariamente às 9h)
+    cronJob.schedule('0 9 * * *', async () => {
+      try {
+        const lowStockProducts = await productService.getLowStockProducts();
+
+        if (lowStockProducts.length > 0) {
+          logger.warn(`Produtos com estoque baixo: ${lowStockProducts.length}`);
+          await interactions.alertLowStock(client, lowStockProducts);
+        }
+      } catch (error) {
+        logger.error('Erro ao verificar produtos com estoque baixo:', error);
+      }
+    });
+
     logger.info('Tarefas agendadas iniciadas com sucesso');
   } catch (error) {
     logger.error('Erro ao iniciar tarefas agendadas:', error);
@@ -242,6 +301,10 @@ process.on('unhandledRejection', (error) => {
 
 process.on('SIGINT', async () => {
   logger.info('Desligando o sistema...');
+  require('./src/bot/approvalQueue').stop();
+  require('./src/payment/methods').stopAll();
+  require('./src/bot/reviewRequests').stop();
+  await require('./src/payment/webhook').stopWebhookServer();
   await db.disconnect();
   process.exit(0);
 });
@@ -1,11 +1,14 @@
 const cron = require('node-cron');
 const mongoose = require('mongoose');
-const { logger } = require('./src/utils/helpers');
-const config = require('./src/config');
-const lztService = require('./src/product/lzt');
-const auditLogger = require('./src/audit/logger');
-const paymentService = require('./src/payment/pix');
-const productService = require('./src/product/catalog');
+const { REST } = require('@discordjs/rest');
+const { Routes } = require('discord-api-types/v9');
+const { logger } = require('../src/utils/helpers');
+const config = require('../src/config');
+const lztService = require('../src/product/lzt');
+const auditLogger = require('../src/audit/logger');
+const paymentService = require('../src/payment/pix');
+const productService = require('../src/product/catalog');
+const embeds = require('../src/bot/embeds');
 
 class CronJobManager {
   constructor() {
@@ -47,39 +50,13 @@ class CronJobManager {
       this.scheduleJob('0 * * * *', async () => {
         logger.info('Verificando pagamentos pendentes e expirados...');
         try {
-          const Payment = require('./src/models/payment');
-          const now = new Date();
-
-          // Buscar pagamentos pendentes expirados
-          const expiredPayments = await Payment.find({
-            status: 'PENDING',
-            expiresAt: { $lt: now }
-          });
-
-          logger.info(`${expiredPayments.length} pagamentos expirados encontrados`);
-
-          // Processar pagamentos expirados
-          for (const payment of expiredPayments) {
-            try {
-              payment.status = 'EXPIRED';
-              await payment.save();
-
-              // Registrar no log de auditoria
-              await auditLogger.log({
-                action: 'PAYMENT_EXPIRED',
-                category: 'TRANSACTION',
-                severity: 'WARNING',
-                status: 'SUCCESS',
-                payment: {
-                  id: payment._id,
-                  amount: payment.amount
-                }
-              });
-
-              logger.debug(`Pagamento ${payment._id} marcado como expirado`);
-            } catch (processError) {
-              logger.error(`Erro ao processar pagamento expirado ${payment._id}:`, processError);
-            }
+          const expired = await paymentService.expireOverduePayments();
+          logger.info(`${expired} pagamentos marcados como expirados`);
+
+          // Pagamentos em análise só pelo comprovante, sem confirmação no prazo de revisão
+          const staleProofs = await paymentService.expireStaleProofPayments();
+          if (staleProofs > 0) {
+            logger.warn(`${staleProofs} pagamentos em análise expirados sem confirmação do comprovante`);
           }
         } catch (error) {
           logger.error('Erro ao processar pagamentos expirados:', error);
@@ -129,8 +106,20 @@ class CronJobManager {
    */
   async sendLowStockNotification(lowStockProducts) {
     try {
-      // Implementar lógica de notificação (e-mail, Discord, etc)
-      logger.info('Notificação de estoque baixo enviada');
+      const channelId = config.discord.channels.alerts;
+
+      if (!channelId) {
+        logger.warn('Canal de alertas não configurado (DISCORD_ALERTS_CHANNEL_ID); notificação de estoque baixo não enviada');
+      } else {
+        // Este processo não mantém uma sessão do bot, então a mensagem vai pela API REST
+        const rest = new REST({ version: '9' }).setToken(config.discord.token);
+
+        await rest.post(Routes.channelMessages(channelId), {
+          body: { embeds: [embeds.lowStockEmbed(lowStockProducts).toJSON()] }
+        });
+
+        logger.info('Notificação de estoque baixo enviada');
+      }
 
       // Log de auditoria
       await auditLogger.log({
@@ -143,7 +132,8 @@ class CronJobManager {
           products: lowStockProducts.map(p => ({
             id: p._id,
             name: p.nome,
-            currentStock: p.quantidade
+            currentStock: p.estoque,
+            threshold: p.estoqueMinimo
           }))
         }
       });
@@ -323,6 +323,7 @@ async function initCronJobs() {
       logger.info('Verificando pagamentos expirados...');
       try {
         const Payment = require('../src/models/payment');
+        const paymentService = require('../src/payment/pix');
 
         // Buscar pagamentos pendentes expirados
         const now = new Date();
@@ -335,8 +336,10 @@ async function initCronJobs() {
 
         // Atualizar status para expirado
         for (const payment of expiredPayments) {
-          payment.status = 'EXPIRED';
-          await payment.save();
+          const result = await paymentService.expirePayment(payment);
+          if (!result.success) {
+            continue;
+          }
 
           logger.debug(`Pagamento ${payment._id} marcado como expirado`);
         }
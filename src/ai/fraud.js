@@ -298,6 +298,15 @@ class FraudDetectionSystem {
         score += 40; // Usuário já foi reportado antes
       }
 
+      // Fator: fraude confirmada (ex.: contestação via PIX MED), mesmo após um desbloqueio
+      const fraudReports = userHistory.filter(action =>
+        action.action === 'FRAUD_DETECTED'
+      );
+
+      if (fraudReports.length > 0) {
+        score += 50;
+      }
+
       // Fator: compras em curto intervalo de tempo
       const recentPurchases = purchaseAttempts.filter(action =>
         (new Date() - new Date(action.timestamp)) < 1000 * 60 * 60 // última hora
@@ -380,6 +389,11 @@ class FraudDetectionSystem {
       if (hasReports) {
         factors.push('previously_reported');
       }
+
+      // Verificar fraudes confirmadas
+      if (userHistory.some(action => action.action === 'FRAUD_DETECTED')) {
+        factors.push('confirmed_fraud');
+      }
     } else {
       factors.push('no_activity_history');
     }
@@ -3,8 +3,10 @@
  */
 
 const { logger } = require('../utils/helpers');
+const config = require('../config');
 const userService = require('../user/profile');
 const productService = require('../product/catalog');
+const reviewService = require('../product/reviews');
 const db = require('../utils/db');
 const cache = require('../utils/cache');
 
@@ -58,8 +60,9 @@ class RecommendationEngine {
         .filter(item => item.action === 'PRODUCT_PURCHASE')
         .map(item => item.productId);
 
-      // Carregar produtos disponíveis
+      // Carregar produtos disponíveis e as médias das avaliações
       const availableProducts = await productService.getAvailableProducts();
+      const ratingStats = await reviewService.getRatingStats();
 
       // Calcular pontuação para cada produto
       const scoredProducts = [];
@@ -74,7 +77,8 @@ class RecommendationEngine {
           product,
           viewedProducts,
           purchasedProducts,
-          userProfile.preferences
+          userProfile.preferences,
+          ratingStats
         );
 
         scoredProducts.push({ product, score });
@@ -119,8 +123,9 @@ class RecommendationEngine {
         return [];
       }
 
-      // Carregar todos os produtos disponíveis
+      // Carregar todos os produtos disponíveis e as médias das avaliações
       const availableProducts = await productService.getAvailableProducts();
+      const ratingStats = await reviewService.getRatingStats();
 
       // Calcular similaridade para cada produto
       const similarProducts = [];
@@ -131,7 +136,9 @@ class RecommendationEngine {
           continue;
         }
 
-        const similarity = this._calculateProductSimilarity(product, otherProduct);
+        // Entre produtos parecidos, os mais bem avaliados aparecem primeiro
+        const similarity = this._calculateProductSimilarity(product, otherProduct) +
+          this._calculateRatingBonus(otherProduct, ratingStats);
         similarProducts.push({ product: otherProduct, similarity });
       }
 
@@ -201,7 +208,7 @@ class RecommendationEngine {
    * Calcula a pontuação de recomendação para um produto
    * @private
    */
-  _calculateRecommendationScore(product, viewedProducts, purchasedProducts, preferences) {
+  _calculateRecommendationScore(product, viewedProducts, purchasedProducts, preferences, ratingStats) {
     let score = 0;
 
     // Bonificação por tipo preferido
@@ -247,9 +254,28 @@ class RecommendationEngine {
       }
     }
 
+    // Ajuste pelas avaliações dos compradores
+    score += this._calculateRatingBonus(product, ratingStats);
+
     return score;
   }
 
+  /**
+   * Calcula o ajuste pela média das avaliações do tipo e da origem do produto
+   * Médias acima de 3 estrelas somam até 20 pontos e abaixo subtraem até 20;
+   * sem avaliações suficientes, o produto não é afetado
+   * @private
+   */
+  _calculateRatingBonus(product, ratingStats) {
+    const rating = ratingStats ? reviewService.findProductRating(ratingStats, product) : null;
+
+    if (!rating || rating.count < config.reviews.minReviewsForScore) {
+      return 0;
+    }
+
+    return (rating.average - 3) * 10;
+  }
+
   /**
    * Calcula a similaridade entre dois produtos
    * @private
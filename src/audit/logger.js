@@ -90,10 +90,10 @@ async function searchLogs(filters = {}, options = {}) {
     if (filters.targetId) query['target.id'] = filters.targetId;
 
     // Filtro por produto
-    if (filters.productId) query['product.id'] = mongoose.Types.ObjectId(filters.productId);
+    if (filters.productId) query['product.id'] = new mongoose.Types.ObjectId(filters.productId);
 
     // Filtro por pagamento
-    if (filters.paymentId) query['payment.id'] = mongoose.Types.ObjectId(filters.paymentId);
+    if (filters.paymentId) query['payment.id'] = new mongoose.Types.ObjectId(filters.paymentId);
 
     // Filtros de data
     if (filters.startDate || filters.endDate) {
@@ -7,10 +7,16 @@ const config = require('../config');
 const productService = require('../product/catalog');
 const paymentService = require('../payment/pix');
 const approvalService = require('../payment/approval');
+const refundService = require('../payment/refund');
 const auditLogger = require('../audit/logger');
+const embeds = require('./embeds');
+const paginator = require('./paginator');
+const interactions = require('./interactions');
 const userService = require('../user/profile');
 const marketingService = require('../marketing/promotions');
+const couponService = require('../marketing/coupons');
 const loyaltyService = require('../marketing/loyalty');
+const reviewService = require('../product/reviews');
 const { logger } = require('../utils/helpers');
 const { SlashCommandBuilder } = require('@discordjs/builders');
 
@@ -227,6 +233,8 @@ function getStatusColor(status) {
     case 'COMPLETED': return config.discord.embedColors.success;
     case 'REJECTED': return config.discord.embedColors.error;
     case 'EXPIRED': return config.discord.embedColors.warning;
+    case 'REFUND_PENDING': return config.discord.embedColors.warning;
+    case 'REFUNDED': return config.discord.embedColors.warning;
     default: return config.discord.embedColors.primary;
   }
 }
@@ -236,6 +244,8 @@ function getStatusText(status) {
     case 'COMPLETED': return '✅ Concluído';
     case 'REJECTED': return '❌ Rejeitado';
     case 'EXPIRED': return '⏱️ Expirado';
+    case 'REFUND_PENDING': return '💸 Aguardando reembolso';
+    case 'REFUNDED': return '↩️ Reembolsado';
     default: return '⏳ Pendente';
   }
 }
@@ -291,6 +301,7 @@ const managePromotions = {
           ))
         .addNumberOption(option => option.setName('desconto').setDescription('Valor do desconto (%)').setRequired(true))
         .addNumberOption(option => option.setName('duracao').setDescription('Duração em horas').setRequired(true))
+        .addIntegerOption(option => option.setName('minimo_itens').setDescription('Combos: itens elegíveis necessários no carrinho (padrão: 2)').setMinValue(2))
     )
     .addSubcommand(subcommand =>
       subcommand
@@ -327,6 +338,7 @@ const managePromotions = {
         const tipo = interaction.options.getString('tipo');
         const desconto = interaction.options.getNumber('desconto');
         const duracao = interaction.options.getNumber('duracao');
+        const minimoItens = interaction.options.getInteger('minimo_itens');
 
         // Verificar se o desconto está dentro dos limites
         if (desconto < config.marketing.discountLimits.min || desconto > config.marketing.discountLimits.max) {
@@ -343,6 +355,7 @@ const managePromotions = {
           tipo,
           desconto,
           duracao,
+          minimoItens: minimoItens || undefined,
           criadoPor: interaction.user.id
         });
 
@@ -492,6 +505,192 @@ const managePromotions = {
   }
 };
 
+// Comando para gerenciar cupons de desconto
+const manageCoupons = {
+  data: new SlashCommandBuilder()
+    .setName('cupons')
+    .setDescription('Gerencia cupons de desconto')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ADMINISTRATOR)
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('criar')
+        .setDescription('Cria um novo cupom')
+        .addStringOption(option => option.setName('codigo').setDescription('Código do cupom').setRequired(true))
+        .addStringOption(option => option.setName('tipo').setDescription('Tipo de desconto').setRequired(true)
+          .addChoices(
+            { name: 'Percentual (%)', value: 'percentual' },
+            { name: 'Valor fixo (R$)', value: 'fixo' }
+          ))
+        .addNumberOption(option => option.setName('valor').setDescription('Valor do desconto').setRequired(true).setMinValue(0.01))
+        .addStringOption(option => option.setName('descricao').setDescription('Descrição do cupom'))
+        .addIntegerOption(option => option.setName('limite_usos').setDescription('Total de usos permitidos (padrão: ilimitado)').setMinValue(1))
+        .addIntegerOption(option => option.setName('limite_por_usuario').setDescription('Usos por comprador (padrão: 1, 0 = ilimitado)').setMinValue(0))
+        .addNumberOption(option => option.setName('validade').setDescription('Validade em horas (padrão: sem expiração)').setMinValue(1))
+        .addNumberOption(option => option.setName('valor_minimo').setDescription('Valor mínimo do pedido').setMinValue(0))
+        .addStringOption(option => option.setName('produto').setDescription('Restringir a um produto (ID)'))
+        .addStringOption(option => option.setName('categoria').setDescription('Restringir a um tipo de produto'))
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('listar')
+        .setDescription('Lista os cupons ativos')
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('desativar')
+        .setDescription('Desativa um cupom')
+        .addStringOption(option => option.setName('codigo').setDescription('Código do cupom').setRequired(true))
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('relatorio')
+        .setDescription('Exibe o uso dos cupons e o impacto na receita')
+        .addIntegerOption(option => option.setName('dias').setDescription('Período em dias (padrão: todo o histórico)').setMinValue(1))
+    ),
+  async execute(interaction) {
+    if (!interaction.memberPermissions.has('ADMINISTRATOR')) {
+      return await interaction.reply({
+        content: 'Você não tem permissão para executar este comando.',
+        ephemeral: true
+      });
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+
+    try {
+      if (subcommand === 'criar') {
+        const validade = interaction.options.getNumber('validade');
+        const produto = interaction.options.getString('produto');
+        const categoria = interaction.options.getString('categoria');
+        const limitePorUsuario = interaction.options.getInteger('limite_por_usuario');
+
+        const result = await couponService.createCoupon({
+          codigo: interaction.options.getString('codigo'),
+          tipoDesconto: interaction.options.getString('tipo'),
+          valor: interaction.options.getNumber('valor'),
+          descricao: interaction.options.getString('descricao') || undefined,
+          limiteUsos: interaction.options.getInteger('limite_usos') || undefined,
+          limitePorUsuario: limitePorUsuario !== null ? limitePorUsuario : undefined,
+          validoAte: validade ? new Date(Date.now() + validade * 60 * 60 * 1000) : undefined,
+          valorMinimo: interaction.options.getNumber('valor_minimo') || 0,
+          produtos: produto ? [produto] : [],
+          categorias: categoria ? [categoria] : [],
+          criadoPor: interaction.user.id
+        });
+
+        if (!result.success) {
+          return await interaction.reply({
+            content: `❌ Erro ao criar cupom: ${result.message}`,
+            ephemeral: true
+          });
+        }
+
+        await interaction.reply({
+          content: `✅ Cupom **${result.coupon.codigo}** criado com sucesso!`,
+          ephemeral: true
+        });
+      }
+      else if (subcommand === 'listar') {
+        await interaction.deferReply({ ephemeral: true });
+
+        const coupons = await couponService.getActiveCoupons();
+
+        if (coupons.length === 0) {
+          return await interaction.editReply({
+            content: 'Não há cupons ativos no momento.',
+          });
+        }
+
+        const embed = new EmbedBuilder()
+          .setTitle('🎟️ Cupons Ativos')
+          .setColor(config.discord.embedColors.primary)
+          .setDescription(`Total de cupons ativos: ${coupons.length}`)
+          .setTimestamp();
+
+        coupons.slice(0, 25).forEach(coupon => {
+          const desconto = coupon.tipoDesconto === 'percentual' ? `${coupon.valor}% OFF` : `R$ ${coupon.valor.toFixed(2)} OFF`;
+          const restricao = coupon.produtos.length > 0
+            ? `Produtos: ${coupon.produtos.map(p => p.toString().substring(0, 8)).join(', ')}`
+            : coupon.categorias.length > 0 ? `Tipos: ${coupon.categorias.join(', ')}` : 'Todos os produtos';
+
+          embed.addFields({
+            name: `${coupon.codigo} (${desconto})`,
+            value: `Usos: ${coupon.usosAtuais}${coupon.limiteUsos ? `/${coupon.limiteUsos}` : ''} • Por usuário: ${coupon.limitePorUsuario || 'ilimitado'}\n` +
+              `${restricao}${coupon.valorMinimo > 0 ? ` • Mínimo: R$ ${coupon.valorMinimo.toFixed(2)}` : ''}\n` +
+              `Validade: ${coupon.validoAte ? new Date(coupon.validoAte).toLocaleString() : 'sem expiração'}`
+          });
+        });
+
+        await interaction.editReply({
+          embeds: [embed]
+        });
+      }
+      else if (subcommand === 'desativar') {
+        const result = await couponService.deactivateCoupon(interaction.options.getString('codigo'), interaction.user.id);
+
+        if (!result.success) {
+          return await interaction.reply({
+            content: `❌ Erro ao desativar cupom: ${result.message}`,
+            ephemeral: true
+          });
+        }
+
+        await interaction.reply({
+          content: `✅ Cupom **${result.coupon.codigo}** desativado.`,
+          ephemeral: true
+        });
+      }
+      else if (subcommand === 'relatorio') {
+        await interaction.deferReply({ ephemeral: true });
+
+        const dias = interaction.options.getInteger('dias');
+        const startDate = dias ? new Date(Date.now() - dias * 24 * 60 * 60 * 1000) : undefined;
+        const report = await couponService.getCouponReport(startDate);
+
+        if (!report.success) {
+          return await interaction.editReply({
+            content: `❌ Erro ao gerar relatório: ${report.message}`,
+          });
+        }
+
+        const embed = new EmbedBuilder()
+          .setTitle(`📊 Relatório de Cupons - ${dias ? `Últimos ${dias} dias` : 'Total'}`)
+          .setColor(config.discord.embedColors.primary)
+          .addFields(
+            { name: 'Vendas com Cupom', value: `${report.totals.completed}`, inline: true },
+            { name: 'Receita', value: `R$ ${report.totals.revenue.toFixed(2)}`, inline: true },
+            { name: 'Descontos Concedidos', value: `R$ ${report.totals.discount.toFixed(2)}`, inline: true }
+          )
+          .setTimestamp();
+
+        report.coupons.slice(0, 20).forEach(row => {
+          const bruto = row.revenue + row.discount;
+          embed.addFields({
+            name: row.code,
+            value: `Vendas: ${row.completed} (pendentes: ${row.pending}, total de pedidos: ${row.payments})\n` +
+              `Receita: R$ ${row.revenue.toFixed(2)} • Desconto: R$ ${row.discount.toFixed(2)}` +
+              `${bruto > 0 ? ` (${((row.discount / bruto) * 100).toFixed(1)}% da receita bruta)` : ''}`
+          });
+        });
+
+        if (report.coupons.length === 0) {
+          embed.setDescription('Nenhum pagamento com cupom no período.');
+        }
+
+        await interaction.editReply({
+          embeds: [embed]
+        });
+      }
+    } catch (error) {
+      logger.error(`Erro ao executar comando de admin para cupons:`, error);
+      await interaction.reply({
+        content: `❌ Ocorreu um erro ao processar o comando: ${error.message}`,
+        ephemeral: true
+      });
+    }
+  }
+};
+
 // Comando para configurar painéis interativos
 const setupPanels = {
   data: new SlashCommandBuilder()
@@ -554,11 +753,22 @@ const setupPanels = {
           .setImage('https://i.imgur.com/XJuZbRg.png')
           .setTimestamp();
 
+        // Média das avaliações dos compradores (geral e por produto em destaque)
+        const ratingStats = await reviewService.getRatingStats();
+
+        if (ratingStats.overall.count > 0) {
+          embed.addFields({ name: '⭐ Avaliações dos Compradores', value: embeds.ratingText(ratingStats.overall) });
+        }
+
         // Adicionar produtos em destaque
         if (products.length > 0) {
+          const ratings = products.map(p => reviewService.findProductRating(ratingStats, p));
+
           embed.addFields({
             name: '🔥 Produtos em Destaque',
-            value: products.map(p => `• **${p.nome}** - R$ ${p.preco.toFixed(2)}`).join('\n')
+            value: products.map((p, index) =>
+              `• **${p.nome}** - R$ ${p.preco.toFixed(2)}${ratings[index] ? ` • ⭐ ${ratings[index].average.toFixed(1).replace('.', ',')}` : ''}`
+            ).join('\n')
           });
         }
 
@@ -1071,6 +1281,66 @@ const statsCommand = {
   }
 };
 
+// Lista de pagamentos pendentes do /pagamentos pendentes
+paginator.registerList('pendingpayments', {
+  async fetchPage(args, { page, pageSize }) {
+    const { payments, total } = await approvalService.getPendingApprovals({ page, pageSize });
+
+    return {
+      items: payments,
+      total
+    };
+  },
+  render({ items: pendingPayments, total, offset }) {
+    if (total === 0) {
+      return { content: 'Não há pagamentos pendentes para aprovação.' };
+    }
+
+    // Criar embed com lista de pagamentos pendentes
+    const embed = new EmbedBuilder()
+      .setTitle('💰 Pagamentos Pendentes')
+      .setColor(config.discord.embedColors.warning)
+      .setDescription(`Total de pagamentos pendentes: ${total}` +
+        (config.discord.channels.approvalQueue ? `\nFila atualizada em tempo real: <#${config.discord.channels.approvalQueue}>` : ''))
+      .setTimestamp();
+
+    // Adicionar campos para cada pagamento
+    pendingPayments.forEach((payment, index) => {
+      const claimedBy = payment.review && payment.review.claimedBy;
+      embed.addFields({
+        name: `Pagamento #${offset + index + 1} - ${payment._id.toString().substring(0, 8)}`,
+        value: `Usuário: <@${payment.userId}>\nProduto: ${payment.productName}\nValor: R$ ${payment.amount.toFixed(2)}\nData: ${new Date(payment.createdAt).toLocaleString()}` +
+          (payment.status === 'PROCESSING' ? '\nStatus: em análise' : `\nExpira: ${new Date(payment.expiresAt).toLocaleString()}`) +
+          (claimedBy ? `\nResponsável: <@${claimedBy}>` : '')
+      });
+    });
+
+    // Botões de ação para o primeiro pagamento da página
+    const actionRow = new ActionRowBuilder()
+      .addComponents(
+        new ButtonBuilder()
+          .setCustomId(`approve_payment_${pendingPayments[0]._id}`)
+          .setLabel('Aprovar')
+          .setStyle(ButtonStyle.Success),
+
+        new ButtonBuilder()
+          .setCustomId(`reject_payment_${pendingPayments[0]._id}`)
+          .setLabel('Rejeitar')
+          .setStyle(ButtonStyle.Danger),
+
+        new ButtonBuilder()
+          .setCustomId(`details_payment_${pendingPayments[0]._id}`)
+          .setLabel('Ver Detalhes')
+          .setStyle(ButtonStyle.Primary)
+      );
+
+    return {
+      embeds: [embed],
+      components: [actionRow]
+    };
+  }
+});
+
 // Comando para gerenciar pagamentos
 const managePayments = {
   data: new SlashCommandBuilder()
@@ -1095,11 +1365,45 @@ const managePayments = {
         .addStringOption(option => option.setName('id').setDescription('ID do pagamento').setRequired(true))
         .addStringOption(option => option.setName('motivo').setDescription('Motivo da rejeição').setRequired(true))
     )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('reenviar')
+        .setDescription('Reenvia ao comprador os dados de acesso que não chegaram por DM')
+        .addStringOption(option => option.setName('id').setDescription('ID do pagamento').setRequired(true))
+    )
     .addSubcommand(subcommand =>
       subcommand
         .setName('detalhes')
         .setDescription('Exibe detalhes de um pagamento')
         .addStringOption(option => option.setName('id').setDescription('ID do pagamento').setRequired(true))
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('reembolsar')
+        .setDescription('Reembolsa um pagamento concluído (total ou parcial)')
+        .addStringOption(option => option.setName('id').setDescription('ID do pagamento').setRequired(true))
+        .addStringOption(option => option.setName('motivo').setDescription('Motivo do reembolso').setRequired(true))
+        .addNumberOption(option => option.setName('valor').setDescription('Valor a reembolsar (padrão: valor restante)').setMinValue(0.01))
+        .addStringOption(option =>
+          option.setName('destino')
+            .setDescription('Destino do produto em reembolso total')
+            .addChoices(
+              { name: 'Devolver ao estoque', value: 'RESTOCK' },
+              { name: 'Marcar como comprometido', value: 'COMPROMISED' }
+            )
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('autoaprovacao')
+        .setDescription('Exibe as decisões da aprovação automática')
+        .addIntegerOption(option => option.setName('dias').setDescription('Período em dias (padrão: 7)').setMinValue(1))
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('conciliar')
+        .setDescription('Concilia um extrato bancário (CSV ou OFX) com os pagamentos PIX')
+        .addAttachmentOption(option => option.setName('extrato').setDescription('Arquivo do extrato (CSV ou OFX)').setRequired(true))
     ),
   async execute(interaction) {
     if (!interaction.memberPermissions.has('ADMINISTRATOR')) {
@@ -1115,53 +1419,7 @@ const managePayments = {
       if (subcommand === 'pendentes') {
         await interaction.deferReply({ ephemeral: true });
 
-        // Buscar pagamentos pendentes
-        const pendingPayments = await approvalService.getPendingApprovals();
-
-        if (pendingPayments.length === 0) {
-          return await interaction.editReply({
-            content: 'Não há pagamentos pendentes para aprovação.',
-          });
-        }
-
-        // Criar embed com lista de pagamentos pendentes
-        const embed = new EmbedBuilder()
-          .setTitle('💰 Pagamentos Pendentes')
-          .setColor(config.discord.embedColors.warning)
-          .setDescription(`Total de pagamentos pendentes: ${pendingPayments.length}`)
-          .setTimestamp();
-
-        // Adicionar campos para cada pagamento
-        pendingPayments.forEach((payment, index) => {
-          embed.addFields({
-            name: `Pagamento #${index + 1} - ${payment._id.toString().substring(0, 8)}`,
-            value: `Usuário: <@${payment.userId}>\nProduto: ${payment.productName}\nValor: R$ ${payment.amount.toFixed(2)}\nData: ${new Date(payment.createdAt).toLocaleString()}\nExpira: ${new Date(payment.expiresAt).toLocaleString()}`
-          });
-        });
-
-        // Botões de ação para o primeiro pagamento
-        const actionRow = new ActionRowBuilder()
-          .addComponents(
-            new ButtonBuilder()
-              .setCustomId(`approve_payment_${pendingPayments[0]._id}`)
-              .setLabel('Aprovar')
-              .setStyle(ButtonStyle.Success),
-
-            new ButtonBuilder()
-              .setCustomId(`reject_payment_${pendingPayments[0]._id}`)
-              .setLabel('Rejeitar')
-              .setStyle(ButtonStyle.Danger),
-
-            new ButtonBuilder()
-              .setCustomId(`details_payment_${pendingPayments[0]._id}`)
-              .setLabel('Ver Detalhes')
-              .setStyle(ButtonStyle.Primary)
-          );
-
-        await interaction.editReply({
-          embeds: [embed],
-          components: [actionRow]
-        });
+        await interaction.editReply(await paginator.buildPage(interaction, 'pendingpayments'));
       }
       else if (subcommand === 'aprovar') {
         const paymentId = interaction.options.getString('id');
@@ -1170,41 +1428,34 @@ const managePayments = {
         // Aprovar pagamento
         const result = await approvalService.approvePayment(paymentId, interaction.user.id);
 
+        // Notificar o comprador (entrega com recibo ou reembolso pendente), como nos botões da fila
+        const notified = await interactions.notifyApprovalResult(interaction.client, result);
+
         if (!result.success) {
           return await interaction.editReply({
             content: `❌ Erro ao aprovar pagamento: ${result.message}`,
           });
         }
 
-        // Buscar usuário para enviar confirmação
-        const user = await interaction.client.users.fetch(result.payment.userId).catch(() => null);
-
-        // Enviar DM para o usuário
-        if (user) {
-          const product = result.payment.productId;
-
-          const embed = new EmbedBuilder()
-            .setTitle('✅ Compra Aprovada!')
-            .setColor(config.discord.embedColors.success)
-            .setDescription(`Sua compra foi aprovada e processada com sucesso!`)
-            .addFields(
-              { name: 'Produto', value: result.payment.productName, inline: true },
-              { name: 'Valor pago', value: `R$ ${result.payment.amount.toFixed(2)}`, inline: true },
-              { name: 'Data', value: `${new Date().toLocaleDateString()}`, inline: true },
-              { name: '📋 Dados de Acesso', value: '```' +
-                `Login: ${result.accountCredentials.login}\nSenha: ${result.accountCredentials.password}` +
-                '```' },
-              { name: '⚠ Importante', value: 'Recomendamos que você altere a senha imediatamente após o primeiro acesso.' }
-            )
-            .setTimestamp();
+        await interaction.editReply({
+          content: `✅ Pagamento ${paymentId} aprovado com sucesso! ${notified ? 'Detalhes enviados para o usuário.' : `Não foi possível enviar detalhes para o usuário; use \`/pagamentos reenviar id:${paymentId}\` quando o comprador liberar as DMs.`}`,
+          embeds: result.failedItems?.length
+            ? [new EmbedBuilder()
+              .setTitle('⚠ Itens não entregues')
+              .setColor(config.discord.embedColors.warning)
+              .setDescription(result.failedItems.map(item => `• ${item.productName} (R$ ${item.price.toFixed(2)}): ${item.error}`).join('\n') +
+                `\n\nUse \`/pagamentos reembolsar id:${paymentId} valor:<total>\` para o reembolso parcial.`)]
+            : [],
+        });
+      }
+      else if (subcommand === 'reenviar') {
+        const paymentId = interaction.options.getString('id');
+        await interaction.deferReply({ ephemeral: true });
 
-          await user.send({ embeds: [embed] }).catch(err => {
-            logger.error(`Erro ao enviar DM para ${user.tag}:`, err);
-          });
-        }
+        const result = await interactions.resendDelivery(interaction.client, paymentId);
 
         await interaction.editReply({
-          content: `✅ Pagamento ${paymentId} aprovado com sucesso! ${user ? 'Detalhes enviados para o usuário.' : 'Não foi possível enviar detalhes para o usuário.'}`,
+          content: result.success ? `✅ ${result.message}.` : `❌ ${result.message}.`
         });
       }
       else if (subcommand === 'rejeitar') {
@@ -1277,16 +1528,34 @@ const managePayments = {
           .setTimestamp();
 
         // Adicionar informações adicionais com base no status
+        const approvalInfo = payment.approvalInfo || {};
+
         if (payment.status === 'COMPLETED') {
           embed.addFields(
-            { name: 'Aprovado por', value: payment.approvedBy ? `<@${payment.approvedBy}>` : 'Desconhecido', inline: true },
+            { name: 'Aprovado por', value: approvalInfo.approvedBy ? `<@${approvalInfo.approvedBy}>` : 'Desconhecido', inline: true },
             { name: 'Aprovado em', value: payment.completedAt ? new Date(payment.completedAt).toLocaleString() : 'Desconhecido', inline: true }
           );
         } else if (payment.status === 'REJECTED') {
           embed.addFields(
-            { name: 'Rejeitado por', value: payment.rejectedBy ? `<@${payment.rejectedBy}>` : 'Desconhecido', inline: true },
-            { name: 'Rejeitado em', value: payment.rejectedAt ? new Date(payment.rejectedAt).toLocaleString() : 'Desconhecido', inline: true },
-            { name: 'Motivo', value: payment.rejectionReason || 'Motivo não informado' }
+            { name: 'Rejeitado por', value: approvalInfo.rejectedBy ? `<@${approvalInfo.rejectedBy}>` : 'Desconhecido', inline: true },
+            { name: 'Rejeitado em', value: approvalInfo.rejectedAt ? new Date(approvalInfo.rejectedAt).toLocaleString() : 'Desconhecido', inline: true },
+            { name: 'Motivo', value: approvalInfo.rejectionReason || 'Motivo não informado' }
+          );
+        }
+
+        if (payment.bankInfo && payment.bankInfo.payer) {
+          embed.addFields({ name: 'Pagador', value: embeds.payerText(payment.bankInfo.payer) });
+        }
+
+        if (payment.riskFlags && payment.riskFlags.length > 0) {
+          embed.addFields({ name: '🚩 Alertas', value: payment.riskFlags.map(flag => `• ${flag.reason}`).join('\n') });
+        }
+
+        if (payment.refundInfo && payment.refundInfo.refundedAmount > 0) {
+          embed.addFields(
+            { name: 'Reembolsado', value: `R$ ${payment.refundInfo.refundedAmount.toFixed(2)}`, inline: true },
+            { name: 'Reembolsado por', value: `<@${payment.refundInfo.confirmedBy}>`, inline: true },
+            { name: 'Motivo do reembolso', value: payment.refundInfo.reason || 'Motivo não informado' }
           );
         }
 
@@ -1314,6 +1583,172 @@ const managePayments = {
           components: components
         });
       }
+      else if (subcommand === 'reembolsar') {
+        const paymentId = interaction.options.getString('id');
+        const motivo = interaction.options.getString('motivo');
+        const valor = interaction.options.getNumber('valor');
+        const destino = interaction.options.getString('destino') || 'RESTOCK';
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const result = await refundService.requestRefund(paymentId, {
+          reason: motivo,
+          amount: valor,
+          productAction: destino
+        }, interaction.user.id);
+
+        if (!result.success) {
+          return await interaction.editReply({
+            content: `❌ Erro ao reembolsar pagamento: ${result.message}`,
+          });
+        }
+
+        // Valores acima do limite aguardam um segundo administrador
+        if (result.requiresConfirmation) {
+          const embed = new EmbedBuilder()
+            .setTitle('💸 Reembolso Aguardando Confirmação')
+            .setColor(config.discord.embedColors.warning)
+            .setDescription(`O total reembolsado deste pagamento excede R$ ${config.payment.refund.dualApprovalThreshold.toFixed(2)} e precisa ser confirmado por outro administrador.`)
+            .addFields(
+              { name: 'Pagamento', value: paymentId, inline: true },
+              { name: 'Valor', value: `R$ ${result.refundAmount.toFixed(2)}`, inline: true },
+              { name: 'Solicitado por', value: `<@${interaction.user.id}>`, inline: true },
+              { name: 'Produto', value: result.payment.productName },
+              { name: 'Motivo', value: motivo }
+            )
+            .setTimestamp();
+
+          const actionRow = new ActionRowBuilder()
+            .addComponents(
+              new ButtonBuilder()
+                .setCustomId(`confirm_refund_${paymentId}`)
+                .setLabel('Confirmar Reembolso')
+                .setStyle(ButtonStyle.Danger),
+
+              new ButtonBuilder()
+                .setCustomId(`cancel_refund_${paymentId}`)
+                .setLabel('Cancelar')
+                .setStyle(ButtonStyle.Secondary)
+            );
+
+          await interaction.channel.send({ embeds: [embed], components: [actionRow] });
+
+          return await interaction.editReply({
+            content: '⏳ Solicitação de reembolso registrada. Outro administrador precisa confirmá-la.',
+          });
+        }
+
+        // Notificar o comprador
+        const user = await interaction.client.users.fetch(result.payment.userId).catch(() => null);
+
+        if (user) {
+          await user.send({ embeds: [embeds.refundEmbed(result.payment, result.refundAmount, result.fullRefund, result.walletRefunded)] }).catch(err => {
+            logger.error(`Erro ao enviar DM para ${user.tag}:`, err);
+          });
+        }
+
+        await interaction.editReply({
+          content: `✅ Reembolso de R$ ${result.refundAmount.toFixed(2)} registrado para o pagamento ${paymentId}. ${user ? 'Notificação enviada para o usuário.' : 'Não foi possível notificar o usuário.'}` +
+            (result.walletRefunded > 0 ? `\n💳 R$ ${result.walletRefunded.toFixed(2)} pagos com saldo devolvidos à carteira do comprador.` : '') +
+            (result.discardedRevealed > 0 ? `\n⚠️ ${result.discardedRevealed} unidade(s) com credenciais já reveladas ao comprador foram descartadas em vez de voltar ao estoque.` : ''),
+        });
+      }
+      else if (subcommand === 'conciliar') {
+        await interaction.deferReply({ ephemeral: true });
+
+        const attachment = interaction.options.getAttachment('extrato');
+
+        if (!/\.(csv|ofx)$/i.test(attachment.name)) {
+          return await interaction.editReply({
+            content: '❌ Envie o extrato em formato CSV ou OFX.',
+          });
+        }
+
+        if (attachment.size > config.payment.reconciliation.maxFileSize) {
+          return await interaction.editReply({
+            content: `❌ Extrato muito grande (máximo de ${Math.floor(config.payment.reconciliation.maxFileSize / 1024 / 1024)} MB).`,
+          });
+        }
+
+        const axios = require('axios');
+        const reconciliationService = require('../payment/reconciliation');
+
+        const response = await axios.get(attachment.url, { responseType: 'arraybuffer', timeout: 15000 });
+        const result = await reconciliationService.importStatement(
+          Buffer.from(response.data).toString('utf8'),
+          attachment.name,
+          interaction.user.id
+        );
+
+        if (!result.success) {
+          return await interaction.editReply({
+            content: `❌ Não foi possível conciliar o extrato: ${result.message}`,
+          });
+        }
+
+        const components = [];
+        if (result.approvable.length > 0) {
+          components.push(new ActionRowBuilder()
+            .addComponents(
+              new ButtonBuilder()
+                .setCustomId(`reconcile_approve_${result.reportId}`)
+                .setLabel(`Aprovar ${result.approvable.length} confirmado${result.approvable.length === 1 ? '' : 's'}`)
+                .setStyle(ButtonStyle.Success)
+            ));
+        }
+
+        await interaction.editReply({
+          embeds: [embeds.reconciliationReportEmbed(result.report, result.approvable, attachment.name)],
+          components
+        });
+      }
+      else if (subcommand === 'autoaprovacao') {
+        await interaction.deferReply({ ephemeral: true });
+
+        const autoApproval = require('../payment/autoApproval');
+        const dias = interaction.options.getInteger('dias') || 7;
+        const report = await autoApproval.getDecisionReport(new Date(Date.now() - dias * 24 * 60 * 60 * 1000));
+        const { mode } = config.payment.autoApproval;
+
+        const modeLabels = {
+          on: '🟢 Ativa',
+          'dry-run': '🟡 Simulação (nenhum pagamento é aprovado)'
+        };
+
+        const embed = new EmbedBuilder()
+          .setTitle(`🤖 Aprovação Automática - Últimos ${dias} dias`)
+          .setColor(config.discord.embedColors.primary)
+          .addFields(
+            { name: 'Modo', value: modeLabels[mode] || '🔴 Desativada' },
+            { name: 'Avaliados', value: `${report.evaluated}`, inline: true },
+            { name: mode === 'dry-run' ? 'Seriam aprovados' : 'Aprovados', value: `${report.approved}`, inline: true },
+            { name: 'Valor', value: `R$ ${report.approvedAmount.toFixed(2)}`, inline: true }
+          )
+          .setTimestamp();
+
+        if (report.dryRun > 0 && mode !== 'dry-run') {
+          embed.addFields({ name: 'Aprovações simuladas no período', value: `${report.dryRun}` });
+        }
+
+        const rules = Object.entries(report.byRule).sort((a, b) => b[1] - a[1]);
+
+        if (rules.length > 0) {
+          const descriptions = Object.fromEntries(autoApproval.RULES.map(rule => [rule.id, rule.description]));
+
+          embed.addFields({
+            name: 'Decisões por regra',
+            value: rules
+              .map(([rule, count]) => `\`${rule}\`: ${count}${descriptions[rule] ? ` — ${descriptions[rule]}` : ''}`)
+              .join('\n')
+          });
+        } else {
+          embed.setDescription('Nenhum pagamento avaliado no período.');
+        }
+
+        await interaction.editReply({
+          embeds: [embed]
+        });
+      }
     } catch (error) {
       logger.error(`Erro ao executar comando de admin para pagamentos:`, error);
       await interaction.reply({
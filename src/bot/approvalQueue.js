@@ -0,0 +1,291 @@
+/**
+ * Fila de aprovação de pagamentos
+ * Mantém um card por pagamento aberto no canal da equipe, criado, editado e removido
+ * conforme o status muda, e alerta a equipe quando um pagamento passa do tempo de espera
+ */
+
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const config = require('../config');
+const approvalService = require('../payment/approval');
+const lifecycle = require('../payment/lifecycle');
+const embeds = require('./embeds');
+const { logger } = require('../utils/helpers');
+
+class ApprovalQueue {
+  constructor() {
+    this.channel = null;
+    this.timer = null;
+    this.syncing = false;
+
+    // Card publicado de cada pagamento e a versão exibida, para editar apenas quando algo mudar
+    this.cardMessages = new Map();
+    this.renderedCards = new Map();
+
+    // Atualizações do mesmo pagamento são executadas em sequência
+    this.cardUpdates = new Map();
+  }
+
+  /**
+   * Inicia a fila: publica os cards dos pagamentos abertos e passa a acompanhar as mudanças
+   * @param {Client} client - Cliente do Discord
+   * @returns {Promise<boolean>} - Verdadeiro se a fila foi iniciada
+   */
+  async start(client) {
+    const channelId = config.discord.channels.approvalQueue;
+
+    if (!channelId) {
+      logger.warn('Canal da fila de aprovação não configurado (DISCORD_APPROVAL_QUEUE_CHANNEL_ID)');
+      return false;
+    }
+
+    this.channel = await client.channels.fetch(channelId).catch(() => null);
+
+    if (!this.channel) {
+      logger.error(`Canal da fila de aprovação ${channelId} não encontrado`);
+      return false;
+    }
+
+    // Mudanças feitas por este processo atualizam o card na hora;
+    // as demais (ex.: expiração pelo cron) são aplicadas na sincronização periódica
+    lifecycle.on(lifecycle.PAYMENT_EVENTS.CREATED, ({ payment }) => this.refreshCard(payment));
+    lifecycle.on(lifecycle.PAYMENT_EVENTS.TRANSITION, ({ payment }) => this.refreshCard(payment));
+    lifecycle.on(lifecycle.PAYMENT_EVENTS.BANK_CONFIRMED, ({ payment }) => this.refreshCard(payment));
+
+    await this.sync();
+    this.timer = setInterval(() => this.sync(), config.payment.approvalQueue.syncInterval);
+
+    logger.info(`Fila de aprovação iniciada no canal ${this.channel.id}`);
+    return true;
+  }
+
+  /**
+   * Interrompe a sincronização periódica
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Verifica se o pagamento deve aparecer na fila
+   * @param {Object} payment - Pagamento
+   * @returns {boolean} - Verdadeiro se estiver aberto
+   */
+  isQueued(payment) {
+    return payment.status === 'PROCESSING' ||
+      (payment.status === 'PENDING' && new Date(payment.expiresAt) > new Date());
+  }
+
+  /**
+   * Obtém o momento em que o pagamento entrou em análise
+   * Pagamentos anteriores ao registro desse momento usam a data de criação
+   * @param {Object} payment - Pagamento
+   * @returns {Date} - Início do tempo de espera
+   */
+  waitingSince(payment) {
+    const review = payment.review || {};
+    return new Date(review.processingAt || payment.createdAt);
+  }
+
+  /**
+   * Verifica se o pagamento passou do tempo máximo de espera
+   * Só pagamentos em análise contam: os pendentes aguardam o comprador, não a equipe
+   * @param {Object} payment - Pagamento
+   * @returns {boolean} - Verdadeiro se atrasado
+   */
+  isOverdue(payment) {
+    return payment.status === 'PROCESSING' &&
+      Date.now() - this.waitingSince(payment).getTime() >= config.payment.approvalQueue.slaMinutes * 60000;
+  }
+
+  /**
+   * Atualiza o card de um pagamento (cria, edita ou remove conforme o status)
+   * @param {Object} payment - Pagamento
+   * @returns {Promise<void>}
+   */
+  refreshCard(payment) {
+    const id = payment._id.toString();
+    const previous = this.cardUpdates.get(id) || Promise.resolve();
+
+    const update = previous
+      .then(() => this.isQueued(payment) ? this.renderCard(payment) : this.removeCard(payment))
+      .catch(error => logger.error(`Erro ao atualizar card do pagamento ${id} na fila:`, error))
+      .finally(() => {
+        if (this.cardUpdates.get(id) === update) {
+          this.cardUpdates.delete(id);
+        }
+      });
+
+    this.cardUpdates.set(id, update);
+    return update;
+  }
+
+  /**
+   * Publica ou edita o card de um pagamento aberto
+   * @param {Object} payment - Pagamento
+   * @private
+   */
+  async renderCard(payment) {
+    if (!this.channel) return;
+
+    const id = payment._id.toString();
+    const overdue = this.isOverdue(payment);
+    const review = payment.review || {};
+    const messageId = this.cardMessages.get(id) || review.queueMessageId;
+
+    const version = JSON.stringify([payment.status, payment.amount, review.claimedBy || null, overdue,
+      payment.pixDetails && payment.pixDetails.paymentProof ? payment.pixDetails.paymentProof.submittedAt : null,
+      payment.bankInfo ? payment.bankInfo.status || null : null]);
+
+    if (messageId && this.renderedCards.get(id) === version) {
+      return;
+    }
+
+    const content = {
+      embeds: [embeds.approvalQueueCardEmbed(payment, overdue)],
+      components: [this.buildCardButtons(payment)]
+    };
+
+    // Cards apagados manualmente são publicados novamente
+    if (messageId) {
+      const edited = await this.channel.messages.edit(messageId, content).catch(() => null);
+
+      if (edited) {
+        this.cardMessages.set(id, messageId);
+        this.renderedCards.set(id, version);
+        return;
+      }
+    }
+
+    const message = await this.channel.send(content);
+    await approvalService.setQueueMessage(payment._id, this.channel.id, message.id);
+
+    this.cardMessages.set(id, message.id);
+    this.renderedCards.set(id, version);
+  }
+
+  /**
+   * Remove o card de um pagamento que saiu da fila
+   * @param {Object} payment - Pagamento
+   * @private
+   */
+  async removeCard(payment) {
+    const id = payment._id.toString();
+    const messageId = this.cardMessages.get(id) || (payment.review && payment.review.queueMessageId);
+
+    if (messageId) {
+      if (this.channel) {
+        await this.channel.messages.delete(messageId).catch(() => null);
+      }
+      await approvalService.setQueueMessage(payment._id);
+    }
+
+    this.cardMessages.delete(id);
+    this.renderedCards.delete(id);
+  }
+
+  /**
+   * Monta os botões do card
+   * @param {Object} payment - Pagamento
+   * @returns {ActionRowBuilder} - Linha de botões
+   * @private
+   */
+  buildCardButtons(payment) {
+    const claimed = payment.review && payment.review.claimedBy;
+
+    return new ActionRowBuilder()
+      .addComponents(
+        claimed
+          ? new ButtonBuilder()
+            .setCustomId(`release_payment_${payment._id}`)
+            .setLabel('Liberar')
+            .setStyle(ButtonStyle.Secondary)
+          : new ButtonBuilder()
+            .setCustomId(`claim_payment_${payment._id}`)
+            .setLabel('Assumir')
+            .setStyle(ButtonStyle.Primary),
+
+        new ButtonBuilder()
+          .setCustomId(`approve_payment_${payment._id}`)
+          .setLabel('Aprovar')
+          .setStyle(ButtonStyle.Success),
+
+        new ButtonBuilder()
+          .setCustomId(`reject_payment_${payment._id}`)
+          .setLabel('Rejeitar')
+          .setStyle(ButtonStyle.Danger)
+      );
+  }
+
+  /**
+   * Sincroniza a fila com o banco de dados e envia os alertas de atraso
+   */
+  async sync() {
+    if (this.syncing || !this.channel) return;
+    this.syncing = true;
+
+    try {
+      const queue = await approvalService.getApprovalQueue();
+      const queuedIds = new Set(queue.map(payment => payment._id.toString()));
+
+      for (const payment of queue) {
+        await this.refreshCard(payment);
+      }
+
+      // Cards de pagamentos encerrados por outro processo
+      const cards = await approvalService.getQueuedCards();
+      for (const card of cards) {
+        if (!queuedIds.has(card._id.toString()) && !this.isQueued(card)) {
+          await this.refreshCard(card);
+        }
+      }
+
+      await this.escalateOverdue(queue);
+    } catch (error) {
+      logger.error('Erro ao sincronizar fila de aprovação:', error);
+    } finally {
+      this.syncing = false;
+    }
+  }
+
+  /**
+   * Alerta a equipe sobre pagamentos que passaram do tempo de espera
+   * O responsável é mencionado se houver; senão, o cargo configurado
+   * @param {Array} queue - Pagamentos da fila
+   * @private
+   */
+  async escalateOverdue(queue) {
+    const { slaMinutes, escalationInterval, escalationRoleId } = config.payment.approvalQueue;
+
+    for (const payment of queue) {
+      const review = payment.review || {};
+
+      if (!this.isOverdue(payment)) continue;
+      if (review.lastEscalatedAt && Date.now() - review.lastEscalatedAt.getTime() < escalationInterval * 60000) continue;
+
+      await approvalService.recordEscalation(payment._id);
+
+      let mention = '@here';
+      if (review.claimedBy) {
+        mention = `<@${review.claimedBy}>`;
+      } else if (escalationRoleId) {
+        mention = `<@&${escalationRoleId}>`;
+      }
+
+      const waiting = Math.floor((Date.now() - this.waitingSince(payment).getTime()) / 60000);
+      const messageId = this.cardMessages.get(payment._id.toString());
+
+      await this.channel.send({
+        content: `⏰ ${mention} O pagamento \`${payment._id}\` (${payment.productName}, R$ ${payment.amount.toFixed(2)}) aguarda há ${waiting} min (tempo máximo: ${slaMinutes} min).`,
+        reply: messageId ? { messageReference: messageId, failIfNotExists: false } : undefined,
+        allowedMentions: { parse: ['everyone', 'roles', 'users'] }
+      }).catch(error => logger.error(`Erro ao enviar alerta de atraso do pagamento ${payment._id}:`, error));
+
+      logger.warn(`Pagamento ${payment._id} aguardando aprovação há ${waiting} min`);
+    }
+  }
+}
+
+module.exports = new ApprovalQueue();
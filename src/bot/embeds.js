@@ -2,8 +2,11 @@
  * Templates de embeds para mensagens do Discord
  */
 
-const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder } = require('discord.js');
 const config = require('../config');
+const productService = require('../product/catalog');
+const categories = require('../product/categories');
+const { formatTime, formatDate, maskDocument } = require('../utils/helpers');
 
 // Embed para mensagem de boas-vindas
 function welcomeEmbed(username) {
@@ -20,23 +23,87 @@ function welcomeEmbed(username) {
     .setTimestamp();
 }
 
-// Embed para detalhes de produto
-function productEmbed(product) {
+// Texto de disponibilidade, considerando reservas de pagamentos pendentes
+function availabilityText(product) {
+  if (!product.disponivel || product.vendido) {
+    return '❌ Indisponível';
+  }
+
+  const reserva = productService.getActiveReservation(product);
+  if (reserva) {
+    return `⏳ Reservado até ${formatTime(reserva.expiraEm)}`;
+  }
+
+  // Produtos com várias unidades mostram a quantidade restante
+  if (product.estoque > 1) {
+    return `✅ ${product.estoque} em estoque`;
+  }
+
+  return '✅ Disponível';
+}
+
+// Texto com o pagador informado pelo banco (documento mascarado)
+function payerText(payer) {
+  if (!payer || (!payer.name && !payer.document && !payer.bankName && !payer.bankIspb)) {
+    return 'Não informado pelo banco';
+  }
+
+  const lines = [payer.name || 'Nome não informado'];
+
+  if (payer.document) {
+    lines.push(`${payer.documentType || 'Documento'}: ${maskDocument(payer.document)}${payer.documentValid === false ? ' (inválido)' : ''}`);
+  }
+
+  if (payer.bankName || payer.bankIspb) {
+    lines.push(`Banco: ${payer.bankName || 'Desconhecido'}${payer.bankIspb ? ` (ISPB ${payer.bankIspb})` : ''}`);
+  }
+
+  return lines.join('\n');
+}
+
+// Campos com os detalhes do produto, na ordem definida pela categoria
+function productDetailFields(product) {
+  return categories.getDetailEntries(product).map(entry => ({
+    name: entry.field ? `${entry.field.emoji ? `${entry.field.emoji} ` : ''}${entry.field.label}` : entry.key,
+    value: entry.text.substring(0, 1024),
+    inline: true
+  }));
+}
+
+// Resumo em uma linha dos principais detalhes do produto (usado nas listas)
+function productDetailSummary(product) {
+  return categories.getDetailEntries(product)
+    .filter(entry => entry.field && entry.field.summary)
+    .map(entry => `${entry.field.emoji ? `${entry.field.emoji} ` : ''}${entry.field.label}: ${entry.text}`)
+    .join(' • ');
+}
+
+// Estrelas e média das avaliações (ex.: ⭐⭐⭐⭐☆ 4,3 (12 avaliações))
+function ratingText(rating) {
+  const stars = Math.round(rating.average);
+  return `${'⭐'.repeat(stars)}${'☆'.repeat(5 - stars)} ${rating.average.toFixed(1).replace('.', ',')} (${rating.count} ${rating.count === 1 ? 'avaliação' : 'avaliações'})`;
+}
+
+// Embed para detalhes de produto (rating: média do tipo e origem do produto, se houver)
+function productEmbed(product, rating) {
   const embed = new EmbedBuilder()
     .setTitle(`🛍 ${product.nome}`)
     .setColor(config.discord.embedColors.primary)
     .setDescription(product.descricao)
     .addFields(
       { name: 'Preço', value: `💰 R$ ${product.preco.toFixed(2)}`, inline: true },
-      { name: 'Tipo', value: product.tipo, inline: true },
-      { name: 'Disponibilidade', value: product.disponivel ? '✅ Disponível' : '❌ Indisponível', inline: true }
+      { name: 'Tipo', value: categories.getLabel(product.tipo), inline: true },
+      { name: 'Disponibilidade', value: availabilityText(product), inline: true }
     );
 
+  if (rating) {
+    embed.addFields({ name: 'Avaliações', value: ratingText(rating), inline: true });
+  }
+
   // Adicionar características específicas do produto
-  if (product.detalhes) {
-    Object.entries(product.detalhes).forEach(([chave, valor]) => {
-      embed.addFields({ name: chave, value: valor.toString(), inline: true });
-    });
+  const detailFields = productDetailFields(product);
+  if (detailFields.length > 0) {
+    embed.addFields(...detailFields);
   }
 
   return embed;
@@ -53,13 +120,70 @@ function pixPaymentEmbed(payment, product) {
       { name: 'Código da compra', value: payment._id.toString().substring(0, 8), inline: true },
       { name: '⚠ Importante', value: 'Após o pagamento, um administrador irá verificar e aprovar sua compra manualmente. Os dados de acesso serão enviados por mensagem privada.' },
       { name: '📲 Como pagar', value: 'Escaneie o QR Code ao lado ou utilize o código PIX abaixo para realizar o pagamento.' },
-      { name: '📋 Código PIX (Copia e Cola)', value: '```' + payment.pixCode + '```' }
+      { name: '📋 Código PIX (Copia e Cola)', value: '```' + (payment.pixDetails?.code || payment.pixCode) + '```' }
     )
-    .setImage(payment.qrCodeUrl) // URL da imagem do QR Code gerado
+    .setImage(payment.pixDetails?.qrCode || payment.qrCodeUrl) // URL da imagem do QR Code gerado
     .setFooter({ text: '⚠ Política de Não-Estorno: Ao realizar o pagamento, você concorda que não haverá estorno sob nenhuma circunstância.' })
     .setTimestamp();
 }
 
+// Embed para pagamento PIX atualizado após aplicar um cupom
+function couponAppliedEmbed(payment) {
+  return new EmbedBuilder()
+    .setTitle('🎟 Cupom Aplicado!')
+    .setColor(config.discord.embedColors.success)
+    .setDescription(`O cupom **${payment.coupon.code}** foi aplicado. Use o novo código PIX abaixo: o código anterior não é mais válido.`)
+    .addFields(
+      { name: 'Desconto', value: `R$ ${payment.coupon.discount.toFixed(2)}`, inline: true },
+      { name: 'Novo valor', value: `R$ ${payment.amount.toFixed(2)}`, inline: true },
+      { name: 'Código da compra', value: payment._id.toString().substring(0, 8), inline: true },
+      { name: '📋 Código PIX (Copia e Cola)', value: '```' + payment.pixDetails.code + '```' }
+    )
+    .setImage(payment.pixDetails.qrCode)
+    .setTimestamp();
+}
+
+// Embed para aviso de falha na entrega após pagamento (reembolso pendente)
+function refundPendingEmbed(payment) {
+  return new EmbedBuilder()
+    .setTitle('⚠ Problema na Entrega')
+    .setColor(config.discord.embedColors.warning)
+    .setDescription('Recebemos seu pagamento, mas o fornecedor não conseguiu entregar a conta. Nossa equipe fará o reembolso e entrará em contato.')
+    .addFields(
+      { name: 'Produto', value: payment.productName, inline: true },
+      { name: 'Valor', value: `R$ ${payment.amount.toFixed(2)}`, inline: true },
+      { name: 'Código da compra', value: payment._id.toString() }
+    )
+    .setTimestamp();
+}
+
+// Embed para reembolso concluído
+function refundEmbed(payment, refundAmount, fullRefund, walletRefunded = 0) {
+  const embed = new EmbedBuilder()
+    .setTitle('💸 Reembolso Realizado')
+    .setColor(config.discord.embedColors.primary)
+    .setDescription(fullRefund
+      ? 'Sua compra foi reembolsada integralmente. O acesso à conta entregue foi revogado.'
+      : 'Você recebeu um reembolso parcial referente à sua compra.')
+    .addFields(
+      { name: 'Produto', value: payment.productName, inline: true },
+      { name: 'Valor reembolsado', value: `R$ ${refundAmount.toFixed(2)}`, inline: true },
+      { name: 'Motivo', value: payment.refundInfo.reason },
+      { name: 'Código da compra', value: payment._id.toString() }
+    )
+    .setTimestamp();
+
+  if (walletRefunded > 0) {
+    embed.addFields({ name: 'Carteira', value: `R$ ${walletRefunded.toFixed(2)} pagos com saldo voltaram para sua carteira.` });
+  }
+
+  if (payment.refundInfo.pointsReversed > 0) {
+    embed.addFields({ name: 'Pontos de fidelidade', value: `${payment.refundInfo.pointsReversed} pontos foram estornados.` });
+  }
+
+  return embed;
+}
+
 // Embed para confirmação de compra aprovada
 function purchaseConfirmationEmbed(payment, product, accountDetails) {
   return new EmbedBuilder()
@@ -79,6 +203,455 @@ function purchaseConfirmationEmbed(payment, product, accountDetails) {
     .setTimestamp();
 }
 
+// Embed para confirmação de pedido do carrinho aprovado
+function orderDeliveryEmbed(payment, deliveries, failedItems = []) {
+  const embed = new EmbedBuilder()
+    .setTitle('✅ Pedido Aprovado!')
+    .setColor(config.discord.embedColors.success)
+    .setDescription(`Seu pedido com ${payment.items.length} itens foi aprovado!`)
+    .addFields(
+      { name: 'Valor pago', value: `R$ ${payment.amount.toFixed(2)}`, inline: true },
+      { name: 'Data', value: `${new Date().toLocaleDateString()}`, inline: true },
+      { name: 'Código da compra', value: payment._id.toString() }
+    )
+    .setTimestamp();
+
+  if (payment.combo && payment.combo.discount > 0) {
+    embed.addFields({ name: '🎁 Combo', value: `${payment.combo.title}: -R$ ${payment.combo.discount.toFixed(2)}` });
+  }
+
+  deliveries.slice(0, 20).forEach(delivery => {
+    embed.addFields({
+      name: `📋 ${delivery.productName}`,
+      value: delivery.credentials
+        ? '```' + `Login: ${delivery.credentials.login}\nSenha: ${delivery.credentials.password}` +
+          (delivery.credentials.additionalInfo ? `\n${delivery.credentials.additionalInfo}` : '') + '```'
+        : 'Os dados de acesso serão enviados pela equipe de suporte.'
+    });
+  });
+
+  if (failedItems.length > 0) {
+    embed.addFields({
+      name: '⚠ Itens não entregues',
+      value: failedItems.map(item => `• ${item.productName} (R$ ${item.price.toFixed(2)})`).join('\n') +
+        '\nNossa equipe fará o reembolso desses itens e entrará em contato.'
+    });
+  }
+
+  embed.addFields({ name: '⚠ Importante', value: 'Recomendamos que você altere a senha imediatamente após o primeiro acesso.' });
+
+  return embed;
+}
+
+// Embed para o carrinho de compras
+function cartEmbed(summary) {
+  const embed = new EmbedBuilder()
+    .setTitle('🛒 Seu Carrinho')
+    .setColor(config.discord.embedColors.primary)
+    .setTimestamp();
+
+  if (summary.lines.length === 0) {
+    embed.setDescription('Seu carrinho está vazio. Use `/produtos` para encontrar contas e adicioná-las.');
+  } else {
+    embed.setDescription(summary.lines.map(line => {
+      const price = line.price < line.originalPrice
+        ? `~~R$ ${line.originalPrice.toFixed(2)}~~ R$ ${line.price.toFixed(2)}`
+        : `R$ ${line.price.toFixed(2)}`;
+      return `• **${line.productName}** — ${price}\n  ID: \`${line.productId}\``;
+    }).join('\n'));
+
+    if (summary.combo) {
+      embed.addFields({ name: '🎁 Combo aplicado', value: `${summary.combo.title}: -R$ ${summary.combo.discount.toFixed(2)}` });
+    }
+
+    embed.addFields({ name: 'Total', value: `💰 R$ ${summary.total.toFixed(2)}` });
+  }
+
+  if (summary.removed.length > 0) {
+    embed.addFields({ name: '⚠ Removidos (indisponíveis)', value: summary.removed.join(', ') });
+  }
+
+  return embed;
+}
+
+// Embed para pedido pago integralmente com o saldo da carteira
+function walletPaymentEmbed(payment) {
+  return new EmbedBuilder()
+    .setTitle('👛 Pago com Saldo da Carteira')
+    .setColor(config.discord.embedColors.success)
+    .setDescription(`Você está comprando: **${payment.productName}**`)
+    .addFields(
+      { name: 'Valor usado da carteira', value: `R$ ${payment.wallet.amount.toFixed(2)}`, inline: true },
+      { name: 'Código da compra', value: payment._id.toString().substring(0, 8), inline: true },
+      { name: '⏳ Próximo passo', value: 'Não é necessário pagar PIX. Um administrador irá aprovar sua compra e os dados de acesso serão enviados por mensagem privada.' }
+    )
+    .setTimestamp();
+}
+
+// Embed para instruções de pagamento em criptomoeda
+function cryptoPaymentEmbed(payment) {
+  const details = payment.cryptoDetails;
+  const currency = config.payment.crypto.currencies[details.currency];
+
+  return new EmbedBuilder()
+    .setTitle(`🪙 Pagamento em ${details.currency}`)
+    .setColor(config.discord.embedColors.primary)
+    .setDescription(`**Instruções para pagamento:**\n\nVocê está comprando: **${payment.productName}**`)
+    .addFields(
+      { name: 'Valor', value: `**${details.amount} ${details.currency}**`, inline: true },
+      { name: 'Rede', value: details.network, inline: true },
+      { name: 'Código da compra', value: payment._id.toString().substring(0, 8), inline: true },
+      { name: 'Cotação', value: `1 ${details.currency} = R$ ${details.rate.toFixed(2)} (total R$ ${payment.amount.toFixed(2)})` },
+      { name: '📋 Endereço de depósito', value: '```' + details.address + '```' },
+      { name: '⚠ Importante', value: `Envie o valor exato pela rede **${details.network}**: depósitos menores ou por outra rede não são reconhecidos. O pagamento é confirmado após ${currency ? currency.minConfirmations : 6} confirmações na blockchain e depois aprovado por um administrador.` },
+      { name: '⏳ Reserva', value: `Este endereço é válido até ${formatTime(payment.expiresAt)}.` }
+    )
+    .setFooter({ text: '⚠ Política de Não-Estorno: Ao realizar o pagamento, você concorda que não haverá estorno sob nenhuma circunstância.' })
+    .setTimestamp();
+}
+
+// Embed com a situação de uma disputa (PIX MED)
+function disputeEmbed(dispute, statusLabels) {
+  const open = dispute.status === 'OPENED' || dispute.status === 'EVIDENCE_SUBMITTED';
+  const overdue = dispute.status === 'OPENED' && dispute.evidenceDeadline < new Date();
+  const colors = {
+    OPENED: config.discord.embedColors.warning,
+    EVIDENCE_SUBMITTED: config.discord.embedColors.primary,
+    WON: config.discord.embedColors.success,
+    LOST: config.discord.embedColors.error
+  };
+
+  const embed = new EmbedBuilder()
+    .setTitle(`⚖️ Disputa ${dispute._id}`)
+    .setColor(overdue ? config.discord.embedColors.error : colors[dispute.status])
+    .addFields(
+      { name: 'Status', value: statusLabels[dispute.status], inline: true },
+      { name: 'Comprador', value: `<@${dispute.userId}> (${dispute.userName})`, inline: true },
+      { name: 'Valor', value: `R$ ${dispute.amount.toFixed(2)}`, inline: true },
+      { name: 'Pagamento', value: dispute.paymentId.toString(), inline: true },
+      { name: 'Protocolo do MED', value: dispute.medId || 'Não informado', inline: true },
+      { name: 'Aberta em', value: formatDate(dispute.createdAt), inline: true }
+    )
+    .setTimestamp();
+
+  if (dispute.reason) {
+    embed.addFields({ name: 'Motivo', value: dispute.reason });
+  }
+
+  if (open) {
+    embed.addFields(
+      { name: `${overdue ? '⏰ ' : ''}Prazo da defesa`, value: `<t:${Math.floor(dispute.evidenceDeadline.getTime() / 1000)}:R>`, inline: true },
+      { name: 'Decisão esperada até', value: `<t:${Math.floor(dispute.resolutionDeadline.getTime() / 1000)}:D>`, inline: true }
+    );
+  }
+
+  embed.addFields({
+    name: 'Histórico',
+    value: dispute.history.map(entry => `${formatDate(entry.at)} — ${statusLabels[entry.status]} por <@${entry.by}>${entry.note ? `: ${entry.note}` : ''}`).join('\n').substring(0, 1024)
+  });
+
+  return embed;
+}
+
+// Descrição das movimentações exibidas no extrato da carteira
+const WALLET_TRANSACTION_LABELS = {
+  CREDIT: '➕ Crédito',
+  DEBIT: '➖ Débito',
+  PAYMENT_HOLD: '⏳ Reservado para compra',
+  PAYMENT_CAPTURE: '🛒 Usado em compra',
+  PAYMENT_RELEASE: '↩ Devolvido (compra não concluída)'
+};
+
+// Embed com o saldo e as últimas movimentações da carteira
+function walletEmbed(balance, history, title = '👛 Sua Carteira') {
+  const embed = new EmbedBuilder()
+    .setTitle(title)
+    .setColor(config.discord.embedColors.primary)
+    .addFields({ name: 'Saldo disponível', value: `💰 R$ ${balance.toFixed(2)}` })
+    .setFooter({ text: 'Use o saldo com a opção "carteira" em /comprar ou /carrinho finalizar' })
+    .setTimestamp();
+
+  if (history.length === 0) {
+    embed.setDescription('Nenhuma movimentação na carteira.');
+    return embed;
+  }
+
+  embed.addFields({
+    name: 'Últimas movimentações',
+    value: history.map(transaction => {
+      // A captura não altera o saldo disponível (o valor já havia sido reservado)
+      const sign = transaction.type === 'CREDIT' || transaction.type === 'PAYMENT_RELEASE' ? '+' : '-';
+      const amount = transaction.type === 'PAYMENT_CAPTURE'
+        ? `R$ ${transaction.amount.toFixed(2)}`
+        : `${sign}R$ ${transaction.amount.toFixed(2)}`;
+
+      return `${WALLET_TRANSACTION_LABELS[transaction.type] || transaction.type} — ${amount} • ${formatDate(transaction.createdAt)}` +
+        (transaction.reason && (transaction.type === 'CREDIT' || transaction.type === 'DEBIT') ? `\n  ${transaction.reason}` : '');
+    }).join('\n')
+  });
+
+  return embed;
+}
+
+// Embed para análise de comprovante pela equipe
+function paymentProofReviewEmbed(payment, assessment, attachmentName) {
+  const proof = payment.pixDetails.paymentProof || {};
+  const riskColor = assessment.approved ? config.discord.embedColors.warning : config.discord.embedColors.error;
+
+  const embed = new EmbedBuilder()
+    .setTitle('🧾 Comprovante Recebido')
+    .setColor(riskColor)
+    .setDescription(`<@${payment.userId}> enviou o comprovante de pagamento. Confira o valor e o recebedor antes de aprovar.`)
+    .addFields(
+      { name: 'Comprador', value: `<@${payment.userId}> (${payment.userName})`, inline: true },
+      { name: 'Produto', value: payment.productName, inline: true },
+      { name: 'Valor', value: `R$ ${payment.amount.toFixed(2)}`, inline: true },
+      { name: 'Risco de fraude', value: `${assessment.score}/100${assessment.approved ? '' : ' ⚠ transação suspeita'}`, inline: true },
+      { name: 'Fatores', value: assessment.reasons && assessment.reasons.length > 0 ? assessment.reasons.join(', ') : 'Nenhum', inline: true },
+      { name: 'Arquivo', value: proof.fileName || 'comprovante', inline: true },
+      { name: 'ID do pagamento', value: payment._id.toString() }
+    )
+    .setFooter({ text: `Pagamento criado às ${formatTime(payment.createdAt)}` })
+    .setTimestamp();
+
+  // Imagens são exibidas no card; PDFs seguem como anexo da mensagem
+  if (attachmentName && proof.contentType && proof.contentType.startsWith('image/')) {
+    embed.setImage(`attachment://${attachmentName}`);
+  }
+
+  return embed;
+}
+
+// Card de um pagamento na fila de aprovação
+function approvalQueueCardEmbed(payment, overdue) {
+  const review = payment.review || {};
+  const proof = payment.pixDetails && payment.pixDetails.paymentProof;
+  const processing = payment.status === 'PROCESSING';
+
+  let color = processing ? config.discord.embedColors.warning : config.discord.embedColors.primary;
+  if (overdue) {
+    color = config.discord.embedColors.error;
+  }
+
+  const embed = new EmbedBuilder()
+    .setTitle(`${overdue ? '⏰' : processing ? '🧾' : '🕒'} ${processing ? 'Em análise' : 'Aguardando pagamento'} — ${payment._id.toString().substring(0, 8)}`)
+    .setColor(color)
+    .addFields(
+      { name: 'Comprador', value: `<@${payment.userId}> (${payment.userName})`, inline: true },
+      { name: 'Produto', value: payment.productName, inline: true },
+      { name: 'Valor', value: `R$ ${payment.amount.toFixed(2)}`, inline: true },
+      { name: 'Criado', value: `<t:${Math.floor(new Date(payment.createdAt).getTime() / 1000)}:R>`, inline: true },
+      { name: 'Responsável', value: review.claimedBy ? `<@${review.claimedBy}> desde ${formatTime(review.claimedAt)}` : 'Ninguém assumiu', inline: true }
+    )
+    .setFooter({ text: `ID: ${payment._id}` })
+    .setTimestamp();
+
+  if (processing) {
+    if (review.processingAt) {
+      embed.addFields({ name: 'Em análise', value: `<t:${Math.floor(new Date(review.processingAt).getTime() / 1000)}:R>`, inline: true });
+    }
+
+    let confirmation = 'Pagamento confirmado pelo banco';
+    if (payment.method === 'WALLET') {
+      confirmation = `Pago com saldo da carteira (R$ ${payment.wallet.amount.toFixed(2)})`;
+    } else if (payment.method === 'CRYPTO' && payment.cryptoDetails.confirmedAt) {
+      confirmation = `${payment.cryptoDetails.received} ${payment.cryptoDetails.currency} confirmados na blockchain às ${formatTime(payment.cryptoDetails.confirmedAt)}`;
+    } else if (proof && proof.submittedAt && !(payment.bankInfo && payment.bankInfo.status)) {
+      confirmation = `Comprovante enviado às ${formatTime(proof.submittedAt)}; aguardando o banco`;
+    }
+
+    embed.addFields({ name: 'Confirmação', value: confirmation });
+
+    if (payment.bankInfo && payment.bankInfo.payer) {
+      embed.addFields({ name: 'Pagador', value: payerText(payment.bankInfo.payer) });
+    }
+
+    if (payment.riskFlags && payment.riskFlags.length > 0) {
+      embed.addFields({ name: '🚩 Alertas', value: payment.riskFlags.map(flag => `• ${flag.reason}`).join('\n') });
+    }
+  } else {
+    embed.addFields({ name: 'Expira', value: `<t:${Math.floor(new Date(payment.expiresAt).getTime() / 1000)}:R>`, inline: true });
+  }
+
+  if (overdue) {
+    embed.setDescription('⚠ Este pagamento ultrapassou o tempo máximo de espera.');
+  }
+
+  return embed;
+}
+
+// Embed com o relatório de conciliação do extrato bancário
+function reconciliationReportEmbed(report, approvable, fileName) {
+  const limit = 10;
+  const money = value => `R$ ${value.toFixed(2)}`;
+  const paymentRef = payment => `\`${payment._id}\``;
+  const listOf = (items, format) => {
+    const lines = items.slice(0, limit).map(format);
+    if (items.length > limit) {
+      lines.push(`... e mais ${items.length - limit}`);
+    }
+    return lines.join('\n');
+  };
+
+  const hasProblems = report.mismatches.length > 0 || report.approvedWithoutCredit.length > 0;
+
+  const embed = new EmbedBuilder()
+    .setTitle(`🏦 Conciliação do Extrato — ${fileName}`)
+    .setColor(hasProblems ? config.discord.embedColors.warning : config.discord.embedColors.success)
+    .addFields(
+      { name: 'Créditos', value: `${report.credits}`, inline: true },
+      { name: 'Associados', value: `${report.matched.length}`, inline: true },
+      { name: 'A aprovar', value: `${approvable.length}`, inline: true }
+    )
+    .setTimestamp();
+
+  if (report.period) {
+    embed.setDescription(`Período: ${report.period.start.toLocaleString()} a ${report.period.end.toLocaleString()}`);
+  }
+
+  const toApprove = report.matched.filter(match => approvable.includes(match.payment._id.toString()));
+  if (toApprove.length > 0) {
+    embed.addFields({
+      name: '✅ Confirmados pelo extrato (aguardando aprovação)',
+      value: listOf(toApprove, match => `${paymentRef(match.payment)} ${match.payment.productName} — ${money(match.entry.amount)} (${match.method})`)
+    });
+  }
+
+  if (report.mismatches.length > 0) {
+    embed.addFields({
+      name: '⚠ Valores divergentes',
+      value: listOf(report.mismatches, mismatch =>
+        `${paymentRef(mismatch.payment)} cobrado ${money(mismatch.payment.amount)}, creditado ${money(mismatch.entry.amount)} (${mismatch.difference > 0 ? '+' : ''}${mismatch.difference.toFixed(2)})`)
+    });
+  }
+
+  if (report.approvedWithoutCredit.length > 0) {
+    embed.addFields({
+      name: '🚨 Aprovados sem crédito no extrato',
+      value: listOf(report.approvedWithoutCredit, payment =>
+        `${paymentRef(payment)} ${payment.productName} — ${money(payment.amount)}${payment.approvalInfo && payment.approvalInfo.approvedBy ? ` (aprovado por <@${payment.approvalInfo.approvedBy}>)` : ''}`)
+    });
+  }
+
+  if (report.unmatchedCredits.length > 0) {
+    embed.addFields({
+      name: '❓ Créditos sem pagamento',
+      value: listOf(report.unmatchedCredits, ({ entry, candidates }) =>
+        `${entry.date.toLocaleString()} — ${money(entry.amount)} ${entry.description ? `(${entry.description.substring(0, 40)})` : ''}${candidates > 1 ? ` — ${candidates} pagamentos possíveis` : ''}`)
+    });
+  }
+
+  return embed;
+}
+
+// Embed com a prévia de uma importação de produtos em lote
+function productImportPreviewEmbed(preview, fileName) {
+  const limit = 10;
+  const listOf = (items, format) => {
+    const lines = items.slice(0, limit).map(format);
+    if (items.length > limit) {
+      lines.push(`... e mais ${items.length - limit}`);
+    }
+    return lines.join('\n').substring(0, 1024);
+  };
+
+  const hasErrors = preview.errors.length > 0;
+  const credentials = preview.products.reduce((sum, item) => sum + item.credenciais, 0);
+
+  const embed = new EmbedBuilder()
+    .setTitle(`📥 Importação de Produtos — ${fileName}`)
+    .setColor(hasErrors ? config.discord.embedColors.error : config.discord.embedColors.success)
+    .setDescription(hasErrors
+      ? 'Corrija as linhas com erro e envie o arquivo novamente. Nada foi importado.'
+      : 'Nenhum produto foi criado ainda. Confira a prévia e confirme a importação.')
+    .addFields(
+      { name: 'Válidos', value: `${preview.products.length}`, inline: true },
+      { name: 'Com erro', value: `${preview.errors.length}`, inline: true },
+      { name: 'Credenciais', value: `${credentials}`, inline: true }
+    )
+    .setTimestamp();
+
+  if (hasErrors) {
+    embed.addFields({
+      name: '❌ Erros',
+      value: listOf(preview.errors, error => `**${error.label}:** ${error.messages.join('; ')}`)
+    });
+  } else {
+    embed.addFields({
+      name: '📦 Produtos',
+      value: listOf(preview.products, item =>
+        `${item.label}: ${item.nome} (${categories.getLabel(item.tipo)}) — R$ ${item.preco.toFixed(2)} • ${item.estoque} un.${item.credenciais > 0 ? ` • 🔐 ${item.credenciais}` : ''}`)
+    });
+  }
+
+  if (preview.ignoredColumns.length > 0) {
+    embed.addFields({
+      name: '⚠ Colunas ignoradas',
+      value: preview.ignoredColumns.join(', ').substring(0, 1024)
+    });
+  }
+
+  return embed;
+}
+
+// Embed do pedido de avaliação enviado ao comprador
+function reviewRequestEmbed(payment) {
+  return new EmbedBuilder()
+    .setTitle('⭐ Como foi sua compra?')
+    .setColor(config.discord.embedColors.primary)
+    .setDescription(`Você recebeu **${payment.productName}** há alguns dias. Escolha uma nota de 1 a 5 abaixo; em seguida você pode deixar um comentário (opcional).`)
+    .addFields({ name: 'Código da compra', value: payment._id.toString().substring(0, 8), inline: true })
+    .setFooter({ text: 'Sua avaliação ajuda outros compradores a escolher.' })
+    .setTimestamp();
+}
+
+// Embed de uma avaliação para a moderação
+function reviewEmbed(review, statusLabels) {
+  const embed = new EmbedBuilder()
+    .setTitle(`${'⭐'.repeat(review.rating)} Avaliação de ${review.userName || review.userId}`)
+    .setColor(review.status === 'HIDDEN' ? config.discord.embedColors.warning : config.discord.embedColors.primary)
+    .setDescription(review.comment || '_Sem comentário_')
+    .addFields(
+      { name: 'Status', value: statusLabels[review.status] || review.status, inline: true },
+      { name: 'Comprador', value: `<@${review.userId}>`, inline: true },
+      { name: 'Pagamento', value: `\`${review.paymentId}\``, inline: true },
+      {
+        name: 'Produtos',
+        value: review.products.map(item => `• ${item.productName} (${categories.getLabel(item.tipo)}, ${item.origem || '—'})`).join('\n').substring(0, 1024) || '—'
+      }
+    )
+    .setFooter({ text: `ID: ${review._id}` })
+    .setTimestamp(review.createdAt);
+
+  if (review.moderation && review.moderation.by) {
+    embed.addFields({
+      name: 'Moderação',
+      value: `<@${review.moderation.by}> em ${formatDate(review.moderation.at)}${review.moderation.reason ? ` — ${review.moderation.reason}` : ''}`
+    });
+  }
+
+  return embed;
+}
+
+// Embed para alerta de estoque baixo
+function lowStockEmbed(products) {
+  const embed = new EmbedBuilder()
+    .setTitle('📦 Estoque Baixo')
+    .setColor(config.discord.embedColors.warning)
+    .setDescription(`${products.length} ${products.length === 1 ? 'produto atingiu' : 'produtos atingiram'} o estoque mínimo.`)
+    .setTimestamp();
+
+  products.slice(0, 25).forEach(product => {
+    const reservadas = product.reservas ? product.reservas.length : 0;
+    embed.addFields({
+      name: product.nome,
+      value: `Livres: **${product.estoque}** • Reservadas: ${reservadas} • Mínimo: ${product.estoqueMinimo}\nID: \`${product._id}\``
+    });
+  });
+
+  return embed;
+}
+
 // Embed para promoção
 function promotionEmbed(promotion) {
   const dataFim = new Date(promotion.dataFim);
@@ -127,6 +700,76 @@ function assistantEmbed(question, answer, suggestions = []) {
   return embed;
 }
 
+// Embed com uma página de resultados do /buscar
+function searchResultsEmbed(produtos, total, criteria) {
+  const filtros = [
+    criteria.texto && `Texto: "${criteria.texto}"`,
+    criteria.tipo && `Tipo: ${categories.getLabel(criteria.tipo)}`,
+    criteria.precoMin !== undefined && criteria.precoMin !== null && `Preço mín.: R$ ${criteria.precoMin.toFixed(2)}`,
+    criteria.precoMax !== undefined && criteria.precoMax !== null && `Preço máx.: R$ ${criteria.precoMax.toFixed(2)}`,
+    ...Object.entries(criteria.filtros || {}).map(([option, value]) => {
+      const filter = categories.getFilter(option);
+      return filter && `${filter.label}: ${value}${filter.mode === 'min' ? '+' : ''}`;
+    })
+  ].filter(Boolean);
+
+  const embed = new EmbedBuilder()
+    .setTitle('🔎 Busca no Catálogo')
+    .setColor(config.discord.embedColors.primary)
+    .setDescription(`${total} produto(s) encontrado(s).${filtros.length > 0 ? `\n${filtros.join(' • ')}` : ''}`)
+    .setTimestamp();
+
+  produtos.forEach(produto => {
+    const resumo = productDetailSummary(produto);
+
+    embed.addFields({
+      name: produto.nome.substring(0, 256),
+      value: `💰 R$ ${produto.preco.toFixed(2)} • ${categories.getLabel(produto.tipo)}${resumo ? `\n${resumo}` : ''}`.substring(0, 1024)
+    });
+  });
+
+  return embed;
+}
+
+// Menu para abrir os detalhes de um dos produtos listados (até 25, limite do Discord)
+function createProductSelectMenu(produtos) {
+  return new ActionRowBuilder()
+    .addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId('select_product')
+        .setPlaceholder('Selecione um produto para ver detalhes')
+        .addOptions(produtos.slice(0, 25).map(produto => ({
+          label: produto.nome.substring(0, 100),
+          description: `R$ ${produto.preco.toFixed(2)} • ${categories.getLabel(produto.tipo)}`.substring(0, 100),
+          value: produto._id.toString()
+        })))
+    );
+}
+
+// Menu para baixar o recibo de uma das compras do histórico (até 25, limite do Discord)
+function createReceiptMenu(purchaseHistory) {
+  return new ActionRowBuilder()
+    .addComponents(
+      new StringSelectMenuBuilder()
+        .setCustomId('download_receipt')
+        .setPlaceholder('🧾 Baixar recibo de uma compra')
+        .addOptions(purchaseHistory.slice(0, 25).map(purchase => ({
+          label: purchase.productName.substring(0, 100),
+          description: `R$ ${purchase.amount.toFixed(2)} • ${formatDate(purchase.date)} • ${purchase.paymentId.toString().substring(0, 8)}`,
+          value: purchase.paymentId.toString()
+        })))
+    );
+}
+
+// Botões de nota (1 a 5 estrelas) do pedido de avaliação
+function createReviewButtons(paymentId) {
+  return new ActionRowBuilder()
+    .addComponents([1, 2, 3, 4, 5].map(rating => new ButtonBuilder()
+      .setCustomId(`review_rate_${paymentId}:${rating}`)
+      .setLabel(`${rating} ⭐`)
+      .setStyle(rating >= 4 ? ButtonStyle.Success : ButtonStyle.Secondary)));
+}
+
 // Botões padrão para compra
 function createBuyButtons(productId) {
   return new ActionRowBuilder()
@@ -136,6 +779,11 @@ function createBuyButtons(productId) {
         .setLabel('Comprar Agora')
         .setStyle(ButtonStyle.Success),
 
+      new ButtonBuilder()
+        .setCustomId(`cart_add_${productId}`)
+        .setLabel('Adicionar ao Carrinho')
+        .setStyle(ButtonStyle.Secondary),
+
       new ButtonBuilder()
         .setCustomId(`view_details_${productId}`)
         .setLabel('Ver Detalhes')
@@ -152,11 +800,36 @@ function createBuyButtons(productId) {
 // Exportar todos os templates
 module.exports = {
   welcomeEmbed,
+  availabilityText,
+  payerText,
+  productDetailFields,
+  productDetailSummary,
+  ratingText,
   productEmbed,
   pixPaymentEmbed,
+  couponAppliedEmbed,
   purchaseConfirmationEmbed,
+  orderDeliveryEmbed,
+  cartEmbed,
+  walletPaymentEmbed,
+  cryptoPaymentEmbed,
+  walletEmbed,
+  disputeEmbed,
+  paymentProofReviewEmbed,
+  approvalQueueCardEmbed,
+  reconciliationReportEmbed,
+  productImportPreviewEmbed,
+  reviewRequestEmbed,
+  reviewEmbed,
+  refundPendingEmbed,
+  refundEmbed,
+  lowStockEmbed,
   promotionEmbed,
   securityAlertEmbed,
   assistantEmbed,
+  searchResultsEmbed,
+  createProductSelectMenu,
+  createReceiptMenu,
+  createReviewButtons,
   createBuyButtons
 };
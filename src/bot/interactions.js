@@ -11,6 +11,8 @@ const {
   ModalBuilder,
   TextInputBuilder,
   TextInputStyle,
+  LabelBuilder,
+  FileUploadBuilder,
   ChannelType,
   PermissionFlagsBits
 } = require('discord.js');
@@ -19,12 +21,21 @@ const config = require('../config');
 const productService = require('../product/catalog');
 const paymentService = require('../payment/pix');
 const approvalService = require('../payment/approval');
+const refundService = require('../payment/refund');
+const cartService = require('../payment/cart');
+const receiptService = require('../payment/receipt');
+const vault = require('../product/vault');
 const userService = require('../user/profile');
 const assistantService = require('../ai/assistant');
 const recommendationService = require('../ai/recommendation');
 const auditLogger = require('../audit/logger');
+const embeds = require('./embeds');
+const approvalQueue = require('./approvalQueue');
 const loyaltyService = require('../marketing/loyalty');
-const { logger } = require('../utils/helpers');
+const paginator = require('./paginator');
+const categories = require('../product/categories');
+const reviewService = require('../product/reviews');
+const { logger, formatTime } = require('../utils/helpers');
 
 /**
  * Manipulador central para todas as interações
@@ -43,6 +54,7 @@ class InteractionHandler {
       // Produtos
       ['view_product_', this.showProductDetails.bind(this)],
       ['buy_', this.handleBuyProduct.bind(this)],
+      ['cart_add_', this.handleAddToCart.bind(this)],
       ['recommend_similar_', this.showSimilarProducts.bind(this)],
       ['browse_all_products', this.handleBrowseProducts.bind(this)],
       ['filter_', this.handleProductFilter.bind(this)],
@@ -50,13 +62,23 @@ class InteractionHandler {
       // Pagamentos
       ['pix_tutorial', this.showPixTutorial.bind(this)],
       ['cancel_payment_', this.cancelPayment.bind(this)],
+      ['crypto_check_', this.checkCryptoPayment.bind(this)],
+      ['apply_coupon_', this.showApplyCouponModal.bind(this)],
+      ['upload_proof_', this.showPaymentProofModal.bind(this)],
       ['approve_payment_', this.approvePayment.bind(this)],
+      ['claim_payment_', this.claimPayment.bind(this)],
+      ['release_payment_', this.releasePaymentClaim.bind(this)],
       ['reject_payment_', this.showRejectPaymentModal.bind(this)],
+      ['confirm_refund_', this.confirmRefund.bind(this)],
+      ['cancel_refund_', this.cancelRefund.bind(this)],
+      ['reconcile_approve_', this.approveReconciledPayments.bind(this)],
 
       // Admin produtos
       ['confirm_remove_', this.confirmRemoveProduct.bind(this)],
       ['cancel_remove', this.cancelRemoveProduct.bind(this)],
       ['add_details_', this.showAddDetailsModal.bind(this)],
+      ['product_import_confirm_', this.confirmProductImport.bind(this)],
+      ['product_import_cancel_', this.cancelProductImport.bind(this)],
 
       // Assistente
       ['assistant_helpful_', this.assistantFeedbackPositive.bind(this)],
@@ -67,27 +89,53 @@ class InteractionHandler {
       ['create_ticket', this.createSupportTicket.bind(this)],
       ['close_ticket', this.closeTicket.bind(this)],
 
+      // Avaliações
+      ['review_rate_', this.showReviewModal.bind(this)],
+
       // Perfil e fidelidade
       ['view_profile', this.showProfile.bind(this)],
       ['view_all_purchases', this.showFullPurchaseHistory.bind(this)],
       ['view_points_history', this.showPointsHistory.bind(this)],
       ['redeem_points', this.showRedeemPointsOptions.bind(this)],
       ['redeem_discount', this.handleRedeemDiscount.bind(this)],
+      ['redeem_100_points', this.handleRedeemVoucher.bind(this)],
+      ['redeem_500_points', this.handleRedeemVoucher.bind(this)],
+      ['redeem_1000_points', this.handleRedeemVoucher.bind(this)],
       ['redeem_products', this.handleRedeemProducts.bind(this)],
-      ['redeem_vip', this.handleRedeemVIP.bind(this)]
+      ['redeem_vip', this.handleRedeemVIP.bind(this)],
+
+      // Listas paginadas
+      ['pgjump_', paginator.showJumpModal],
+      ['pg_', paginator.handleButton]
     ]);
 
     // Mapeamento de IDs de menus de seleção para suas funções handlers
     this.selectMenuHandlers = new Map([
-      ['select_product', this.handleProductSelect.bind(this)]
+      ['select_product', this.handleProductSelect.bind(this)],
+      ['download_receipt', this.sendReceipt.bind(this)]
     ]);
 
     // Mapeamento de IDs de modais para suas funções handlers
     this.modalHandlers = new Map([
       ['reject_payment_modal_', this.rejectPayment.bind(this)],
+      ['apply_coupon_modal_', this.applyCoupon.bind(this)],
+      ['upload_proof_modal_', this.submitPaymentProof.bind(this)],
       ['ticket_create_modal', this.processTicketCreation.bind(this)],
-      ['product_details_', this.processProductDetails.bind(this)]
+      ['product_details_', this.processProductDetails.bind(this)],
+      ['review_modal_', this.submitReview.bind(this)],
+      ['pgjump_modal_', paginator.handleJumpModal]
     ]);
+
+    // Listas paginadas exibidas por estes handlers
+    paginator.registerList('catalog', {
+      fetchPage: this.fetchCatalogPage.bind(this),
+      render: this.renderCatalogPage.bind(this)
+    });
+
+    paginator.registerList('purchases', {
+      fetchPage: this.fetchPurchasesPage.bind(this),
+      render: this.renderPurchasesPage.bind(this)
+    });
   }
 
   /**
@@ -247,15 +295,19 @@ class InteractionHandler {
         .setDescription(produto.descricao)
         .addFields(
           { name: 'Preço', value: `💰 R$ ${produto.preco.toFixed(2)}`, inline: true },
-          { name: 'Tipo', value: produto.tipo, inline: true },
-          { name: 'Disponibilidade', value: produto.disponivel ? '✅ Disponível' : '❌ Indisponível', inline: true }
+          { name: 'Tipo', value: categories.getLabel(produto.tipo), inline: true },
+          { name: 'Disponibilidade', value: embeds.availabilityText(produto), inline: true }
         );
 
-      // Adicionar detalhes específicos do produto
-      if (produto.detalhes && Object.keys(produto.detalhes).length > 0) {
-        this.addProductDetailsToEmbed(embed, produto);
+      // Média das avaliações do tipo e da origem do produto
+      const rating = await reviewService.getProductRating(produto);
+      if (rating) {
+        embed.addFields({ name: 'Avaliações', value: embeds.ratingText(rating), inline: true });
       }
 
+      // Adicionar detalhes específicos do produto
+      this.addProductDetailsToEmbed(embed, produto);
+
       // Botões de ação
       const row = new ActionRowBuilder()
         .addComponents(
@@ -263,7 +315,13 @@ class InteractionHandler {
             .setCustomId(`buy_${produto._id}`)
             .setLabel('Comprar')
             .setStyle(ButtonStyle.Success)
-            .setDisabled(!produto.disponivel),
+            .setDisabled(!produto.disponivel || this.isReservedByOther(produto, interaction.user.id)),
+
+          new ButtonBuilder()
+            .setCustomId(`cart_add_${produto._id}`)
+            .setLabel('Adicionar ao Carrinho')
+            .setStyle(ButtonStyle.Primary)
+            .setDisabled(!produto.disponivel || this.isReservedByOther(produto, interaction.user.id)),
 
           new ButtonBuilder()
             .setCustomId(`recommend_similar_${produto._id}`)
@@ -285,28 +343,25 @@ class InteractionHandler {
     }
   }
 
+  /**
+   * Verifica se o produto está reservado por outro comprador
+   * @param {Object} produto - Produto
+   * @param {string} userId - ID do usuário atual
+   * @returns {boolean} - Verdadeiro se outro usuário detém a reserva
+   * @private
+   */
+  isReservedByOther(produto, userId) {
+    const reserva = productService.getActiveReservation(produto);
+    return Boolean(reserva && reserva.userId !== userId);
+  }
+
   /**
    * Adiciona campos de detalhes do produto ao embed
    * @private
    */
   addProductDetailsToEmbed(embed, produto) {
-    const detalhesFields = [];
-
-    if (produto.tipo === 'valorant') {
-      if (produto.detalhes.rank) detalhesFields.push({ name: 'Rank', value: produto.detalhes.rank, inline: true });
-      if (produto.detalhes.skins) detalhesFields.push({ name: 'Skins', value: String(produto.detalhes.skins), inline: true });
-      if (produto.detalhes.region) detalhesFields.push({ name: 'Região', value: produto.detalhes.region, inline: true });
-      if (produto.detalhes.level) detalhesFields.push({ name: 'Nível', value: String(produto.detalhes.level), inline: true });
-      if (produto.detalhes.agents) detalhesFields.push({ name: 'Agentes', value: String(produto.detalhes.agents), inline: true });
-      if (produto.detalhes.verification !== undefined) {
-        detalhesFields.push({ name: 'Email Verificado', value: produto.detalhes.verification ? 'Sim' : 'Não', inline: true });
-      }
-    } else {
-      // Para outros tipos de produtos, adicionar detalhes genéricos
-      Object.entries(produto.detalhes).forEach(([chave, valor]) => {
-        detalhesFields.push({ name: chave, value: String(valor), inline: true });
-      });
-    }
+    // Campos definidos pela categoria do produto (product/categories)
+    const detalhesFields = embeds.productDetailFields(produto);
 
     // Adicionar campos de detalhes ao embed se houver algum
     if (detalhesFields.length > 0) {
@@ -338,6 +393,16 @@ class InteractionHandler {
         });
       }
 
+      // Verificar se outro comprador já reservou o produto
+      const reserva = productService.getActiveReservation(produto);
+      if (reserva) {
+        return await interaction.editReply({
+          content: reserva.userId === interaction.user.id
+            ? 'Você já possui um pagamento pendente para este produto.'
+            : `Este produto está reservado por outro comprador até ${formatTime(reserva.expiraEm)}. Tente novamente depois.`
+        });
+      }
+
       // Verificar fraude
       const fraudDetectionService = require('../ai/fraud');
       const riskAssessment = await fraudDetectionService.assessUserRisk(interaction.user.id);
@@ -402,6 +467,16 @@ class InteractionHandler {
             .setLabel('Ver Tutorial de Pagamento')
             .setStyle(ButtonStyle.Primary),
 
+          new ButtonBuilder()
+            .setCustomId(`upload_proof_${payment._id}`)
+            .setLabel('Enviar Comprovante')
+            .setStyle(ButtonStyle.Success),
+
+          new ButtonBuilder()
+            .setCustomId(`apply_coupon_${payment._id}`)
+            .setLabel('Aplicar Cupom')
+            .setStyle(ButtonStyle.Secondary),
+
           new ButtonBuilder()
             .setCustomId(`cancel_payment_${payment._id}`)
             .setLabel('Cancelar Pagamento')
@@ -420,6 +495,34 @@ class InteractionHandler {
     }
   }
 
+  /**
+   * Adiciona um produto ao carrinho do usuário
+   * @param {Interaction} interaction - Interação
+   * @param {string} productId - ID do produto
+   */
+  async handleAddToCart(interaction, productId) {
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const result = await cartService.addToCart(interaction.user.id, productId);
+
+      if (!result.success) {
+        return await interaction.editReply({
+          content: `❌ ${result.message}.`
+        });
+      }
+
+      await interaction.editReply({
+        content: `🛒 **${result.product.nome}** adicionado ao carrinho (${result.itemCount} ${result.itemCount === 1 ? 'item' : 'itens'}). Use \`/carrinho finalizar\` para gerar um único PIX.`
+      });
+    } catch (error) {
+      logger.error('Erro ao adicionar produto ao carrinho:', error);
+      await interaction.editReply({
+        content: 'Ocorreu um erro ao adicionar o produto ao carrinho.'
+      });
+    }
+  }
+
   /**
    * Cria o embed de instruções de pagamento
    * @private
@@ -430,13 +533,14 @@ class InteractionHandler {
       .setColor(config.discord.embedColors.primary)
       .setDescription(`**Instruções para pagamento:**\n\nVocê está comprando: **${produto.nome}**`)
       .addFields(
-        { name: 'Valor', value: `R$ ${pricing.discountedPrice.toFixed(2)}${pricing.hasDiscount ? ` (com ${pricing.discountPercentage}% de desconto)` : ''}`, inline: true },
+        { name: 'Valor', value: `R$ ${payment.amount.toFixed(2)}${pricing.hasDiscount ? ` (com ${pricing.discountPercentage}% de desconto)` : ''}`, inline: true },
         { name: 'Código da compra', value: payment._id.toString().substring(0, 8), inline: true },
         { name: '⚠️ Importante', value: 'Após o pagamento, um administrador irá verificar e aprovar sua compra manualmente. Os dados de acesso serão enviados por mensagem privada.' },
         { name: '📲 Como pagar', value: 'Escaneie o QR Code ou utilize o código PIX abaixo para realizar o pagamento.' },
-        { name: '📋 Código PIX (Copia e Cola)', value: '```' + payment.pixCode + '```' }
+        { name: '⏳ Reserva', value: `Este produto está reservado para você até ${formatTime(payment.expiresAt)}.` },
+        { name: '📋 Código PIX (Copia e Cola)', value: '```' + (payment.pixDetails?.code || payment.pixCode) + '```' }
       )
-      .setImage(payment.qrCodeUrl)
+      .setImage(payment.pixDetails?.qrCode || payment.qrCodeUrl)
       .setFooter({ text: '⚠️ Política de Não-Estorno: Ao realizar o pagamento, você concorda que não haverá estorno sob nenhuma circunstância.' })
       .setTimestamp();
 
@@ -448,6 +552,14 @@ class InteractionHandler {
       });
     }
 
+    // Vale de pontos aplicado automaticamente
+    if (payment.voucher && payment.voucher.discount) {
+      embed.addFields({
+        name: '🎟️ Vale de Pontos Aplicado!',
+        value: `-R$ ${payment.voucher.discount.toFixed(2)} (${payment.voucher.points} pontos)`
+      });
+    }
+
     return embed;
   }
 
@@ -485,7 +597,7 @@ class InteractionHandler {
       similarProducts.forEach((produto, index) => {
         embed.addFields({
           name: `${index + 1}. ${produto.nome}`,
-          value: `💰 R$ ${produto.preco.toFixed(2)}\n${produto.descricao.substring(0, 100)}${produto.descricao.length > 100 ? '...' : ''}`
+          value: `💰 R$ ${produto.preco.toFixed(2)}${productService.getActiveReservation(produto) ? ` • ${embeds.availabilityText(produto)}` : ''}\n${produto.descricao.substring(0, 100)}${produto.descricao.length > 100 ? '...' : ''}`
         });
       });
 
@@ -524,75 +636,7 @@ class InteractionHandler {
     await interaction.deferUpdate();
 
     try {
-      // Buscar produtos disponíveis
-      const produtos = await productService.getAvailableProducts();
-
-      if (produtos.length === 0) {
-        return await interaction.editReply({
-          content: 'Não há produtos disponíveis no momento.',
-          embeds: [],
-          components: []
-        });
-      }
-
-      // Criar embed com a lista de produtos
-      const embed = new EmbedBuilder()
-        .setTitle('🏪 Produtos Disponíveis')
-        .setColor(config.discord.embedColors.primary)
-        .setDescription('Escolha um produto para ver mais detalhes:')
-        .setTimestamp();
-
-      // Adicionar produtos ao embed (até 10)
-      produtos.slice(0, 10).forEach((produto, index) => {
-        embed.addFields({
-          name: `${index + 1}. ${produto.nome}`,
-          value: `💰 R$ ${produto.preco.toFixed(2)}\n${produto.descricao.substring(0, 100)}${produto.descricao.length > 100 ? '...' : ''}`
-        });
-      });
-
-      // Criar menu de seleção
-      const selectMenu = {
-        type: 3, // SelectMenu
-        custom_id: 'select_product',
-        placeholder: 'Selecione um produto para ver detalhes',
-        options: produtos.slice(0, 25).map((produto, index) => ({
-          label: `${produto.nome.substring(0, 25)} - R$ ${produto.preco.toFixed(2)}`,
-          description: produto.descricao.substring(0, 50) + (produto.descricao.length > 50 ? '...' : ''),
-          value: produto._id.toString()
-        }))
-      };
-
-      // Botões para filtrar produtos
-      const filterRow = new ActionRowBuilder()
-        .addComponents(
-          new ButtonBuilder()
-            .setCustomId('filter_valorant')
-            .setLabel('Valorant')
-            .setStyle(ButtonStyle.Primary),
-
-          new ButtonBuilder()
-            .setCustomId('filter_steam')
-            .setLabel('Steam')
-            .setStyle(ButtonStyle.Secondary),
-
-          new ButtonBuilder()
-            .setCustomId('filter_lol')
-            .setLabel('League of Legends')
-            .setStyle(ButtonStyle.Secondary),
-
-          new ButtonBuilder()
-            .setCustomId('filter_preco_asc')
-            .setLabel('Ordenar por Preço ↑')
-            .setStyle(ButtonStyle.Success)
-        );
-
-      await interaction.editReply({
-        embeds: [embed],
-        components: [
-          { type: 1, components: [selectMenu] },
-          filterRow
-        ]
-      });
+      await interaction.editReply(await paginator.buildPage(interaction, 'catalog'));
     } catch (error) {
       logger.error('Erro ao navegar pelo catálogo:', error);
       await interaction.editReply({
@@ -612,106 +656,97 @@ class InteractionHandler {
     await interaction.deferUpdate();
 
     try {
-      // Definir filtros
-      const filters = {};
-
-      if (filter === 'valorant' || filter === 'steam' || filter === 'lol') {
-        filters.tipo = filter;
-      }
-
-      // Definir ordenação
-      let orderBy = 'dataCriacao';
-      let orderDirection = 'desc';
-
-      if (filter === 'preco_asc') {
-        orderBy = 'preco';
-        orderDirection = 'asc';
-      } else if (filter === 'preco_desc') {
-        orderBy = 'preco';
-        orderDirection = 'desc';
-      }
-
-      // Buscar produtos com os filtros
-      const produtos = await productService.getAvailableProducts(20, {
-        ...filters,
-        orderBy,
-        orderDirection
+      await interaction.editReply(await paginator.buildPage(interaction, 'catalog', filter === 'reset' ? '' : filter));
+    } catch (error) {
+      logger.error('Erro ao aplicar filtro de produtos:', error);
+      await interaction.editReply({
+        content: 'Ocorreu um erro ao aplicar o filtro.',
+        embeds: [],
+        components: []
       });
+    }
+  }
 
-      if (produtos.length === 0) {
-        return await interaction.editReply({
-          content: 'Não foram encontrados produtos com os filtros especificados.',
-          embeds: [],
-          components: []
-        });
-      }
+  /**
+   * Busca uma página do catálogo (lista paginada "catalog")
+   * @param {string} filter - Filtro aplicado (tipo ou ordenação por preço); vazio para todos
+   * @param {Object} options - Paginação ({ page, pageSize })
+   * @returns {Promise<Object>} - Itens da página ({ items, total })
+   */
+  async fetchCatalogPage(filter, { page, pageSize }) {
+    const criteria = {};
 
-      // Criar embed com a lista filtrada
-      const embed = new EmbedBuilder()
-        .setTitle(`🏪 Produtos: ${filter.charAt(0).toUpperCase() + filter.slice(1)}`)
-        .setColor(config.discord.embedColors.primary)
-        .setDescription(`${produtos.length} produtos encontrados com o filtro aplicado.`)
-        .setTimestamp();
+    if (categories.getCategory(filter)) {
+      criteria.tipo = filter;
+    } else if (filter === 'preco_asc' || filter === 'preco_desc') {
+      criteria.ordem = filter;
+    }
 
-      // Adicionar produtos ao embed (até 10)
-      produtos.slice(0, 10).forEach((produto, index) => {
-        embed.addFields({
-          name: `${index + 1}. ${produto.nome}`,
-          value: `💰 R$ ${produto.preco.toFixed(2)}\n${produto.descricao.substring(0, 100)}${produto.descricao.length > 100 ? '...' : ''}`
-        });
-      });
+    const result = await productService.searchCatalog(criteria, { page, pageSize });
+    return { items: result.produtos, total: result.total };
+  }
 
-      // Criar menu de seleção atualizado
-      const selectMenu = {
-        type: 3, // SelectMenu
-        custom_id: 'select_product',
-        placeholder: 'Selecione um produto para ver detalhes',
-        options: produtos.slice(0, 25).map((produto, index) => ({
-          label: `${produto.nome.substring(0, 25)} - R$ ${produto.preco.toFixed(2)}`,
-          description: produto.descricao.substring(0, 50) + (produto.descricao.length > 50 ? '...' : ''),
-          value: produto._id.toString()
-        }))
+  /**
+   * Monta uma página do catálogo com o menu de produtos e os botões de filtro
+   * @param {Object} view - Página da lista ({ items, args, total, offset })
+   * @returns {Object} - Mensagem da página
+   */
+  renderCatalogPage({ items: produtos, args: filter, total, offset }) {
+    if (total === 0) {
+      return {
+        content: filter
+          ? 'Não foram encontrados produtos com os filtros especificados.'
+          : 'Não há produtos disponíveis no momento.'
       };
+    }
 
-      // Botões para filtrar produtos
-      const filterRow = new ActionRowBuilder()
-        .addComponents(
-          new ButtonBuilder()
-            .setCustomId('filter_valorant')
-            .setLabel('Valorant')
-            .setStyle(filter === 'valorant' ? ButtonStyle.Success : ButtonStyle.Secondary),
+    const filterLabel = categories.getCategory(filter)
+      ? categories.getLabel(filter)
+      : filter.charAt(0).toUpperCase() + filter.slice(1);
 
-          new ButtonBuilder()
-            .setCustomId('filter_steam')
-            .setLabel('Steam')
-            .setStyle(filter === 'steam' ? ButtonStyle.Success : ButtonStyle.Secondary),
+    const embed = new EmbedBuilder()
+      .setTitle(filter ? `🏪 Produtos: ${filterLabel}` : '🏪 Produtos Disponíveis')
+      .setColor(config.discord.embedColors.primary)
+      .setDescription(filter
+        ? `${total} produtos encontrados com o filtro aplicado.`
+        : `${total} produtos disponíveis. Escolha um produto para ver mais detalhes:`)
+      .setTimestamp();
 
-          new ButtonBuilder()
-            .setCustomId('filter_lol')
-            .setLabel('League of Legends')
-            .setStyle(filter === 'lol' ? ButtonStyle.Success : ButtonStyle.Secondary),
+    produtos.forEach((produto, index) => {
+      embed.addFields({
+        name: `${offset + index + 1}. ${produto.nome}`,
+        value: `💰 R$ ${produto.preco.toFixed(2)}${productService.getActiveReservation(produto) ? ` • ${embeds.availabilityText(produto)}` : ''}\n${produto.descricao.substring(0, 100)}${produto.descricao.length > 100 ? '...' : ''}`
+      });
+    });
 
-          new ButtonBuilder()
+    // Botões para filtrar produtos por categoria (até 5 por linha)
+    const filterRow = new ActionRowBuilder()
+      .addComponents(categories.listCategories().slice(0, 5).map(category => {
+        const button = new ButtonBuilder()
+          .setCustomId(`filter_${category.id}`)
+          .setLabel(category.label)
+          .setStyle(filter === category.id ? ButtonStyle.Success : ButtonStyle.Secondary);
+
+        return category.emoji ? button.setEmoji(category.emoji) : button;
+      }));
+
+    const sortRow = new ActionRowBuilder()
+      .addComponents(
+        filter
+          ? new ButtonBuilder()
             .setCustomId('filter_reset')
             .setLabel('Limpar Filtros')
             .setStyle(ButtonStyle.Danger)
-        );
+          : new ButtonBuilder()
+            .setCustomId('filter_preco_asc')
+            .setLabel('Ordenar por Preço ↑')
+            .setStyle(ButtonStyle.Success)
+      );
 
-      await interaction.editReply({
-        embeds: [embed],
-        components: [
-          { type: 1, components: [selectMenu] },
-          filterRow
-        ]
-      });
-    } catch (error) {
-      logger.error('Erro ao aplicar filtro de produtos:', error);
-      await interaction.editReply({
-        content: 'Ocorreu um erro ao aplicar o filtro.',
-        embeds: [],
-        components: []
-      });
-    }
+    return {
+      embeds: [embed],
+      components: [embeds.createProductSelectMenu(produtos), filterRow, sortRow]
+    };
   }
 
   /**
@@ -742,7 +777,8 @@ class InteractionHandler {
           { name: '3. Escolha como pagar', value: 'Você pode escanear o QR Code ou copiar e colar o código PIX fornecido.' },
           { name: '4. Confira os dados', value: 'Verifique se o valor e o destinatário estão corretos antes de confirmar.' },
           { name: '5. Confirme o pagamento', value: 'Siga as instruções do seu banco para autenticar e concluir a transferência.' },
-          { name: '6. Aguarde a confirmação', value: 'Após o pagamento, um administrador irá verificar e liberar seu produto em breve!' }
+          { name: '6. Envie o comprovante', value: 'Clique em "Enviar Comprovante" e anexe o print ou o PDF do comprovante para agilizar a análise.' },
+          { name: '7. Aguarde a confirmação', value: 'Após o pagamento, um administrador irá verificar e liberar seu produto em breve!' }
         )
         .setFooter({ text: 'Caso tenha dificuldades, entre em contato com nossa equipe de suporte.' });
 
@@ -751,49 +787,707 @@ class InteractionHandler {
         ephemeral: true
       });
     } catch (error) {
-      logger.error('Erro ao mostrar tutorial PIX:', error);
-      await interaction.reply({
-        content: 'Ocorreu um erro ao mostrar o tutorial de pagamento.',
-        ephemeral: true
+      logger.error('Erro ao mostrar tutorial PIX:', error);
+      await interaction.reply({
+        content: 'Ocorreu um erro ao mostrar o tutorial de pagamento.',
+        ephemeral: true
+      });
+    }
+  }
+
+  /**
+   * Cancela um pagamento pendente
+   * @param {Interaction} interaction - Interação
+   * @param {string} paymentId - ID do pagamento
+   */
+  async cancelPayment(interaction, paymentId) {
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      // Cancelar pagamento
+      const result = await paymentService.cancelPayment(paymentId, interaction.user.id);
+
+      if (!result.success) {
+        return await interaction.editReply({
+          content: `❌ Erro ao cancelar pagamento: ${result.message}`
+        });
+      }
+
+      await interaction.editReply({
+        content: '✅ Pagamento cancelado com sucesso!'
+      });
+    } catch (error) {
+      logger.error(`Erro ao cancelar pagamento ${paymentId}:`, error);
+      await interaction.editReply({
+        content: 'Ocorreu um erro ao cancelar o pagamento.'
+      });
+    }
+  }
+
+  /**
+   * Consulta na blockchain um pagamento em criptomoeda a pedido do comprador
+   * @param {Interaction} interaction - Interação
+   * @param {string} paymentId - ID do pagamento
+   */
+  async checkCryptoPayment(interaction, paymentId) {
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const cryptoMethod = require('../payment/methods/crypto');
+      const result = await cryptoMethod.checkPaymentById(paymentId, interaction.user.id);
+
+      if (!result.success) {
+        return await interaction.editReply({
+          content: `❌ ${result.message}`
+        });
+      }
+
+      const details = result.payment.cryptoDetails;
+      let content;
+
+      if (result.confirmed) {
+        content = '✅ Pagamento confirmado na blockchain! Um administrador irá aprovar sua compra em breve.';
+      } else if (result.status !== 'PENDING') {
+        content = `Este pagamento não está mais aguardando depósito (status: ${result.status}).`;
+      } else if (result.received > 0) {
+        content = `⏳ Depósito de ${result.received} ${details.currency} detectado (${result.confirmations} confirmações). ` +
+          `Aguarde as confirmações da rede${result.received < details.amount ? ` e complete o valor de ${details.amount} ${details.currency}` : ''}.`;
+      } else {
+        content = `Nenhum depósito encontrado ainda. Envie ${details.amount} ${details.currency} para o endereço informado.`;
+      }
+
+      await interaction.editReply({ content });
+    } catch (error) {
+      logger.error(`Erro ao verificar pagamento em criptomoeda ${paymentId}:`, error);
+      await interaction.editReply({
+        content: 'Ocorreu um erro ao verificar o pagamento.'
+      });
+    }
+  }
+
+  /**
+   * Mostra o formulário para aplicar um cupom a um pagamento pendente
+   * @param {Interaction} interaction - Interação
+   * @param {string} paymentId - ID do pagamento
+   */
+  async showApplyCouponModal(interaction, paymentId) {
+    try {
+      const modal = new ModalBuilder()
+        .setCustomId(`apply_coupon_modal_${paymentId}`)
+        .setTitle('Aplicar Cupom');
+
+      const codeInput = new TextInputBuilder()
+        .setCustomId('coupon_code')
+        .setLabel('Código do cupom')
+        .setStyle(TextInputStyle.Short)
+        .setPlaceholder('Ex.: BEMVINDO10')
+        .setMinLength(3)
+        .setMaxLength(20)
+        .setRequired(true);
+
+      modal.addComponents(new ActionRowBuilder().addComponents(codeInput));
+
+      await interaction.showModal(modal);
+    } catch (error) {
+      logger.error(`Erro ao mostrar modal de cupom para ${paymentId}:`, error);
+      await interaction.reply({
+        content: 'Ocorreu um erro ao preparar o formulário de cupom.',
+        ephemeral: true
+      });
+    }
+  }
+
+  /**
+   * Aplica o cupom informado no formulário a um pagamento pendente
+   * @param {Interaction} interaction - Interação
+   * @param {string} paymentId - ID do pagamento
+   */
+  async applyCoupon(interaction, paymentId) {
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const code = interaction.fields.getTextInputValue('coupon_code');
+      const result = await paymentService.applyCoupon(paymentId, interaction.user.id, code);
+
+      if (!result.success) {
+        return await interaction.editReply({
+          content: `❌ Não foi possível aplicar o cupom: ${result.message}`
+        });
+      }
+
+      await interaction.editReply({
+        embeds: [embeds.couponAppliedEmbed(result.payment)]
+      });
+    } catch (error) {
+      logger.error(`Erro ao aplicar cupom ao pagamento ${paymentId}:`, error);
+      await interaction.editReply({
+        content: 'Ocorreu um erro ao aplicar o cupom.'
+      });
+    }
+  }
+
+  /**
+   * Mostra o formulário para envio do comprovante de pagamento
+   * @param {Interaction} interaction - Interação
+   * @param {string} paymentId - ID do pagamento
+   */
+  async showPaymentProofModal(interaction, paymentId) {
+    try {
+      const modal = new ModalBuilder()
+        .setCustomId(`upload_proof_modal_${paymentId}`)
+        .setTitle('Enviar Comprovante');
+
+      const fileUpload = new FileUploadBuilder()
+        .setCustomId('payment_proof')
+        .setMinValues(1)
+        .setMaxValues(1)
+        .setRequired(true);
+
+      modal.addLabelComponents(
+        new LabelBuilder()
+          .setLabel('Comprovante do PIX')
+          .setDescription('Imagem (PNG, JPG ou WEBP) ou PDF do comprovante')
+          .setFileUploadComponent(fileUpload)
+      );
+
+      await interaction.showModal(modal);
+    } catch (error) {
+      logger.error(`Erro ao mostrar modal de comprovante para ${paymentId}:`, error);
+      await interaction.reply({
+        content: 'Ocorreu um erro ao preparar o envio do comprovante.',
+        ephemeral: true
+      });
+    }
+  }
+
+  /**
+   * Registra o comprovante enviado e o encaminha para análise da equipe
+   * @param {Interaction} interaction - Interação
+   * @param {string} paymentId - ID do pagamento
+   */
+  async submitPaymentProof(interaction, paymentId) {
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const file = interaction.fields.getUploadedFiles('payment_proof', true).first();
+
+      const result = await paymentService.submitPaymentProof(paymentId, interaction.user.id, {
+        url: file.url,
+        name: file.name,
+        contentType: file.contentType,
+        size: file.size
+      });
+
+      if (!result.success) {
+        return await interaction.editReply({
+          content: `❌ Não foi possível enviar o comprovante: ${result.message}`
+        });
+      }
+
+      await this.sendPaymentProofToStaff(interaction.client, result.payment, file);
+
+      await interaction.editReply({
+        content: '✅ Comprovante recebido! Seu pagamento está em análise e você será avisado por mensagem privada assim que for aprovado.'
+      });
+    } catch (error) {
+      logger.error(`Erro ao enviar comprovante do pagamento ${paymentId}:`, error);
+      await interaction.editReply({
+        content: 'Ocorreu um erro ao enviar o comprovante.'
+      });
+    }
+  }
+
+  /**
+   * Publica o comprovante no canal de análise da equipe, com botões de aprovação e rejeição
+   * @param {Client} client - Cliente do Discord
+   * @param {Object} payment - Pagamento
+   * @param {Attachment} file - Anexo enviado pelo comprador
+   * @returns {Promise<Message|null>} - Mensagem publicada
+   * @private
+   */
+  async sendPaymentProofToStaff(client, payment, file) {
+    const channelId = config.discord.channels.paymentReview;
+
+    if (!channelId) {
+      logger.warn(`Canal de análise não configurado (DISCORD_PAYMENT_REVIEW_CHANNEL_ID); comprovante do pagamento ${payment._id} não publicado`);
+      return null;
+    }
+
+    try {
+      const channel = await client.channels.fetch(channelId);
+
+      // Pontuação de risco da transação para apoiar a decisão
+      const fraudDetectionService = require('../ai/fraud');
+      const assessment = await fraudDetectionService.verifyTransaction({
+        userId: payment.userId,
+        productId: payment.productId,
+        amount: payment.amount,
+        paymentMethod: payment.method
+      });
+
+      // O arquivo é reenviado para que a cópia da equipe não dependa do link do comprador
+      const extension = (file.name.match(/\.[a-z0-9]+$/i) || [''])[0].toLowerCase();
+      const attachmentName = `comprovante_${payment._id}${extension}`;
+
+      const row = new ActionRowBuilder()
+        .addComponents(
+          new ButtonBuilder()
+            .setCustomId(`approve_payment_${payment._id}`)
+            .setLabel('Aprovar')
+            .setStyle(ButtonStyle.Success),
+
+          new ButtonBuilder()
+            .setCustomId(`reject_payment_${payment._id}`)
+            .setLabel('Rejeitar')
+            .setStyle(ButtonStyle.Danger)
+        );
+
+      const message = await channel.send({
+        embeds: [embeds.paymentProofReviewEmbed(payment, assessment, attachmentName)],
+        files: [{ attachment: file.url, name: attachmentName }],
+        components: [row]
+      });
+
+      await paymentService.linkPaymentProofReview(payment._id, channel.id, message.id);
+      return message;
+    } catch (error) {
+      logger.error(`Erro ao publicar comprovante do pagamento ${payment._id} para a equipe:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Aprova um pagamento (admin)
+   * @param {Interaction} interaction - Interação
+   * @param {string} paymentId - ID do pagamento
+   */
+  async approvePayment(interaction, paymentId) {
+    // Verificar permissões de administrador
+    if (!interaction.memberPermissions || !interaction.memberPermissions.has(PermissionFlagsBits.Administrator)) {
+      return await interaction.reply({
+        content: 'Você não tem permissão para aprovar pagamentos.',
+        ephemeral: true
+      });
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      // Aprovar pagamento
+      const result = await approvalService.approvePayment(paymentId, interaction.user.id);
+
+      // Notificar o comprador (entrega ou reembolso pendente)
+      const notified = await this.notifyApprovalResult(interaction.client, result);
+
+      if (!result.success) {
+        return await interaction.editReply({
+          content: `❌ Erro ao aprovar pagamento: ${result.message}`
+        });
+      }
+
+      const failedNote = result.failedItems?.length
+        ? `\n⚠️ Itens não entregues (reembolso parcial necessário): ${result.failedItems.map(item => `${item.productName} (R$ ${item.price.toFixed(2)})`).join(', ')}`
+        : '';
+      const dmNote = notified
+        ? ''
+        : `\n⚠️ A entrega não chegou ao comprador (DM fechada). Use \`/pagamentos reenviar id:${paymentId}\` quando o comprador liberar as mensagens diretas.`;
+
+      await interaction.editReply({
+        content: `✅ Pagamento ${paymentId} aprovado com sucesso!${failedNote}${dmNote}`
+      });
+    } catch (error) {
+      logger.error(`Erro ao aprovar pagamento ${paymentId}:`, error);
+      await interaction.editReply({
+        content: 'Ocorreu um erro ao aprovar o pagamento.'
+      });
+    }
+  }
+
+  /**
+   * Envia ao comprador o resultado de uma aprovação
+   * Aprovado: dados de acesso; falha no fornecedor: aviso de reembolso pendente
+   * @param {Client} client - Cliente do Discord
+   * @param {Object} result - Resultado de approvalService.approvePayment
+   * @returns {Promise<boolean>} - Verdadeiro se a entrega chegou ao comprador
+   */
+  async notifyApprovalResult(client, result) {
+    if (!result.success) {
+      // Avisar o comprador quando o fornecedor falhar após o pagamento
+      if (result.refundRequired) {
+        const buyer = await client.users.fetch(result.payment.userId).catch(() => null);
+        if (buyer) {
+          await buyer.send({ embeds: [embeds.refundPendingEmbed(result.payment)] }).catch(err => {
+            logger.error(`Erro ao enviar DM para ${buyer.tag}:`, err);
+          });
+        }
+      }
+      return false;
+    }
+
+    try {
+      return await this.sendDelivery(client, result.payment, result.deliveries, result.failedItems, result.receipt);
+    } catch (dmError) {
+      logger.error(`Erro ao notificar usuário sobre aprovação:`, dmError);
+      return false;
+    }
+  }
+
+  /**
+   * Envia por DM a entrega de um pagamento aprovado
+   * As credenciais só são marcadas como reveladas depois que a DM chega; com a DM fechada,
+   * a equipe é avisada no canal de alertas e pode reenviar com /pagamentos reenviar
+   * @param {Client} client - Cliente do Discord
+   * @param {Object} payment - Pagamento aprovado
+   * @param {Array} deliveries - Entregas ({ itemId, productName, credentials })
+   * @param {Array} [failedItems] - Itens do pedido não entregues
+   * @param {Object} [receipt] - Recibo emitido na aprovação
+   * @returns {Promise<boolean>} - Verdadeiro se a DM foi enviada
+   */
+  async sendDelivery(client, payment, deliveries, failedItems = [], receipt = null) {
+    const credentials = deliveries[0] ? deliveries[0].credentials : null;
+
+    // Pedidos do carrinho trazem uma entrega por item
+    const embed = payment.items?.length
+      ? embeds.orderDeliveryEmbed(payment, deliveries, failedItems)
+      : new EmbedBuilder()
+        .setTitle('✅ Compra Aprovada!')
+        .setColor(config.discord.embedColors.success)
+        .setDescription(`Sua compra foi aprovada e processada com sucesso!`)
+        .addFields(
+          { name: 'Produto', value: payment.productName, inline: true },
+          { name: 'Valor pago', value: `R$ ${payment.amount.toFixed(2)}`, inline: true },
+          { name: 'Data', value: `${new Date().toLocaleDateString()}`, inline: true },
+          { name: '📋 Dados de Acesso', value: credentials
+            ? '```' + `Login: ${credentials.login}\nSenha: ${credentials.password}` +
+              (credentials.additionalInfo ? `\n${credentials.additionalInfo}` : '') + '```'
+            : 'Os dados de acesso serão enviados pela equipe de suporte.' },
+          { name: '⚠️ Importante', value: 'Recomendamos que você altere a senha imediatamente após o primeiro acesso.' }
+        )
+        .setTimestamp();
+
+    const message = { embeds: [embed] };
+
+    // Recibo numerado em anexo (também disponível no histórico do /perfil)
+    if (receipt) {
+      embed.addFields({
+        name: '🧾 Recibo',
+        value: `Recibo ${receiptService.formatReceiptNumber(receipt.number)} em anexo. Você pode baixá-lo novamente em \`/perfil\`.`
+      });
+      message.files = [receiptService.getReceiptFile(receipt)];
+    }
+
+    const user = await client.users.fetch(payment.userId).catch(() => null);
+    const sent = Boolean(user) && await user.send(message).then(() => true).catch(err => {
+      logger.error(`Erro ao enviar DM para ${user.tag}:`, err);
+      return false;
+    });
+
+    const withCredentials = deliveries.filter(delivery => delivery.credentials);
+
+    if (!sent) {
+      if (withCredentials.length > 0) {
+        await this.alertUndeliveredCredentials(client, payment);
+      }
+      return false;
+    }
+
+    for (const delivery of withCredentials) {
+      await vault.markCredentialsRevealed(payment._id, delivery.itemId);
+    }
+
+    return true;
+  }
+
+  /**
+   * Avisa a equipe que os dados de acesso de um pagamento não chegaram ao comprador
+   * @param {Client} client - Cliente do Discord
+   * @param {Object} payment - Pagamento aprovado
+   */
+  async alertUndeliveredCredentials(client, payment) {
+    logger.warn(`Dados de acesso do pagamento ${payment._id} não entregues: DM de ${payment.userId} indisponível`);
+
+    const channelId = config.discord.channels.alerts;
+    if (!channelId) return;
+
+    const channel = await client.channels.fetch(channelId).catch(() => null);
+    if (!channel) return;
+
+    await channel.send({
+      content: `🔒 Os dados de acesso do pagamento \`${payment._id}\` (${payment.productName}) não chegaram a <@${payment.userId}>: a DM está fechada. ` +
+        `Peça ao comprador para liberar as mensagens diretas e use \`/pagamentos reenviar id:${payment._id}\`.`,
+      allowedMentions: { parse: [] }
+    }).catch(error => logger.error(`Erro ao enviar alerta de entrega do pagamento ${payment._id}:`, error));
+  }
+
+  /**
+   * Avisa a equipe de um depósito em criptomoeda recebido depois que o pagamento expirou ou foi cancelado
+   * @param {Client} client - Cliente do Discord
+   * @param {Object} payment - Pagamento sinalizado
+   */
+  async alertLateCryptoDeposit(client, payment) {
+    const channelId = config.discord.channels.alerts;
+    if (!channelId) return;
+
+    const channel = await client.channels.fetch(channelId).catch(() => null);
+    if (!channel) return;
+
+    const { received, currency, address } = payment.cryptoDetails;
+
+    await channel.send({
+      content: `🪙 Depósito de ${received} ${currency} recebido no pagamento \`${payment._id}\` (${payment.productName}) de <@${payment.userId}> ` +
+        `depois que o pagamento ${payment.status === 'CANCELLED' ? 'foi cancelado' : 'expirou'} (endereço \`${address}\`). ` +
+        'O pedido não foi reaberto: combine com o comprador a entrega manual ou a devolução do valor.',
+      allowedMentions: { parse: [] }
+    }).catch(error => logger.error(`Erro ao enviar alerta de depósito tardio do pagamento ${payment._id}:`, error));
+  }
+
+  /**
+   * Avisa a equipe de um PIX confirmado pelo banco depois que o pagamento expirou ou foi cancelado
+   * @param {Client} client - Cliente do Discord
+   * @param {Object} payment - Pagamento sinalizado
+   */
+  async alertLatePixPayment(client, payment) {
+    const channelId = config.discord.channels.alerts;
+    if (!channelId) return;
+
+    const channel = await client.channels.fetch(channelId).catch(() => null);
+    if (!channel) return;
+
+    const { amount, transactionId } = payment.bankInfo;
+    const paid = amount !== undefined ? amount : payment.amount;
+
+    await channel.send({
+      content: `🏦 PIX de R$ ${Number(paid).toFixed(2)} confirmado pelo banco no pagamento \`${payment._id}\` (${payment.productName}) de <@${payment.userId}> ` +
+        `depois que o pagamento ${payment.status === 'CANCELLED' ? 'foi cancelado' : 'expirou'}${transactionId ? ` (transação \`${transactionId}\`)` : ''}. ` +
+        'O pedido não foi reaberto: combine com o comprador a entrega manual ou a devolução do valor.',
+      allowedMentions: { parse: [] }
+    }).catch(error => logger.error(`Erro ao enviar alerta de pagamento tardio ${payment._id}:`, error));
+  }
+
+  /**
+   * Avisa a equipe dos produtos que atingiram o estoque mínimo
+   * @param {Client} client - Cliente do Discord
+   * @param {Array} products - Produtos com estoque baixo (productService.getLowStockProducts)
+   */
+  async alertLowStock(client, products) {
+    const channelId = config.discord.channels.alerts;
+
+    if (!channelId) {
+      logger.warn('Canal de alertas não configurado (DISCORD_ALERTS_CHANNEL_ID); notificação de estoque baixo não enviada');
+    } else {
+      const channel = await client.channels.fetch(channelId).catch(() => null);
+
+      if (channel) {
+        await channel.send({ embeds: [embeds.lowStockEmbed(products)] })
+          .catch(error => logger.error('Erro ao enviar notificação de estoque baixo:', error));
+      }
+    }
+
+    await auditLogger.log({
+      action: 'LOW_STOCK_ALERT',
+      category: 'INVENTORY',
+      severity: 'WARNING',
+      status: 'INFO',
+      details: {
+        productCount: products.length,
+        products: products.map(p => ({
+          id: p._id,
+          name: p.nome,
+          currentStock: p.estoque,
+          threshold: p.estoqueMinimo
+        }))
+      }
+    });
+  }
+
+  /**
+   * Reenvia ao comprador os dados de acesso que ainda não chegaram (ex.: DM fechada na aprovação)
+   * @param {Client} client - Cliente do Discord
+   * @param {string} paymentId - ID do pagamento
+   * @returns {Promise<Object>} - Resultado ({ success, message })
+   */
+  async resendDelivery(client, paymentId) {
+    const pending = await approvalService.getPendingDeliveries(paymentId);
+
+    if (!pending.success) {
+      return pending;
+    }
+
+    const sent = await this.sendDelivery(client, pending.payment, pending.deliveries);
+
+    return sent
+      ? { success: true, message: `${pending.deliveries.length} entrega(s) reenviada(s) para <@${pending.payment.userId}>` }
+      : { success: false, message: 'Não foi possível enviar a DM; o comprador ainda está com as mensagens diretas fechadas' };
+  }
+
+  /**
+   * Assume a análise de um pagamento da fila de aprovação (admin)
+   * @param {Interaction} interaction - Interação
+   * @param {string} paymentId - ID do pagamento
+   */
+  async claimPayment(interaction, paymentId) {
+    // Verificar permissões de administrador
+    if (!interaction.memberPermissions || !interaction.memberPermissions.has(PermissionFlagsBits.Administrator)) {
+      return await interaction.reply({
+        content: 'Você não tem permissão para analisar pagamentos.',
+        ephemeral: true
+      });
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const result = await approvalService.claimPayment(paymentId, interaction.user.id);
+
+      if (!result.success) {
+        return await interaction.editReply({
+          content: `❌ Não foi possível assumir o pagamento: ${result.message}`
+        });
+      }
+
+      await approvalQueue.refreshCard(result.payment);
+
+      await interaction.editReply({
+        content: `✅ Você assumiu o pagamento ${paymentId}. Os outros administradores verão que ele está com você.`
+      });
+    } catch (error) {
+      logger.error(`Erro ao assumir pagamento ${paymentId}:`, error);
+      await interaction.editReply({
+        content: 'Ocorreu um erro ao assumir o pagamento.'
+      });
+    }
+  }
+
+  /**
+   * Libera um pagamento assumido para outros administradores (admin)
+   * @param {Interaction} interaction - Interação
+   * @param {string} paymentId - ID do pagamento
+   */
+  async releasePaymentClaim(interaction, paymentId) {
+    // Verificar permissões de administrador
+    if (!interaction.memberPermissions || !interaction.memberPermissions.has(PermissionFlagsBits.Administrator)) {
+      return await interaction.reply({
+        content: 'Você não tem permissão para analisar pagamentos.',
+        ephemeral: true
+      });
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const result = await approvalService.releasePaymentClaim(paymentId, interaction.user.id);
+
+      if (!result.success) {
+        return await interaction.editReply({
+          content: `❌ ${result.message}.`
+        });
+      }
+
+      await approvalQueue.refreshCard(result.payment);
+
+      await interaction.editReply({
+        content: `✅ Pagamento ${paymentId} liberado para outros administradores.`
+      });
+    } catch (error) {
+      logger.error(`Erro ao liberar pagamento ${paymentId}:`, error);
+      await interaction.editReply({
+        content: 'Ocorreu um erro ao liberar o pagamento.'
+      });
+    }
+  }
+
+  /**
+   * Confirma um reembolso solicitado por outro administrador
+   * @param {Interaction} interaction - Interação
+   * @param {string} paymentId - ID do pagamento
+   */
+  async confirmRefund(interaction, paymentId) {
+    // Verificar permissões de administrador
+    if (!interaction.memberPermissions || !interaction.memberPermissions.has(PermissionFlagsBits.Administrator)) {
+      return await interaction.reply({
+        content: 'Você não tem permissão para confirmar reembolsos.',
+        ephemeral: true
+      });
+    }
+
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const result = await refundService.confirmRefund(paymentId, interaction.user.id);
+
+      if (!result.success) {
+        return await interaction.editReply({
+          content: `❌ Erro ao confirmar reembolso: ${result.message}`
+        });
+      }
+
+      // Notificar o comprador
+      const user = await interaction.client.users.fetch(result.payment.userId).catch(() => null);
+
+      if (user) {
+        await user.send({ embeds: [embeds.refundEmbed(result.payment, result.refundAmount, result.fullRefund, result.walletRefunded)] }).catch(err => {
+          logger.error(`Erro ao enviar DM para ${user.tag}:`, err);
+        });
+      }
+
+      await interaction.message.edit({
+        content: `✅ Reembolso confirmado por <@${interaction.user.id}>.`,
+        components: []
+      }).catch(() => null);
+
+      await interaction.editReply({
+        content: `✅ Reembolso de R$ ${result.refundAmount.toFixed(2)} concluído. ${user ? 'Notificação enviada para o usuário.' : 'Não foi possível notificar o usuário.'}` +
+          (result.walletRefunded > 0 ? `\n💳 R$ ${result.walletRefunded.toFixed(2)} pagos com saldo devolvidos à carteira do comprador.` : '') +
+          (result.discardedRevealed > 0 ? `\n⚠️ ${result.discardedRevealed} unidade(s) com credenciais já reveladas ao comprador foram descartadas em vez de voltar ao estoque.` : '')
+      });
+    } catch (error) {
+      logger.error(`Erro ao confirmar reembolso ${paymentId}:`, error);
+      await interaction.editReply({
+        content: 'Ocorreu um erro ao confirmar o reembolso.'
       });
     }
   }
 
   /**
-   * Cancela um pagamento pendente
+   * Cancela uma solicitação de reembolso pendente
    * @param {Interaction} interaction - Interação
    * @param {string} paymentId - ID do pagamento
    */
-  async cancelPayment(interaction, paymentId) {
-    await interaction.deferReply({ ephemeral: true });
+  async cancelRefund(interaction, paymentId) {
+    // Verificar permissões de administrador
+    if (!interaction.memberPermissions || !interaction.memberPermissions.has(PermissionFlagsBits.Administrator)) {
+      return await interaction.reply({
+        content: 'Você não tem permissão para cancelar reembolsos.',
+        ephemeral: true
+      });
+    }
 
-    try {
-      // Cancelar pagamento
-      const result = await paymentService.cancelPayment(paymentId, interaction.user.id);
+    await interaction.deferUpdate();
 
-      if (!result.success) {
-        return await interaction.editReply({
-          content: `❌ Erro ao cancelar pagamento: ${result.message}`
-        });
-      }
+    try {
+      const result = await refundService.cancelRefundRequest(paymentId, interaction.user.id);
 
       await interaction.editReply({
-        content: '✅ Pagamento cancelado com sucesso!'
+        content: result.success
+          ? `🚫 Reembolso cancelado por <@${interaction.user.id}>.`
+          : `❌ ${result.message}`,
+        components: []
       });
     } catch (error) {
-      logger.error(`Erro ao cancelar pagamento ${paymentId}:`, error);
-      await interaction.editReply({
-        content: 'Ocorreu um erro ao cancelar o pagamento.'
+      logger.error(`Erro ao cancelar reembolso ${paymentId}:`, error);
+      await interaction.followUp({
+        content: 'Ocorreu um erro ao cancelar o reembolso.',
+        ephemeral: true
       });
     }
   }
 
   /**
-   * Aprova um pagamento (admin)
+   * Aprova os pagamentos confirmados por uma conciliação de extrato (admin)
    * @param {Interaction} interaction - Interação
-   * @param {string} paymentId - ID do pagamento
+   * @param {string} reportId - ID da conciliação
    */
-  async approvePayment(interaction, paymentId) {
+  async approveReconciledPayments(interaction, reportId) {
     // Verificar permissões de administrador
     if (!interaction.memberPermissions || !interaction.memberPermissions.has(PermissionFlagsBits.Administrator)) {
       return await interaction.reply({
@@ -802,52 +1496,38 @@ class InteractionHandler {
       });
     }
 
-    await interaction.deferReply({ ephemeral: true });
+    await interaction.deferUpdate();
 
     try {
-      // Aprovar pagamento
-      const result = await approvalService.approvePayment(paymentId, interaction.user.id);
+      const reconciliationService = require('../payment/reconciliation');
+      const outcome = await reconciliationService.approveMatches(reportId, interaction.user.id);
 
-      if (!result.success) {
+      if (!outcome.success) {
         return await interaction.editReply({
-          content: `❌ Erro ao aprovar pagamento: ${result.message}`
+          content: `❌ ${outcome.message}`,
+          components: []
         });
       }
 
-      // Notificar o usuário
-      try {
-        const user = await interaction.client.users.fetch(result.payment.userId);
-
-        // Criar embed com confirmação
-        const embed = new EmbedBuilder()
-          .setTitle('✅ Compra Aprovada!')
-          .setColor(config.discord.embedColors.success)
-          .setDescription(`Sua compra foi aprovada e processada com sucesso!`)
-          .addFields(
-            { name: 'Produto', value: result.payment.productName, inline: true },
-            { name: 'Valor pago', value: `R$ ${result.payment.amount.toFixed(2)}`, inline: true },
-            { name: 'Data', value: `${new Date().toLocaleDateString()}`, inline: true },
-            { name: '📋 Dados de Acesso', value: '```' +
-              `Login: ${result.accountCredentials.login}\nSenha: ${result.accountCredentials.password}` +
-              '```' },
-            { name: '⚠️ Importante', value: 'Recomendamos que você altere a senha imediatamente após o primeiro acesso.' }
-          )
-          .setTimestamp();
-
-        await user.send({ embeds: [embed] }).catch(err => {
-          logger.error(`Erro ao enviar DM para ${user.tag}:`, err);
-        });
-      } catch (dmError) {
-        logger.error(`Erro ao notificar usuário sobre aprovação:`, dmError);
+      for (const { result } of outcome.results) {
+        await this.notifyApprovalResult(interaction.client, result);
       }
 
+      const approved = outcome.results.filter(({ result }) => result.success);
+      const failed = outcome.results.filter(({ result }) => !result.success);
+
       await interaction.editReply({
-        content: `✅ Pagamento ${paymentId} aprovado com sucesso!`
+        content: `✅ ${approved.length} pagamento${approved.length === 1 ? '' : 's'} aprovado${approved.length === 1 ? '' : 's'} pela conciliação.` +
+          (failed.length > 0
+            ? `\n⚠️ Não aprovados:\n${failed.map(({ paymentId, result }) => `• \`${paymentId}\`: ${result.message}`).join('\n')}`
+            : ''),
+        components: []
       });
     } catch (error) {
-      logger.error(`Erro ao aprovar pagamento ${paymentId}:`, error);
-      await interaction.editReply({
-        content: 'Ocorreu um erro ao aprovar o pagamento.'
+      logger.error(`Erro ao aprovar pagamentos da conciliação ${reportId}:`, error);
+      await interaction.followUp({
+        content: 'Ocorreu um erro ao aprovar os pagamentos conciliados.',
+        ephemeral: true
       });
     }
   }
@@ -1023,6 +1703,62 @@ class InteractionHandler {
     });
   }
 
+  /**
+   * Cria os produtos de uma importação em lote validada (admin)
+   * @param {Interaction} interaction - Interação
+   * @param {string} importId - ID da importação
+   */
+  async confirmProductImport(interaction, importId) {
+    // Verificar permissões de administrador
+    if (!interaction.memberPermissions || !interaction.memberPermissions.has(PermissionFlagsBits.Administrator)) {
+      return await interaction.reply({
+        content: 'Você não tem permissão para importar produtos.',
+        ephemeral: true
+      });
+    }
+
+    await interaction.deferUpdate();
+
+    try {
+      const bulkService = require('../product/bulk');
+      const result = await bulkService.confirmImport(importId, interaction.user.id);
+
+      if (!result.success) {
+        return await interaction.editReply({
+          content: `❌ ${result.message}`,
+          components: []
+        });
+      }
+
+      await interaction.editReply({
+        content: `✅ ${result.produtos.length} produto${result.produtos.length === 1 ? '' : 's'} importado${result.produtos.length === 1 ? '' : 's'} com sucesso!`,
+        components: []
+      });
+    } catch (error) {
+      logger.error(`Erro ao confirmar importação de produtos ${importId}:`, error);
+      await interaction.followUp({
+        content: 'Ocorreu um erro ao importar os produtos.',
+        ephemeral: true
+      });
+    }
+  }
+
+  /**
+   * Descarta uma importação de produtos em lote
+   * @param {Interaction} interaction - Interação
+   * @param {string} importId - ID da importação
+   */
+  async cancelProductImport(interaction, importId) {
+    const bulkService = require('../product/bulk');
+    await bulkService.cancelImport(importId);
+
+    await interaction.update({
+      content: '🚫 Importação cancelada. Nenhum produto foi criado.',
+      embeds: [],
+      components: []
+    });
+  }
+
   /**
    * Mostra modal para adicionar detalhes a um produto
    * @param {Interaction} interaction - Interação
@@ -1032,13 +1768,15 @@ class InteractionHandler {
     // Redirecionar para o comando de produto_admin
     const command = interaction.client.commands.get('produtos_admin');
     if (command) {
-      await command.execute({
-        ...interaction,
+      // Object.create mantém os métodos da interação (reply, showModal) trocando só as opções
+      await command.execute(Object.create(interaction, {
         options: {
-          getSubcommand: () => 'detalhes',
-          getString: () => productId
+          value: {
+            getSubcommand: () => 'detalhes',
+            getString: () => productId
+          }
         }
-      });
+      }));
     }
   }
 
@@ -1061,21 +1799,28 @@ class InteractionHandler {
       }
 
       // Extrair campos do formulário
-      const detalhes = { ...product.detalhes } || {};
-
-      if (product.tipo === 'valorant') {
-        // Campos para contas Valorant
-        const rank = interaction.fields.getTextInputValue('rank');
-        const skins = interaction.fields.getTextInputValue('skins');
-        const level = interaction.fields.getTextInputValue('level');
-        const region = interaction.fields.getTextInputValue('region');
-        const agents = interaction.fields.getTextInputValue('agents');
-
-        if (rank) detalhes.rank = rank;
-        if (skins) detalhes.skins = parseInt(skins) || 0;
-        if (level) detalhes.level = parseInt(level) || 0;
-        if (region) detalhes.region = region;
-        if (agents) detalhes.agents = parseInt(agents) || 0;
+      const detalhes = product.detalhes && typeof product.detalhes.toObject === 'function'
+        ? product.detalhes.toObject()
+        : { ...(product.detalhes || {}) };
+      const formFields = categories.getFormFields(product.tipo);
+
+      if (formFields.length > 0) {
+        // Campos definidos pela categoria do produto; campos em branco removem o valor
+        const values = {};
+        formFields.forEach(field => {
+          values[field.key] = interaction.fields.getTextInputValue(field.key);
+        });
+
+        const { details, cleared, errors } = categories.normalizeDetails(product.tipo, values);
+
+        if (errors.length > 0) {
+          return await interaction.editReply({
+            content: `❌ Corrija os campos abaixo e tente novamente:\n• ${errors.join('\n• ')}`
+          });
+        }
+
+        Object.assign(detalhes, details);
+        cleared.forEach(key => delete detalhes[key]);
       } else {
         // Campos genéricos
         try {
@@ -1466,6 +2211,81 @@ class InteractionHandler {
     }
   }
 
+  /* ===== HANDLERS DE AVALIAÇÕES ===== */
+
+  /**
+   * Mostra o formulário de comentário após o comprador escolher a nota
+   * @param {Interaction} interaction - Interação
+   * @param {string} param - pagamento:nota
+   */
+  async showReviewModal(interaction, param) {
+    const [paymentId, rating] = param.split(':');
+
+    try {
+      const modal = new ModalBuilder()
+        .setCustomId(`review_modal_${paymentId}:${rating}`)
+        .setTitle(`Avaliação: ${'⭐'.repeat(parseInt(rating, 10) || 0)}`);
+
+      const commentInput = new TextInputBuilder()
+        .setCustomId('review_comment')
+        .setLabel('Comentário (opcional)')
+        .setStyle(TextInputStyle.Paragraph)
+        .setPlaceholder('Conte como foi a compra e a conta recebida')
+        .setMaxLength(config.reviews.commentMaxLength)
+        .setRequired(false);
+
+      modal.addComponents(new ActionRowBuilder().addComponents(commentInput));
+
+      await interaction.showModal(modal);
+    } catch (error) {
+      logger.error(`Erro ao mostrar modal de avaliação para ${paymentId}:`, error);
+      await interaction.reply({
+        content: 'Ocorreu um erro ao preparar o formulário de avaliação.',
+        ephemeral: true
+      });
+    }
+  }
+
+  /**
+   * Registra a avaliação enviada pelo comprador
+   * @param {Interaction} interaction - Interação
+   * @param {string} param - pagamento:nota
+   */
+  async submitReview(interaction, param) {
+    const [paymentId, rating] = param.split(':');
+
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const result = await reviewService.submitReview(
+        paymentId,
+        { id: interaction.user.id, tag: interaction.user.tag },
+        parseInt(rating, 10),
+        interaction.fields.getTextInputValue('review_comment')
+      );
+
+      if (!result.success) {
+        return await interaction.editReply({
+          content: `❌ ${result.message}.`
+        });
+      }
+
+      // Remover os botões de nota do pedido de avaliação
+      if (interaction.message) {
+        await interaction.message.edit({ components: [] }).catch(() => null);
+      }
+
+      await interaction.editReply({
+        content: `✅ Obrigado pela avaliação (${'⭐'.repeat(result.review.rating)})! Ela ajuda outros compradores a escolher.`
+      });
+    } catch (error) {
+      logger.error(`Erro ao registrar avaliação do pagamento ${paymentId}:`, error);
+      await interaction.editReply({
+        content: 'Ocorreu um erro ao registrar sua avaliação.'
+      });
+    }
+  }
+
   /* ===== HANDLERS DE PERFIL E FIDELIDADE ===== */
 
   /**
@@ -1487,60 +2307,97 @@ class InteractionHandler {
     await interaction.deferUpdate();
 
     try {
-      const userId = interaction.user.id;
+      await interaction.editReply(await paginator.buildPage(interaction, 'purchases'));
+    } catch (error) {
+      logger.error('Erro ao mostrar histórico de compras:', error);
 
-      // Obter histórico completo
-      const purchaseHistory = await userService.getPurchaseHistory(userId);
+      await interaction.editReply({
+        content: 'Ocorreu um erro ao carregar seu histórico de compras.',
+        embeds: [],
+        components: []
+      });
+    }
+  }
 
-      if (purchaseHistory.length === 0) {
-        return await interaction.editReply({
-          content: 'Você ainda não realizou nenhuma compra.',
-          components: [],
-          embeds: []
-        });
-      }
+  /**
+   * Busca uma página do histórico de compras de quem está navegando (lista paginada "purchases")
+   * @param {string} args - Sem uso (o histórico é sempre do próprio usuário)
+   * @param {Object} options - Paginação ({ page, pageSize, interaction })
+   * @returns {Promise<Object>} - Itens da página ({ items, total })
+   */
+  async fetchPurchasesPage(args, { page, pageSize, interaction }) {
+    const purchaseHistory = await userService.getPurchaseHistory(interaction.user.id);
+    const start = (Math.max(1, page) - 1) * pageSize;
 
-      // Criar embed com histórico completo
-      const embed = new EmbedBuilder()
-        .setTitle('📋 Seu Histórico de Compras')
-        .setColor(config.discord.embedColors.primary)
-        .setDescription(`Total de ${purchaseHistory.length} ${purchaseHistory.length === 1 ? 'compra' : 'compras'} realizadas.`)
-        .setTimestamp();
+    return {
+      items: purchaseHistory.slice(start, start + pageSize),
+      total: purchaseHistory.length
+    };
+  }
 
-      // Adicionar compras (limitar a 25 por questões de espaço)
-      purchaseHistory.slice(0, 25).forEach((purchase, index) => {
-        embed.addFields({
-          name: `${index + 1}. ${purchase.productName}`,
-          value: `💰 R$ ${purchase.amount.toFixed(2)}\n📅 ${new Date(purchase.date).toLocaleString()}\n🆔 ${purchase.paymentId.toString().substring(0, 8)}`
-        });
+  /**
+   * Monta uma página do histórico de compras com o menu de recibos
+   * @param {Object} view - Página da lista ({ items, total, offset })
+   * @returns {Object} - Mensagem da página
+   */
+  renderPurchasesPage({ items: purchases, total, offset }) {
+    if (total === 0) {
+      return { content: 'Você ainda não realizou nenhuma compra.' };
+    }
+
+    const embed = new EmbedBuilder()
+      .setTitle('📋 Seu Histórico de Compras')
+      .setColor(config.discord.embedColors.primary)
+      .setDescription(`Total de ${total} ${total === 1 ? 'compra' : 'compras'} realizadas.`)
+      .setTimestamp();
+
+    purchases.forEach((purchase, index) => {
+      embed.addFields({
+        name: `${offset + index + 1}. ${purchase.productName}`,
+        value: `💰 R$ ${purchase.amount.toFixed(2)}\n📅 ${new Date(purchase.date).toLocaleString()}\n🆔 ${purchase.paymentId.toString().substring(0, 8)}`
       });
+    });
 
-      // Se houver mais compras, adicionar nota
-      if (purchaseHistory.length > 25) {
-        embed.setFooter({ text: `Mostrando as 25 compras mais recentes de ${purchaseHistory.length} compras totais.` });
-      }
+    // Botão para voltar
+    const row = new ActionRowBuilder()
+      .addComponents(
+        new ButtonBuilder()
+          .setCustomId('view_profile')
+          .setLabel('Voltar ao Perfil')
+          .setStyle(ButtonStyle.Secondary)
+      );
 
-      // Botão para voltar
-      const row = new ActionRowBuilder()
-        .addComponents(
-          new ButtonBuilder()
-            .setCustomId('view_profile')
-            .setLabel('Voltar ao Perfil')
-            .setStyle(ButtonStyle.Secondary)
-        );
+    return {
+      embeds: [embed],
+      components: [row, embeds.createReceiptMenu(purchases)]
+    };
+  }
+
+  /**
+   * Envia ao comprador o recibo de uma compra escolhida no histórico
+   * @param {Interaction} interaction - Interação
+   * @param {string} paymentId - ID do pagamento
+   */
+  async sendReceipt(interaction, paymentId) {
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+      const result = await receiptService.getUserReceipt(paymentId, interaction.user.id);
+
+      if (!result.success) {
+        return await interaction.editReply({
+          content: `❌ ${result.message}`
+        });
+      }
 
       await interaction.editReply({
-        embeds: [embed],
-        components: [row],
-        content: null
+        content: `🧾 Recibo ${receiptService.formatReceiptNumber(result.receipt.number)}`,
+        files: [receiptService.getReceiptFile(result.receipt)]
       });
     } catch (error) {
-      logger.error('Erro ao mostrar histórico de compras:', error);
-
+      logger.error(`Erro ao enviar recibo do pagamento ${paymentId}:`, error);
       await interaction.editReply({
-        content: 'Ocorreu um erro ao carregar seu histórico de compras.',
-        embeds: [],
-        components: []
+        content: 'Ocorreu um erro ao gerar o recibo.'
       });
     }
   }
@@ -1717,6 +2574,16 @@ class InteractionHandler {
         });
       }
 
+      // Apenas um vale pendente por vez
+      const activeVoucher = await loyaltyService.getActiveVoucher(userId);
+      if (activeVoucher) {
+        return await interaction.editReply({
+          content: `Você já possui um vale de R$ ${activeVoucher.value.toFixed(2)} ${activeVoucher.status === 'RESERVED' ? 'reservado para um pagamento pendente' : 'que será aplicado na sua próxima compra'}.`,
+          embeds: [],
+          components: []
+        });
+      }
+
       // Calcular valor máximo de desconto
       const maxDiscount = Math.floor(loyalty.amount / 100) * 100; // Arredondar para múltiplos de 100
       const maxDiscountValue = (maxDiscount / 100).toFixed(2); // Cada 100 pontos = R$ 1,00
@@ -1783,6 +2650,50 @@ class InteractionHandler {
     }
   }
 
+  /**
+   * Troca pontos por um vale de desconto para a próxima compra
+   * @param {Interaction} interaction - Interação
+   */
+  async handleRedeemVoucher(interaction) {
+    await interaction.deferUpdate();
+
+    try {
+      const points = parseInt(interaction.customId.match(/^redeem_(\d+)_points$/)[1], 10);
+      const result = await loyaltyService.redeemPointsForVoucher(interaction.user.id, points);
+
+      if (!result.success) {
+        return await interaction.editReply({
+          content: `❌ Não foi possível resgatar: ${result.message}.`,
+          embeds: [],
+          components: []
+        });
+      }
+
+      const embed = new EmbedBuilder()
+        .setTitle('🎟️ Vale de Desconto Emitido!')
+        .setColor(config.discord.embedColors.success)
+        .setDescription(`Você trocou **${points} pontos** por um vale de **R$ ${result.voucher.value.toFixed(2)}**.\nO desconto será aplicado automaticamente no seu próximo pagamento.`)
+        .addFields(
+          { name: 'Saldo restante', value: `${result.remainingPoints} pontos`, inline: true }
+        )
+        .setFooter({ text: 'Se o pagamento for cancelado ou expirar, o vale volta a ficar disponível.' })
+        .setTimestamp();
+
+      await interaction.editReply({
+        content: null,
+        embeds: [embed],
+        components: []
+      });
+    } catch (error) {
+      logger.error('Erro ao resgatar vale de desconto:', error);
+      await interaction.editReply({
+        content: 'Ocorreu um erro ao resgatar seus pontos.',
+        embeds: [],
+        components: []
+      });
+    }
+  }
+
   /**
    * Processa o resgate de pontos para produtos exclusivos
    * @param {Interaction} interaction - Interação
@@ -1980,5 +2891,15 @@ module.exports = {
 
   handleModalSubmitInteraction: async (interaction) => {
     return await interactionHandler.handleModalSubmitInteraction(interaction);
+  },
+
+  // Notificação do comprador após aprovações feitas fora de uma interação (ex.: aprovação automática)
+  notifyApprovalResult: async (client, result) => {
+    return await interactionHandler.notifyApprovalResult(client, result);
+  },
+
+  // Reenvio da entrega quando a DM do comprador estava fechada na aprovação
+  resendDelivery: async (client, paymentId) => {
+    return await interactionHandler.resendDelivery(client, paymentId);
   }
 };
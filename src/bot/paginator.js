@@ -0,0 +1,269 @@
+/**
+ * Paginação de listas exibidas em embeds e menus de seleção
+ *
+ * Cada lista é registrada com um nome e deve expor:
+ * - fetchPage(args, { page, pageSize, interaction }) {Promise<Object>}: itens da página em { items, total }
+ * - render(view, interaction) {Promise<Object>|Object}: mensagem da página ({ content, embeds, components }),
+ *   onde view = { items, args, page, pageSize, totalPages, total, offset }
+ * - pageSize {number} (opcional): itens por página, no máximo 25 (limite de campos e opções do Discord)
+ *
+ * Os botões carregam a lista, a página e os argumentos no customId (pg_<lista>:<página>:<botão>:<args>),
+ * então continuam funcionando depois que o bot reinicia. Argumentos que não cabem no customId
+ * (ex.: filtros do /buscar) ficam numa sessão do usuário no cache, que expira sem uso.
+ */
+
+const {
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+  ModalBuilder,
+  TextInputBuilder,
+  TextInputStyle
+} = require('discord.js');
+const crypto = require('crypto');
+const config = require('../config');
+const cache = require('../utils/cache');
+const { logger } = require('../utils/helpers');
+
+// Limite de campos de um embed e de opções de um menu de seleção
+const MAX_PAGE_SIZE = 25;
+
+// Argumentos que começam com este prefixo apontam para uma sessão no cache
+const SESSION_PREFIX = '~';
+
+const lists = new Map();
+
+/**
+ * Registra uma lista paginada
+ * @param {string} name - Nome da lista (sem ":")
+ * @param {Object} definition - Definição da lista ({ fetchPage, render, pageSize })
+ */
+function registerList(name, definition) {
+  if (!name || name.includes(':') ||
+      typeof definition.fetchPage !== 'function' ||
+      typeof definition.render !== 'function') {
+    throw new Error(`Lista paginada inválida: ${name}`);
+  }
+
+  lists.set(name, {
+    ...definition,
+    pageSize: Math.min(definition.pageSize || config.discord.pagination.pageSize, MAX_PAGE_SIZE)
+  });
+}
+
+/**
+ * Guarda os argumentos de uma lista numa sessão do usuário
+ * @param {string} userId - ID do usuário dono da sessão
+ * @param {Object} data - Argumentos da lista
+ * @returns {Promise<string>} - Argumento a usar no lugar dos dados (referência da sessão)
+ */
+async function createSession(userId, data) {
+  const sessionId = crypto.randomBytes(6).toString('hex');
+  await cache.set(`paginator:${sessionId}`, { userId, data, page: 1 }, config.discord.pagination.sessionTTL);
+  return `${SESSION_PREFIX}${sessionId}`;
+}
+
+/**
+ * Resolve os argumentos de uma lista, carregando a sessão quando for o caso
+ * @param {string} args - Argumentos do customId
+ * @param {string} userId - ID de quem está navegando
+ * @returns {Promise<Object>} - { data, session } ou { error, foreign } com a mensagem para o usuário
+ * @private
+ */
+async function _resolveArgs(args, userId) {
+  if (!args.startsWith(SESSION_PREFIX)) {
+    return { data: args };
+  }
+
+  const session = await cache.get(`paginator:${args.slice(SESSION_PREFIX.length)}`);
+
+  if (!session) {
+    return { error: 'Esta lista expirou. Abra-a novamente para continuar navegando.' };
+  }
+
+  if (session.userId !== userId) {
+    return { error: 'Apenas quem abriu esta lista pode navegar por ela.', foreign: true };
+  }
+
+  return { data: session.data, session };
+}
+
+/**
+ * Cria os botões de navegação (primeira, anterior, ir para, próxima, última)
+ * @param {string} name - Nome da lista
+ * @param {string} args - Argumentos do customId
+ * @param {number} page - Página atual
+ * @param {number} totalPages - Total de páginas
+ * @returns {ActionRowBuilder} - Linha de botões
+ * @private
+ */
+function _navigationRow(name, args, page, totalPages) {
+  const button = (target, marker, label, disabled) => new ButtonBuilder()
+    .setCustomId(`pg_${name}:${target}:${marker}:${args}`)
+    .setLabel(label)
+    .setStyle(ButtonStyle.Secondary)
+    .setDisabled(disabled);
+
+  return new ActionRowBuilder()
+    .addComponents(
+      button(1, 'f', '⏮', page <= 1),
+      button(page - 1, 'p', '◀', page <= 1),
+      new ButtonBuilder()
+        .setCustomId(`pgjump_${name}:${args}`)
+        .setLabel(`${page} / ${totalPages}`)
+        .setStyle(ButtonStyle.Primary),
+      button(page + 1, 'n', '▶', page >= totalPages),
+      button(totalPages, 'l', '⏭', page >= totalPages)
+    );
+}
+
+/**
+ * Monta a mensagem de uma página da lista, com os botões de navegação
+ * @param {Interaction} interaction - Interação que abriu ou navegou na lista
+ * @param {string} name - Nome da lista
+ * @param {string} [args=''] - Argumentos (texto curto ou referência de sessão)
+ * @param {number} [page=1] - Página desejada (ajustada ao intervalo válido)
+ * @returns {Promise<Object>} - Mensagem ({ content, embeds, components })
+ */
+async function buildPage(interaction, name, args = '', page = 1) {
+  const list = lists.get(name);
+
+  if (!list) {
+    throw new Error(`Lista paginada não registrada: ${name}`);
+  }
+
+  const resolved = await _resolveArgs(args, interaction.user.id);
+  if (resolved.error) {
+    return { content: resolved.error, embeds: [], components: [] };
+  }
+
+  const pageSize = list.pageSize;
+  let { items, total } = await list.fetchPage(resolved.data, { page, pageSize, interaction });
+  const totalPages = Math.max(1, Math.ceil(total / pageSize));
+  const currentPage = Math.min(Math.max(1, page || 1), totalPages);
+
+  // Página além do fim (ex.: itens removidos desde a última navegação): buscar a última
+  if (currentPage !== page) {
+    ({ items, total } = await list.fetchPage(resolved.data, { page: currentPage, pageSize, interaction }));
+  }
+
+  // Última página vista fica na sessão, que é renovada a cada navegação
+  if (resolved.session) {
+    await cache.set(`paginator:${args.slice(SESSION_PREFIX.length)}`, {
+      ...resolved.session,
+      page: currentPage
+    }, config.discord.pagination.sessionTTL);
+  }
+
+  const message = await list.render({
+    items,
+    args: resolved.data,
+    page: currentPage,
+    pageSize,
+    totalPages,
+    total,
+    offset: (currentPage - 1) * pageSize
+  }, interaction);
+
+  const components = [...(message.components || [])];
+  if (totalPages > 1) {
+    components.push(_navigationRow(name, args, currentPage, totalPages));
+  }
+
+  return {
+    content: message.content || null,
+    embeds: message.embeds || [],
+    components
+  };
+}
+
+/**
+ * Navega para outra página (botões pg_)
+ * @param {Interaction} interaction - Interação do botão
+ * @param {string} param - lista:página:botão:args
+ */
+async function handleButton(interaction, param) {
+  const [name, page, , ...rest] = param.split(':');
+  await _goTo(interaction, name, rest.join(':'), parseInt(page, 10));
+}
+
+/**
+ * Abre o formulário para ir direto a uma página (botão pgjump_)
+ * @param {Interaction} interaction - Interação do botão
+ * @param {string} param - lista:args
+ */
+async function showJumpModal(interaction, param) {
+  const modal = new ModalBuilder()
+    .setCustomId(`pgjump_modal_${param}`)
+    .setTitle('Ir para a página');
+
+  const pageInput = new TextInputBuilder()
+    .setCustomId('page')
+    .setLabel('Número da página')
+    .setStyle(TextInputStyle.Short)
+    .setMaxLength(5)
+    .setRequired(true);
+
+  modal.addComponents(new ActionRowBuilder().addComponents(pageInput));
+
+  await interaction.showModal(modal);
+}
+
+/**
+ * Vai para a página informada no formulário (modal pgjump_modal_)
+ * @param {Interaction} interaction - Interação do formulário
+ * @param {string} param - lista:args
+ */
+async function handleJumpModal(interaction, param) {
+  const [name, ...rest] = param.split(':');
+  const page = parseInt(interaction.fields.getTextInputValue('page'), 10);
+
+  if (!Number.isInteger(page) || page < 1) {
+    return await interaction.reply({
+      content: 'Informe um número de página válido.',
+      ephemeral: true
+    });
+  }
+
+  await _goTo(interaction, name, rest.join(':'), page);
+}
+
+/**
+ * Atualiza a mensagem da lista com a página pedida
+ * @param {Interaction} interaction - Interação do botão ou formulário
+ * @param {string} name - Nome da lista
+ * @param {string} args - Argumentos do customId
+ * @param {number} page - Página desejada
+ * @private
+ */
+async function _goTo(interaction, name, args, page) {
+  // Quem não é dono da sessão recebe o aviso só para si, sem alterar a mensagem
+  const resolved = await _resolveArgs(args, interaction.user.id);
+  if (resolved.foreign) {
+    return await interaction.reply({
+      content: resolved.error,
+      ephemeral: true
+    });
+  }
+
+  await interaction.deferUpdate();
+
+  try {
+    await interaction.editReply(await buildPage(interaction, name, args, page));
+  } catch (error) {
+    logger.error(`Erro ao navegar na lista ${name} (página ${page}):`, error);
+    await interaction.followUp({
+      content: 'Ocorreu um erro ao carregar esta página.',
+      ephemeral: true
+    });
+  }
+}
+
+module.exports = {
+  registerList,
+  createSession,
+  buildPage,
+  handleButton,
+  showJumpModal,
+  handleJumpModal
+};
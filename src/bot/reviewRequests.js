@@ -0,0 +1,79 @@
+/**
+ * Pedidos de avaliação
+ * Envia periodicamente uma DM aos compradores cujos pagamentos foram concluídos há alguns dias,
+ * com botões de nota de 1 a 5 (o comentário é pedido em seguida, num formulário)
+ */
+
+const config = require('../config');
+const reviewService = require('../product/reviews');
+const embeds = require('./embeds');
+const { logger } = require('../utils/helpers');
+
+class ReviewRequests {
+  constructor() {
+    this.client = null;
+    this.timer = null;
+    this.sending = false;
+  }
+
+  /**
+   * Inicia o envio periódico dos pedidos de avaliação
+   * @param {Client} client - Cliente do Discord
+   */
+  start(client) {
+    if (this.timer) return;
+
+    this.client = client;
+    this.timer = setInterval(() => this.sendPending(), config.reviews.checkInterval);
+    this.sendPending();
+
+    logger.info('Pedidos de avaliação iniciados');
+  }
+
+  /**
+   * Interrompe o envio periódico
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Envia os pedidos de avaliação pendentes
+   * Cada pagamento recebe um único pedido; DMs fechadas não são tentadas de novo
+   */
+  async sendPending() {
+    if (this.sending || !this.client) return;
+    this.sending = true;
+
+    try {
+      const payments = await reviewService.claimPendingRequests();
+
+      for (const payment of payments) {
+        const user = await this.client.users.fetch(payment.userId).catch(() => null);
+
+        const delivered = Boolean(user) && await user.send({
+          embeds: [embeds.reviewRequestEmbed(payment)],
+          components: [embeds.createReviewButtons(payment._id)]
+        }).then(() => true).catch(err => {
+          logger.error(`Erro ao enviar pedido de avaliação para ${payment.userId}:`, err);
+          return false;
+        });
+
+        await reviewService.recordRequestDelivery(payment._id, delivered);
+      }
+
+      if (payments.length > 0) {
+        logger.info(`${payments.length} pedidos de avaliação processados`);
+      }
+    } catch (error) {
+      logger.error('Erro ao enviar pedidos de avaliação:', error);
+    } finally {
+      this.sending = false;
+    }
+  }
+}
+
+module.exports = new ReviewRequests();
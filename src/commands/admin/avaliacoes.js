@@ -0,0 +1,141 @@
+/**
+ * Comando administrativo para moderar as avaliações dos compradores
+ */
+
+const { SlashCommandBuilder } = require('@discordjs/builders');
+const { EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const config = require('../../config');
+const reviewService = require('../../product/reviews');
+const embeds = require('../../bot/embeds');
+const paginator = require('../../bot/paginator');
+const { logger } = require('../../utils/helpers');
+
+const STATUS_CHOICES = [
+  { name: 'Publicadas', value: 'PUBLISHED' },
+  { name: 'Ocultas', value: 'HIDDEN' }
+];
+
+// Listagem do /avaliacoes listar, com o status escolhido no customId ("todas" sem filtro)
+paginator.registerList('reviews', {
+  async fetchPage(status, { page, pageSize }) {
+    const { reviews, total } = await reviewService.listReviews(status === 'todas' ? undefined : status, { page, pageSize });
+    return { items: reviews, total };
+  },
+  render({ items: reviews, args: status, total }) {
+    const labels = reviewService.REVIEW_STATUS_LABELS;
+
+    const embed = new EmbedBuilder()
+      .setTitle(`⭐ Avaliações ${status === 'todas' ? '' : `— ${labels[status]}`}`.trim())
+      .setColor(config.discord.embedColors.primary)
+      .setTimestamp();
+
+    if (total === 0) {
+      embed.setDescription('Nenhuma avaliação encontrada.');
+    } else {
+      embed.setDescription(reviews.map(review => {
+        const comment = review.comment
+          ? ` • "${review.comment.length > 60 ? `${review.comment.substring(0, 57)}...` : review.comment}"`
+          : '';
+        return `\`${review._id}\` ${'⭐'.repeat(review.rating)} ${labels[review.status]} • <@${review.userId}>${comment}`;
+      }).join('\n').substring(0, 4096));
+    }
+
+    return { embeds: [embed] };
+  }
+});
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('avaliacoes')
+    .setDescription('Moderar as avaliações dos compradores (Apenas Admin)')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ADMINISTRATOR)
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('listar')
+        .setDescription('Lista as avaliações, das mais recentes')
+        .addStringOption(option => option.setName('status').setDescription('Filtrar por status').addChoices(...STATUS_CHOICES))
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('ver')
+        .setDescription('Mostra uma avaliação')
+        .addStringOption(option => option.setName('id').setDescription('ID da avaliação ou do pagamento').setRequired(true))
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('ocultar')
+        .setDescription('Oculta uma avaliação (deixa de contar nas médias)')
+        .addStringOption(option => option.setName('id').setDescription('ID da avaliação ou do pagamento').setRequired(true))
+        .addStringOption(option => option.setName('motivo').setDescription('Motivo (visível apenas para a equipe)'))
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('restaurar')
+        .setDescription('Publica novamente uma avaliação oculta')
+        .addStringOption(option => option.setName('id').setDescription('ID da avaliação ou do pagamento').setRequired(true))
+    ),
+
+  async execute(interaction) {
+    // Verificar permissões de administrador
+    if (!interaction.memberPermissions.has('ADMINISTRATOR')) {
+      return await interaction.reply({
+        content: 'Você não tem permissão para executar este comando.',
+        ephemeral: true
+      });
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+    const labels = reviewService.REVIEW_STATUS_LABELS;
+
+    try {
+      await interaction.deferReply({ ephemeral: true });
+
+      if (subcommand === 'listar') {
+        const status = interaction.options.getString('status') || 'todas';
+        return await interaction.editReply(await paginator.buildPage(interaction, 'reviews', status));
+      }
+
+      const review = await reviewService.getReview(interaction.options.getString('id'));
+
+      if (!review) {
+        return await interaction.editReply({
+          content: '❌ Avaliação não encontrada.'
+        });
+      }
+
+      if (subcommand === 'ver') {
+        return await interaction.editReply({
+          embeds: [embeds.reviewEmbed(review, labels)]
+        });
+      }
+
+      const result = subcommand === 'ocultar'
+        ? await reviewService.moderateReview(review._id, 'HIDDEN', interaction.user.id, interaction.options.getString('motivo') || undefined)
+        : await reviewService.moderateReview(review._id, 'PUBLISHED', interaction.user.id);
+
+      if (!result.success) {
+        return await interaction.editReply({
+          content: `❌ ${result.message}.`
+        });
+      }
+
+      await interaction.editReply({
+        content: subcommand === 'ocultar' ? '🙈 Avaliação ocultada.' : '✅ Avaliação publicada novamente.',
+        embeds: [embeds.reviewEmbed(result.review, labels)]
+      });
+    } catch (error) {
+      logger.error(`Erro ao executar comando de avaliações (${subcommand}):`, error);
+
+      if (interaction.deferred) {
+        await interaction.editReply({
+          content: 'Ocorreu um erro ao executar o comando.'
+        });
+      } else {
+        await interaction.reply({
+          content: 'Ocorreu um erro ao executar o comando.',
+          ephemeral: true
+        });
+      }
+    }
+  }
+};
@@ -0,0 +1,126 @@
+/**
+ * Comando administrativo para gerenciar a carteira de crédito dos usuários
+ */
+
+const { SlashCommandBuilder } = require('@discordjs/builders');
+const { PermissionFlagsBits } = require('discord.js');
+const config = require('../../config');
+const walletService = require('../../payment/wallet');
+const embeds = require('../../bot/embeds');
+const { logger } = require('../../utils/helpers');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('carteira_admin')
+    .setDescription('Gerenciar a carteira de crédito dos usuários (Apenas Admin)')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ADMINISTRATOR)
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('creditar')
+        .setDescription('Concede crédito na carteira de um usuário')
+        .addUserOption(option => option.setName('usuario').setDescription('Usuário').setRequired(true))
+        .addNumberOption(option => option.setName('valor').setDescription('Valor em reais').setRequired(true).setMinValue(0.01))
+        .addStringOption(option => option.setName('motivo').setDescription('Motivo do crédito').setRequired(true))
+        .addStringOption(option => option.setName('origem').setDescription('Origem do crédito (padrão: outro)')
+          .addChoices(
+            { name: 'Reembolso', value: 'REFUND' },
+            { name: 'Falha na entrega', value: 'DELIVERY_FAILURE' },
+            { name: 'Compensação', value: 'COMPENSATION' },
+            { name: 'Outro', value: 'OTHER' }
+          ))
+        .addStringOption(option => option.setName('pagamento').setDescription('ID do pagamento relacionado'))
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('debitar')
+        .setDescription('Debita um valor da carteira de um usuário')
+        .addUserOption(option => option.setName('usuario').setDescription('Usuário').setRequired(true))
+        .addNumberOption(option => option.setName('valor').setDescription('Valor em reais').setRequired(true).setMinValue(0.01))
+        .addStringOption(option => option.setName('motivo').setDescription('Motivo do débito').setRequired(true))
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('ver')
+        .setDescription('Mostra o saldo, o extrato e a conferência do livro-razão de um usuário')
+        .addUserOption(option => option.setName('usuario').setDescription('Usuário').setRequired(true))
+    ),
+
+  async execute(interaction) {
+    // Verificar permissões de administrador
+    if (!interaction.memberPermissions.has('ADMINISTRATOR')) {
+      return await interaction.reply({
+        content: 'Você não tem permissão para executar este comando.',
+        ephemeral: true
+      });
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+
+    try {
+      await interaction.deferReply({ ephemeral: true });
+
+      const target = interaction.options.getUser('usuario');
+
+      if (subcommand === 'creditar' || subcommand === 'debitar') {
+        const amount = interaction.options.getNumber('valor');
+        const reason = interaction.options.getString('motivo');
+
+        const result = subcommand === 'creditar'
+          ? await walletService.creditWallet(target.id, amount, {
+            source: interaction.options.getString('origem') || 'OTHER',
+            reason,
+            adminId: interaction.user.id,
+            paymentId: interaction.options.getString('pagamento') || undefined
+          })
+          : await walletService.debitWallet(target.id, amount, {
+            reason,
+            adminId: interaction.user.id
+          });
+
+        if (!result.success) {
+          return await interaction.editReply({
+            content: `❌ ${result.message}.`
+          });
+        }
+
+        // Avisar o usuário sobre a movimentação
+        await target.send({
+          content: subcommand === 'creditar'
+            ? `👛 Você recebeu R$ ${amount.toFixed(2)} de crédito na carteira (${reason}). Saldo: R$ ${result.balance.toFixed(2)}. Use \`/carteira\` para ver o extrato.`
+            : `👛 R$ ${amount.toFixed(2)} foram debitados da sua carteira (${reason}). Saldo: R$ ${result.balance.toFixed(2)}.`
+        }).catch(err => logger.warn(`Não foi possível enviar DM para ${target.tag}:`, err));
+
+        return await interaction.editReply({
+          content: `✅ Carteira de ${target} ${subcommand === 'creditar' ? 'creditada' : 'debitada'} em R$ ${amount.toFixed(2)}. Saldo atual: R$ ${result.balance.toFixed(2)}.`
+        });
+      }
+
+      // Conferência do saldo com o livro-razão
+      const verification = await walletService.verifyBalance(target.id);
+      const history = await walletService.getHistory(target.id);
+
+      const embed = embeds.walletEmbed(verification.balance, history, `👛 Carteira de ${target.tag}`)
+        .setColor(verification.consistent ? config.discord.embedColors.primary : config.discord.embedColors.error)
+        .addFields(
+          { name: 'Reservado em pagamentos', value: `R$ ${verification.held.toFixed(2)}`, inline: true },
+          {
+            name: 'Livro-razão',
+            value: verification.consistent
+              ? `✅ Confere (R$ ${verification.ledgerBalance.toFixed(2)})`
+              : `❌ Divergente: livro-razão R$ ${verification.ledgerBalance.toFixed(2)}`,
+            inline: true
+          }
+        );
+
+      await interaction.editReply({
+        embeds: [embed]
+      });
+    } catch (error) {
+      logger.error(`Erro ao executar comando de administração de carteira (${subcommand}):`, error);
+
+      await interaction.editReply({
+        content: `❌ Ocorreu um erro ao processar o comando: ${error.message}`
+      });
+    }
+  }
+};
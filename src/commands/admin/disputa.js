@@ -0,0 +1,171 @@
+/**
+ * Comando administrativo para acompanhar disputas de pagamentos (PIX MED)
+ */
+
+const { SlashCommandBuilder } = require('@discordjs/builders');
+const { EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const config = require('../../config');
+const disputeService = require('../../payment/dispute');
+const embeds = require('../../bot/embeds');
+const { logger } = require('../../utils/helpers');
+
+const STATUS_CHOICES = [
+  { name: 'Aberta', value: 'OPENED' },
+  { name: 'Defesa enviada', value: 'EVIDENCE_SUBMITTED' },
+  { name: 'Ganha', value: 'WON' },
+  { name: 'Perdida', value: 'LOST' }
+];
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('disputa')
+    .setDescription('Gerenciar disputas de pagamentos via PIX MED (Apenas Admin)')
+    .setDefaultMemberPermissions(PermissionFlagsBits.ADMINISTRATOR)
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('abrir')
+        .setDescription('Registra um MED recebido, bloqueia o comprador e gera as evidências')
+        .addStringOption(option => option.setName('pagamento').setDescription('ID do pagamento contestado').setRequired(true))
+        .addStringOption(option => option.setName('protocolo').setDescription('Protocolo da notificação do MED'))
+        .addStringOption(option => option.setName('motivo').setDescription('Motivo informado pelo pagador'))
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('listar')
+        .setDescription('Lista as disputas (padrão: em andamento), das com prazo mais próximo')
+        .addStringOption(option => option.setName('status').setDescription('Filtrar por status').addChoices(...STATUS_CHOICES))
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('ver')
+        .setDescription('Mostra uma disputa com o pacote de evidências')
+        .addStringOption(option => option.setName('id').setDescription('ID da disputa ou do pagamento').setRequired(true))
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('defesa')
+        .setDescription('Registra o envio da defesa ao banco')
+        .addStringOption(option => option.setName('id').setDescription('ID da disputa ou do pagamento').setRequired(true))
+        .addStringOption(option => option.setName('observacao').setDescription('Observação (ex.: protocolo da defesa)'))
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('resolver')
+        .setDescription('Registra a decisão do banco')
+        .addStringOption(option => option.setName('id').setDescription('ID da disputa ou do pagamento').setRequired(true))
+        .addStringOption(option => option.setName('resultado').setDescription('Decisão do banco').setRequired(true)
+          .addChoices(
+            { name: 'Ganha (pagamento mantido)', value: 'WON' },
+            { name: 'Perdida (valor devolvido ao pagador)', value: 'LOST' }
+          ))
+        .addStringOption(option => option.setName('observacao').setDescription('Observação'))
+    ),
+
+  async execute(interaction) {
+    // Verificar permissões de administrador
+    if (!interaction.memberPermissions.has('ADMINISTRATOR')) {
+      return await interaction.reply({
+        content: 'Você não tem permissão para executar este comando.',
+        ephemeral: true
+      });
+    }
+
+    const subcommand = interaction.options.getSubcommand();
+    const labels = disputeService.DISPUTE_STATUS_LABELS;
+
+    try {
+      await interaction.deferReply({ ephemeral: true });
+
+      if (subcommand === 'abrir') {
+        const result = await disputeService.openDispute(interaction.options.getString('pagamento'), {
+          medId: interaction.options.getString('protocolo'),
+          reason: interaction.options.getString('motivo')
+        }, interaction.user.id);
+
+        if (!result.success) {
+          return await interaction.editReply({
+            content: `❌ ${result.message}.`
+          });
+        }
+
+        return await interaction.editReply({
+          content: result.buyerBlocked
+            ? `⚖️ Disputa registrada. <@${result.dispute.userId}> foi bloqueado e marcado no antifraude. Pacote de evidências em anexo.`
+            : `⚖️ Disputa registrada, mas não foi possível bloquear <@${result.dispute.userId}> no antifraude; bloqueie o comprador manualmente. Pacote de evidências em anexo.`,
+          embeds: [embeds.disputeEmbed(result.dispute, labels)],
+          files: [disputeService.getEvidenceFile(result.dispute)]
+        });
+      }
+
+      if (subcommand === 'listar') {
+        const status = interaction.options.getString('status');
+        const disputes = await disputeService.listDisputes(status);
+
+        const embed = new EmbedBuilder()
+          .setTitle(`⚖️ Disputas ${status ? `— ${labels[status]}` : 'em andamento'}`)
+          .setColor(config.discord.embedColors.primary)
+          .setTimestamp();
+
+        if (disputes.length === 0) {
+          embed.setDescription('Nenhuma disputa encontrada.');
+        } else {
+          embed.setDescription(disputes.map(dispute => {
+            const overdue = dispute.status === 'OPENED' && dispute.evidenceDeadline < new Date();
+            const deadline = dispute.status === 'OPENED'
+              ? ` • defesa até <t:${Math.floor(dispute.evidenceDeadline.getTime() / 1000)}:R>`
+              : '';
+            return `${overdue ? '⏰ ' : ''}\`${dispute._id}\` ${labels[dispute.status]} • <@${dispute.userId}> • R$ ${dispute.amount.toFixed(2)}${deadline}`;
+          }).join('\n'));
+        }
+
+        return await interaction.editReply({
+          embeds: [embed]
+        });
+      }
+
+      const dispute = await disputeService.getDispute(interaction.options.getString('id'));
+
+      if (!dispute) {
+        return await interaction.editReply({
+          content: '❌ Disputa não encontrada.'
+        });
+      }
+
+      if (subcommand === 'ver') {
+        return await interaction.editReply({
+          embeds: [embeds.disputeEmbed(dispute, labels)],
+          files: [disputeService.getEvidenceFile(dispute)]
+        });
+      }
+
+      const note = interaction.options.getString('observacao') || undefined;
+      const result = subcommand === 'defesa'
+        ? await disputeService.submitEvidence(dispute._id, interaction.user.id, note)
+        : await disputeService.resolveDispute(dispute._id, interaction.options.getString('resultado'), interaction.user.id, note);
+
+      if (!result.success) {
+        return await interaction.editReply({
+          content: `❌ ${result.message}.`
+        });
+      }
+
+      await interaction.editReply({
+        content: result.late ? '⚠️ Defesa registrada após o prazo.' : '✅ Disputa atualizada.',
+        embeds: [embeds.disputeEmbed(result.dispute, labels)]
+      });
+    } catch (error) {
+      logger.error(`Erro ao executar comando de disputas (${subcommand}):`, error);
+
+      if (interaction.deferred) {
+        await interaction.editReply({
+          content: 'Ocorreu um erro ao executar o comando.'
+        });
+      } else {
+        await interaction.reply({
+          content: 'Ocorreu um erro ao executar o comando.',
+          ephemeral: true
+        });
+      }
+    }
+  }
+};
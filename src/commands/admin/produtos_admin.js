@@ -7,8 +7,79 @@ const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder
 const config = require('../../config');
 const productService = require('../../product/catalog');
 const lztService = require('../../product/lzt');
+const vault = require('../../product/vault');
 const { logger } = require('../../utils/helpers');
 const auditLogger = require('../../audit/logger');
+const paginator = require('../../bot/paginator');
+const embeds = require('../../bot/embeds');
+const categories = require('../../product/categories');
+const bulkService = require('../../product/bulk');
+
+// Filtros do listar e do exportar
+const FILTER_CHOICES = [
+  { name: 'Todos', value: 'todos' },
+  { name: 'Disponíveis', value: 'disponiveis' },
+  { name: 'Vendidos', value: 'vendidos' },
+  ...categories.getChoices()
+];
+
+/**
+ * Converte o filtro escolhido no comando para os filtros do catálogo
+ * @param {string} filtro - Valor de FILTER_CHOICES
+ * @returns {Object} - Filtros ({ tipo, disponivel, vendido })
+ */
+function buildFilters(filtro) {
+  const filters = {};
+
+  if (filtro === 'disponiveis') {
+    filters.disponivel = true;
+  } else if (filtro === 'vendidos') {
+    filters.vendido = true;
+  } else if (categories.getCategory(filtro)) {
+    filters.tipo = filtro;
+  }
+
+  return filters;
+}
+
+// Listagem de produtos do /produtos_admin listar, com o filtro escolhido no customId
+paginator.registerList('adminproducts', {
+  async fetchPage(filtro, { page, pageSize }) {
+    const { produtos, total } = await productService.listProducts(buildFilters(filtro), { page, pageSize });
+    return { items: produtos, total };
+  },
+  render({ items: produtos, args: filtro, total }) {
+    if (total === 0) {
+      return { content: '⚠️ Nenhum produto encontrado com os filtros especificados.' };
+    }
+
+    const embed = new EmbedBuilder()
+      .setTitle(`📋 Lista de Produtos: ${filtro}`)
+      .setColor(config.discord.embedColors.primary)
+      .setDescription(`Total: ${total} produtos encontrados.`)
+      .setTimestamp();
+
+    // Agrupar produtos da página por tipo
+    const productosPorTipo = {};
+    produtos.forEach(produto => {
+      if (!productosPorTipo[produto.tipo]) {
+        productosPorTipo[produto.tipo] = [];
+      }
+      productosPorTipo[produto.tipo].push(produto);
+    });
+
+    for (const [tipo, listaProdutos] of Object.entries(productosPorTipo)) {
+      embed.addFields({
+        name: categories.getLabel(tipo),
+        value: listaProdutos.map(p =>
+          `${p.disponivel ? '✅' : '❌'} ${p.vendido ? '💰' : ''} **${p.nome}** - R$ ${p.preco.toFixed(2)} - 📦 ${p.estoque} - ID: \`${p._id.toString().substring(0, 8)}\``
+        ).join('\n').substring(0, 1024)
+      });
+    }
+
+    return { embeds: [embed] };
+  }
+});
 
 module.exports = {
   data: new SlashCommandBuilder()
@@ -20,9 +91,13 @@ module.exports = {
         .setName('adicionar')
         .setDescription('Adiciona um novo produto ao catálogo')
         .addStringOption(option => option.setName('nome').setDescription('Nome do produto').setRequired(true))
-        .addStringOption(option => option.setName('tipo').setDescription('Tipo do produto (valorant, lol, steam, etc)').setRequired(true))
+        .addStringOption(option => option.setName('tipo').setDescription('Categoria do produto').setRequired(true)
+          .addChoices(...categories.getChoices()))
         .addNumberOption(option => option.setName('preco').setDescription('Preço do produto').setRequired(true))
         .addStringOption(option => option.setName('descricao').setDescription('Descrição do produto').setRequired(true))
+        .addIntegerOption(option => option.setName('quantidade').setDescription('Unidades em estoque (padrão: 1)').setMinValue(0))
+        .addIntegerOption(option => option.setName('estoque_minimo').setDescription('Alertar quando o estoque chegar a este valor (0 desativa)').setMinValue(0))
+        .addBooleanOption(option => option.setName('entrega_manual').setDescription('Entregue pela equipe, sem credenciais no cofre (ex.: boosting)'))
     )
     .addSubcommand(subcommand =>
       subcommand
@@ -51,6 +126,24 @@ module.exports = {
         .setDescription('Adiciona detalhes específicos a um produto')
         .addStringOption(option => option.setName('id').setDescription('ID do produto').setRequired(true))
     )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('credenciais')
+        .setDescription('Adiciona ao cofre as credenciais de uma unidade do produto')
+        .addStringOption(option => option.setName('id').setDescription('ID do produto').setRequired(true))
+        .addStringOption(option => option.setName('login').setDescription('Login da conta').setRequired(true))
+        .addStringOption(option => option.setName('senha').setDescription('Senha da conta').setRequired(true))
+        .addStringOption(option => option.setName('info').setDescription('Informações adicionais (e-mail, recuperação, etc)').setRequired(false))
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('estoque')
+        .setDescription('Ajusta o estoque de um produto')
+        .addStringOption(option => option.setName('id').setDescription('ID do produto').setRequired(true))
+        .addIntegerOption(option => option.setName('quantidade').setDescription('Unidades livres em estoque').setMinValue(0))
+        .addIntegerOption(option => option.setName('minimo').setDescription('Alertar quando o estoque chegar a este valor (0 desativa)').setMinValue(0))
+        .addBooleanOption(option => option.setName('entrega_manual').setDescription('Entregue pela equipe, sem credenciais no cofre'))
+    )
     .addSubcommand(subcommand =>
       subcommand
         .setName('sincronizar')
@@ -61,14 +154,25 @@ module.exports = {
         .setName('listar')
         .setDescription('Lista todos os produtos (incluindo indisponíveis)')
         .addStringOption(option => option.setName('filtro').setDescription('Filtrar por tipo')
+          .addChoices(...FILTER_CHOICES))
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('importar')
+        .setDescription('Importa produtos em lote de um arquivo CSV ou JSON (mostra uma prévia antes)')
+        .addAttachmentOption(option => option.setName('arquivo').setDescription('Arquivo CSV ou JSON com os produtos').setRequired(true))
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('exportar')
+        .setDescription('Exporta o catálogo em CSV ou JSON (sem credenciais)')
+        .addStringOption(option => option.setName('formato').setDescription('Formato do arquivo (padrão: CSV)')
           .addChoices(
-            { name: 'Todos', value: 'todos' },
-            { name: 'Disponíveis', value: 'disponiveis' },
-            { name: 'Vendidos', value: 'vendidos' },
-            { name: 'Valorant', value: 'valorant' },
-            { name: 'LoL', value: 'lol' },
-            { name: 'Steam', value: 'steam' }
+            { name: 'CSV', value: 'csv' },
+            { name: 'JSON', value: 'json' }
           ))
+        .addStringOption(option => option.setName('filtro').setDescription('Filtrar por tipo')
+          .addChoices(...FILTER_CHOICES))
     ),
 
   async execute(interaction) {
@@ -97,12 +201,24 @@ module.exports = {
         case 'detalhes':
           await handleAddDetails(interaction);
           break;
+        case 'credenciais':
+          await handleStoreCredentials(interaction);
+          break;
+        case 'estoque':
+          await handleUpdateStock(interaction);
+          break;
         case 'sincronizar':
           await handleSyncProducts(interaction);
           break;
         case 'listar':
           await handleListProducts(interaction);
           break;
+        case 'importar':
+          await handleImportProducts(interaction);
+          break;
+        case 'exportar':
+          await handleExportProducts(interaction);
+          break;
         default:
           await interaction.reply({
             content: 'Subcomando não reconhecido.',
@@ -130,6 +246,9 @@ async function handleAddProduct(interaction) {
   const tipo = interaction.options.getString('tipo').toLowerCase();
   const preco = interaction.options.getNumber('preco');
   const descricao = interaction.options.getString('descricao');
+  const quantidade = interaction.options.getInteger('quantidade');
+  const estoqueMinimo = interaction.options.getInteger('estoque_minimo');
+  const entregaManual = interaction.options.getBoolean('entrega_manual');
 
   await interaction.deferReply({ ephemeral: true });
 
@@ -140,6 +259,9 @@ async function handleAddProduct(interaction) {
       tipo,
       preco,
       descricao,
+      estoque: quantidade !== null ? quantidade : undefined,
+      estoqueMinimo: estoqueMinimo || 0,
+      entregaManual: Boolean(entregaManual),
       criadoPor: interaction.user.id
     });
 
@@ -168,8 +290,9 @@ async function handleAddProduct(interaction) {
       .addFields(
         { name: 'ID', value: newProduct._id.toString(), inline: true },
         { name: 'Nome', value: newProduct.nome, inline: true },
-        { name: 'Tipo', value: newProduct.tipo, inline: true },
+        { name: 'Tipo', value: categories.getLabel(newProduct.tipo), inline: true },
         { name: 'Preço', value: `R$ ${newProduct.preco.toFixed(2)}`, inline: true },
+        { name: 'Estoque', value: `${newProduct.estoque} ${newProduct.estoque === 1 ? 'unidade' : 'unidades'}`, inline: true },
         { name: 'Descrição', value: newProduct.descricao }
       )
       .setTimestamp();
@@ -371,74 +494,42 @@ async function handleUpdateProduct(interaction) {
 async function handleAddDetails(interaction) {
   const productId = interaction.options.getString('id');
 
-  await interaction.deferReply({ ephemeral: true });
-
+  // Sem deferReply: o modal precisa ser a primeira resposta da interação
   try {
     // Verificar se o produto existe
     const product = await productService.getProductById(productId);
 
     if (!product) {
-      return await interaction.editReply({
-        content: '❌ Produto não encontrado.'
+      return await interaction.reply({
+        content: '❌ Produto não encontrado.',
+        ephemeral: true
       });
     }
 
     // Criar modal para adicionar detalhes
     const modal = new ModalBuilder()
       .setCustomId(`product_details_${productId}`)
-      .setTitle(`Detalhes do Produto: ${product.nome}`);
-
-    // Adicionar campos baseados no tipo de produto
-    if (product.tipo === 'valorant') {
-      // Campos para contas Valorant
-      const rankInput = new TextInputBuilder()
-        .setCustomId('rank')
-        .setLabel('Rank da Conta')
-        .setStyle(TextInputStyle.Short)
-        .setPlaceholder('Ex: Diamante, Ouro, Prata...')
-        .setValue(product.detalhes?.rank || '')
-        .setRequired(false);
-
-      const skinsInput = new TextInputBuilder()
-        .setCustomId('skins')
-        .setLabel('Quantidade de Skins')
-        .setStyle(TextInputStyle.Short)
-        .setPlaceholder('Ex: 15')
-        .setValue(product.detalhes?.skins?.toString() || '')
-        .setRequired(false);
-
-      const levelInput = new TextInputBuilder()
-        .setCustomId('level')
-        .setLabel('Nível da Conta')
-        .setStyle(TextInputStyle.Short)
-        .setPlaceholder('Ex: 100')
-        .setValue(product.detalhes?.level?.toString() || '')
-        .setRequired(false);
-
-      const regionInput = new TextInputBuilder()
-        .setCustomId('region')
-        .setLabel('Região da Conta')
-        .setStyle(TextInputStyle.Short)
-        .setPlaceholder('Ex: BR, NA, EU...')
-        .setValue(product.detalhes?.region || '')
-        .setRequired(false);
-
-      const agentsInput = new TextInputBuilder()
-        .setCustomId('agents')
-        .setLabel('Quantidade de Agentes')
-        .setStyle(TextInputStyle.Short)
-        .setPlaceholder('Ex: 10')
-        .setValue(product.detalhes?.agents?.toString() || '')
-        .setRequired(false);
+      .setTitle(`Detalhes do Produto: ${product.nome}`.substring(0, 45));
+
+    // Adicionar campos definidos pela categoria do produto (product/categories)
+    const formFields = categories.getFormFields(product.tipo);
+
+    if (formFields.length > 0) {
+      modal.addComponents(formFields.map(field => {
+        const current = product.detalhes?.[field.key];
+        const input = new TextInputBuilder()
+          .setCustomId(field.key)
+          .setLabel(field.label)
+          .setStyle(TextInputStyle.Short)
+          .setRequired(false);
+
+        if (field.placeholder) input.setPlaceholder(field.placeholder);
+        if (current !== undefined && current !== null) {
+          input.setValue(field.type === 'boolean' ? (current ? 'Sim' : 'Não') : String(current));
+        }
 
-      // Adicionar componentes ao modal
-      modal.addComponents(
-        new ActionRowBuilder().addComponents(rankInput),
-        new ActionRowBuilder().addComponents(skinsInput),
-        new ActionRowBuilder().addComponents(levelInput),
-        new ActionRowBuilder().addComponents(regionInput),
-        new ActionRowBuilder().addComponents(agentsInput)
-      );
+        return new ActionRowBuilder().addComponents(input);
+      }));
     } else {
       // Campos genéricos para outros tipos de produtos
       const field1Input = new TextInputBuilder()
@@ -490,8 +581,118 @@ async function handleAddDetails(interaction) {
     await interaction.showModal(modal);
   } catch (error) {
     logger.error('Erro ao preparar adição de detalhes:', error);
+    await interaction.reply({
+      content: `❌ Erro ao preparar adição de detalhes: ${error.message}`,
+      ephemeral: true
+    });
+  }
+}
+
+/**
+ * Manipula o subcomando de armazenar credenciais no cofre
+ * @param {CommandInteraction} interaction - Interação do comando
+ */
+async function handleStoreCredentials(interaction) {
+  const productId = interaction.options.getString('id');
+
+  await interaction.deferReply({ ephemeral: true });
+
+  try {
+    const product = await productService.getProductById(productId);
+
+    if (!product) {
+      return await interaction.editReply({
+        content: '❌ Produto não encontrado.'
+      });
+    }
+
+    if (product.origem === 'LZT') {
+      return await interaction.editReply({
+        content: '⚠️ Produtos do LZT Market são entregues automaticamente pela compra no fornecedor.'
+      });
+    }
+
+    const result = await vault.addProductCredentials(productId, {
+      login: interaction.options.getString('login'),
+      password: interaction.options.getString('senha'),
+      additionalInfo: interaction.options.getString('info')
+    }, interaction.user.id);
+
+    if (!result.success) {
+      return await interaction.editReply({
+        content: `❌ Erro ao armazenar credenciais: ${result.message}`
+      });
+    }
+
+    await interaction.editReply({
+      content: `🔒 Credenciais de **${product.nome}** armazenadas no cofre (${result.slots} ${result.slots === 1 ? 'unidade' : 'unidades'} com credenciais). Elas serão enviadas ao comprador quando o pagamento for aprovado.`
+    });
+  } catch (error) {
+    logger.error('Erro ao armazenar credenciais:', error);
+    await interaction.editReply({
+      content: `❌ Erro ao armazenar credenciais: ${error.message}`
+    });
+  }
+}
+
+/**
+ * Manipula o subcomando de ajustar estoque
+ * @param {CommandInteraction} interaction - Interação do comando
+ */
+async function handleUpdateStock(interaction) {
+  const productId = interaction.options.getString('id');
+  const quantidade = interaction.options.getInteger('quantidade');
+  const minimo = interaction.options.getInteger('minimo');
+  const entregaManual = interaction.options.getBoolean('entrega_manual');
+
+  await interaction.deferReply({ ephemeral: true });
+
+  try {
+    const updateData = {};
+    if (quantidade !== null) updateData.estoque = quantidade;
+    if (minimo !== null) updateData.estoqueMinimo = minimo;
+    if (entregaManual !== null) updateData.entregaManual = entregaManual;
+
+    if (Object.keys(updateData).length === 0) {
+      return await interaction.editReply({
+        content: '⚠️ Informe ao menos uma opção para atualizar.'
+      });
+    }
+
+    const result = await productService.updateProduct(productId, updateData);
+
+    if (!result.success) {
+      return await interaction.editReply({
+        content: `❌ Erro ao ajustar estoque: ${result.message}`
+      });
+    }
+
+    // Registrar no log de auditoria
+    await auditLogger.log({
+      action: 'PRODUCT_STOCK_UPDATED',
+      category: 'PRODUCT',
+      severity: 'INFO',
+      status: 'SUCCESS',
+      user: {
+        id: interaction.user.id,
+        username: interaction.user.tag
+      },
+      product: {
+        id: result.product._id,
+        name: result.product.nome
+      },
+      details: updateData
+    });
+
+    const reservadas = result.product.reservas ? result.product.reservas.length : 0;
+
     await interaction.editReply({
-      content: `❌ Erro ao preparar adição de detalhes: ${error.message}`
+      content: `📦 Estoque de **${result.product.nome}** atualizado: ${result.product.estoque} livres, ${reservadas} reservadas, alerta em ${result.product.estoqueMinimo || 'desativado'}${result.product.entregaManual ? ' (entrega manual)' : ''}.`
+    });
+  } catch (error) {
+    logger.error('Erro ao ajustar estoque:', error);
+    await interaction.editReply({
+      content: `❌ Erro ao ajustar estoque: ${error.message}`
     });
   }
 }
@@ -546,92 +747,140 @@ async function handleListProducts(interaction) {
   await interaction.deferReply({ ephemeral: true });
 
   try {
-    // Construir filtros
-    const filters = {};
+    await interaction.editReply(await paginator.buildPage(interaction, 'adminproducts', filtro));
+  } catch (error) {
+    logger.error('Erro ao listar produtos:', error);
+    await interaction.editReply({
+      content: `❌ Erro ao listar produtos: ${error.message}`
+    });
+  }
+}
 
-    switch (filtro) {
-      case 'disponiveis':
-        filters.disponivel = true;
-        break;
-      case 'vendidos':
-        filters.vendido = true;
-        break;
-      case 'valorant':
-      case 'lol':
-      case 'steam':
-        filters.tipo = filtro;
-        break;
+/**
+ * Manipula o subcomando de importar produtos em lote
+ * Apenas valida o arquivo; os produtos são criados pelo botão de confirmação da prévia
+ * @param {CommandInteraction} interaction - Interação do comando
+ */
+async function handleImportProducts(interaction) {
+  const attachment = interaction.options.getAttachment('arquivo');
+
+  await interaction.deferReply({ ephemeral: true });
+
+  try {
+    if (!/\.(csv|json)$/i.test(attachment.name)) {
+      return await interaction.editReply({
+        content: '❌ Envie os produtos em formato CSV ou JSON.'
+      });
     }
 
-    // Buscar produtos
-    const produtos = await productService.searchProducts(filters);
+    if (attachment.size > config.products.bulk.maxFileSize) {
+      return await interaction.editReply({
+        content: `❌ Arquivo muito grande (máximo de ${Math.floor(config.products.bulk.maxFileSize / 1024 / 1024)} MB).`
+      });
+    }
 
-    if (produtos.length === 0) {
+    const axios = require('axios');
+    const response = await axios.get(attachment.url, { responseType: 'arraybuffer', timeout: 15000 });
+    const preview = await bulkService.previewImport(
+      Buffer.from(response.data).toString('utf8'),
+      attachment.name,
+      interaction.user.id
+    );
+
+    if (!preview.success) {
       return await interaction.editReply({
-        content: '⚠️ Nenhum produto encontrado com os filtros especificados.'
+        content: `❌ Não foi possível ler o arquivo: ${preview.message}`
       });
     }
 
-    // Criar embed com lista de produtos
-    const embed = new EmbedBuilder()
-      .setTitle(`📋 Lista de Produtos: ${filtro}`)
-      .setColor(config.discord.embedColors.primary)
-      .setDescription(`Total: ${produtos.length} produtos encontrados.`)
-      .setTimestamp();
+    const components = [];
+    if (preview.importId) {
+      components.push(new ActionRowBuilder()
+        .addComponents(
+          new ButtonBuilder()
+            .setCustomId(`product_import_confirm_${preview.importId}`)
+            .setLabel(`Importar ${preview.products.length} produto${preview.products.length === 1 ? '' : 's'}`)
+            .setStyle(ButtonStyle.Success),
+          new ButtonBuilder()
+            .setCustomId(`product_import_cancel_${preview.importId}`)
+            .setLabel('Cancelar')
+            .setStyle(ButtonStyle.Secondary)
+        ));
+    }
 
-    // Agrupar produtos por tipo
-    const productosPorTipo = {};
-    produtos.forEach(produto => {
-      if (!productosPorTipo[produto.tipo]) {
-        productosPorTipo[produto.tipo] = [];
-      }
-      productosPorTipo[produto.tipo].push(produto);
+    // Relatório completo dos erros, linha a linha
+    const files = preview.errors.length > 0
+      ? [{
+        attachment: Buffer.from(preview.errors.map(error => `${error.label}: ${error.messages.join('; ')}`).join('\n'), 'utf8'),
+        name: 'erros-importacao.txt'
+      }]
+      : [];
+
+    await interaction.editReply({
+      embeds: [embeds.productImportPreviewEmbed(preview, attachment.name)],
+      components,
+      files
+    });
+  } catch (error) {
+    logger.error('Erro ao importar produtos:', error);
+    await interaction.editReply({
+      content: `❌ Erro ao importar produtos: ${error.message}`
     });
+  }
+}
 
-    // Adicionar produtos por tipo
-    for (const [tipo, listaProdutos] of Object.entries(productosPorTipo)) {
-      const listaTexto = listaProdutos.slice(0, 5).map(p =>
-        `${p.disponivel ? '✅' : '❌'} ${p.vendido ? '💰' : ''} **${p.nome}** - R$ ${p.preco.toFixed(2)} - ID: \`${p._id.toString().substring(0, 8)}\``
-      ).join('\n');
+/**
+ * Manipula o subcomando de exportar produtos
+ * @param {CommandInteraction} interaction - Interação do comando
+ */
+async function handleExportProducts(interaction) {
+  const formato = interaction.options.getString('formato') || 'csv';
+  const filtro = interaction.options.getString('filtro') || 'todos';
 
-      const totalTipo = listaProdutos.length;
-      const textoFinal = totalTipo > 5
-        ? `${listaTexto}\n*...e mais ${totalTipo - 5} produtos deste tipo*`
-        : listaTexto;
+  await interaction.deferReply({ ephemeral: true });
 
-      embed.addFields({ name: `${tipo.toUpperCase()} (${totalTipo})`, value: textoFinal });
-    }
+  try {
+    const result = await bulkService.exportProducts(buildFilters(filtro), formato);
 
-    // Botões para filtros
-    const row = new ActionRowBuilder()
-      .addComponents(
-        new ButtonBuilder()
-          .setCustomId('filter_available')
-          .setLabel('Disponíveis')
-          .setStyle(ButtonStyle.Primary)
-          .setDisabled(filtro === 'disponiveis'),
+    if (!result.success) {
+      return await interaction.editReply({
+        content: `❌ ${result.message}`
+      });
+    }
 
-        new ButtonBuilder()
-          .setCustomId('filter_sold')
-          .setLabel('Vendidos')
-          .setStyle(ButtonStyle.Secondary)
-          .setDisabled(filtro === 'vendidos'),
+    if (result.count === 0) {
+      return await interaction.editReply({
+        content: '⚠️ Nenhum produto encontrado com os filtros especificados.'
+      });
+    }
 
-        new ButtonBuilder()
-          .setCustomId('filter_all')
-          .setLabel('Todos')
-          .setStyle(ButtonStyle.Secondary)
-          .setDisabled(filtro === 'todos')
-      );
+    await auditLogger.log({
+      action: 'PRODUCTS_EXPORTED',
+      category: 'PRODUCT',
+      severity: 'INFO',
+      status: 'SUCCESS',
+      user: {
+        id: interaction.user.id,
+        username: interaction.user.tag
+      },
+      details: {
+        format: formato,
+        filter: filtro,
+        products: result.count
+      }
+    });
 
     await interaction.editReply({
-      embeds: [embed],
-      components: [row]
+      content: `📤 ${result.count} produto${result.count === 1 ? '' : 's'} exportado${result.count === 1 ? '' : 's'}. O arquivo não inclui credenciais e usa as mesmas colunas do \`/produtos_admin importar\`.`,
+      files: [{
+        attachment: Buffer.from(result.content, 'utf8'),
+        name: result.fileName
+      }]
     });
   } catch (error) {
-    logger.error('Erro ao listar produtos:', error);
+    logger.error('Erro ao exportar produtos:', error);
     await interaction.editReply({
-      content: `❌ Erro ao listar produtos: ${error.message}`
+      content: `❌ Erro ao exportar produtos: ${error.message}`
     });
   }
 }
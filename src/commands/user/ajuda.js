@@ -31,7 +31,10 @@ module.exports = {
           .setDescription('Olá! Como posso ajudar você hoje?')
           .addFields(
             { name: '📦 Produtos', value: 'Use `/produtos` para ver o catálogo completo' },
-            { name: '🛒 Compras', value: 'Use `/comprar id` para comprar um produto' },
+            { name: '🔎 Busca', value: 'Use `/buscar` para procurar por nome, tipo, faixa de preço, rank, região, skins ou nível' },
+            { name: '🛒 Compras', value: 'Use `/comprar id` para comprar um produto (escolha PIX ou criptomoeda na opção `metodo`)' },
+            { name: '🧺 Carrinho', value: 'Use `/carrinho adicionar id` e `/carrinho finalizar` para pagar vários produtos em um único PIX' },
+            { name: '👛 Carteira', value: 'Use `/carteira` para ver seu saldo de crédito e usá-lo com a opção `carteira` ao comprar' },
             { name: '🔍 Detalhes', value: 'Use `/produto id` para ver detalhes de um produto' },
             { name: '🤖 Recomendações', value: 'Use `/recomendacoes` para ver produtos recomendados' },
             { name: '❓ Dúvidas específicas', value: 'Use `/ajuda pergunta:sua dúvida` para perguntar ao assistente virtual' }
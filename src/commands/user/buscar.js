@@ -0,0 +1,147 @@
+/**
+ * Comando de busca no catálogo com filtros e autocompletar
+ */
+
+const { SlashCommandBuilder } = require('@discordjs/builders');
+const productService = require('../../product/catalog');
+const categories = require('../../product/categories');
+const userService = require('../../user/profile');
+const embeds = require('../../bot/embeds');
+const paginator = require('../../bot/paginator');
+const { logger } = require('../../utils/helpers');
+
+// Resultados do /buscar; os critérios ficam na sessão do usuário (não cabem no customId)
+paginator.registerList('search', {
+  pageSize: 5,
+  async fetchPage(criteria, { page, pageSize }) {
+    const result = await productService.searchCatalog(criteria, { page, pageSize });
+    return { items: result.produtos, total: result.total };
+  },
+  render({ items, total, args: criteria }) {
+    if (total === 0) {
+      return { content: 'Nenhum produto encontrado com esses filtros. Tente ampliar a busca.' };
+    }
+
+    return {
+      embeds: [embeds.searchResultsEmbed(items, total, criteria)],
+      components: [embeds.createProductSelectMenu(items)]
+    };
+  }
+});
+
+const data = new SlashCommandBuilder()
+  .setName('buscar')
+  .setDescription('Busca produtos no catálogo com filtros')
+  .addStringOption(option =>
+    option.setName('texto')
+      .setDescription('Nome, rank ou descrição do produto')
+      .setAutocomplete(true))
+  .addStringOption(option =>
+    option.setName('tipo')
+      .setDescription('Tipo de conta')
+      .addChoices(...categories.getChoices()))
+  .addNumberOption(option =>
+    option.setName('preco_min')
+      .setDescription('Preço mínimo (R$)')
+      .setMinValue(0))
+  .addNumberOption(option =>
+    option.setName('preco_max')
+      .setDescription('Preço máximo (R$)')
+      .setMinValue(0));
+
+// Filtros de detalhes declarados pelas categorias (product/categories)
+categories.listFilters().forEach(filter => {
+  if (filter.type !== 'number') {
+    data.addStringOption(option => option.setName(filter.option).setDescription(filter.description));
+  } else if (filter.integer) {
+    data.addIntegerOption(option => option.setName(filter.option).setDescription(filter.description).setMinValue(0));
+  } else {
+    data.addNumberOption(option => option.setName(filter.option).setDescription(filter.description).setMinValue(0));
+  }
+});
+
+data.addStringOption(option =>
+  option.setName('ordem')
+    .setDescription('Ordenação dos resultados')
+    .addChoices(
+      { name: 'Relevância', value: 'relevancia' },
+      { name: 'Menor preço', value: 'preco_asc' },
+      { name: 'Maior preço', value: 'preco_desc' },
+      { name: 'Mais recentes', value: 'recentes' },
+      { name: 'Mais vistos', value: 'populares' }
+    ));
+
+module.exports = {
+  data,
+
+  async autocomplete(interaction) {
+    try {
+      const focused = interaction.options.getFocused();
+      const names = await productService.suggestProductNames(focused);
+
+      await interaction.respond(names.map(name => ({
+        name: name.substring(0, 100),
+        value: name.substring(0, 100)
+      })));
+    } catch (error) {
+      logger.error('Erro ao sugerir produtos no autocompletar:', error);
+    }
+  },
+
+  async execute(interaction) {
+    try {
+      await interaction.deferReply({ ephemeral: true });
+
+      const criteria = {
+        texto: interaction.options.getString('texto') || undefined,
+        tipo: interaction.options.getString('tipo') || undefined,
+        precoMin: interaction.options.getNumber('preco_min') ?? undefined,
+        precoMax: interaction.options.getNumber('preco_max') ?? undefined,
+        filtros: {},
+        ordem: interaction.options.getString('ordem') || 'relevancia'
+      };
+
+      categories.listFilters().forEach(filter => {
+        let value;
+        if (filter.type !== 'number') {
+          value = interaction.options.getString(filter.option);
+        } else if (filter.integer) {
+          value = interaction.options.getInteger(filter.option);
+        } else {
+          value = interaction.options.getNumber(filter.option);
+        }
+
+        if (value !== null && value !== '') {
+          criteria.filtros[filter.option] = value;
+        }
+      });
+
+      if (criteria.precoMin !== undefined && criteria.precoMax !== undefined && criteria.precoMin > criteria.precoMax) {
+        return await interaction.editReply({
+          content: 'O preço mínimo não pode ser maior que o preço máximo.'
+        });
+      }
+
+      await userService.recordActivity(interaction.user.id, 'COMMAND_USED', {
+        command: 'buscar',
+        criteria
+      });
+
+      const session = await paginator.createSession(interaction.user.id, criteria);
+      await interaction.editReply(await paginator.buildPage(interaction, 'search', session));
+    } catch (error) {
+      logger.error('Erro ao executar busca no catálogo:', error);
+
+      if (interaction.deferred) {
+        await interaction.editReply({
+          content: 'Ocorreu um erro ao buscar produtos.'
+        });
+      } else {
+        await interaction.reply({
+          content: 'Ocorreu um erro ao buscar produtos.',
+          ephemeral: true
+        });
+      }
+    }
+  }
+};
@@ -0,0 +1,292 @@
+/**
+ * Comando para gerenciar o carrinho de compras e finalizar vários produtos em um único PIX
+ */
+
+const { SlashCommandBuilder } = require('@discordjs/builders');
+const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const config = require('../../config');
+const cartService = require('../../payment/cart');
+const userService = require('../../user/profile');
+const embeds = require('../../bot/embeds');
+const { logger, formatTime } = require('../../utils/helpers');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('carrinho')
+    .setDescription('Gerencia seu carrinho de compras')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('adicionar')
+        .setDescription('Adiciona um produto ao carrinho')
+        .addStringOption(option =>
+          option.setName('id')
+            .setDescription('ID do produto')
+            .setRequired(true)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('remover')
+        .setDescription('Remove um produto do carrinho')
+        .addStringOption(option =>
+          option.setName('id')
+            .setDescription('ID do produto')
+            .setRequired(true)))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('ver')
+        .setDescription('Mostra os produtos do carrinho e o total'))
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('finalizar')
+        .setDescription('Gera um único pagamento PIX para todos os produtos do carrinho')
+        .addStringOption(option =>
+          option.setName('cupom')
+            .setDescription('Código do cupom de desconto'))
+        .addBooleanOption(option =>
+          option.setName('carteira')
+            .setDescription('Usar o saldo da carteira (total ou parcial)'))),
+
+  async execute(interaction) {
+    try {
+      await interaction.deferReply({ ephemeral: true });
+
+      const subcommand = interaction.options.getSubcommand();
+
+      switch (subcommand) {
+        case 'adicionar':
+          await handleAdd(interaction);
+          break;
+        case 'remover':
+          await handleRemove(interaction);
+          break;
+        case 'ver':
+          await handleView(interaction);
+          break;
+        case 'finalizar':
+          await handleCheckout(interaction);
+          break;
+        default:
+          await interaction.editReply({
+            content: 'Subcomando desconhecido.',
+            ephemeral: true
+          });
+      }
+    } catch (error) {
+      logger.error('Erro ao executar comando de carrinho:', error);
+
+      if (interaction.deferred) {
+        await interaction.editReply({
+          content: 'Ocorreu um erro ao processar seu carrinho.',
+          ephemeral: true
+        });
+      } else {
+        await interaction.reply({
+          content: 'Ocorreu um erro ao processar seu carrinho.',
+          ephemeral: true
+        });
+      }
+    }
+  }
+};
+
+/**
+ * Adiciona um produto ao carrinho
+ * @param {Interaction} interaction - Interação
+ */
+async function handleAdd(interaction) {
+  const productId = interaction.options.getString('id');
+  const result = await cartService.addToCart(interaction.user.id, productId);
+
+  if (!result.success) {
+    return await interaction.editReply({
+      content: `❌ ${result.message}.`,
+      ephemeral: true
+    });
+  }
+
+  await interaction.editReply({
+    content: `🛒 **${result.product.nome}** adicionado ao carrinho (${result.itemCount} ${result.itemCount === 1 ? 'item' : 'itens'}).`,
+    ephemeral: true
+  });
+}
+
+/**
+ * Remove um produto do carrinho
+ * @param {Interaction} interaction - Interação
+ */
+async function handleRemove(interaction) {
+  const productId = interaction.options.getString('id');
+  const result = await cartService.removeFromCart(interaction.user.id, productId);
+
+  await interaction.editReply({
+    content: result.success
+      ? `✅ Produto removido do carrinho (${result.itemCount} ${result.itemCount === 1 ? 'item restante' : 'itens restantes'}).`
+      : `❌ ${result.message}.`,
+    ephemeral: true
+  });
+}
+
+/**
+ * Mostra o conteúdo do carrinho
+ * @param {Interaction} interaction - Interação
+ */
+async function handleView(interaction) {
+  const summary = await cartService.getCartSummary(interaction.user.id);
+
+  await interaction.editReply({
+    embeds: [embeds.cartEmbed(summary)],
+    ephemeral: true
+  });
+}
+
+/**
+ * Finaliza o carrinho gerando um único pagamento PIX
+ * @param {Interaction} interaction - Interação
+ */
+async function handleCheckout(interaction) {
+  // Verificar fraude
+  const fraudDetectionService = require('../../ai/fraud');
+  const riskAssessment = await fraudDetectionService.assessUserRisk(interaction.user.id);
+
+  if (riskAssessment.risk === 'high') {
+    return await interaction.editReply({
+      content: 'Não foi possível iniciar sua compra. Por favor, entre em contato com o suporte.',
+      ephemeral: true
+    });
+  }
+
+  const couponCode = interaction.options.getString('cupom');
+  const useWallet = interaction.options.getBoolean('carteira') || false;
+  const result = await cartService.checkout(interaction.user.id, interaction.user.tag, couponCode, { useWallet });
+
+  if (!result.success) {
+    return await interaction.editReply({
+      content: `❌ Não foi possível finalizar o carrinho: ${result.message}`,
+      ephemeral: true
+    });
+  }
+
+  const { payment, summary } = result;
+
+  // Registrar iniciação de pagamento
+  await userService.recordActivity(interaction.user.id, 'PAYMENT_INITIATED', {
+    productId: payment.productId,
+    paymentId: payment._id,
+    amount: payment.amount,
+    items: summary.lines.length
+  });
+
+  // Pago integralmente com o saldo da carteira: não há PIX a pagar
+  if (payment.method === 'WALLET') {
+    return await interaction.editReply({
+      embeds: [embeds.walletPaymentEmbed(payment)],
+      ephemeral: true
+    });
+  }
+
+  // Criar embed com instruções de pagamento
+  const itemsText = payment.items
+    .map(item => `• ${item.productName} — R$ ${item.price.toFixed(2)}`)
+    .join('\n');
+
+  const embed = new EmbedBuilder()
+    .setTitle('💰 Pagamento PIX')
+    .setColor(config.discord.embedColors.primary)
+    .setDescription(`**Instruções para pagamento:**\n\nVocê está comprando:\n${itemsText}`)
+    .addFields(
+      { name: 'Valor', value: `R$ ${payment.amount.toFixed(2)}`, inline: true },
+      { name: 'Código da compra', value: payment._id.toString().substring(0, 8), inline: true },
+      { name: '⚠ Importante', value: 'Após o pagamento, um administrador irá verificar e aprovar sua compra manualmente. Os dados de acesso de cada produto serão enviados por mensagem privada.' },
+      { name: '📲 Como pagar', value: 'Escaneie o QR Code ou utilize o código PIX abaixo para realizar o pagamento.' },
+      { name: '⏳ Reserva', value: `Os produtos estão reservados para você até ${formatTime(payment.expiresAt)}.` },
+      { name: '📋 Código PIX (Copia e Cola)', value: '```' + (payment.pixDetails?.code || payment.pixCode) + '```' }
+    )
+    .setImage(payment.pixDetails?.qrCode || payment.qrCodeUrl)
+    .setFooter({ text: '⚠ Política de Não-Estorno: Ao realizar o pagamento, você concorda que não haverá estorno sob nenhuma circunstância.' })
+    .setTimestamp();
+
+  // Se houver combo, destacar
+  if (summary.combo) {
+    embed.addFields({
+      name: '🎁 Combo Aplicado!',
+      value: `${summary.combo.title}: -R$ ${summary.combo.discount.toFixed(2)}\nSubtotal: R$ ${summary.subtotal.toFixed(2)}`
+    });
+  }
+
+  // Se houver cupom, destacar
+  if (payment.coupon && payment.coupon.code) {
+    embed.addFields({
+      name: '🎟 Cupom Aplicado!',
+      value: `${payment.coupon.code}: -R$ ${payment.coupon.discount.toFixed(2)}`
+    });
+  }
+
+  // Vale de pontos aplicado automaticamente
+  if (payment.voucher && payment.voucher.discount) {
+    embed.addFields({
+      name: '🎟 Vale de Pontos Aplicado!',
+      value: `-R$ ${payment.voucher.discount.toFixed(2)} (${payment.voucher.points} pontos)`
+    });
+  }
+
+  // Saldo da carteira usado no pagamento
+  if (payment.wallet && payment.wallet.amount) {
+    embed.addFields({
+      name: '👛 Saldo da Carteira Usado',
+      value: `-R$ ${payment.wallet.amount.toFixed(2)}`
+    });
+  }
+
+  if (summary.removed.length > 0) {
+    embed.addFields({
+      name: '⚠ Removidos do pedido (indisponíveis)',
+      value: summary.removed.join(', ')
+    });
+  }
+
+  // Botões para instruções e cancelamento
+  const row = new ActionRowBuilder()
+    .addComponents(
+      new ButtonBuilder()
+        .setCustomId('pix_tutorial')
+        .setLabel('Ver Tutorial de Pagamento')
+        .setStyle(ButtonStyle.Primary),
+
+      new ButtonBuilder()
+        .setCustomId(`upload_proof_${payment._id}`)
+        .setLabel('Enviar Comprovante')
+        .setStyle(ButtonStyle.Success),
+
+      new ButtonBuilder()
+        .setCustomId(`apply_coupon_${payment._id}`)
+        .setLabel('Aplicar Cupom')
+        .setStyle(ButtonStyle.Secondary),
+
+      new ButtonBuilder()
+        .setCustomId(`cancel_payment_${payment._id}`)
+        .setLabel('Cancelar Pagamento')
+        .setStyle(ButtonStyle.Danger)
+    );
+
+  // Enviar mensagem privada
+  try {
+    await interaction.user.send({
+      embeds: [embed],
+      components: [row]
+    });
+
+    await interaction.editReply({
+      content: '✅ Instruções de pagamento enviadas por mensagem privada! Verifique seu DM.',
+      ephemeral: true
+    });
+  } catch (dmError) {
+    logger.warn(`Não foi possível enviar DM para ${interaction.user.tag}:`, dmError);
+
+    // Enviar no canal atual se não conseguir DM
+    await interaction.editReply({
+      content: 'Não foi possível enviar as instruções por mensagem privada. Aqui estão as instruções:',
+      embeds: [embed],
+      components: [row],
+      ephemeral: true
+    });
+  }
+}
@@ -0,0 +1,42 @@
+/**
+ * Comando para consultar o saldo e o extrato da carteira
+ */
+
+const { SlashCommandBuilder } = require('@discordjs/builders');
+const walletService = require('../../payment/wallet');
+const embeds = require('../../bot/embeds');
+const { logger } = require('../../utils/helpers');
+
+module.exports = {
+  data: new SlashCommandBuilder()
+    .setName('carteira')
+    .setDescription('Mostra o saldo e as movimentações da sua carteira'),
+
+  async execute(interaction) {
+    try {
+      await interaction.deferReply({ ephemeral: true });
+
+      const balance = await walletService.getBalance(interaction.user.id);
+      const history = await walletService.getHistory(interaction.user.id);
+
+      await interaction.editReply({
+        embeds: [embeds.walletEmbed(balance, history)],
+        ephemeral: true
+      });
+    } catch (error) {
+      logger.error('Erro ao executar comando de carteira:', error);
+
+      if (interaction.deferred) {
+        await interaction.editReply({
+          content: 'Ocorreu um erro ao consultar sua carteira.',
+          ephemeral: true
+        });
+      } else {
+        await interaction.reply({
+          content: 'Ocorreu um erro ao consultar sua carteira.',
+          ephemeral: true
+        });
+      }
+    }
+  }
+};
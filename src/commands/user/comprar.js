@@ -7,9 +7,12 @@ const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('
 const config = require('../../config');
 const productService = require('../../product/catalog');
 const paymentService = require('../../payment/pix');
+const paymentMethods = require('../../payment/methods');
 const userService = require('../../user/profile');
 const marketingService = require('../../marketing/promotions');
-const { logger } = require('../../utils/helpers');
+const couponService = require('../../marketing/coupons');
+const embeds = require('../../bot/embeds');
+const { logger, formatTime } = require('../../utils/helpers');
 
 module.exports = {
   data: new SlashCommandBuilder()
@@ -18,13 +21,33 @@ module.exports = {
     .addStringOption(option =>
       option.setName('id')
         .setDescription('ID do produto')
-        .setRequired(true)),
+        .setRequired(true))
+    .addStringOption(option =>
+      option.setName('cupom')
+        .setDescription('Código do cupom de desconto'))
+    .addBooleanOption(option =>
+      option.setName('carteira')
+        .setDescription('Usar o saldo da carteira (total ou parcial)'))
+    .addStringOption(option =>
+      option.setName('metodo')
+        .setDescription('Forma de pagamento (padrão: PIX)')
+        .addChoices(...paymentMethods.getChoices())),
 
   async execute(interaction) {
     try {
       await interaction.deferReply({ ephemeral: true });
 
       const productId = interaction.options.getString('id');
+      const couponCode = interaction.options.getString('cupom');
+      const useWallet = interaction.options.getBoolean('carteira') || false;
+      const choice = paymentMethods.resolveChoice(interaction.options.getString('metodo') || 'PIX');
+
+      if (!choice) {
+        return await interaction.editReply({
+          content: 'Esta forma de pagamento não está disponível no momento.',
+          ephemeral: true
+        });
+      }
 
       // Buscar produto
       const produto = await productService.getProductById(productId);
@@ -44,6 +67,17 @@ module.exports = {
         });
       }
 
+      // Verificar se outro comprador já reservou o produto
+      const reserva = productService.getActiveReservation(produto);
+      if (reserva) {
+        return await interaction.editReply({
+          content: reserva.userId === interaction.user.id
+            ? 'Você já possui um pagamento pendente para este produto.'
+            : `Este produto está reservado por outro comprador até ${formatTime(reserva.expiraEm)}. Tente novamente depois.`,
+          ephemeral: true
+        });
+      }
+
       // Verificar fraude
       const fraudDetectionService = require('../../ai/fraud');
       const riskAssessment = await fraudDetectionService.assessUserRisk(interaction.user.id);
@@ -59,35 +93,63 @@ module.exports = {
       const pricing = await marketingService.getPromotionalPrice(productId, produto.preco, produto.tipo);
       const precoFinal = pricing.discountedPrice;
 
+      // Validar o cupom antes de reservar o produto
+      if (couponCode) {
+        const validation = await couponService.validateCoupon(couponCode, interaction.user.id, [
+          { productId: produto._id, productType: produto.tipo, price: precoFinal }
+        ]);
+
+        if (!validation.success) {
+          return await interaction.editReply({
+            content: `❌ Cupom não aplicado: ${validation.message}.`,
+            ephemeral: true
+          });
+        }
+      }
+
       // Criar pagamento
       const payment = await paymentService.createPayment({
         userId: interaction.user.id,
         userName: interaction.user.tag,
         productId: produto._id,
         productName: produto.nome,
-        amount: precoFinal
+        amount: precoFinal,
+        couponCode: couponCode || undefined,
+        useWallet,
+        method: choice.method,
+        methodOptions: choice.options
       });
 
       // Registrar iniciação de pagamento
       await userService.recordActivity(interaction.user.id, 'PAYMENT_INITIATED', {
         productId: produto._id,
         paymentId: payment._id,
-        amount: precoFinal
+        amount: payment.amount
       });
 
+      // Pago integralmente com o saldo da carteira: não há PIX a pagar
+      if (payment.method === 'WALLET') {
+        return await interaction.editReply({
+          embeds: [embeds.walletPaymentEmbed(payment)],
+          ephemeral: true
+        });
+      }
+
       // Criar embed com instruções de pagamento
-      const embed = new EmbedBuilder()
+      const isCrypto = payment.method === 'CRYPTO';
+      const embed = isCrypto ? embeds.cryptoPaymentEmbed(payment) : new EmbedBuilder()
         .setTitle('💰 Pagamento PIX')
         .setColor(config.discord.embedColors.primary)
         .setDescription(`**Instruções para pagamento:**\n\nVocê está comprando: **${produto.nome}**`)
         .addFields(
-          { name: 'Valor', value: `R$ ${precoFinal.toFixed(2)}${pricing.hasDiscount ? ` (com ${pricing.discountPercentage}% de desconto)` : ''}`, inline: true },
+          { name: 'Valor', value: `R$ ${payment.amount.toFixed(2)}${pricing.hasDiscount ? ` (com ${pricing.discountPercentage}% de desconto)` : ''}`, inline: true },
           { name: 'Código da compra', value: payment._id.toString().substring(0, 8), inline: true },
           { name: '⚠ Importante', value: 'Após o pagamento, um administrador irá verificar e aprovar sua compra manualmente. Os dados de acesso serão enviados por mensagem privada.' },
           { name: '📲 Como pagar', value: 'Escaneie o QR Code ou utilize o código PIX abaixo para realizar o pagamento.' },
-          { name: '📋 Código PIX (Copia e Cola)', value: '```' + payment.pixCode + '```' }
+          { name: '⏳ Reserva', value: `Este produto está reservado para você até ${formatTime(payment.expiresAt)}.` },
+          { name: '📋 Código PIX (Copia e Cola)', value: '```' + (payment.pixDetails?.code || payment.pixCode) + '```' }
         )
-        .setImage(payment.qrCodeUrl)
+        .setImage(payment.pixDetails?.qrCode || payment.qrCodeUrl)
         .setFooter({ text: '⚠ Política de Não-Estorno: Ao realizar o pagamento, você concorda que não haverá estorno sob nenhuma circunstância.' })
         .setTimestamp();
 
@@ -99,14 +161,59 @@ module.exports = {
         });
       }
 
+      // Se houver cupom, destacar
+      if (payment.coupon && payment.coupon.code) {
+        embed.addFields({
+          name: '🎟 Cupom Aplicado!',
+          value: `${payment.coupon.code}: -R$ ${payment.coupon.discount.toFixed(2)}`
+        });
+      }
+
+      // Vale de pontos aplicado automaticamente
+      if (payment.voucher && payment.voucher.discount) {
+        embed.addFields({
+          name: '🎟 Vale de Pontos Aplicado!',
+          value: `-R$ ${payment.voucher.discount.toFixed(2)} (${payment.voucher.points} pontos)`
+        });
+      }
+
+      // Saldo da carteira usado no pagamento
+      if (payment.wallet && payment.wallet.amount) {
+        embed.addFields({
+          name: '👛 Saldo da Carteira Usado',
+          value: `-R$ ${payment.wallet.amount.toFixed(2)}`
+        });
+      }
+
       // Botões para instruções e cancelamento
-      const row = new ActionRowBuilder()
+      const row = isCrypto ? new ActionRowBuilder()
+        .addComponents(
+          new ButtonBuilder()
+            .setCustomId(`crypto_check_${payment._id}`)
+            .setLabel('Verificar Pagamento')
+            .setStyle(ButtonStyle.Success),
+
+          new ButtonBuilder()
+            .setCustomId(`cancel_payment_${payment._id}`)
+            .setLabel('Cancelar Pagamento')
+            .setStyle(ButtonStyle.Danger)
+        ) : new ActionRowBuilder()
         .addComponents(
           new ButtonBuilder()
             .setCustomId('pix_tutorial')
             .setLabel('Ver Tutorial de Pagamento')
             .setStyle(ButtonStyle.Primary),
 
+          new ButtonBuilder()
+            .setCustomId(`upload_proof_${payment._id}`)
+            .setLabel('Enviar Comprovante')
+            .setStyle(ButtonStyle.Success),
+
+          new ButtonBuilder()
+            .setCustomId(`apply_coupon_${payment._id}`)
+            .setLabel('Aplicar Cupom')
+            .setStyle(ButtonStyle.Secondary),
+
           new ButtonBuilder()
             .setCustomId(`cancel_payment_${payment._id}`)
             .setLabel('Cancelar Pagamento')
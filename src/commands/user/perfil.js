@@ -7,6 +7,7 @@ const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('
 const config = require('../../config');
 const userService = require('../../user/profile');
 const loyaltyService = require('../../marketing/loyalty');
+const embeds = require('../../bot/embeds');
 const { logger } = require('../../utils/helpers');
 
 module.exports = {
@@ -96,9 +97,14 @@ module.exports = {
         );
       }
 
+      // Recibos das compras podem ser baixados novamente pelo menu
+      const components = purchaseHistory.length > 0
+        ? [row, embeds.createReceiptMenu(purchaseHistory)]
+        : [row];
+
       await interaction.editReply({
         embeds: [embed],
-        components: [row],
+        components,
         ephemeral: true
       });
     } catch (error) {
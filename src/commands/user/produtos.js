@@ -6,6 +6,9 @@ const { SlashCommandBuilder } = require('@discordjs/builders');
 const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const config = require('../../config');
 const productService = require('../../product/catalog');
+const categories = require('../../product/categories');
+const reviewService = require('../../product/reviews');
+const embeds = require('../../bot/embeds');
 const userService = require('../../user/profile');
 const recommendationService = require('../../ai/recommendation');
 const { logger } = require('../../utils/helpers');
@@ -56,32 +59,19 @@ module.exports = {
         .setDescription(produto.descricao)
         .addFields(
           { name: 'Preço', value: `💰 R$ ${produto.preco.toFixed(2)}`, inline: true },
-          { name: 'Tipo', value: produto.tipo, inline: true },
-          { name: 'Disponibilidade', value: produto.disponivel ? '✅ Disponível' : '❌ Indisponível', inline: true }
+          { name: 'Tipo', value: categories.getLabel(produto.tipo), inline: true },
+          { name: 'Disponibilidade', value: embeds.availabilityText(produto), inline: true }
         );
 
-      // Adicionar características específicas do produto
-      if (produto.detalhes) {
-        const detalhesFields = [];
-
-        // Mapear detalhes específicos para campos do embed
-        if (produto.tipo === 'valorant') {
-          if (produto.detalhes.rank) detalhesFields.push({ name: 'Rank', value: produto.detalhes.rank, inline: true });
-          if (produto.detalhes.skins) detalhesFields.push({ name: 'Skins', value: produto.detalhes.skins.toString(), inline: true });
-          if (produto.detalhes.region) detalhesFields.push({ name: 'Região', value: produto.detalhes.region, inline: true });
-          if (produto.detalhes.level) detalhesFields.push({ name: 'Nível', value: produto.detalhes.level.toString(), inline: true });
-          if (produto.detalhes.agents) detalhesFields.push({ name: 'Agentes', value: produto.detalhes.agents.toString(), inline: true });
-          if (produto.detalhes.verification !== undefined) {
-            detalhesFields.push({ name: 'Email Verificado', value: produto.detalhes.verification ? 'Sim' : 'Não', inline: true });
-          }
-        } else {
-          // Para outros tipos de produtos, adicionar detalhes genéricos
-          Object.entries(produto.detalhes).forEach(([chave, valor]) => {
-            detalhesFields.push({ name: chave, value: valor.toString(), inline: true });
-          });
-        }
-
-        // Adicionar campos de detalhes ao embed
+      // Média das avaliações do tipo e da origem do produto
+      const rating = await reviewService.getProductRating(produto);
+      if (rating) {
+        embed.addFields({ name: 'Avaliações', value: embeds.ratingText(rating), inline: true });
+      }
+
+      // Adicionar características específicas do produto (campos da categoria)
+      const detalhesFields = embeds.productDetailFields(produto);
+      if (detalhesFields.length > 0) {
         embed.addFields(...detalhesFields);
       }
 
@@ -102,6 +92,11 @@ module.exports = {
             .setLabel('Comprar')
             .setStyle(ButtonStyle.Success),
 
+          new ButtonBuilder()
+            .setCustomId(`cart_add_${produto._id}`)
+            .setLabel('Adicionar ao Carrinho')
+            .setStyle(ButtonStyle.Primary),
+
           new ButtonBuilder()
             .setCustomId(`minisite_${produto._id}`)
             .setLabel('Ver no Mini-Site')
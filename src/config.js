@@ -15,13 +15,21 @@ module.exports = {
     channels: {
       sales: 'vendas',
       announcements: 'anuncios',
-      support: 'suporte'
+      support: 'suporte',
+      alerts: process.env.DISCORD_ALERTS_CHANNEL_ID || '', // ID do canal de alertas da equipe (ex.: estoque baixo)
+      paymentReview: process.env.DISCORD_PAYMENT_REVIEW_CHANNEL_ID || '', // ID do canal da equipe que recebe os comprovantes de pagamento
+      approvalQueue: process.env.DISCORD_APPROVAL_QUEUE_CHANNEL_ID || '' // ID do canal com a fila de aprovação (um card por pagamento)
     },
     embedColors: {
       primary: '#4F46E5',
       success: '#10B981',
       error: '#EF4444',
       warning: '#F59E0B'
+    },
+    // Listas paginadas (bot/paginator.js)
+    pagination: {
+      pageSize: 10, // itens por página quando a lista não define outro valor
+      sessionTTL: 1800 // segundos sem navegação até a sessão de uma lista expirar
     }
   },
 
@@ -52,18 +60,120 @@ module.exports = {
     syncInterval: 900000, // 15 minutos em milissegundos
   },
 
+  // Importação e exportação de produtos em lote (/produtos_admin importar e exportar)
+  products: {
+    bulk: {
+      maxFileSize: 2 * 1024 * 1024, // tamanho máximo do arquivo em bytes (2 MB)
+      maxRows: 500, // produtos por arquivo
+      previewTtl: 3600 // segundos em que a importação validada aguarda confirmação
+    }
+  },
+
+  // Dados legais da loja exibidos nos recibos
+  store: {
+    legalName: process.env.STORE_LEGAL_NAME || 'Bot de Vendas Discord LTDA',
+    document: process.env.STORE_DOCUMENT || '00.000.000/0001-00', // CNPJ
+    address: process.env.STORE_ADDRESS || '',
+    email: process.env.STORE_EMAIL || ''
+  },
+
   // Configurações de pagamento
   payment: {
     pix: {
       keyType: 'random', // tipo de chave PIX (email, cpf, telefone, random)
       keyValue: process.env.PIX_KEY || 'chave-pix-aqui',
+      merchantName: process.env.PIX_MERCHANT_NAME || 'Bot de Vendas Discord', // nome do recebedor (máx. 25 caracteres)
+      merchantCity: process.env.PIX_MERCHANT_CITY || 'Sao Paulo', // cidade do recebedor (máx. 15 caracteres)
       provider: '99pay', // provedor de pagamento
       manualApproval: true, // requer aprovação manual de administradores
-      blockedBanks: ['Inter', 'PicPay'] // bancos bloqueados por histórico de fraudes
+      blockedBanks: ['Inter', 'PicPay'], // bancos bloqueados por histórico de fraudes
+      blockedBankIspbs: ['00416968', '22896431'], // ISPB dos bancos bloqueados (Inter, PicPay)
+      blockedBankAction: process.env.PIX_BLOCKED_BANK_ACTION || 'reject', // reject (recusa e marca para reembolso) ou flag (envia para revisão)
+      payerIdentity: {
+        maxUsersPerDocument: 2, // contas do Discord diferentes pagas pelo mesmo CPF/CNPJ antes do alerta
+        lookbackDays: 90 // período considerado na contagem
+      }
+    },
+    webhook: {
+      enabled: process.env.PIX_WEBHOOK_ENABLED !== 'false',
+      port: parseInt(process.env.PIX_WEBHOOK_PORT, 10) || 3002,
+      path: '/webhooks/pix', // rota base, o provedor vai no final (ex.: /webhooks/pix/99pay)
+      secrets: {
+        '99pay': process.env.PIX_WEBHOOK_SECRET_99PAY || '',
+        mock: process.env.PIX_WEBHOOK_SECRET_MOCK || ''
+      },
+      mockEnabled: process.env.PIX_WEBHOOK_MOCK_ENABLED === 'true' // provedor mock (testes e desenvolvimento), exige PIX_WEBHOOK_SECRET_MOCK
+    },
+    crypto: {
+      enabled: process.env.CRYPTO_PAYMENTS_ENABLED === 'true',
+      adapter: process.env.CRYPTO_CHAIN_ADAPTER || 'fake', // adaptador de blockchain (payment/chains)
+      fakeEnabled: process.env.NODE_ENV !== 'production', // aceita a blockchain simulada apenas fora de produção
+      pollInterval: 60000, // intervalo de consulta das confirmações em milissegundos
+      expiration: 3600, // validade do endereço de depósito em segundos (as confirmações levam mais que um PIX)
+      lateDepositWindow: 86400, // segundos após a validade em que os endereços continuam sendo consultados
+      currencies: {
+        // rate: cotação em reais de 1 unidade da moeda; decimals: casas decimais cobradas
+        USDT: { network: 'TRC20', rate: parseFloat(process.env.CRYPTO_RATE_USDT) || 5.5, decimals: 2, minConfirmations: 19 },
+        LTC: { network: 'Litecoin', rate: parseFloat(process.env.CRYPTO_RATE_LTC) || 450, decimals: 6, minConfirmations: 6 }
+      }
+    },
+    cart: {
+      maxItems: 10, // quantidade máxima de itens por carrinho
+      ttl: 86400 // tempo de vida do carrinho em segundos (24 horas)
+    },
+    wallet: {
+      systemActorId: 'SYSTEM_WALLET', // identificador usado nas movimentações automáticas
+      maxCredit: 1000, // valor máximo (R$) de um crédito concedido pela equipe
+      historyLimit: 10 // transações exibidas em /carteira
+    },
+    reconciliation: {
+      matchWindowMinutes: 60, // tempo máximo entre a criação do pagamento e o crédito no extrato
+      maxFileSize: 2 * 1024 * 1024, // tamanho máximo do extrato em bytes (2 MB)
+      reportTtl: 3600 // segundos em que a aprovação em lote fica disponível
+    },
+    receipt: {
+      numberPrefix: 'REC', // prefixo do número do recibo (ex.: REC-000123)
+      numberDigits: 6 // dígitos do número sequencial
+    },
+    proof: {
+      maxSize: 8 * 1024 * 1024, // tamanho máximo do comprovante em bytes (8 MB)
+      allowedTypes: ['image/png', 'image/jpeg', 'image/webp', 'application/pdf'], // imagens ou PDF
+      // Prazo para a equipe ou o banco confirmar um pagamento em análise só pelo comprovante; depois ele expira
+      reviewHours: parseInt(process.env.PAYMENT_PROOF_REVIEW_HOURS, 10) || 48
+    },
+    autoApproval: {
+      mode: process.env.AUTO_APPROVAL_MODE || 'dry-run', // off, dry-run (apenas registra o que seria aprovado) ou on
+      systemAdminId: 'SYSTEM_AUTO_APPROVAL', // identificador usado como aprovador
+      requireBankConfirmation: true, // exige confirmação do banco via webhook (comprovante enviado não basta)
+      minLoyaltyLevel: 2, // compradores iniciantes sempre passam pela equipe
+      amountLimits: { 2: 50, 3: 150, 4: 300, 5: 600 }, // valor máximo (R$) aprovado automaticamente por nível de fidelidade
+      maxRiskScore: 30, // pontuação máxima de risco de fraude
+      allowedProductTypes: [], // tipos de produto permitidos (vazio: todos)
+      blockedProductTypes: [] // tipos de produto sempre revisados pela equipe
+    },
+    approvalQueue: {
+      slaMinutes: parseInt(process.env.APPROVAL_SLA_MINUTES, 10) || 15, // espera máxima antes do primeiro alerta
+      escalationInterval: 15, // minutos entre alertas repetidos do mesmo pagamento
+      escalationRoleId: process.env.APPROVAL_ESCALATION_ROLE_ID || '', // cargo mencionado nos alertas (vazio: @here)
+      claimTimeout: 1800, // segundos até uma análise assumida poder ser tomada por outro administrador
+      syncInterval: 60000 // intervalo de sincronização da fila em milissegundos
+    },
+    disputes: {
+      evidenceDeadlineDays: 7, // prazo para enviar a defesa ao banco após a notificação do MED
+      resolutionDeadlineDays: 30 // prazo esperado para a decisão do banco
+    },
+    refund: {
+      dualApprovalThreshold: parseFloat(process.env.REFUND_DUAL_APPROVAL_THRESHOLD) || 200 // acima deste valor (R$) o reembolso exige um segundo administrador
     },
     expiration: 1800 // tempo de expiração do pagamento em segundos (30 minutos)
   },
 
+  // Configurações do cofre de credenciais dos produtos
+  vault: {
+    key: process.env.VAULT_KEY || '', // chave AES-256 (64 caracteres hex ou 32 bytes em base64)
+    algorithm: 'aes-256-gcm'
+  },
+
   // Configurações do sistema de auditoria
   audit: {
     logLevels: ['info', 'warning', 'error', 'critical'],
@@ -84,10 +194,22 @@ module.exports = {
     },
     loyaltyPoints: {
       conversionRate: 0.01, // 1 ponto = R$ 0,01 de desconto
-      expirationDays: 90 // pontos expiram após 90 dias
+      expirationDays: 90, // pontos expiram após 90 dias
+      voucherOptions: [100, 500, 1000] // pontos que podem ser trocados por vales de desconto
     }
   },
 
+  // Avaliações dos compradores após a entrega
+  reviews: {
+    requestDelayDays: 3, // dias após a conclusão do pagamento para pedir a avaliação
+    requestWindowDays: 30, // pagamentos concluídos há mais tempo não recebem o pedido
+    checkInterval: 3600000, // intervalo de envio dos pedidos em milissegundos (1 hora)
+    batchSize: 50, // pedidos enviados por verificação
+    commentMaxLength: 500, // tamanho máximo do comentário
+    minReviewsForScore: 3, // avaliações necessárias para a média influenciar as recomendações
+    statsTtl: 600 // segundos em que as médias ficam em cache
+  },
+
   // Configurações da interface web
   web: {
     adminPort: 3000,
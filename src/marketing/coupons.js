@@ -0,0 +1,613 @@
+/**
+ * Sistema de cupons de desconto
+ * O uso do cupom é reservado na criação do PIX, confirmado na aprovação
+ * e liberado se o pagamento não for concluído
+ */
+
+const Coupon = require('../models/coupon');
+const Payment = require('../models/payment');
+const { logger, distributeDiscount } = require('../utils/helpers');
+const auditLogger = require('../audit/logger');
+
+/**
+ * Arredonda um valor monetário para centavos
+ * @param {number} value - Valor
+ * @returns {number} - Valor arredondado
+ * @private
+ */
+function _round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Normaliza um código de cupom digitado
+ * @param {string} code - Código
+ * @returns {string} - Código em maiúsculas, sem espaços
+ * @private
+ */
+function _normalizeCode(code) {
+  return (code || '').trim().toUpperCase();
+}
+
+/**
+ * Verifica se um cupom se aplica a um item
+ * @param {Object} coupon - Cupom
+ * @param {Object} line - Item ({ productId, productType })
+ * @returns {boolean} - Verdadeiro se aplicável
+ * @private
+ */
+function _couponAppliesTo(coupon, line) {
+  if (coupon.produtos && coupon.produtos.length > 0) {
+    return coupon.produtos.some(p => p.toString() === line.productId.toString());
+  }
+
+  if (coupon.categorias && coupon.categorias.length > 0) {
+    return coupon.categorias.includes(line.productType);
+  }
+
+  return true;
+}
+
+/**
+ * Verifica validade e limites de um cupom para um usuário
+ * @param {Object} coupon - Cupom
+ * @param {string} userId - ID do comprador
+ * @returns {string|null} - Motivo da recusa ou null
+ * @private
+ */
+function _unavailableReason(coupon, userId) {
+  const now = new Date();
+
+  if (!coupon || !coupon.ativo) {
+    return 'Cupom inválido ou desativado';
+  }
+
+  if (coupon.dataInicio && coupon.dataInicio > now) {
+    return 'Cupom ainda não está válido';
+  }
+
+  if (coupon.validoAte && coupon.validoAte <= now) {
+    return 'Cupom expirado';
+  }
+
+  if (coupon.limiteUsos > 0 && coupon.usosAtuais >= coupon.limiteUsos) {
+    return 'Cupom esgotado';
+  }
+
+  const userUses = (coupon.resgates || [])
+    .filter(resgate => resgate.userId === userId && resgate.status !== 'RELEASED').length;
+
+  if (coupon.limitePorUsuario > 0 && userUses >= coupon.limitePorUsuario) {
+    return 'Você já atingiu o limite de usos deste cupom';
+  }
+
+  return null;
+}
+
+/**
+ * Calcula o desconto de um cupom sobre os itens de um pedido
+ * O desconto é distribuído proporcionalmente entre os itens elegíveis
+ * @param {Object} coupon - Cupom
+ * @param {Array} lines - Itens ({ productId, productType, price })
+ * @returns {Object} - { success, message, discount, lines, total }
+ * @private
+ */
+function _calculateDiscount(coupon, lines) {
+  const orderTotal = _round(lines.reduce((sum, line) => sum + line.price, 0));
+
+  if (coupon.valorMinimo > 0 && orderTotal < coupon.valorMinimo) {
+    return {
+      success: false,
+      message: `Cupom válido apenas para pedidos a partir de R$ ${coupon.valorMinimo.toFixed(2)}`
+    };
+  }
+
+  const eligible = lines.filter(line => _couponAppliesTo(coupon, line));
+
+  if (eligible.length === 0) {
+    return {
+      success: false,
+      message: 'Cupom não se aplica a estes produtos'
+    };
+  }
+
+  const eligibleTotal = _round(eligible.reduce((sum, line) => sum + line.price, 0));
+  const discount = coupon.tipoDesconto === 'percentual'
+    ? _round(eligibleTotal * (coupon.valor / 100))
+    : Math.min(_round(coupon.valor), eligibleTotal);
+
+  if (_round(orderTotal - discount) < 0.01) {
+    return {
+      success: false,
+      message: 'O valor do pedido com o cupom deve ser maior que zero'
+    };
+  }
+
+  const discountedLines = distributeDiscount(lines, discount, line => eligible.includes(line));
+
+  return {
+    success: true,
+    discount,
+    lines: discountedLines,
+    total: _round(discountedLines.reduce((sum, line) => sum + line.price, 0))
+  };
+}
+
+/**
+ * Cria um novo cupom
+ * @param {Object} couponData - Dados do cupom
+ * @returns {Promise<Object>} - Resultado com o cupom criado
+ */
+async function createCoupon(couponData) {
+  try {
+    const codigo = _normalizeCode(couponData.codigo);
+
+    if (!/^[A-Z0-9_-]{3,20}$/.test(codigo)) {
+      return {
+        success: false,
+        message: 'Código deve ter de 3 a 20 caracteres (letras, números, _ ou -)'
+      };
+    }
+
+    if (!['percentual', 'fixo'].includes(couponData.tipoDesconto)) {
+      return {
+        success: false,
+        message: 'Tipo de desconto inválido. Tipos permitidos: percentual, fixo'
+      };
+    }
+
+    if (!couponData.valor || couponData.valor <= 0 ||
+        (couponData.tipoDesconto === 'percentual' && couponData.valor > 100)) {
+      return {
+        success: false,
+        message: 'Valor do desconto inválido'
+      };
+    }
+
+    if (await Coupon.exists({ codigo })) {
+      return {
+        success: false,
+        message: 'Já existe um cupom com este código'
+      };
+    }
+
+    const coupon = new Coupon({
+      codigo,
+      descricao: couponData.descricao,
+      tipoDesconto: couponData.tipoDesconto,
+      valor: couponData.valor,
+      valorMinimo: couponData.valorMinimo || 0,
+      produtos: couponData.produtos || [],
+      categorias: couponData.categorias || [],
+      limiteUsos: couponData.limiteUsos || undefined,
+      limitePorUsuario: couponData.limitePorUsuario !== undefined ? couponData.limitePorUsuario : 1,
+      validoAte: couponData.validoAte,
+      criadoPor: couponData.criadoPor
+    });
+
+    await coupon.save();
+
+    await auditLogger.log({
+      action: 'COUPON_CREATED',
+      category: 'MARKETING',
+      severity: 'INFO',
+      status: 'SUCCESS',
+      user: {
+        id: couponData.criadoPor
+      },
+      details: {
+        couponId: coupon._id,
+        code: coupon.codigo,
+        type: coupon.tipoDesconto,
+        value: coupon.valor,
+        usageLimit: coupon.limiteUsos,
+        perUserLimit: coupon.limitePorUsuario,
+        validUntil: coupon.validoAte
+      }
+    });
+
+    logger.info(`Cupom criado: ${coupon.codigo}`);
+    return {
+      success: true,
+      coupon
+    };
+  } catch (error) {
+    logger.error('Erro ao criar cupom:', error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+}
+
+/**
+ * Desativa um cupom
+ * Usos já reservados por pagamentos pendentes continuam válidos
+ * @param {string} code - Código do cupom
+ * @param {string} adminId - ID do administrador
+ * @returns {Promise<Object>} - Resultado da operação
+ */
+async function deactivateCoupon(code, adminId) {
+  try {
+    const coupon = await Coupon.findOneAndUpdate(
+      { codigo: _normalizeCode(code), ativo: true },
+      { $set: { ativo: false } },
+      { new: true }
+    );
+
+    if (!coupon) {
+      return {
+        success: false,
+        message: 'Cupom não encontrado ou já desativado'
+      };
+    }
+
+    await auditLogger.log({
+      action: 'COUPON_DEACTIVATED',
+      category: 'MARKETING',
+      severity: 'INFO',
+      status: 'SUCCESS',
+      user: {
+        id: adminId
+      },
+      details: {
+        couponId: coupon._id,
+        code: coupon.codigo,
+        uses: coupon.usosAtuais
+      }
+    });
+
+    logger.info(`Cupom ${coupon.codigo} desativado por ${adminId}`);
+    return {
+      success: true,
+      coupon
+    };
+  } catch (error) {
+    logger.error(`Erro ao desativar cupom ${code}:`, error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+}
+
+/**
+ * Lista os cupons ativos e dentro da validade
+ * @returns {Promise<Array>} - Lista de cupons
+ */
+async function getActiveCoupons() {
+  try {
+    const now = new Date();
+
+    return await Coupon.find({
+      ativo: true,
+      $or: [
+        { validoAte: { $exists: false } },
+        { validoAte: null },
+        { validoAte: { $gt: now } }
+      ]
+    }).select('-resgates').sort({ dataCriacao: -1 });
+  } catch (error) {
+    logger.error('Erro ao listar cupons ativos:', error);
+    return [];
+  }
+}
+
+/**
+ * Valida um cupom para um pedido, sem reservar o uso
+ * @param {string} code - Código do cupom
+ * @param {string} userId - ID do comprador
+ * @param {Array} lines - Itens ({ productId, productType, price })
+ * @returns {Promise<Object>} - { success, message, coupon, discount, lines, total }
+ */
+async function validateCoupon(code, userId, lines) {
+  try {
+    const coupon = await Coupon.findOne({ codigo: _normalizeCode(code) });
+
+    const reason = _unavailableReason(coupon, userId);
+    if (reason) {
+      return {
+        success: false,
+        message: reason
+      };
+    }
+
+    const calculation = _calculateDiscount(coupon, lines);
+    if (!calculation.success) {
+      return calculation;
+    }
+
+    return {
+      ...calculation,
+      coupon
+    };
+  } catch (error) {
+    logger.error(`Erro ao validar cupom ${code}:`, error);
+    return {
+      success: false,
+      message: 'Erro ao validar cupom'
+    };
+  }
+}
+
+/**
+ * Reserva um uso do cupom para um pagamento pendente
+ * A reserva é atômica: os limites total e por usuário não podem ser ultrapassados
+ * @param {string} code - Código do cupom
+ * @param {string} userId - ID do comprador
+ * @param {string} paymentId - ID do pagamento
+ * @param {Array} lines - Itens ({ productId, productType, price })
+ * @returns {Promise<Object>} - { success, message, coupon, discount, lines, total }
+ */
+async function reserveCoupon(code, userId, paymentId, lines) {
+  const validation = await validateCoupon(code, userId, lines);
+
+  if (!validation.success) {
+    return validation;
+  }
+
+  try {
+    const now = new Date();
+
+    const coupon = await Coupon.findOneAndUpdate(
+      {
+        _id: validation.coupon._id,
+        ativo: true,
+        'resgates.paymentId': { $ne: paymentId },
+        $expr: {
+          $and: [
+            {
+              $or: [
+                { $not: [{ $gt: ['$limiteUsos', 0] }] },
+                { $lt: ['$usosAtuais', '$limiteUsos'] }
+              ]
+            },
+            {
+              $or: [
+                { $not: [{ $gt: ['$limitePorUsuario', 0] }] },
+                {
+                  $lt: [
+                    {
+                      $size: {
+                        $filter: {
+                          input: { $ifNull: ['$resgates', []] },
+                          as: 'resgate',
+                          cond: {
+                            $and: [
+                              { $eq: ['$$resgate.userId', userId] },
+                              { $ne: ['$$resgate.status', 'RELEASED'] }
+                            ]
+                          }
+                        }
+                      }
+                    },
+                    '$limitePorUsuario'
+                  ]
+                }
+              ]
+            }
+          ]
+        }
+      },
+      {
+        $inc: { usosAtuais: 1 },
+        $push: {
+          resgates: {
+            userId,
+            paymentId,
+            desconto: validation.discount,
+            status: 'RESERVED',
+            criadoEm: now
+          }
+        }
+      },
+      { new: true }
+    );
+
+    if (!coupon) {
+      return {
+        success: false,
+        message: 'Cupom esgotado ou limite de usos atingido'
+      };
+    }
+
+    await auditLogger.log({
+      action: 'COUPON_APPLIED',
+      category: 'MARKETING',
+      severity: 'INFO',
+      status: 'SUCCESS',
+      user: {
+        id: userId
+      },
+      payment: {
+        id: paymentId,
+        amount: validation.total
+      },
+      details: {
+        couponId: coupon._id,
+        code: coupon.codigo,
+        discount: validation.discount
+      }
+    });
+
+    return {
+      ...validation,
+      coupon
+    };
+  } catch (error) {
+    logger.error(`Erro ao reservar cupom ${code} para o pagamento ${paymentId}:`, error);
+    return {
+      success: false,
+      message: 'Erro ao aplicar cupom'
+    };
+  }
+}
+
+/**
+ * Atualiza o uso reservado de um cupom por um pagamento
+ * @param {Object} payment - Pagamento com cupom
+ * @param {string} status - Novo status do uso (REDEEMED ou RELEASED)
+ * @returns {Promise<Object|null>} - Cupom atualizado ou null se não havia reserva
+ * @private
+ */
+async function _settleRedemption(payment, status) {
+  return Coupon.findOneAndUpdate(
+    {
+      _id: payment.coupon.couponId,
+      resgates: { $elemMatch: { paymentId: payment._id, status: 'RESERVED' } }
+    },
+    {
+      $set: {
+        'resgates.$.status': status,
+        'resgates.$.atualizadoEm': new Date()
+      },
+      ...(status === 'RELEASED' ? { $inc: { usosAtuais: -1 } } : {})
+    },
+    { new: true }
+  );
+}
+
+/**
+ * Confirma o uso do cupom de um pagamento aprovado
+ * @param {Object} payment - Pagamento aprovado
+ * @returns {Promise<void>}
+ */
+async function confirmCoupon(payment) {
+  if (!payment.coupon || !payment.coupon.couponId) {
+    return;
+  }
+
+  try {
+    const coupon = await _settleRedemption(payment, 'REDEEMED');
+
+    if (coupon) {
+      await auditLogger.log({
+        action: 'COUPON_REDEEMED',
+        category: 'MARKETING',
+        severity: 'INFO',
+        status: 'SUCCESS',
+        user: {
+          id: payment.userId,
+          username: payment.userName
+        },
+        payment: {
+          id: payment._id,
+          amount: payment.amount
+        },
+        details: {
+          couponId: coupon._id,
+          code: coupon.codigo,
+          discount: payment.coupon.discount
+        }
+      });
+    }
+  } catch (error) {
+    logger.error(`Erro ao confirmar cupom do pagamento ${payment._id}:`, error);
+  }
+}
+
+/**
+ * Libera o uso do cupom de um pagamento que não será concluído
+ * @param {Object} payment - Pagamento (ou { _id, coupon })
+ * @returns {Promise<void>}
+ */
+async function releaseCoupon(payment) {
+  if (!payment.coupon || !payment.coupon.couponId) {
+    return;
+  }
+
+  try {
+    const coupon = await _settleRedemption(payment, 'RELEASED');
+
+    if (coupon) {
+      await auditLogger.log({
+        action: 'COUPON_RELEASED',
+        category: 'MARKETING',
+        severity: 'INFO',
+        status: 'SUCCESS',
+        user: {
+          id: payment.userId
+        },
+        payment: {
+          id: payment._id
+        },
+        details: {
+          couponId: coupon._id,
+          code: coupon.codigo
+        }
+      });
+    }
+  } catch (error) {
+    logger.error(`Erro ao liberar cupom do pagamento ${payment._id}:`, error);
+  }
+}
+
+/**
+ * Gera o relatório de uso dos cupons e impacto na receita
+ * @param {Date} [startDate] - Início do período (padrão: desde o início)
+ * @returns {Promise<Object>} - { coupons, totals }
+ */
+async function getCouponReport(startDate = new Date(0)) {
+  try {
+    const usage = await Payment.aggregate([
+      {
+        $match: {
+          'coupon.couponId': { $exists: true },
+          createdAt: { $gte: startDate }
+        }
+      },
+      {
+        $group: {
+          _id: '$coupon.code',
+          payments: { $sum: 1 },
+          completed: { $sum: { $cond: [{ $eq: ['$status', 'COMPLETED'] }, 1, 0] } },
+          pending: { $sum: { $cond: [{ $eq: ['$status', 'PENDING'] }, 1, 0] } },
+          revenue: { $sum: { $cond: [{ $eq: ['$status', 'COMPLETED'] }, '$amount', 0] } },
+          discount: { $sum: { $cond: [{ $eq: ['$status', 'COMPLETED'] }, '$coupon.discount', 0] } }
+        }
+      },
+      { $sort: { completed: -1 } }
+    ]);
+
+    const coupons = await Coupon.find({ codigo: { $in: usage.map(row => row._id) } })
+      .select('codigo tipoDesconto valor limiteUsos usosAtuais ativo');
+    const byCode = new Map(coupons.map(coupon => [coupon.codigo, coupon]));
+
+    const rows = usage.map(row => ({
+      code: row._id,
+      coupon: byCode.get(row._id) || null,
+      payments: row.payments,
+      completed: row.completed,
+      pending: row.pending,
+      revenue: _round(row.revenue),
+      discount: _round(row.discount)
+    }));
+
+    return {
+      success: true,
+      coupons: rows,
+      totals: {
+        completed: rows.reduce((sum, row) => sum + row.completed, 0),
+        revenue: _round(rows.reduce((sum, row) => sum + row.revenue, 0)),
+        discount: _round(rows.reduce((sum, row) => sum + row.discount, 0))
+      }
+    };
+  } catch (error) {
+    logger.error('Erro ao gerar relatório de cupons:', error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+}
+
+module.exports = {
+  createCoupon,
+  deactivateCoupon,
+  getActiveCoupons,
+  validateCoupon,
+  reserveCoupon,
+  confirmCoupon,
+  releaseCoupon,
+  getCouponReport
+};
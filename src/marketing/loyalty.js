@@ -263,6 +263,222 @@ async function getUserPoints(userId) {
   }
 }
 
+/**
+ * Troca pontos de fidelidade por um vale de desconto de uso único
+ * O vale é aplicado automaticamente no próximo pagamento do usuário
+ * @param {string} userId - ID do usuário
+ * @param {number} points - Quantidade de pontos (uma das opções configuradas)
+ * @returns {Promise<Object>} - Resultado com o vale emitido
+ */
+async function redeemPointsForVoucher(userId, points) {
+  try {
+    if (!config.marketing.loyaltyPoints.voucherOptions.includes(points)) {
+      return {
+        success: false,
+        message: 'Opção de resgate inválida'
+      };
+    }
+
+    const outstanding = await getActiveVoucher(userId);
+    if (outstanding) {
+      return {
+        success: false,
+        message: `Você já possui um vale de R$ ${outstanding.value.toFixed(2)} aguardando uso`
+      };
+    }
+
+    const debit = await usePoints(userId, points, 'VOUCHER_REDEMPTION');
+    if (!debit.success) {
+      return debit;
+    }
+
+    const value = Math.round(points * config.marketing.loyaltyPoints.conversionRate * 100) / 100;
+
+    // Apenas um vale pendente por usuário
+    const loyalty = await Loyalty.findOneAndUpdate(
+      { userId, 'vouchers.status': { $nin: ['AVAILABLE', 'RESERVED'] } },
+      { $push: { vouchers: { points, value, status: 'AVAILABLE', createdAt: new Date() } } },
+      { new: true }
+    );
+
+    if (!loyalty) {
+      // Devolver os pontos debitados
+      await Loyalty.updateOne({ userId }, {
+        $inc: { totalPoints: points },
+        $push: {
+          transactions: {
+            amount: points,
+            reason: 'VOUCHER_REDEMPTION_ROLLBACK',
+            createdAt: new Date(),
+            expiresAt: new Date(Date.now() + (config.marketing.loyaltyPoints.expirationDays * 24 * 60 * 60 * 1000)),
+            status: 'ACTIVE'
+          }
+        }
+      });
+
+      return {
+        success: false,
+        message: 'Você já possui um vale aguardando uso'
+      };
+    }
+
+    const voucher = loyalty.vouchers[loyalty.vouchers.length - 1];
+
+    await auditLogger.log({
+      action: 'LOYALTY_VOUCHER_ISSUED',
+      category: 'MARKETING',
+      severity: 'INFO',
+      status: 'SUCCESS',
+      user: {
+        id: userId,
+        username: loyalty.userName
+      },
+      details: {
+        voucherId: voucher._id,
+        points,
+        value
+      }
+    });
+
+    logger.info(`Vale de R$ ${value.toFixed(2)} emitido para o usuário ${userId} (${points} pontos)`);
+    return {
+      success: true,
+      voucher,
+      remainingPoints: debit.remainingPoints
+    };
+  } catch (error) {
+    logger.error(`Erro ao resgatar vale para usuário ${userId}:`, error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+}
+
+/**
+ * Obtém o vale de desconto pendente (disponível ou reservado) de um usuário
+ * @param {string} userId - ID do usuário
+ * @returns {Promise<Object|null>} - Vale ou null
+ */
+async function getActiveVoucher(userId) {
+  const loyalty = await Loyalty.findOne({ userId }).select('vouchers');
+
+  if (!loyalty || !loyalty.vouchers) {
+    return null;
+  }
+
+  return loyalty.vouchers.find(voucher => voucher.status === 'AVAILABLE' || voucher.status === 'RESERVED') || null;
+}
+
+/**
+ * Reserva o vale disponível do usuário para um pagamento
+ * O vale só é usado se deixar um valor positivo a pagar
+ * @param {string} userId - ID do usuário
+ * @param {string} paymentId - ID do pagamento
+ * @param {number} amount - Valor do pagamento antes do vale
+ * @returns {Promise<Object|null>} - Vale reservado ou null se não houver
+ */
+async function reserveVoucher(userId, paymentId, amount) {
+  try {
+    const loyalty = await Loyalty.findOneAndUpdate(
+      {
+        userId,
+        vouchers: { $elemMatch: { status: 'AVAILABLE', value: { $lte: amount - 0.01 } } }
+      },
+      {
+        $set: {
+          'vouchers.$.status': 'RESERVED',
+          'vouchers.$.paymentId': paymentId
+        }
+      },
+      { new: true }
+    );
+
+    if (!loyalty) {
+      return null;
+    }
+
+    return loyalty.vouchers.find(voucher =>
+      voucher.status === 'RESERVED' && voucher.paymentId.toString() === paymentId.toString());
+  } catch (error) {
+    logger.error(`Erro ao reservar vale do usuário ${userId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Devolve ao usuário o vale reservado por um pagamento que não será concluído
+ * @param {Object} payment - Pagamento
+ * @returns {Promise<void>}
+ */
+async function releaseVoucher(payment) {
+  if (!payment.voucher || !payment.voucher.voucherId) {
+    return;
+  }
+
+  try {
+    const result = await Loyalty.updateOne(
+      {
+        userId: payment.userId,
+        vouchers: { $elemMatch: { _id: payment.voucher.voucherId, status: 'RESERVED' } }
+      },
+      {
+        $set: { 'vouchers.$.status': 'AVAILABLE' },
+        $unset: { 'vouchers.$.paymentId': '' }
+      }
+    );
+
+    if (result.modifiedCount > 0) {
+      await auditLogger.log({
+        action: 'LOYALTY_VOUCHER_RESTORED',
+        category: 'MARKETING',
+        severity: 'INFO',
+        status: 'SUCCESS',
+        user: {
+          id: payment.userId
+        },
+        payment: {
+          id: payment._id
+        },
+        details: {
+          voucherId: payment.voucher.voucherId,
+          value: payment.voucher.discount
+        }
+      });
+    }
+  } catch (error) {
+    logger.error(`Erro ao devolver vale do pagamento ${payment._id}:`, error);
+  }
+}
+
+/**
+ * Marca como usado o vale de um pagamento aprovado
+ * @param {Object} payment - Pagamento aprovado
+ * @returns {Promise<void>}
+ */
+async function confirmVoucher(payment) {
+  if (!payment.voucher || !payment.voucher.voucherId) {
+    return;
+  }
+
+  try {
+    await Loyalty.updateOne(
+      {
+        userId: payment.userId,
+        vouchers: { $elemMatch: { _id: payment.voucher.voucherId, status: 'RESERVED' } }
+      },
+      {
+        $set: {
+          'vouchers.$.status': 'USED',
+          'vouchers.$.usedAt': new Date()
+        }
+      }
+    );
+  } catch (error) {
+    logger.error(`Erro ao confirmar vale do pagamento ${payment._id}:`, error);
+  }
+}
+
 /**
  * Calcula um nível de fidelidade com base em pontos
  * @param {number} lifetimePoints - Total de pontos acumulados na vida
@@ -325,5 +541,10 @@ async function _processExpiredPoints(loyalty) {
 module.exports = {
   addPoints,
   usePoints,
-  getUserPoints
+  getUserPoints,
+  redeemPointsForVoucher,
+  getActiveVoucher,
+  reserveVoucher,
+  releaseVoucher,
+  confirmVoucher
 };
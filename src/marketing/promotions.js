@@ -65,6 +65,7 @@ async function createPromotion(promoData) {
       codigoPromo: promoData.codigoPromo,
       usoLimitado: promoData.usoLimitado || false,
       limiteUsos: promoData.limiteUsos,
+      minimoItens: promoData.minimoItens,
       imageUrl: promoData.imageUrl
     });
 
@@ -307,6 +308,11 @@ async function getPromotionalPrice(productId, originalPrice, productType) {
     let highestDiscount = 0;
 
     for (const promo of activePromotions) {
+      // Combos só valem para o carrinho (getComboDiscount)
+      if (promo.tipo === 'combo') {
+        continue;
+      }
+
       // Verificar se a promoção se aplica ao produto
       if (promo.produtos.length > 0) {
         // Promoção específica para produtos selecionados
@@ -366,10 +372,87 @@ async function getPromotionalPrice(productId, originalPrice, productType) {
   }
 }
 
+/**
+ * Verifica se uma promoção se aplica a um produto
+ * @param {Object} promo - Promoção (documento ou objeto do cache)
+ * @param {string} productId - ID do produto
+ * @param {string} productType - Tipo do produto
+ * @returns {boolean} - Verdadeiro se aplicável
+ * @private
+ */
+function _promotionAppliesTo(promo, productId, productType) {
+  if (promo.produtos && promo.produtos.length > 0) {
+    return promo.produtos.some(p => p.toString() === productId.toString());
+  }
+
+  if (promo.categorias && promo.categorias.length > 0) {
+    return promo.categorias.includes(productType);
+  }
+
+  return true;
+}
+
+/**
+ * Calcula o melhor desconto de combo para os itens de um carrinho
+ * O desconto do combo incide sobre os itens elegíveis, já com as promoções individuais
+ * @param {Array} lines - Itens do carrinho ({ productId, productType, price })
+ * @returns {Promise<Object>} - Informações do combo aplicado
+ */
+async function getComboDiscount(lines) {
+  const noCombo = { hasCombo: false, discount: 0, promotion: null, lines };
+
+  try {
+    const combos = (await getActivePromotions()).filter(promo => promo.tipo === 'combo');
+
+    let best = null;
+
+    for (const promo of combos) {
+      const eligible = lines.filter(line => _promotionAppliesTo(promo, line.productId, line.productType));
+
+      if (eligible.length < (promo.minimoItens || 2)) {
+        continue;
+      }
+
+      const discount = eligible.reduce((sum, line) =>
+        sum + Math.round(line.price * (promo.desconto / 100) * 100) / 100, 0);
+
+      if (!best || discount > best.discount) {
+        best = { promo, eligible, discount };
+      }
+    }
+
+    if (!best) {
+      return noCombo;
+    }
+
+    // Aplicar o desconto a cada item elegível
+    const factor = 1 - best.promo.desconto / 100;
+    const eligibleIds = new Set(best.eligible.map(line => line.productId.toString()));
+
+    return {
+      hasCombo: true,
+      discount: Math.round(best.discount * 100) / 100,
+      promotion: {
+        id: best.promo._id,
+        title: best.promo.titulo,
+        description: best.promo.descricao,
+        discountPercentage: best.promo.desconto
+      },
+      lines: lines.map(line => eligibleIds.has(line.productId.toString())
+        ? { ...line, price: Math.round(line.price * factor * 100) / 100 }
+        : line)
+    };
+  } catch (error) {
+    logger.error('Erro ao calcular desconto de combo:', error);
+    return noCombo;
+  }
+}
+
 module.exports = {
   createPromotion,
   updatePromotion,
   endPromotion,
   getActivePromotions,
-  getPromotionalPrice
+  getPromotionalPrice,
+  getComboDiscount
 };
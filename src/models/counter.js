@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Schema de contadores sequenciais (ex.: numeração dos recibos)
+ * O incremento atômico garante números únicos mesmo com vários processos
+ */
+const CounterSchema = new Schema({
+  // Nome do contador (ex.: receipt)
+  _id: {
+    type: String,
+    required: true
+  },
+
+  // Último número emitido
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+/**
+ * Reserva o próximo número de um contador
+ * @param {string} name - Nome do contador
+ * @returns {Promise<number>} - Número reservado
+ */
+CounterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+
+  return counter.seq;
+};
+
+const Counter = mongoose.model('Counter', CounterSchema);
+
+module.exports = Counter;
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Uso de um cupom por um pagamento
+ * O uso é reservado na criação do PIX e confirmado na aprovação
+ */
+const CouponRedemptionSchema = new Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+  paymentId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  desconto: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: [
+      'RESERVED',  // Pagamento pendente
+      'REDEEMED',  // Pagamento aprovado
+      'RELEASED'   // Pagamento cancelado, expirado ou rejeitado
+    ],
+    default: 'RESERVED'
+  },
+  criadoEm: {
+    type: Date,
+    default: Date.now
+  },
+  atualizadoEm: { type: Date }
+}, { _id: false });
+
+/**
+ * Schema de cupons de desconto criados pelos administradores
+ */
+const CouponSchema = new Schema({
+  // Código digitado pelo comprador (sempre em maiúsculas)
+  codigo: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  descricao: { type: String },
+
+  // Desconto percentual ou valor fixo em reais
+  tipoDesconto: {
+    type: String,
+    enum: ['percentual', 'fixo'],
+    required: true
+  },
+  valor: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Valor do desconto deve ser positivo']
+  },
+
+  // Restrições de uso
+  valorMinimo: { type: Number, default: 0 }, // valor mínimo do pedido
+  produtos: [{ type: Schema.Types.ObjectId, ref: 'Product' }], // vazio para todos
+  categorias: [{ type: String }], // tipos de produto; vazio para todos
+  limiteUsos: { type: Number }, // vazio para ilimitado
+  limitePorUsuario: { type: Number, default: 1 },
+  usosAtuais: { type: Number, default: 0 }, // usos reservados ou confirmados
+
+  // Validade
+  dataInicio: { type: Date, default: Date.now },
+  validoAte: { type: Date },
+  ativo: { type: Boolean, default: true },
+
+  criadoPor: { type: String, required: true },
+  dataCriacao: { type: Date, default: Date.now },
+
+  resgates: [CouponRedemptionSchema]
+});
+
+// Índices para melhor performance
+CouponSchema.index({ ativo: 1, validoAte: 1 });
+CouponSchema.index({ 'resgates.paymentId': 1 });
+
+module.exports = mongoose.model('Coupon', CouponSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Schema das disputas abertas pelo comprador após a compra (PIX MED)
+ * O MED (Mecanismo Especial de Devolução) permite ao banco do pagador bloquear e
+ * devolver o valor; a disputa acompanha a defesa da loja até a decisão do banco
+ */
+const DisputeSchema = new Schema({
+  paymentId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  userName: { type: String },
+  amount: { type: Number }, // valor contestado
+
+  status: {
+    type: String,
+    enum: [
+      'OPENED',             // Notificação do MED recebida
+      'EVIDENCE_SUBMITTED', // Defesa enviada ao banco
+      'WON',                // Banco manteve o pagamento
+      'LOST'                // Valor devolvido ao pagador
+    ],
+    default: 'OPENED',
+    index: true
+  },
+
+  medId: { type: String }, // protocolo da notificação do MED no banco/provedor
+  reason: { type: String }, // motivo informado pelo pagador
+
+  // Prazos da disputa
+  evidenceDeadline: { type: Date }, // envio da defesa ao banco
+  resolutionDeadline: { type: Date }, // decisão esperada do banco
+
+  // Pacote de evidências gerado a partir da trilha de auditoria
+  evidence: {
+    generatedAt: { type: Date },
+    bundle: { type: Schema.Types.Mixed },
+    submittedAt: { type: Date },
+    submittedBy: { type: String }
+  },
+
+  // Histórico de mudanças de status
+  history: [{
+    status: { type: String },
+    by: { type: String },
+    note: { type: String },
+    at: { type: Date, default: Date.now }
+  }],
+
+  openedBy: { type: String },
+  resolvedBy: { type: String },
+  resolvedAt: { type: Date },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Uma disputa por pagamento
+DisputeSchema.index({ paymentId: 1 }, { unique: true });
+
+const Dispute = mongoose.model('Dispute', DisputeSchema);
+
+module.exports = Dispute;
@@ -2,6 +2,55 @@ const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 const config = require('../config');
 
+/**
+ * Item de um pedido com vários produtos (carrinho)
+ * Cada item tem reserva e entrega próprias
+ */
+const OrderItemSchema = new Schema({
+  productId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  productName: {
+    type: String,
+    required: true
+  },
+  originalPrice: { type: Number }, // preço de tabela
+  price: {
+    type: Number,
+    required: true
+  }, // valor cobrado após promoções
+  status: {
+    type: String,
+    enum: ['PENDING', 'DELIVERED', 'FAILED', 'REFUNDED'],
+    default: 'PENDING'
+  },
+  error: { type: String },
+  lztReservation: {
+    reservationId: { type: String },
+    status: {
+      type: String,
+      enum: ['RESERVED', 'PURCHASED', 'CANCELLED', 'FAILED']
+    },
+    price: { type: Number }, // valor da reserva no fornecedor, usado para concluir a compra
+    reservedAt: { type: Date },
+    purchasedAt: { type: Date },
+    cancelledAt: { type: Date },
+    error: { type: String }
+  },
+  deliveryDetails: {
+    method: {
+      type: String,
+      enum: ['DIGITAL', 'MANUAL', 'AUTOMATIC']
+    },
+    deliveredAt: { type: Date },
+    accessCredentials: { type: Schema.Types.Mixed },
+    revealedAt: { type: Date },
+    revokedAt: { type: Date }
+  }
+});
+
 /**
  * Schema de pagamento para transações no sistema de vendas
  */
@@ -17,7 +66,7 @@ const PaymentSchema = new Schema({
     required: true
   },
 
-  // Detalhes do produto
+  // Detalhes do produto (em pedidos de carrinho, o primeiro item)
   productId: {
     type: Schema.Types.ObjectId,
     ref: 'Product',
@@ -28,6 +77,33 @@ const PaymentSchema = new Schema({
     required: true
   },
 
+  // Itens de pedidos feitos pelo carrinho (vazio em compras de um único produto)
+  items: {
+    type: [OrderItemSchema],
+    default: undefined
+  },
+  combo: {
+    promotionId: { type: Schema.Types.ObjectId, ref: 'Promotion' },
+    title: { type: String },
+    discount: { type: Number }
+  },
+  coupon: {
+    couponId: { type: Schema.Types.ObjectId, ref: 'Coupon' },
+    code: { type: String },
+    discount: { type: Number }
+  },
+  voucher: {
+    voucherId: { type: Schema.Types.ObjectId }, // vale de pontos de fidelidade
+    points: { type: Number },
+    discount: { type: Number }
+  },
+
+  // Saldo da carteira usado no pagamento (o valor em `amount` é o restante a pagar)
+  wallet: {
+    amount: { type: Number },
+    transactionId: { type: Schema.Types.ObjectId }
+  },
+
   // Informações financeiras
   amount: {
     type: Number,
@@ -36,7 +112,7 @@ const PaymentSchema = new Schema({
   },
   method: {
     type: String,
-    enum: ['PIX', 'MANUAL', 'CREDIT_CARD', 'CRYPTO'],
+    enum: ['PIX', 'MANUAL', 'CREDIT_CARD', 'CRYPTO', 'WALLET'],
     default: 'PIX'
   },
 
@@ -47,10 +123,12 @@ const PaymentSchema = new Schema({
       'PENDING',     // Aguardando pagamento
       'PROCESSING',  // Em processamento
       'COMPLETED',   // Pagamento confirmado
+      'REJECTED',    // Rejeitado por um administrador
       'FAILED',      // Falha no pagamento
       'REFUNDED',    // Reembolsado
       'CANCELLED',   // Cancelado
-      'EXPIRED'      // Expirado
+      'EXPIRED',     // Expirado
+      'REFUND_PENDING' // Pago, mas a entrega falhou no fornecedor: requer reembolso
     ],
     default: 'PENDING',
     index: true
@@ -61,7 +139,79 @@ const PaymentSchema = new Schema({
     code: { type: String },
     qrCode: { type: String },
     transactionId: { type: String },
-    paymentProofUrl: { type: String }
+    paymentProofUrl: { type: String },
+    // Comprovante enviado pelo comprador (anexo do Discord)
+    paymentProof: {
+      fileName: { type: String },
+      contentType: { type: String },
+      size: { type: Number },
+      submittedAt: { type: Date },
+      reviewChannelId: { type: String }, // canal da equipe onde o comprovante foi publicado
+      reviewMessageId: { type: String }
+    }
+  },
+
+  // Detalhes do pagamento em criptomoeda (endereço exclusivo do pedido)
+  cryptoDetails: {
+    currency: { type: String }, // USDT, LTC
+    network: { type: String },
+    address: { type: String },
+    adapter: { type: String }, // adaptador de blockchain que gerou o endereço
+    rate: { type: Number }, // cotação em reais usada na conversão
+    amount: { type: Number }, // valor cobrado na moeda
+    received: { type: Number },
+    transactions: [{
+      hash: { type: String },
+      amount: { type: Number },
+      confirmations: { type: Number }
+    }],
+    detectedAt: { type: Date },
+    confirmedAt: { type: Date },
+    lateDepositAt: { type: Date } // depósito confirmado após expiração ou cancelamento (sinalizado à equipe)
+  },
+
+  // Confirmação recebida do provedor de pagamento (webhook)
+  bankInfo: {
+    provider: { type: String },
+    status: { type: String },
+    transactionId: { type: String },
+    receiptId: { type: String },
+    amount: { type: Number },
+    paidAt: { type: Date },
+    payer: {
+      name: { type: String },
+      document: { type: String }, // CPF ou CNPJ, somente dígitos
+      documentType: {
+        type: String,
+        enum: ['CPF', 'CNPJ']
+      },
+      documentValid: { type: Boolean },
+      bankName: { type: String },
+      bankIspb: { type: String }
+    },
+    reason: { type: String },
+    lateConfirmedAt: { type: Date } // confirmação recebida após expiração ou cancelamento (sinalizada à equipe)
+  },
+
+  // Alertas de risco levantados na confirmação (enviam o pagamento para revisão manual)
+  riskFlags: [{
+    code: { type: String },
+    reason: { type: String },
+    createdAt: { type: Date, default: Date.now }
+  }],
+
+  // Reserva do item no LZT Market (produtos de origem LZT)
+  lztReservation: {
+    reservationId: { type: String },
+    status: {
+      type: String,
+      enum: ['RESERVED', 'PURCHASED', 'CANCELLED', 'FAILED']
+    },
+    price: { type: Number }, // valor da reserva no fornecedor, usado para concluir a compra
+    reservedAt: { type: Date },
+    purchasedAt: { type: Date },
+    cancelledAt: { type: Date },
+    error: { type: String }
   },
 
   // Metadados de transação
@@ -94,7 +244,27 @@ const PaymentSchema = new Schema({
     approvedAt: { type: Date },
     rejectionReason: { type: String },
     rejectedBy: { type: String },
-    rejectedAt: { type: Date }
+    rejectedAt: { type: Date },
+    pointsAwarded: { type: Number } // pontos de fidelidade concedidos na aprovação
+  },
+
+  // Fila de aprovação da equipe
+  review: {
+    claimedBy: { type: String }, // administrador que assumiu a análise
+    claimedAt: { type: Date },
+    processingAt: { type: Date }, // entrada em análise (início do tempo de espera da fila)
+    lockedBy: { type: String }, // aprovação em andamento (impede aprovações simultâneas)
+    lockedAt: { type: Date },
+    queueChannelId: { type: String }, // card do pagamento no canal da fila
+    queueMessageId: { type: String },
+    escalationLevel: { type: Number, default: 0 }, // alertas de atraso já enviados
+    lastEscalatedAt: { type: Date }
+  },
+
+  // Pedido de avaliação enviado ao comprador após a entrega (product/reviews.js)
+  ratingRequest: {
+    sentAt: { type: Date },
+    delivered: { type: Boolean } // falso quando a DM do comprador estava fechada
   },
 
   // Informações de entrega
@@ -104,10 +274,33 @@ const PaymentSchema = new Schema({
       enum: ['DIGITAL', 'MANUAL', 'AUTOMATIC']
     },
     deliveredAt: { type: Date },
-    accessCredentials: { type: Schema.Types.Mixed }
+    accessCredentials: { type: Schema.Types.Mixed }, // criptografadas pelo cofre
+    revealedAt: { type: Date }, // momento em que foram reveladas ao comprador
+    revokedAt: { type: Date } // momento em que foram revogadas por reembolso
+  },
+
+  // Informações de reembolso
+  refundInfo: {
+    status: {
+      type: String,
+      enum: ['AWAITING_CONFIRMATION', 'COMPLETED', 'CANCELLED']
+    },
+    amount: { type: Number }, // valor da última solicitação
+    refundedAmount: { type: Number, default: 0 }, // total já reembolsado
+    reason: { type: String },
+    productAction: {
+      type: String,
+      enum: ['RESTOCK', 'COMPROMISED']
+    },
+    requestedBy: { type: String },
+    requestedAt: { type: Date },
+    confirmedBy: { type: String },
+    refundedAt: { type: Date },
+    pointsReversed: { type: Number, default: 0 }
   }
 }, {
   timestamps: true,
+  optimisticConcurrency: true, // mudanças de status concorrentes falham (ver payment/lifecycle)
   toJSON: { virtuals: true },
   toObject: { virtuals: true }
 });
@@ -119,15 +312,23 @@ PaymentSchema.index({
   createdAt: -1
 });
 
+// Pagamentos feitos pelo mesmo pagador (detecção de revenda)
+PaymentSchema.index({
+  'bankInfo.payer.document': 1,
+  createdAt: -1
+}, { sparse: true });
+
 // Hook para atualizar timestamps
 PaymentSchema.pre('save', function(next) {
   this.updatedAt = new Date();
 
-  // Atualizar status específicos
-  if (this.status === 'COMPLETED') {
-    this.completedAt = new Date();
-  } else if (this.status === 'FAILED' || this.status === 'CANCELLED') {
-    this.failedAt = new Date();
+  // Atualizar status específicos (apenas na transição)
+  if (this.isModified('status')) {
+    if (this.status === 'COMPLETED') {
+      this.completedAt = new Date();
+    } else if (this.status === 'FAILED' || this.status === 'CANCELLED') {
+      this.failedAt = new Date();
+    }
   }
 
   next();
@@ -1,16 +1,18 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const categories = require('../product/categories');
 
-const ProductDetailsSchema = new Schema({
-  rank: { type: String },
-  skins: { type: Number, default: 0 },
-  level: { type: Number, default: 0 },
-  agents: { type: Number, default: 0 },
-  region: { type: String },
-  email_changed: { type: Boolean, default: false },
-  valorantPoints: { type: Number, default: 0 },
-  verification: { type: Boolean, default: true }
-}, { _id: false, strict: false });
+// Campos de detalhes declarados pelas categorias (product/categories); outros são aceitos sem tipo
+const ProductDetailsSchema = new Schema(categories.getSchemaDefinition(), { _id: false, strict: false });
+
+// Credenciais de uma unidade, criptografadas pelo cofre (product/vault.js)
+const CredentialSlotSchema = new Schema({
+  iv: { type: String },
+  tag: { type: String },
+  data: { type: String },
+  adicionadoPor: { type: String },
+  adicionadoEm: { type: Date }
+}, { _id: false });
 
 const ProductSchema = new Schema({
   nome: {
@@ -47,6 +49,27 @@ const ProductSchema = new Schema({
     default: false,
     index: true
   },
+  // Unidades livres para venda (não vendidas e não reservadas)
+  estoque: {
+    type: Number,
+    default: 1,
+    min: [0, 'Estoque não pode ser negativo']
+  },
+  // Alerta de estoque baixo quando estoque <= estoqueMinimo (0 desativa)
+  estoqueMinimo: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  unidadesVendidas: {
+    type: Number,
+    default: 0
+  },
+  // Entregue pela equipe (ex.: boosting), sem credenciais no cofre
+  entregaManual: {
+    type: Boolean,
+    default: false
+  },
   dataCriacao: {
     type: Date,
     default: Date.now,
@@ -69,6 +92,13 @@ const ProductSchema = new Schema({
   criadoPor: {
     type: String
   },
+  comprometido: {
+    type: Boolean,
+    default: false
+  },
+  motivoComprometimento: {
+    type: String
+  },
   origem: {
     type: String,
     enum: ['MANUAL', 'LZT', 'API'],
@@ -79,7 +109,19 @@ const ProductSchema = new Schema({
   },
   imagens: [{
     type: String
-  }]
+  }],
+  // Reservas temporárias de pagamentos pendentes (uma unidade cada)
+  reservas: [{
+    _id: false,
+    paymentId: { type: Schema.Types.ObjectId, ref: 'Payment' },
+    userId: { type: String },
+    expiraEm: { type: Date }
+  }],
+  // Credenciais por unidade, entregues na ordem em que foram adicionadas
+  credenciais: {
+    type: [CredentialSlotSchema],
+    select: false
+  }
 }, {
   timestamps: true,
   toJSON: { virtuals: true },
@@ -94,6 +136,18 @@ ProductSchema.index({
   dataCriacao: -1
 });
 
+// Índice de texto usado pelo /buscar (o nome pesa mais que a descrição)
+ProductSchema.index({
+  nome: 'text',
+  'detalhes.rank': 'text',
+  tipo: 'text',
+  descricao: 'text'
+}, {
+  name: 'product_text_search',
+  default_language: 'portuguese',
+  weights: { nome: 10, 'detalhes.rank': 5, tipo: 3, descricao: 1 }
+});
+
 // Hook para atualizar visualizações
 ProductSchema.methods.incrementViews = function() {
   this.visualizacoes += 1;
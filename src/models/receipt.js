@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Schema dos recibos emitidos para pagamentos concluídos
+ * Guarda uma cópia dos dados da compra e da loja no momento da emissão, para que a
+ * segunda via seja idêntica à original mesmo após mudanças no pagamento ou na configuração
+ */
+const ReceiptSchema = new Schema({
+  // Número sequencial do recibo
+  number: {
+    type: Number,
+    required: true
+  },
+
+  paymentId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+
+  userId: {
+    type: String,
+    required: true
+  },
+  userName: { type: String },
+
+  // Dados legais da loja emitente
+  store: {
+    legalName: { type: String },
+    document: { type: String },
+    address: { type: String },
+    email: { type: String }
+  },
+
+  // Itens com o preço de tabela (pedidos do carrinho) ou o preço antes dos descontos
+  items: [{
+    name: { type: String },
+    price: { type: Number },
+    delivered: { type: Boolean, default: true } // itens não entregues aguardam reembolso
+  }],
+
+  subtotal: { type: Number },
+  discounts: [{
+    label: { type: String },
+    amount: { type: Number }
+  }],
+  total: { type: Number },
+
+  // Formas de pagamento usadas (ex.: saldo da carteira + PIX)
+  payments: [{
+    method: { type: String },
+    amount: { type: Number },
+    reference: { type: String } // identificador end-to-end, hash da transação...
+  }],
+
+  createdAt: { type: Date }, // criação do pagamento
+  paidAt: { type: Date },
+  completedAt: { type: Date },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ReceiptSchema.index({ number: 1 }, { unique: true });
+ReceiptSchema.index({ paymentId: 1 }, { unique: true });
+ReceiptSchema.index({ userId: 1, issuedAt: -1 });
+
+const Receipt = mongoose.model('Receipt', ReceiptSchema);
+
+module.exports = Receipt;
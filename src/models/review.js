@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Schema das avaliações deixadas pelo comprador após a entrega
+ * Cada avaliação conta para o tipo e a origem (loja ou fornecedor) de cada produto do pedido
+ */
+const ReviewSchema = new Schema({
+  paymentId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  userName: { type: String },
+
+  rating: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 5
+  },
+  comment: {
+    type: String,
+    trim: true
+  },
+
+  // Produtos avaliados (um por item do pedido)
+  products: [{
+    _id: false,
+    productId: { type: Schema.Types.ObjectId, ref: 'Product' },
+    productName: { type: String },
+    tipo: { type: String },
+    origem: { type: String }
+  }],
+
+  status: {
+    type: String,
+    enum: [
+      'PUBLISHED', // Exibida e contada nas médias
+      'HIDDEN'     // Ocultada pela moderação
+    ],
+    default: 'PUBLISHED',
+    index: true
+  },
+
+  // Moderação
+  moderation: {
+    by: { type: String },
+    at: { type: Date },
+    reason: { type: String }
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  }
+});
+
+// Uma avaliação por pagamento
+ReviewSchema.index({ paymentId: 1 }, { unique: true });
+
+// Médias por tipo e origem
+ReviewSchema.index({ status: 1, 'products.tipo': 1, 'products.origem': 1 });
+
+const Review = mongoose.model('Review', ReviewSchema);
+
+module.exports = Review;
@@ -243,6 +243,7 @@ const PromotionSchema = new Schema({
   usoLimitado: { type: Boolean, default: false },
   limiteUsos: { type: Number },
   usosAtuais: { type: Number, default: 0 },
+  minimoItens: { type: Number, default: 2 }, // combos: itens elegíveis necessários no carrinho
   imageUrl: { type: String } // URL da imagem promocional
 });
 
@@ -299,6 +300,20 @@ const PointTransactionSchema = new Schema({
   actionBy: { type: String } // Admin ID se for uma ação manual
 });
 
+// Schema para vales de desconto resgatados com pontos (uso único)
+const VoucherSchema = new Schema({
+  points: { type: Number, required: true },
+  value: { type: Number, required: true }, // valor do desconto em reais
+  status: {
+    type: String,
+    enum: ['AVAILABLE', 'RESERVED', 'USED'],
+    default: 'AVAILABLE'
+  },
+  paymentId: { type: Schema.Types.ObjectId, ref: 'Payment' }, // pagamento que reservou ou usou o vale
+  createdAt: { type: Date, default: Date.now },
+  usedAt: { type: Date }
+});
+
 // Schema principal para o sistema de fidelidade
 const LoyaltySchema = new Schema({
   userId: { type: String, required: true, unique: true },
@@ -307,6 +322,7 @@ const LoyaltySchema = new Schema({
   lifetimePoints: { type: Number, default: 0 }, // Total acumulado na vida
   level: { type: Number, default: 1 },
   transactions: [PointTransactionSchema],
+  vouchers: [VoucherSchema],
   lastUpdated: { type: Date, default: Date.now }
 });
 
@@ -325,5 +341,6 @@ LoyaltySchema.index({ totalPoints: -1 });
 LoyaltySchema.index({ level: -1 });
 LoyaltySchema.index({ 'transactions.status': 1 });
 LoyaltySchema.index({ 'transactions.expiresAt': 1 });
+LoyaltySchema.index({ 'vouchers.paymentId': 1 });
 
 module.exports = mongoose.model('Loyalty', LoyaltySchema);
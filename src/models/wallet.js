@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Schema da carteira de crédito de cada usuário
+ * O saldo é uma projeção do livro-razão (WalletTransaction) mantida para consultas rápidas
+ */
+const WalletSchema = new Schema({
+  userId: {
+    type: String,
+    required: true
+  },
+
+  // Saldo disponível em reais (não inclui valores reservados por pagamentos pendentes)
+  balance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Saldo da carteira não pode ser negativo']
+  },
+
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+WalletSchema.index({ userId: 1 }, { unique: true });
+
+const Wallet = mongoose.model('Wallet', WalletSchema);
+
+module.exports = Wallet;
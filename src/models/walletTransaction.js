@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Lançamento de uma conta no livro-razão
+ */
+const LedgerEntrySchema = new Schema({
+  account: {
+    type: String,
+    required: true
+  }, // ex.: wallet:<userId>, hold:<paymentId>, revenue:sales
+  direction: {
+    type: String,
+    enum: ['DEBIT', 'CREDIT'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  }
+}, { _id: false });
+
+/**
+ * Schema das transações da carteira em partidas dobradas
+ * Cada transação debita uma conta e credita outra no mesmo valor; os lançamentos não são alterados depois de gravados
+ */
+const WalletTransactionSchema = new Schema({
+  type: {
+    type: String,
+    enum: [
+      'CREDIT',          // Crédito concedido pela equipe (reembolso, compensação...)
+      'DEBIT',           // Débito feito pela equipe
+      'PAYMENT_HOLD',    // Saldo reservado para um pagamento
+      'PAYMENT_CAPTURE', // Reserva usada em um pagamento aprovado
+      'PAYMENT_RELEASE', // Reserva devolvida (pagamento não concluído)
+      'PAYMENT_REFUND'   // Saldo usado em compra aprovada devolvido no reembolso
+    ],
+    required: true
+  },
+
+  // Dono da carteira afetada
+  userId: {
+    type: String,
+    required: true
+  },
+
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+
+  entries: {
+    type: [LedgerEntrySchema],
+    validate: {
+      validator: entries => {
+        const total = direction => entries
+          .filter(entry => entry.direction === direction)
+          .reduce((sum, entry) => sum + entry.amount, 0);
+        return entries.length >= 2 && Math.abs(total('DEBIT') - total('CREDIT')) < 0.005;
+      },
+      message: 'Débitos e créditos da transação devem ter o mesmo valor'
+    }
+  },
+
+  // Saldo disponível da carteira após a transação
+  balanceAfter: { type: Number },
+
+  paymentId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  settlementOf: { type: Schema.Types.ObjectId }, // pagamento cuja reserva foi capturada ou devolvida
+  reason: { type: String },
+  createdBy: { type: String }, // administrador ou sistema que originou a transação
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+WalletTransactionSchema.index({ userId: 1, createdAt: -1 });
+
+// Cada pagamento tem no máximo uma reserva, encerrada uma única vez (captura ou devolução)
+WalletTransactionSchema.index(
+  { paymentId: 1, type: 1 },
+  { unique: true, partialFilterExpression: { type: 'PAYMENT_HOLD' } }
+);
+WalletTransactionSchema.index(
+  { settlementOf: 1 },
+  { unique: true, partialFilterExpression: { settlementOf: { $exists: true } } }
+);
+
+// O saldo usado em uma compra é devolvido no máximo uma vez
+WalletTransactionSchema.index(
+  { paymentId: 1 },
+  { unique: true, partialFilterExpression: { type: 'PAYMENT_REFUND' } }
+);
+
+const WalletTransaction = mongoose.model('WalletTransaction', WalletTransactionSchema);
+
+module.exports = WalletTransaction;
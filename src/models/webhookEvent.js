@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Schema de eventos de webhook recebidos dos provedores de pagamento
+ * Garante idempotência: cada transação do provedor é processada uma única vez
+ */
+const WebhookEventSchema = new Schema({
+  // Provedor que enviou o evento (ex.: 99pay, mock)
+  provider: {
+    type: String,
+    required: true
+  },
+
+  // Identificador da transação no provedor
+  transactionId: {
+    type: String,
+    required: true
+  },
+
+  // Pagamento interno associado (txid do BR Code)
+  paymentId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Payment',
+    index: true
+  },
+
+  // Situação do processamento
+  status: {
+    type: String,
+    enum: [
+      'RECEIVED',   // Recebido, ainda não processado
+      'PROCESSED',  // Aplicado ao pagamento
+      'IGNORED',    // Recebido mas sem efeito (ex.: pagamento já processado)
+      'FAILED'      // Erro ao processar
+    ],
+    default: 'RECEIVED'
+  },
+
+  // Resultado ou motivo de falha
+  result: { type: String },
+
+  // Conteúdo original recebido
+  payload: { type: Schema.Types.Mixed },
+
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  processedAt: { type: Date }
+});
+
+// Índice único usado para idempotência
+WebhookEventSchema.index({ provider: 1, transactionId: 1 }, { unique: true });
+
+const WebhookEvent = mongoose.model('WebhookEvent', WebhookEventSchema);
+
+module.exports = WebhookEvent;
@@ -6,36 +6,586 @@ const Payment = require('../models/payment');
 const Product = require('../models/product');
 const userService = require('../user/profile');
 const marketingService = require('../marketing/loyalty');
+const couponService = require('../marketing/coupons');
 const { logger } = require('../utils/helpers');
 const auditLogger = require('../audit/logger');
 const config = require('../config');
-const crypto = require('crypto');
+const vault = require('../product/vault');
+const lztService = require('../product/lzt');
+const productService = require('../product/catalog');
+const paymentService = require('./pix');
+const lifecycle = require('./lifecycle');
+const walletService = require('./wallet');
+const receiptService = require('./receipt');
+
+// Status exibidos na fila de aprovação
+const QUEUE_STATUS = ['PENDING', 'PROCESSING'];
+
+// Tempo máximo de um bloqueio de aprovação (uma falha no meio do processo não trava o pagamento)
+const APPROVAL_LOCK_TTL = 2 * 60 * 1000;
 
 /**
- * Gera credenciais de acesso para uma conta
- * @returns {Object} - Credenciais geradas
+ * Filtro de pagamentos que o administrador pode analisar: sem responsável,
+ * assumidos por ele ou com a análise abandonada
+ * @param {string} adminId - ID do administrador
+ * @returns {Object} - Condição para consultas do MongoDB
  * @private
  */
-function _generateAccountCredentials() {
-  // Gerar login e senha aleatórios
-  const login = `user_${crypto.randomBytes(4).toString('hex')}`;
-  const password = crypto.randomBytes(8).toString('base64').replace(/[\/\+=]/g, '');
+function _claimableBy(adminId) {
+  const staleBefore = new Date(Date.now() - config.payment.approvalQueue.claimTimeout * 1000);
 
   return {
-    login,
-    password
+    $or: [
+      { 'review.claimedBy': null },
+      { 'review.claimedBy': adminId },
+      { 'review.claimedAt': { $lt: staleBefore } }
+    ]
   };
 }
 
 /**
- * Aprova um pagamento pendente
+ * Explica por que um pagamento não pôde ser assumido ou bloqueado
+ * @param {string} paymentId - ID do pagamento
+ * @param {string} adminId - ID do administrador
+ * @returns {Promise<Object>} - Resultado com a mensagem
+ * @private
+ */
+async function _explainUnavailable(paymentId, adminId) {
+  const payment = await Payment.findById(paymentId);
+
+  if (!payment) {
+    return { success: false, message: 'Pagamento não encontrado', payment: null };
+  }
+
+  if (!QUEUE_STATUS.includes(payment.status)) {
+    return { success: false, message: lifecycle.describeInvalidTransition(payment.status, 'COMPLETED'), payment };
+  }
+
+  if (payment.review && payment.review.claimedBy && payment.review.claimedBy !== adminId) {
+    return { success: false, message: `Pagamento em análise por <@${payment.review.claimedBy}>`, payment };
+  }
+
+  return { success: false, message: 'Outro administrador está aprovando este pagamento', payment };
+}
+
+/**
+ * Bloqueia o pagamento para aprovação, impedindo que dois administradores o aprovem ao mesmo tempo
+ * @param {string} paymentId - ID do pagamento
+ * @param {string} adminId - ID do administrador
+ * @returns {Promise<Object>} - Resultado da operação
+ * @private
+ */
+async function _acquireApprovalLock(paymentId, adminId) {
+  const now = new Date();
+
+  const payment = await Payment.findOneAndUpdate(
+    {
+      _id: paymentId,
+      $and: [
+        _claimableBy(adminId),
+        {
+          $or: [
+            { 'review.lockedAt': null },
+            { 'review.lockedAt': { $lt: new Date(now.getTime() - APPROVAL_LOCK_TTL) } }
+          ]
+        }
+      ]
+    },
+    { $set: { 'review.lockedBy': adminId, 'review.lockedAt': now } },
+    { new: true }
+  );
+
+  return payment ? { success: true, payment } : await _explainUnavailable(paymentId, adminId);
+}
+
+/**
+ * Libera o bloqueio de aprovação
+ * @param {string} paymentId - ID do pagamento
+ * @private
+ */
+async function _releaseApprovalLock(paymentId) {
+  await Payment.updateOne(
+    { _id: paymentId },
+    { $unset: { 'review.lockedBy': 1, 'review.lockedAt': 1 } }
+  );
+}
+
+/**
+ * Obtém as credenciais a serem entregues para o produto
+ * Produtos do LZT Market são comprados no momento da aprovação
+ * @param {Object} product - Produto vendido
+ * @param {Object} payment - Pagamento sendo aprovado
+ * @param {Object} [item] - Item do pedido, em compras pelo carrinho
+ * @returns {Promise<Object>} - Credenciais criptografadas e método de entrega
+ * @private
+ */
+async function _obtainSealedCredentials(product, payment, item) {
+  if (!vault.isConfigured()) {
+    if (product.entregaManual && product.origem !== 'LZT') {
+      return { success: true, method: 'MANUAL', sealed: null };
+    }
+
+    return {
+      success: false,
+      message: 'Cofre de credenciais não configurado (VAULT_KEY)'
+    };
+  }
+
+  if (product.origem === 'LZT') {
+    // Conta já comprada numa tentativa de aprovação que não pôde ser concluída
+    const previous = item ? item.deliveryDetails : payment.deliveryDetails;
+    if (previous && previous.method === 'AUTOMATIC' && previous.accessCredentials) {
+      return { success: true, method: 'AUTOMATIC', sealed: previous.accessCredentials };
+    }
+
+    const reservation = item ? item.lztReservation : payment.lztReservation;
+    const reserved = Boolean(reservation && reservation.reservationId && reservation.status === 'RESERVED');
+
+    // Reservas feitas antes do registro do valor no fornecedor são refeitas para obtê-lo
+    if (reserved && reservation.price === undefined) {
+      await lztService.cancelLZTReservation(reservation.reservationId);
+    }
+
+    // Comprar a reserva feita na criação do PIX pelo valor do fornecedor (ou comprar diretamente se não houver)
+    const purchase = reserved && reservation.price !== undefined
+      ? await lztService.completeLZTPurchase(reservation.reservationId, payment._id.toString(), reservation.price)
+      : await lztService.purchaseLZTProduct(product.origemId, payment._id.toString());
+
+    if (!purchase.success) {
+      return {
+        success: false,
+        refundRequired: true,
+        message: `Falha na compra no LZT Market: ${purchase.message}`
+      };
+    }
+
+    if (reservation && reservation.reservationId) {
+      reservation.status = 'PURCHASED';
+      reservation.purchasedAt = new Date();
+    }
+
+    return {
+      success: true,
+      method: 'AUTOMATIC',
+      sealed: vault.encrypt(purchase.accountData)
+    };
+  }
+
+  // Cada unidade vendida consome as credenciais mais antigas do cofre
+  const sealed = await vault.takeProductCredentials(product._id);
+
+  if (!sealed) {
+    // Serviços (ex.: boosting) são entregues pela equipe, sem credenciais
+    if (product.entregaManual) {
+      return { success: true, method: 'MANUAL', sealed: null };
+    }
+
+    return {
+      success: false,
+      message: 'Produto não possui credenciais cadastradas no cofre'
+    };
+  }
+
+  return {
+    success: true,
+    method: 'DIGITAL',
+    sealed
+  };
+}
+
+/**
+ * Guarda no pagamento a conta comprada no LZT Market cuja entrega não pôde ser concluída,
+ * para que uma nova tentativa de aprovação use a mesma conta em vez de comprar outra
+ * @param {Object} payment - Pagamento
+ * @param {Object} [item] - Item do pedido, em compras pelo carrinho
+ * @param {Object} sealed - Credenciais criptografadas da conta
+ * @private
+ */
+async function _keepPurchasedAccount(payment, item, sealed) {
+  const prefix = item ? 'items.$[item].' : '';
+
+  await Payment.updateOne(
+    { _id: payment._id },
+    {
+      $set: {
+        [`${prefix}deliveryDetails.method`]: 'AUTOMATIC',
+        [`${prefix}deliveryDetails.accessCredentials`]: sealed
+      }
+    },
+    item ? { arrayFilters: [{ 'item._id': item._id }] } : {}
+  );
+}
+
+/**
+ * Grava a entrega junto com a transição para COMPLETED
+ * Se outra operação alterou o pagamento no meio da aprovação (ex.: confirmação do banco
+ * movendo-o para PROCESSING) e ele ainda pode ser aprovado, a transição é repetida sobre a versão atual
+ * @param {Object} payment - Pagamento usado na aprovação
+ * @param {string} adminId - ID do administrador
+ * @param {Function} applyDelivery - Aplica a entrega a um documento do pagamento
+ * @returns {Promise<Object>} - Resultado da transição
+ * @private
+ */
+async function _completeApproval(payment, adminId, applyDelivery) {
+  applyDelivery(payment);
+  const result = await lifecycle.transition(payment, 'COMPLETED', { actor: adminId });
+
+  if (!result.success && result.conflict && result.payment &&
+      lifecycle.canTransition(result.payment.status, 'COMPLETED')) {
+    applyDelivery(result.payment);
+    return await lifecycle.transition(result.payment, 'COMPLETED', { actor: adminId });
+  }
+
+  return result;
+}
+
+/**
+ * Desfaz a entrega de uma aprovação que não pôde ser gravada
+ * Credenciais do cofre e unidades voltam ao estoque; contas já compradas no LZT Market
+ * ficam guardadas no pagamento
+ * @param {Object} payment - Pagamento usado na aprovação
+ * @param {Array} units - Unidades retiradas ({ item, product, delivery })
+ * @param {string} reason - Motivo da falha
+ * @param {string} adminId - ID do administrador
+ * @private
+ */
+async function _rollbackDelivery(payment, units, reason, adminId) {
+  for (const { item, product, delivery } of units) {
+    if (delivery.method === 'AUTOMATIC') {
+      await _keepPurchasedAccount(payment, item, delivery.sealed);
+      continue;
+    }
+
+    if (delivery.method === 'DIGITAL') {
+      await vault.returnProductCredentials(product._id, delivery.sealed, 'APPROVAL_ROLLBACK');
+    }
+    await productService.restockProductUnit(product._id);
+  }
+
+  await auditLogger.log({
+    action: 'PAYMENT_APPROVAL_ROLLBACK',
+    category: 'TRANSACTION',
+    severity: 'WARNING',
+    status: 'ERROR',
+    user: {
+      id: adminId
+    },
+    payment: {
+      id: payment._id,
+      amount: payment.amount
+    },
+    details: {
+      reason,
+      restocked: units.filter(unit => unit.delivery.method !== 'AUTOMATIC').map(unit => unit.product._id),
+      keptPurchased: units.filter(unit => unit.delivery.method === 'AUTOMATIC').map(unit => unit.product._id)
+    }
+  });
+
+  logger.error(`Aprovação do pagamento ${payment._id} desfeita, unidades devolvidas ao estoque: ${reason}`);
+}
+
+/**
+ * Concede os pontos de fidelidade da compra e registra no pagamento quantos foram concedidos
+ * O reembolso estorna com base nesse registro
+ * @param {Object} payment - Documento do pagamento aprovado
+ * @param {number} amount - Valor que gera pontos (1 ponto por real)
+ * @param {string} productId - ID do produto
+ * @returns {Promise<number>} - Pontos concedidos
+ * @private
+ */
+async function _awardPurchasePoints(payment, amount, productId) {
+  const points = Math.floor(amount);
+  const result = await marketingService.addPoints(payment.userId, points, 'PURCHASE', {
+    paymentId: payment._id,
+    productId
+  });
+  const awarded = result && result.success ? points : 0;
+
+  await Payment.updateOne(
+    { _id: payment._id },
+    { $set: { 'approvalInfo.pointsAwarded': awarded } }
+  );
+  payment.set('approvalInfo.pointsAwarded', awarded);
+
+  return awarded;
+}
+
+/**
+ * Marca um pagamento como pendente de reembolso
+ * Usado quando o cliente já pagou, mas o fornecedor não entregou a conta
+ * @param {Object} payment - Documento do pagamento
+ * @param {Object} product - Produto do pagamento
+ * @param {string} reason - Motivo da falha
+ * @param {string} adminId - ID do administrador que tentou aprovar
+ * @returns {Promise<Object>} - Resultado da operação
+ * @private
+ */
+async function _markRefundRequired(payment, product, reason, adminId) {
+  if (payment.lztReservation && payment.lztReservation.reservationId) {
+    payment.lztReservation.status = 'FAILED';
+    payment.lztReservation.error = reason;
+  }
+
+  const result = await lifecycle.transition(payment, 'REFUND_PENDING', { actor: adminId, reason });
+
+  if (!result.success) {
+    logger.error(`Pagamento ${payment._id} não pôde ser marcado para reembolso (${reason}): ${result.message}`);
+    return result;
+  }
+
+  // Reserva do produto, cupom, vale de pontos e saldo da carteira voltam na hora;
+  // apenas o valor pago via PIX aguarda reembolso (liberações já feitas pelo pedido são ignoradas)
+  await paymentService.releaseReservations(payment);
+  await payment.save();
+
+  await auditLogger.log({
+    action: 'PAYMENT_REFUND_REQUIRED',
+    category: 'TRANSACTION',
+    severity: 'WARNING',
+    status: 'ERROR',
+    user: {
+      id: adminId
+    },
+    target: {
+      id: payment.userId,
+      username: payment.userName
+    },
+    payment: {
+      id: payment._id,
+      amount: payment.amount
+    },
+    product: {
+      id: product._id,
+      name: product.nome
+    },
+    details: {
+      reason
+    }
+  });
+
+  logger.warn(`Pagamento ${payment._id} aguardando reembolso: ${reason}`);
+  return {
+    success: false,
+    refundRequired: true,
+    message: `${reason}. O pagamento foi marcado como pendente de reembolso.`,
+    payment
+  };
+}
+
+/**
+ * Aprova um pedido do carrinho, entregando cada item separadamente
+ * Itens que falharem na entrega ficam marcados para reembolso parcial
+ * @param {Object} payment - Documento do pagamento
+ * @param {string} adminId - ID do administrador
+ * @returns {Promise<Object>} - Resultado da operação
+ * @private
+ */
+async function _approveOrder(payment, adminId) {
+  const pendingItems = payment.items.filter(item => item.status === 'PENDING');
+  const products = new Map();
+
+  // Verificar todos os itens antes de retirar qualquer um do estoque
+  for (const item of pendingItems) {
+    const product = await Product.findById(item.productId);
+
+    if (!product || !product.disponivel || product.vendido) {
+      return {
+        success: false,
+        message: `Item indisponível: ${item.productName}. Rejeite o pedido ou reembolse o item após a aprovação.`,
+        payment
+      };
+    }
+
+    const holdsReservation = (product.reservas || [])
+      .some(reserva => reserva.paymentId && reserva.paymentId.toString() === payment._id.toString());
+
+    if (!holdsReservation && product.estoque < 1) {
+      return {
+        success: false,
+        message: `Todas as unidades de ${item.productName} estão reservadas para outros pagamentos pendentes`,
+        payment
+      };
+    }
+
+    products.set(item._id.toString(), product);
+  }
+
+  const failures = [];
+  const units = [];
+
+  for (const item of pendingItems) {
+    const product = products.get(item._id.toString());
+    const delivery = await _obtainSealedCredentials(product, payment, item);
+
+    if (!delivery.success) {
+      failures.push({ item, message: delivery.message, refundRequired: Boolean(delivery.refundRequired) });
+      continue;
+    }
+
+    const unit = await productService.consumeProductUnit(product._id, payment._id, payment.userId);
+
+    if (!unit.success) {
+      if (delivery.method === 'DIGITAL') {
+        await vault.returnProductCredentials(product._id, delivery.sealed, 'APPROVAL_ROLLBACK');
+      } else if (delivery.method === 'AUTOMATIC') {
+        await _keepPurchasedAccount(payment, item, delivery.sealed);
+      }
+      failures.push({ item, message: unit.message, refundRequired: false });
+      continue;
+    }
+
+    units.push({ item, product, delivery });
+
+    item.status = 'DELIVERED';
+    item.deliveryDetails = {
+      method: delivery.method,
+      deliveredAt: new Date(),
+      accessCredentials: delivery.sealed || undefined
+    };
+  }
+
+  const delivered = payment.items.filter(item => item.status === 'DELIVERED');
+
+  // Nada entregue: falhas corrigíveis permitem nova tentativa; falhas no fornecedor exigem reembolso
+  if (delivered.length === 0) {
+    if (!failures.some(failure => failure.refundRequired)) {
+      return {
+        success: false,
+        message: failures.map(failure => `${failure.item.productName}: ${failure.message}`).join('\n'),
+        payment
+      };
+    }
+
+    await paymentService.releaseReservations(payment);
+    failures.forEach(failure => {
+      failure.item.status = 'FAILED';
+      failure.item.error = failure.message;
+    });
+
+    return await _markRefundRequired(
+      payment,
+      { _id: payment.productId, nome: payment.productName },
+      failures.map(failure => `${failure.item.productName}: ${failure.message}`).join('; '),
+      adminId
+    );
+  }
+
+  // Itens não entregues deixam de ocupar estoque e aguardam reembolso parcial
+  for (const failure of failures) {
+    failure.item.status = 'FAILED';
+    failure.item.error = failure.message;
+    await productService.releaseProductReservation(failure.item.productId, payment._id);
+  }
+
+  // Gravar o resultado de cada item junto com a aprovação
+  const itemUpdates = payment.items.map(item => ({
+    id: item._id,
+    status: item.status,
+    error: item.error,
+    deliveryDetails: item.deliveryDetails,
+    lztReservation: item.lztReservation && item.lztReservation.status === 'PURCHASED'
+      ? { status: 'PURCHASED', purchasedAt: item.lztReservation.purchasedAt }
+      : null
+  }));
+
+  const transition = await _completeApproval(payment, adminId, doc => {
+    itemUpdates.forEach(update => {
+      const item = doc.items.id(update.id);
+      if (!item) return;
+
+      item.status = update.status;
+      item.error = update.error;
+      item.deliveryDetails = update.deliveryDetails;
+      if (update.lztReservation) {
+        item.set('lztReservation.status', update.lztReservation.status);
+        item.set('lztReservation.purchasedAt', update.lztReservation.purchasedAt);
+      }
+    });
+  });
+
+  if (!transition.success) {
+    await _rollbackDelivery(payment, units, transition.message, adminId);
+    return transition;
+  }
+
+  payment = transition.payment;
+
+  await couponService.confirmCoupon(payment);
+  await marketingService.confirmVoucher(payment);
+  await walletService.capturePayment(payment);
+  const receipt = await receiptService.issueReceipt(payment);
+
+  // Credenciais de cada item; são marcadas como reveladas quando a DM chega ao comprador
+  const deliveries = [];
+  for (const item of delivered) {
+    const reveal = await vault.readDeliveredCredentials(payment._id, item._id);
+    deliveries.push({
+      itemId: item._id,
+      productName: item.productName,
+      credentials: reveal.success ? reveal.credentials : null
+    });
+
+    await userService.recordActivity(payment.userId, 'PRODUCT_PURCHASE', {
+      productId: item.productId,
+      productName: item.productName,
+      paymentId: payment._id,
+      amount: item.price
+    });
+  }
+
+  // Pontos de fidelidade apenas sobre os itens entregues
+  const deliveredAmount = delivered.reduce((sum, item) => sum + item.price, 0);
+  await _awardPurchasePoints(payment, deliveredAmount, payment.productId);
+
+  const failedItems = failures.map(failure => ({
+    productName: failure.item.productName,
+    price: failure.item.price,
+    error: failure.message
+  }));
+
+  await auditLogger.log({
+    action: 'PAYMENT_APPROVED',
+    category: 'TRANSACTION',
+    severity: failedItems.length > 0 ? 'WARNING' : 'INFO',
+    status: 'SUCCESS',
+    user: {
+      id: adminId
+    },
+    target: {
+      id: payment.userId,
+      username: payment.userName
+    },
+    payment: {
+      id: payment._id,
+      amount: payment.amount
+    },
+    details: {
+      delivered: delivered.map(item => item.productId),
+      failed: failedItems
+    }
+  });
+
+  logger.info(`Pedido ${payment._id} aprovado por ${adminId}: ${delivered.length} entregues, ${failedItems.length} com falha`);
+  return {
+    success: true,
+    payment,
+    accountCredentials: deliveries[0].credentials,
+    deliveries,
+    failedItems,
+    receipt
+  };
+}
+
+/**
+ * Processa a aprovação de um pagamento já bloqueado pelo administrador
  * @param {string} paymentId - ID do pagamento
  * @param {string} adminId - ID do administrador que aprovou
  * @returns {Promise<Object>} - Resultado da operação
+ * @private
  */
-async function approvePayment(paymentId, adminId) {
+async function _processApproval(paymentId, adminId) {
   try {
-    const payment = await Payment.findById(paymentId);
+    let payment = await Payment.findById(paymentId);
 
     if (!payment) {
       return {
@@ -45,77 +595,117 @@ async function approvePayment(paymentId, adminId) {
       };
     }
 
-    // Verificar se já está aprovado ou rejeitado
-    if (payment.status === 'COMPLETED') {
+    // Verificar se o pagamento ainda pode ser aprovado
+    if (!lifecycle.canTransition(payment.status, 'COMPLETED')) {
       return {
         success: false,
-        message: 'Pagamento já foi aprovado anteriormente',
+        message: lifecycle.describeInvalidTransition(payment.status, 'COMPLETED'),
         payment
       };
     }
 
-    if (payment.status === 'REJECTED') {
+    // Pedidos do carrinho têm entrega por item
+    if (payment.items && payment.items.length > 0) {
+      return await _approveOrder(payment, adminId);
+    }
+
+    // Verificar se o produto ainda está disponível
+    const product = await Product.findById(payment.productId);
+
+    if (!product || !product.disponivel || product.vendido) {
+      const reason = product ? 'Produto não está mais disponível' : 'Produto não encontrado';
+      const result = await lifecycle.transition(payment, 'REJECTED', { actor: adminId, reason });
+
+      if (result.success) {
+        await paymentService.releaseReservations(payment);
+        await payment.save();
+      }
+
       return {
         success: false,
-        message: 'Pagamento já foi rejeitado e não pode ser aprovado',
-        payment
+        message: product ? reason : 'Produto não encontrado ou não está mais disponível',
+        payment: result.payment
       };
     }
 
-    if (payment.status === 'EXPIRED') {
+    // Verificar se há uma unidade para este pagamento (reservada por ele ou livre)
+    const holdsReservation = (product.reservas || [])
+      .some(reserva => reserva.paymentId && reserva.paymentId.toString() === payment._id.toString());
+
+    if (!holdsReservation && product.estoque < 1) {
       return {
         success: false,
-        message: 'Pagamento expirado e não pode ser aprovado',
+        message: 'Todas as unidades estão reservadas para outros pagamentos pendentes',
         payment
       };
     }
 
-    // Verificar se o produto ainda está disponível
-    const product = await Product.findById(payment.productId);
+    // Obter credenciais reais da conta
+    const delivery = await _obtainSealedCredentials(product, payment);
 
-    if (!product) {
-      payment.status = 'REJECTED';
-      payment.rejectedAt = new Date();
-      payment.rejectionReason = 'Produto não encontrado';
-      await payment.save();
+    if (!delivery.success) {
+      if (delivery.refundRequired) {
+        return await _markRefundRequired(payment, product, delivery.message, adminId);
+      }
 
       return {
         success: false,
-        message: 'Produto não encontrado ou não está mais disponível',
+        message: delivery.message,
         payment
       };
     }
 
-    if (!product.disponivel || product.vendido) {
-      payment.status = 'REJECTED';
-      payment.rejectedAt = new Date();
-      payment.rejectionReason = 'Produto não está mais disponível';
-      await payment.save();
+    // Baixar a unidade do estoque
+    const unit = await productService.consumeProductUnit(product._id, payment._id, payment.userId);
+
+    if (!unit.success) {
+      // Devolver as credenciais retiradas para a próxima venda
+      if (delivery.method === 'DIGITAL') {
+        await vault.returnProductCredentials(product._id, delivery.sealed, 'APPROVAL_ROLLBACK');
+      } else if (delivery.method === 'AUTOMATIC') {
+        await _keepPurchasedAccount(payment, null, delivery.sealed);
+      }
 
       return {
         success: false,
-        message: 'Produto não está mais disponível',
+        message: unit.message,
         payment
       };
     }
 
-    // Gerar credenciais da conta
-    const accountCredentials = _generateAccountCredentials();
+    // Gravar a entrega junto com a aprovação
+    const deliveryDetails = {
+      method: delivery.method,
+      deliveredAt: new Date(),
+      accessCredentials: delivery.sealed || undefined
+    };
+    const purchased = payment.lztReservation && payment.lztReservation.status === 'PURCHASED'
+      ? { status: 'PURCHASED', purchasedAt: payment.lztReservation.purchasedAt }
+      : null;
 
-    // Atualizar pagamento
-    payment.status = 'COMPLETED';
-    payment.completedAt = new Date();
-    payment.approvedBy = adminId;
-    payment.deliveryData = accountCredentials;
+    const transition = await _completeApproval(payment, adminId, doc => {
+      doc.deliveryDetails = deliveryDetails;
+      if (purchased) {
+        doc.set('lztReservation.status', purchased.status);
+        doc.set('lztReservation.purchasedAt', purchased.purchasedAt);
+      }
+    });
 
-    await payment.save();
+    if (!transition.success) {
+      await _rollbackDelivery(payment, [{ item: null, product, delivery }], transition.message, adminId);
+      return transition;
+    }
+
+    payment = transition.payment;
+
+    await couponService.confirmCoupon(payment);
+    await marketingService.confirmVoucher(payment);
+    await walletService.capturePayment(payment);
+    const receipt = await receiptService.issueReceipt(payment);
 
-    // Marcar produto como vendido
-    product.vendido = true;
-    product.disponivel = false;
-    product.dataVenda = new Date();
-    product.compradoPor = payment.userId;
-    await product.save();
+    // Credenciais para envio ao comprador; são marcadas como reveladas quando a DM chega
+    const reveal = await vault.readDeliveredCredentials(payment._id);
+    const accountCredentials = reveal.success ? reveal.credentials : null;
 
     // Registrar atividade para o usuário
     await userService.recordActivity(payment.userId, 'PRODUCT_PURCHASE', {
@@ -126,11 +716,7 @@ async function approvePayment(paymentId, adminId) {
     });
 
     // Adicionar pontos de fidelidade
-    const loyaltyPoints = Math.floor(payment.amount);
-    await marketingService.addPoints(payment.userId, loyaltyPoints, 'PURCHASE', {
-      paymentId: payment._id,
-      productId: product._id
-    });
+    await _awardPurchasePoints(payment, payment.amount, product._id);
 
     // Registrar na auditoria
     await auditLogger.log({
@@ -159,7 +745,10 @@ async function approvePayment(paymentId, adminId) {
     return {
       success: true,
       payment,
-      accountCredentials
+      accountCredentials,
+      deliveries: [{ productName: payment.productName, credentials: accountCredentials }],
+      failedItems: [],
+      receipt
     };
   } catch (error) {
     logger.error(`Erro ao aprovar pagamento ${paymentId}:`, error);
@@ -171,6 +760,35 @@ async function approvePayment(paymentId, adminId) {
   }
 }
 
+/**
+ * Aprova um pagamento pendente
+ * @param {string} paymentId - ID do pagamento
+ * @param {string} adminId - ID do administrador que aprovou
+ * @returns {Promise<Object>} - Resultado da operação
+ */
+async function approvePayment(paymentId, adminId) {
+  try {
+    const lock = await _acquireApprovalLock(paymentId, adminId);
+
+    if (!lock.success) {
+      return lock;
+    }
+
+    try {
+      return await _processApproval(paymentId, adminId);
+    } finally {
+      await _releaseApprovalLock(paymentId);
+    }
+  } catch (error) {
+    logger.error(`Erro ao aprovar pagamento ${paymentId}:`, error);
+    return {
+      success: false,
+      message: 'Erro ao processar aprovação',
+      payment: null
+    };
+  }
+}
+
 /**
  * Rejeita um pagamento pendente
  * @param {string} paymentId - ID do pagamento
@@ -190,29 +808,31 @@ async function rejectPayment(paymentId, reason, adminId) {
       };
     }
 
-    // Verificar se já está aprovado ou rejeitado
-    if (payment.status === 'COMPLETED') {
-      return {
-        success: false,
-        message: 'Pagamento já foi aprovado e não pode ser rejeitado',
-        payment
-      };
-    }
+    // Pagamentos assumidos por outro administrador ou com aprovação em andamento
+    const claimedByOther = payment.review && payment.review.claimedBy && payment.review.claimedBy !== adminId &&
+      Date.now() - payment.review.claimedAt.getTime() < config.payment.approvalQueue.claimTimeout * 1000;
+    const beingApproved = payment.review && payment.review.lockedAt &&
+      Date.now() - payment.review.lockedAt.getTime() < APPROVAL_LOCK_TTL;
 
-    if (payment.status === 'REJECTED') {
+    if (claimedByOther || beingApproved) {
       return {
         success: false,
-        message: 'Pagamento já foi rejeitado anteriormente',
+        message: claimedByOther
+          ? `Pagamento em análise por <@${payment.review.claimedBy}>`
+          : 'Outro administrador está aprovando este pagamento',
         payment
       };
     }
 
-    // Atualizar pagamento
-    payment.status = 'REJECTED';
-    payment.rejectedAt = new Date();
-    payment.rejectionReason = reason;
-    payment.rejectedBy = adminId;
+    // Atualizar pagamento (apenas pendentes ou em análise)
+    const result = await lifecycle.transition(payment, 'REJECTED', { actor: adminId, reason });
+
+    if (!result.success) {
+      return result;
+    }
 
+    // Liberar reservas do produto
+    await paymentService.releaseReservations(payment);
     await payment.save();
 
     // Registrar atividade para o usuário
@@ -264,25 +884,195 @@ async function rejectPayment(paymentId, reason, adminId) {
 }
 
 /**
- * Obtém pagamentos pendentes para aprovação
- * @returns {Promise<Array>} - Lista de pagamentos pendentes
+ * Filtro dos pagamentos da fila de aprovação: em análise (mesmo após a validade)
+ * ou pendentes ainda válidos
+ * @returns {Object} - Filtro do Mongo
+ * @private
+ */
+function _queueFilter() {
+  return {
+    status: { $in: QUEUE_STATUS },
+    $or: [
+      { status: 'PROCESSING' },
+      { expiresAt: { $gt: new Date() } }
+    ]
+  };
+}
+
+/**
+ * Obtém pagamentos pendentes para aprovação, paginados no banco
+ * @param {Object} [options] - Paginação ({ page = 1, pageSize = 10 })
+ * @returns {Promise<Object>} - Resultado ({ payments, total, page, totalPages })
  */
-async function getPendingApprovals() {
+async function getPendingApprovals({ page = 1, pageSize = 10 } = {}) {
   try {
-    const pendingPayments = await Payment.find({
-      status: 'PENDING',
-      expiresAt: { $gt: new Date() }
-    })
-    .sort({ createdAt: -1 })
-    .populate('productId', 'nome tipo preco');
-
-    return pendingPayments;
+    const query = _queueFilter();
+    const total = await Payment.countDocuments(query);
+    const totalPages = Math.max(1, Math.ceil(total / pageSize));
+    const currentPage = Math.min(Math.max(1, page), totalPages);
+
+    const payments = await Payment.find(query)
+      .sort({ createdAt: -1 })
+      .skip((currentPage - 1) * pageSize)
+      .limit(pageSize)
+      .populate('productId', 'nome tipo preco');
+
+    return {
+      payments,
+      total,
+      page: currentPage,
+      totalPages
+    };
   } catch (error) {
     logger.error('Erro ao obter pagamentos pendentes para aprovação:', error);
+    return {
+      payments: [],
+      total: 0,
+      page: 1,
+      totalPages: 1
+    };
+  }
+}
+
+/**
+ * Assume a análise de um pagamento da fila
+ * @param {string} paymentId - ID do pagamento
+ * @param {string} adminId - ID do administrador
+ * @returns {Promise<Object>} - Resultado com o pagamento atualizado
+ */
+async function claimPayment(paymentId, adminId) {
+  try {
+    const payment = await Payment.findOneAndUpdate(
+      { _id: paymentId, status: { $in: QUEUE_STATUS }, ..._claimableBy(adminId) },
+      { $set: { 'review.claimedBy': adminId, 'review.claimedAt': new Date() } },
+      { new: true }
+    );
+
+    if (!payment) {
+      return await _explainUnavailable(paymentId, adminId);
+    }
+
+    await auditLogger.log({
+      action: 'PAYMENT_CLAIMED',
+      category: 'TRANSACTION',
+      severity: 'INFO',
+      status: 'SUCCESS',
+      user: {
+        id: adminId
+      },
+      payment: {
+        id: payment._id,
+        amount: payment.amount
+      }
+    });
+
+    logger.info(`Pagamento ${paymentId} assumido por ${adminId}`);
+    return {
+      success: true,
+      payment
+    };
+  } catch (error) {
+    logger.error(`Erro ao assumir pagamento ${paymentId}:`, error);
+    return {
+      success: false,
+      message: 'Erro ao assumir pagamento',
+      payment: null
+    };
+  }
+}
+
+/**
+ * Libera a análise assumida por um administrador
+ * @param {string} paymentId - ID do pagamento
+ * @param {string} adminId - ID do administrador
+ * @returns {Promise<Object>} - Resultado com o pagamento atualizado
+ */
+async function releasePaymentClaim(paymentId, adminId) {
+  try {
+    const payment = await Payment.findOneAndUpdate(
+      { _id: paymentId, 'review.claimedBy': adminId },
+      { $unset: { 'review.claimedBy': 1, 'review.claimedAt': 1 } },
+      { new: true }
+    );
+
+    if (!payment) {
+      return {
+        success: false,
+        message: 'Você não está analisando este pagamento',
+        payment: null
+      };
+    }
+
+    logger.info(`Pagamento ${paymentId} liberado por ${adminId}`);
+    return {
+      success: true,
+      payment
+    };
+  } catch (error) {
+    logger.error(`Erro ao liberar pagamento ${paymentId}:`, error);
+    return {
+      success: false,
+      message: 'Erro ao liberar pagamento',
+      payment: null
+    };
+  }
+}
+
+/**
+ * Obtém os pagamentos que devem aparecer na fila de aprovação
+ * Pendentes ainda dentro do prazo e pagamentos em análise, do mais antigo ao mais novo
+ * @returns {Promise<Array>} - Lista de pagamentos
+ */
+async function getApprovalQueue() {
+  try {
+    return await Payment.find(_queueFilter()).sort({ createdAt: 1 });
+  } catch (error) {
+    logger.error('Erro ao obter fila de aprovação:', error);
+    return [];
+  }
+}
+
+/**
+ * Obtém os pagamentos que possuem card publicado na fila
+ * @returns {Promise<Array>} - Lista de pagamentos
+ */
+async function getQueuedCards() {
+  try {
+    return await Payment.find({ 'review.queueMessageId': { $exists: true } })
+      .select('status review expiresAt');
+  } catch (error) {
+    logger.error('Erro ao obter cards da fila de aprovação:', error);
     return [];
   }
 }
 
+/**
+ * Registra (ou remove, sem messageId) o card de um pagamento na fila
+ * @param {string} paymentId - ID do pagamento
+ * @param {string} [channelId] - ID do canal da fila
+ * @param {string} [messageId] - ID da mensagem do card
+ */
+async function setQueueMessage(paymentId, channelId, messageId) {
+  const update = messageId
+    ? { $set: { 'review.queueChannelId': channelId, 'review.queueMessageId': messageId } }
+    : { $unset: { 'review.queueChannelId': 1, 'review.queueMessageId': 1 } };
+
+  await Payment.updateOne({ _id: paymentId }, update);
+}
+
+/**
+ * Registra o envio de um alerta de atraso
+ * @param {string} paymentId - ID do pagamento
+ * @returns {Promise<Object|null>} - Pagamento atualizado
+ */
+async function recordEscalation(paymentId) {
+  return Payment.findOneAndUpdate(
+    { _id: paymentId },
+    { $set: { 'review.lastEscalatedAt': new Date() }, $inc: { 'review.escalationLevel': 1 } },
+    { new: true }
+  );
+}
+
 /**
  * Obtém detalhes de um pagamento específico
  * @param {string} paymentId - ID do pagamento
@@ -304,9 +1094,77 @@ async function getPaymentDetails(paymentId) {
   }
 }
 
+/**
+ * Obtém as entregas de um pagamento aprovado cujos dados de acesso ainda não chegaram ao comprador
+ * Usado para reenviar a entrega quando a DM do comprador estava fechada na aprovação
+ * @param {string} paymentId - ID do pagamento
+ * @returns {Promise<Object>} - Resultado ({ success, message, payment, deliveries })
+ */
+async function getPendingDeliveries(paymentId) {
+  try {
+    const payment = await Payment.findById(paymentId);
+
+    if (!payment) {
+      return {
+        success: false,
+        message: 'Pagamento não encontrado'
+      };
+    }
+
+    if (payment.status !== 'COMPLETED') {
+      return {
+        success: false,
+        message: 'Apenas pagamentos aprovados têm entregas para reenviar'
+      };
+    }
+
+    const entries = payment.items && payment.items.length > 0
+      ? payment.items
+        .filter(item => item.status === 'DELIVERED')
+        .map(item => ({ itemId: item._id, productName: item.productName, details: item.deliveryDetails }))
+      : [{ itemId: undefined, productName: payment.productName, details: payment.deliveryDetails }];
+
+    const deliveries = [];
+    for (const entry of entries) {
+      if (!entry.details || !entry.details.accessCredentials || entry.details.revealedAt) continue;
+
+      const reveal = await vault.readDeliveredCredentials(payment._id, entry.itemId);
+      if (reveal.success) {
+        deliveries.push({ itemId: entry.itemId, productName: entry.productName, credentials: reveal.credentials });
+      }
+    }
+
+    if (deliveries.length === 0) {
+      return {
+        success: false,
+        message: 'Não há dados de acesso pendentes de entrega neste pagamento'
+      };
+    }
+
+    return {
+      success: true,
+      payment,
+      deliveries
+    };
+  } catch (error) {
+    logger.error(`Erro ao obter entregas pendentes do pagamento ${paymentId}:`, error);
+    return {
+      success: false,
+      message: 'Erro ao obter entregas pendentes'
+    };
+  }
+}
+
 module.exports = {
   approvePayment,
   rejectPayment,
+  claimPayment,
+  releasePaymentClaim,
   getPendingApprovals,
-  getPaymentDetails
+  getApprovalQueue,
+  getQueuedCards,
+  setQueueMessage,
+  recordEscalation,
+  getPaymentDetails,
+  getPendingDeliveries
 };
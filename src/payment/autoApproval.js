@@ -0,0 +1,255 @@
+/**
+ * Aprovação automática de pagamentos de baixo risco
+ * Pagamentos que entram em análise passam por uma sequência de regras; a primeira que
+ * falhar mantém o pagamento na fila manual. Todas as decisões são registradas na auditoria
+ */
+const config = require('../config');
+const Product = require('../models/product');
+const fraudDetectionService = require('../ai/fraud');
+const loyaltyService = require('../marketing/loyalty');
+const approvalService = require('./approval');
+const lifecycle = require('./lifecycle');
+const { logger } = require('../utils/helpers');
+const auditLogger = require('../audit/logger');
+
+// Ação registrada na auditoria para cada decisão
+const DECISION_ACTION = 'AUTO_APPROVAL_DECISION';
+
+// Regras avaliadas em ordem; a primeira que falhar define a decisão
+const RULES = [
+  {
+    id: 'BANK_NOT_CONFIRMED',
+    description: 'Pagamento sem confirmação do banco via webhook',
+    passes: (context, policy) => !policy.requireBankConfirmation || context.bankConfirmed
+  },
+  {
+    id: 'PAYER_FLAGGED',
+    description: 'Pagador sinalizado na confirmação bancária',
+    passes: (context) => context.payerFlags.length === 0
+  },
+  {
+    id: 'PRODUCT_TYPE_NOT_ALLOWED',
+    description: 'Tipo de produto fora da política de aprovação automática',
+    passes: (context, policy) => context.productTypes.every(tipo =>
+      tipo &&
+      !policy.blockedProductTypes.includes(tipo) &&
+      (policy.allowedProductTypes.length === 0 || policy.allowedProductTypes.includes(tipo)))
+  },
+  {
+    id: 'LOYALTY_LEVEL_TOO_LOW',
+    description: 'Nível de fidelidade abaixo do mínimo',
+    passes: (context, policy) => context.loyaltyLevel >= policy.minLoyaltyLevel
+  },
+  {
+    id: 'AMOUNT_ABOVE_LIMIT',
+    description: 'Valor acima do limite do nível de fidelidade',
+    passes: (context) => context.amount <= context.amountLimit
+  },
+  {
+    id: 'FRAUD_RISK',
+    description: 'Pontuação de risco de fraude acima do permitido',
+    passes: (context, policy) => context.risk.approved && context.risk.score <= policy.maxRiskScore
+  }
+];
+
+/**
+ * Reúne os dados usados pelas regras
+ * @param {Object} payment - Documento do pagamento
+ * @returns {Promise<Object>} - Contexto da decisão
+ * @private
+ */
+async function _buildContext(payment) {
+  const policy = config.payment.autoApproval;
+  const productIds = payment.items && payment.items.length > 0
+    ? payment.items.map(item => item.productId)
+    : [payment.productId];
+
+  const products = await Product.find({ _id: { $in: productIds } }).select('tipo');
+  const productTypes = productIds.map(productId => {
+    const product = products.find(p => p._id.toString() === productId.toString());
+    return product ? product.tipo : null;
+  });
+
+  const loyalty = await loyaltyService.getUserPoints(payment.userId);
+
+  const risk = await fraudDetectionService.verifyTransaction({
+    userId: payment.userId,
+    productId: payment.productId,
+    amount: payment.amount,
+    paymentMethod: payment.method
+  });
+
+  return {
+    amount: payment.amount,
+    // Saldo da carteira dispensa a confirmação do banco; criptomoedas são confirmadas pela blockchain
+    bankConfirmed: payment.status === 'PROCESSING' && (payment.method === 'WALLET' ||
+      (payment.method === 'CRYPTO' && Boolean(payment.cryptoDetails && payment.cryptoDetails.confirmedAt)) ||
+      ['approved', 'completed'].includes(payment.bankInfo && payment.bankInfo.status)),
+    payerFlags: (payment.riskFlags || []).map(flag => flag.code),
+    productTypes,
+    loyaltyLevel: loyalty.level,
+    amountLimit: policy.amountLimits[loyalty.level] || 0,
+    risk: {
+      approved: risk.approved,
+      score: risk.score,
+      reasons: risk.reasons
+    }
+  };
+}
+
+/**
+ * Avalia a política de aprovação automática para um pagamento e registra a decisão
+ * @param {Object} payment - Documento do pagamento
+ * @returns {Promise<Object>} - Decisão ({ approve, rule, reason, dryRun, context })
+ */
+async function evaluatePayment(payment) {
+  const policy = config.payment.autoApproval;
+  const context = await _buildContext(payment);
+  const failed = RULES.find(rule => !rule.passes(context, policy));
+
+  const decision = {
+    approve: !failed,
+    rule: failed ? failed.id : 'ALL_RULES_PASSED',
+    reason: failed ? failed.description : 'Pagamento dentro da política de aprovação automática',
+    dryRun: policy.mode === 'dry-run',
+    context
+  };
+
+  await auditLogger.log({
+    action: DECISION_ACTION,
+    category: 'TRANSACTION',
+    severity: 'INFO',
+    status: decision.approve ? 'SUCCESS' : 'INFO',
+    user: {
+      id: policy.systemAdminId
+    },
+    target: {
+      id: payment.userId,
+      username: payment.userName
+    },
+    payment: {
+      id: payment._id,
+      amount: payment.amount,
+      method: payment.method
+    },
+    details: {
+      decision: decision.approve ? 'APPROVE' : 'MANUAL',
+      rule: decision.rule,
+      reason: decision.reason,
+      dryRun: decision.dryRun,
+      ...context
+    }
+  });
+
+  return decision;
+}
+
+/**
+ * Avalia um pagamento e, se a política permitir e não estiver em modo de simulação,
+ * aprova-o em nome do sistema
+ * @param {Object} payment - Documento do pagamento
+ * @returns {Promise<Object>} - Decisão e resultado da aprovação ({ decision, result })
+ */
+async function processPayment(payment) {
+  try {
+    const decision = await evaluatePayment(payment);
+
+    if (!decision.approve) {
+      logger.debug(`Pagamento ${payment._id} mantido para aprovação manual (${decision.rule})`);
+      return { decision, result: null };
+    }
+
+    if (decision.dryRun) {
+      logger.info(`[Simulação] Pagamento ${payment._id} seria aprovado automaticamente`);
+      return { decision, result: null };
+    }
+
+    const result = await approvalService.approvePayment(payment._id, config.payment.autoApproval.systemAdminId);
+
+    if (result.success) {
+      logger.info(`Pagamento ${payment._id} aprovado automaticamente`);
+    } else {
+      logger.warn(`Aprovação automática do pagamento ${payment._id} não concluída: ${result.message}`);
+    }
+
+    return { decision, result };
+  } catch (error) {
+    logger.error(`Erro na aprovação automática do pagamento ${payment._id}:`, error);
+    return { decision: null, result: null };
+  }
+}
+
+/**
+ * Passa a avaliar os pagamentos que entram em análise
+ * @param {Function} [onResult] - Chamada após cada tentativa de aprovação ({ decision, result })
+ * @returns {boolean} - Verdadeiro se a política está ativa
+ */
+function start(onResult) {
+  const { mode } = config.payment.autoApproval;
+
+  if (mode !== 'on' && mode !== 'dry-run') {
+    logger.info('Aprovação automática desativada');
+    return false;
+  }
+
+  const evaluate = async ({ payment }) => {
+    const outcome = await processPayment(payment);
+
+    if (outcome.result && onResult) {
+      await onResult(outcome);
+    }
+  };
+
+  // Pagamentos em análise pelo comprovante são reavaliados quando o banco confirma
+  lifecycle.on(lifecycle.PAYMENT_EVENTS.PROCESSING, evaluate);
+  lifecycle.on(lifecycle.PAYMENT_EVENTS.BANK_CONFIRMED, evaluate);
+
+  logger.info(`Aprovação automática iniciada (modo: ${mode})`);
+  return true;
+}
+
+/**
+ * Resume as decisões da política em um período
+ * Em modo de simulação, mostra o que teria sido aprovado automaticamente
+ * @param {Date} startDate - Início do período
+ * @returns {Promise<Object>} - Relatório ({ evaluated, approved, approvedAmount, dryRun, byRule })
+ */
+async function getDecisionReport(startDate) {
+  const { logs } = await auditLogger.searchLogs(
+    { action: DECISION_ACTION, startDate },
+    { limit: 5000 }
+  );
+
+  const report = {
+    evaluated: logs.length,
+    approved: 0,
+    approvedAmount: 0,
+    dryRun: 0,
+    byRule: {}
+  };
+
+  for (const entry of logs) {
+    const details = entry.details || {};
+
+    report.byRule[details.rule] = (report.byRule[details.rule] || 0) + 1;
+
+    if (details.decision === 'APPROVE') {
+      report.approved++;
+      report.approvedAmount += entry.payment && entry.payment.amount ? entry.payment.amount : 0;
+      if (details.dryRun) {
+        report.dryRun++;
+      }
+    }
+  }
+
+  report.approvedAmount = Math.round(report.approvedAmount * 100) / 100;
+  return report;
+}
+
+module.exports = {
+  RULES,
+  evaluatePayment,
+  processPayment,
+  start,
+  getDecisionReport
+};
@@ -0,0 +1,298 @@
+/**
+ * Codificador e decodificador de BR Code (padrão EMV MPM do Banco Central)
+ * usado no PIX "Copia e Cola" e nos QR Codes de pagamento
+ */
+const { removeAccents } = require('../utils/helpers');
+
+// Identificadores dos campos EMV utilizados pelo PIX
+const FIELDS = {
+  PAYLOAD_FORMAT: '00',
+  POINT_OF_INITIATION: '01',
+  MERCHANT_ACCOUNT: '26',
+  MERCHANT_CATEGORY: '52',
+  CURRENCY: '53',
+  AMOUNT: '54',
+  COUNTRY: '58',
+  MERCHANT_NAME: '59',
+  MERCHANT_CITY: '60',
+  ADDITIONAL_DATA: '62',
+  CRC: '63'
+};
+
+// Subcampos do campo 26 (Merchant Account Information)
+const ACCOUNT_FIELDS = {
+  GUI: '00',
+  KEY: '01',
+  DESCRIPTION: '02'
+};
+
+// Subcampo do campo 62 (Additional Data Field Template)
+const ADDITIONAL_FIELDS = {
+  TXID: '05'
+};
+
+const PIX_GUI = 'br.gov.bcb.pix';
+const CURRENCY_BRL = '986';
+const MAX_NAME_LENGTH = 25;
+const MAX_CITY_LENGTH = 15;
+const MAX_TXID_LENGTH = 25;
+
+/**
+ * Monta um campo no formato ID + tamanho + valor
+ * @param {string} id - Identificador do campo (2 dígitos)
+ * @param {string} value - Valor do campo
+ * @returns {string} - Campo codificado
+ * @private
+ */
+function _tlv(id, value) {
+  const text = String(value);
+
+  if (text.length > 99) {
+    throw new Error(`Campo ${id} excede o tamanho máximo de 99 caracteres`);
+  }
+
+  return `${id}${text.length.toString().padStart(2, '0')}${text}`;
+}
+
+/**
+ * Remove acentos e caracteres não permitidos de um texto
+ * @param {string} text - Texto original
+ * @param {number} maxLength - Tamanho máximo
+ * @returns {string} - Texto normalizado
+ * @private
+ */
+function _sanitize(text, maxLength) {
+  return removeAccents(String(text || ''))
+    .replace(/[^A-Za-z0-9 .,\-/@]/g, '')
+    .trim()
+    .substring(0, maxLength);
+}
+
+/**
+ * Calcula o CRC16-CCITT (polinômio 0x1021, valor inicial 0xFFFF)
+ * @param {string} payload - Conteúdo sobre o qual calcular o CRC
+ * @returns {string} - CRC em 4 dígitos hexadecimais maiúsculos
+ */
+function crc16(payload) {
+  let crc = 0xFFFF;
+
+  for (const byte of Buffer.from(payload, 'utf8')) {
+    crc ^= byte << 8;
+
+    for (let i = 0; i < 8; i++) {
+      crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) : (crc << 1);
+      crc &= 0xFFFF;
+    }
+  }
+
+  return crc.toString(16).toUpperCase().padStart(4, '0');
+}
+
+/**
+ * Normaliza a chave PIX de acordo com seu tipo
+ * @param {string} keyType - Tipo da chave (email, cpf, cnpj, telefone, phone, random)
+ * @param {string} keyValue - Valor da chave
+ * @returns {string} - Chave no formato aceito pelo DICT
+ */
+function formatPixKey(keyType, keyValue) {
+  const value = String(keyValue || '').trim();
+
+  if (!value) {
+    throw new Error('Chave PIX não configurada');
+  }
+
+  switch ((keyType || '').toLowerCase()) {
+    case 'email':
+      return value.toLowerCase();
+
+    case 'cpf':
+    case 'cnpj': {
+      const digits = value.replace(/\D/g, '');
+      if (digits.length !== 11 && digits.length !== 14) {
+        throw new Error('Chave PIX de CPF/CNPJ inválida');
+      }
+      return digits;
+    }
+
+    case 'telefone':
+    case 'phone': {
+      let digits = value.replace(/\D/g, '');
+      if (!digits.startsWith('55') || digits.length <= 11) {
+        digits = `55${digits}`;
+      }
+      return `+${digits}`;
+    }
+
+    case 'random':
+    case 'aleatoria':
+      return value.toLowerCase();
+
+    default:
+      throw new Error(`Tipo de chave PIX não suportado: ${keyType}`);
+  }
+}
+
+/**
+ * Gera um txid válido (alfanumérico, até 25 caracteres)
+ * @param {string} id - Identificador de origem (ex.: _id do pagamento)
+ * @returns {string} - txid
+ */
+function formatTxId(id) {
+  const txid = String(id || '').replace(/[^A-Za-z0-9]/g, '').substring(0, MAX_TXID_LENGTH);
+  return txid || '***';
+}
+
+/**
+ * Gera o payload BR Code do PIX
+ * @param {Object} data - Dados do pagamento
+ * @param {string} data.keyType - Tipo da chave PIX
+ * @param {string} data.keyValue - Valor da chave PIX
+ * @param {string} data.merchantName - Nome do recebedor
+ * @param {string} data.merchantCity - Cidade do recebedor
+ * @param {number} [data.amount] - Valor do pagamento
+ * @param {string} [data.txid] - Identificador da transação
+ * @param {string} [data.description] - Descrição exibida ao pagador
+ * @returns {string} - Código PIX "Copia e Cola"
+ */
+function encode(data) {
+  const key = formatPixKey(data.keyType, data.keyValue);
+  const name = _sanitize(data.merchantName, MAX_NAME_LENGTH);
+  const city = _sanitize(data.merchantCity, MAX_CITY_LENGTH);
+
+  if (!name || !city) {
+    throw new Error('Nome e cidade do recebedor são obrigatórios');
+  }
+
+  let accountInfo = _tlv(ACCOUNT_FIELDS.GUI, PIX_GUI) + _tlv(ACCOUNT_FIELDS.KEY, key);
+
+  if (data.description) {
+    // O campo 26 inteiro não pode passar de 99 caracteres
+    const available = 99 - accountInfo.length - 4;
+    const description = _sanitize(data.description, available);
+    if (description) {
+      accountInfo += _tlv(ACCOUNT_FIELDS.DESCRIPTION, description);
+    }
+  }
+
+  let payload = _tlv(FIELDS.PAYLOAD_FORMAT, '01') +
+    _tlv(FIELDS.MERCHANT_ACCOUNT, accountInfo) +
+    _tlv(FIELDS.MERCHANT_CATEGORY, '0000') +
+    _tlv(FIELDS.CURRENCY, CURRENCY_BRL);
+
+  if (data.amount !== undefined && data.amount !== null) {
+    const amount = Number(data.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new Error('Valor do pagamento inválido');
+    }
+    payload += _tlv(FIELDS.AMOUNT, amount.toFixed(2));
+  }
+
+  payload += _tlv(FIELDS.COUNTRY, 'BR') +
+    _tlv(FIELDS.MERCHANT_NAME, name) +
+    _tlv(FIELDS.MERCHANT_CITY, city) +
+    _tlv(FIELDS.ADDITIONAL_DATA, _tlv(ADDITIONAL_FIELDS.TXID, formatTxId(data.txid)));
+
+  // O CRC é calculado incluindo o ID e o tamanho do próprio campo
+  payload += `${FIELDS.CRC}04`;
+  return payload + crc16(payload);
+}
+
+/**
+ * Separa uma string EMV em campos
+ * @param {string} payload - Conteúdo a ser lido
+ * @returns {Object} - Mapa de ID para valor
+ * @private
+ */
+function _parseTLV(payload) {
+  const fields = {};
+  let position = 0;
+
+  while (position < payload.length) {
+    const id = payload.substring(position, position + 2);
+    const length = parseInt(payload.substring(position + 2, position + 4), 10);
+
+    if (!/^\d{2}$/.test(id) || Number.isNaN(length)) {
+      throw new Error(`Campo malformado na posição ${position}`);
+    }
+
+    const value = payload.substring(position + 4, position + 4 + length);
+    if (value.length !== length) {
+      throw new Error(`Campo ${id} truncado`);
+    }
+
+    fields[id] = value;
+    position += 4 + length;
+  }
+
+  return fields;
+}
+
+/**
+ * Decodifica um código PIX "Copia e Cola"
+ * @param {string} payload - Código PIX
+ * @returns {Object} - Dados extraídos do código
+ */
+function decode(payload) {
+  const fields = _parseTLV(String(payload || '').trim());
+  const account = fields[FIELDS.MERCHANT_ACCOUNT] ? _parseTLV(fields[FIELDS.MERCHANT_ACCOUNT]) : {};
+  const additional = fields[FIELDS.ADDITIONAL_DATA] ? _parseTLV(fields[FIELDS.ADDITIONAL_DATA]) : {};
+
+  return {
+    payloadFormat: fields[FIELDS.PAYLOAD_FORMAT],
+    pointOfInitiation: fields[FIELDS.POINT_OF_INITIATION] || null,
+    gui: account[ACCOUNT_FIELDS.GUI],
+    key: account[ACCOUNT_FIELDS.KEY],
+    description: account[ACCOUNT_FIELDS.DESCRIPTION] || null,
+    merchantCategory: fields[FIELDS.MERCHANT_CATEGORY],
+    currency: fields[FIELDS.CURRENCY],
+    amount: fields[FIELDS.AMOUNT] ? parseFloat(fields[FIELDS.AMOUNT]) : null,
+    country: fields[FIELDS.COUNTRY],
+    merchantName: fields[FIELDS.MERCHANT_NAME],
+    merchantCity: fields[FIELDS.MERCHANT_CITY],
+    txid: additional[ADDITIONAL_FIELDS.TXID] || null,
+    crc: fields[FIELDS.CRC]
+  };
+}
+
+/**
+ * Valida um código PIX "Copia e Cola"
+ * @param {string} payload - Código PIX
+ * @returns {Object} - Resultado da validação
+ */
+function validate(payload) {
+  const text = String(payload || '').trim();
+  const errors = [];
+  let data = null;
+
+  try {
+    data = decode(text);
+  } catch (error) {
+    return { valid: false, errors: [error.message], data: null };
+  }
+
+  if (!text.endsWith(`${FIELDS.CRC}04${data.crc}`) || !data.crc) {
+    errors.push('CRC deve ser o último campo');
+  } else if (crc16(text.slice(0, -4)) !== data.crc.toUpperCase()) {
+    errors.push('CRC inválido');
+  }
+
+  if (data.payloadFormat !== '01') errors.push('Payload Format Indicator inválido');
+  if (!data.gui || data.gui.toLowerCase() !== PIX_GUI) errors.push('GUI do PIX ausente');
+  if (!data.key) errors.push('Chave PIX ausente');
+  if (data.currency !== CURRENCY_BRL) errors.push('Moeda deve ser 986 (BRL)');
+  if (data.country !== 'BR') errors.push('País deve ser BR');
+  if (!data.merchantName) errors.push('Nome do recebedor ausente');
+  if (!data.merchantCity) errors.push('Cidade do recebedor ausente');
+  if (!data.txid) errors.push('txid ausente');
+
+  return { valid: errors.length === 0, errors, data };
+}
+
+module.exports = {
+  encode,
+  decode,
+  validate,
+  crc16,
+  formatPixKey,
+  formatTxId
+};
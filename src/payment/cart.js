@@ -0,0 +1,282 @@
+/**
+ * Carrinho de compras
+ * O carrinho fica no cache (Redis) por usuário e é finalizado em um único pagamento PIX
+ */
+const config = require('../config');
+const cache = require('../utils/cache');
+const productService = require('../product/catalog');
+const marketingService = require('../marketing/promotions');
+const paymentService = require('./pix');
+const { logger } = require('../utils/helpers');
+
+// Chave de cache do carrinho
+const CACHE_KEY_CART = 'cart:';
+
+/**
+ * Obtém o carrinho armazenado de um usuário
+ * @param {string} userId - ID do usuário
+ * @returns {Promise<Object>} - Carrinho ({ items: [{ productId, addedAt }] })
+ * @private
+ */
+async function _loadCart(userId) {
+  const cart = await cache.get(`${CACHE_KEY_CART}${userId}`);
+  return cart && Array.isArray(cart.items) ? cart : { items: [] };
+}
+
+/**
+ * Salva o carrinho de um usuário
+ * @param {string} userId - ID do usuário
+ * @param {Object} cart - Carrinho
+ * @returns {Promise<boolean>} - Verdadeiro se salvo
+ * @private
+ */
+async function _saveCart(userId, cart) {
+  cart.updatedAt = new Date();
+  return cache.set(`${CACHE_KEY_CART}${userId}`, cart, config.payment.cart.ttl);
+}
+
+/**
+ * Verifica se um produto pode ser comprado pelo usuário
+ * @param {Object} produto - Produto
+ * @param {string} userId - ID do usuário
+ * @returns {string|null} - Motivo da indisponibilidade ou null
+ * @private
+ */
+function _unavailableReason(produto, userId) {
+  if (!produto || !produto.disponivel || produto.vendido) {
+    return 'Produto não está mais disponível';
+  }
+
+  const reserva = productService.getActiveReservation(produto);
+  if (reserva) {
+    return reserva.userId === userId
+      ? 'Você já possui um pagamento pendente para este produto'
+      : 'Produto reservado por outro comprador';
+  }
+
+  return null;
+}
+
+/**
+ * Adiciona um produto ao carrinho
+ * @param {string} userId - ID do usuário
+ * @param {string} productId - ID do produto
+ * @returns {Promise<Object>} - Resultado da operação
+ */
+async function addToCart(userId, productId) {
+  try {
+    const produto = await productService.getProductById(productId);
+
+    if (!produto) {
+      return {
+        success: false,
+        message: 'Produto não encontrado'
+      };
+    }
+
+    const reason = _unavailableReason(produto, userId);
+    if (reason) {
+      return {
+        success: false,
+        message: reason
+      };
+    }
+
+    const cart = await _loadCart(userId);
+
+    if (cart.items.some(item => item.productId === produto._id.toString())) {
+      return {
+        success: false,
+        message: 'Este produto já está no seu carrinho'
+      };
+    }
+
+    if (cart.items.length >= config.payment.cart.maxItems) {
+      return {
+        success: false,
+        message: `O carrinho comporta no máximo ${config.payment.cart.maxItems} itens`
+      };
+    }
+
+    cart.items.push({
+      productId: produto._id.toString(),
+      addedAt: new Date()
+    });
+    await _saveCart(userId, cart);
+
+    return {
+      success: true,
+      product: produto,
+      itemCount: cart.items.length
+    };
+  } catch (error) {
+    logger.error(`Erro ao adicionar produto ${productId} ao carrinho de ${userId}:`, error);
+    return {
+      success: false,
+      message: 'Erro ao adicionar produto ao carrinho'
+    };
+  }
+}
+
+/**
+ * Remove um produto do carrinho
+ * @param {string} userId - ID do usuário
+ * @param {string} productId - ID do produto
+ * @returns {Promise<Object>} - Resultado da operação
+ */
+async function removeFromCart(userId, productId) {
+  try {
+    const cart = await _loadCart(userId);
+    const remaining = cart.items.filter(item => item.productId !== productId);
+
+    if (remaining.length === cart.items.length) {
+      return {
+        success: false,
+        message: 'Produto não está no seu carrinho'
+      };
+    }
+
+    cart.items = remaining;
+    await _saveCart(userId, cart);
+
+    return {
+      success: true,
+      itemCount: remaining.length
+    };
+  } catch (error) {
+    logger.error(`Erro ao remover produto ${productId} do carrinho de ${userId}:`, error);
+    return {
+      success: false,
+      message: 'Erro ao remover produto do carrinho'
+    };
+  }
+}
+
+/**
+ * Esvazia o carrinho de um usuário
+ * @param {string} userId - ID do usuário
+ * @returns {Promise<boolean>} - Verdadeiro se removido
+ */
+async function clearCart(userId) {
+  return cache.del(`${CACHE_KEY_CART}${userId}`);
+}
+
+/**
+ * Monta o resumo do carrinho com preços atualizados
+ * Itens que deixaram de estar disponíveis são removidos do carrinho
+ * @param {string} userId - ID do usuário
+ * @returns {Promise<Object>} - Resumo ({ lines, removed, subtotal, combo, total })
+ */
+async function getCartSummary(userId) {
+  const cart = await _loadCart(userId);
+  const removed = [];
+  let lines = [];
+
+  for (const item of cart.items) {
+    const produto = await productService.getProductById(item.productId);
+
+    if (_unavailableReason(produto, userId)) {
+      removed.push(produto ? produto.nome : item.productId);
+      continue;
+    }
+
+    // Promoções individuais primeiro; combos são aplicados sobre o carrinho
+    const pricing = await marketingService.getPromotionalPrice(produto._id, produto.preco, produto.tipo);
+
+    lines.push({
+      productId: produto._id.toString(),
+      productName: produto.nome,
+      productType: produto.tipo,
+      originalPrice: produto.preco,
+      price: pricing.discountedPrice,
+      promotion: pricing.hasDiscount ? pricing.promotion : null
+    });
+  }
+
+  if (removed.length > 0) {
+    cart.items = cart.items.filter(item => lines.some(line => line.productId === item.productId));
+    await _saveCart(userId, cart);
+  }
+
+  const subtotal = Math.round(lines.reduce((sum, line) => sum + line.price, 0) * 100) / 100;
+  const combo = await marketingService.getComboDiscount(lines);
+  lines = combo.lines;
+
+  return {
+    lines,
+    removed,
+    subtotal,
+    combo: combo.hasCombo ? { ...combo.promotion, discount: combo.discount } : null,
+    total: Math.round(lines.reduce((sum, line) => sum + line.price, 0) * 100) / 100
+  };
+}
+
+/**
+ * Finaliza o carrinho, gerando um único pagamento PIX para todos os itens
+ * @param {string} userId - ID do usuário
+ * @param {string} userName - Nome do usuário
+ * @param {string} [couponCode] - Código de cupom a aplicar sobre o pedido
+ * @param {Object} [options] - Opções
+ * @param {boolean} [options.useWallet] - Usar o saldo da carteira
+ * @returns {Promise<Object>} - Resultado com o pagamento criado
+ */
+async function checkout(userId, userName, couponCode, options = {}) {
+  try {
+    const summary = await getCartSummary(userId);
+
+    if (summary.lines.length === 0) {
+      return {
+        success: false,
+        message: summary.removed.length > 0
+          ? `Os itens do seu carrinho não estão mais disponíveis: ${summary.removed.join(', ')}`
+          : 'Seu carrinho está vazio',
+        summary
+      };
+    }
+
+    const names = summary.lines.map(line => line.productName).join(', ');
+
+    const payment = await paymentService.createPayment({
+      userId,
+      userName,
+      productId: summary.lines[0].productId,
+      productName: `Pedido (${summary.lines.length} itens): ${names}`.substring(0, 100),
+      amount: summary.total,
+      items: summary.lines.map(line => ({
+        productId: line.productId,
+        productName: line.productName,
+        originalPrice: line.originalPrice,
+        price: line.price
+      })),
+      combo: summary.combo ? {
+        promotionId: summary.combo.id,
+        title: summary.combo.title,
+        discount: summary.combo.discount
+      } : undefined,
+      couponCode: couponCode || undefined,
+      useWallet: Boolean(options.useWallet)
+    });
+
+    await clearCart(userId);
+
+    return {
+      success: true,
+      payment,
+      summary
+    };
+  } catch (error) {
+    logger.error(`Erro ao finalizar carrinho de ${userId}:`, error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+}
+
+module.exports = {
+  addToCart,
+  removeFromCart,
+  clearCart,
+  getCartSummary,
+  checkout
+};
@@ -0,0 +1,104 @@
+/**
+ * Blockchain simulada em memória para testes e desenvolvimento local
+ * Os depósitos são feitos com send() e só ganham confirmações quando blocos são minerados com mine()
+ */
+const crypto = require('crypto');
+
+// Endereços gerados: endereço -> { currency, reference, transactions }
+const addresses = new Map();
+
+// Altura do último bloco minerado
+let height = 0;
+
+/**
+ * Gera um endereço de depósito simulado
+ * O prefixo "fake" evita confundir o endereço com um endereço real da rede
+ * @param {string} currency - Moeda (ex.: USDT, LTC)
+ * @param {string} reference - Referência do pedido
+ * @returns {Promise<string>} - Endereço
+ */
+async function createAddress(currency, reference) {
+  const address = `fake${currency.toLowerCase()}_${crypto.randomBytes(16).toString('hex')}`;
+
+  addresses.set(address, {
+    currency,
+    reference: String(reference),
+    transactions: []
+  });
+
+  return address;
+}
+
+/**
+ * Lista os depósitos recebidos em um endereço
+ * @param {string} currency - Moeda
+ * @param {string} address - Endereço de depósito
+ * @returns {Promise<Array>} - Depósitos ({ hash, amount, confirmations })
+ */
+async function getTransactions(currency, address) {
+  const entry = addresses.get(address);
+
+  if (!entry || entry.currency !== currency) {
+    return [];
+  }
+
+  return entry.transactions.map(tx => ({
+    hash: tx.hash,
+    amount: tx.amount,
+    confirmations: tx.blockHeight ? height - tx.blockHeight + 1 : 0
+  }));
+}
+
+/**
+ * Simula um depósito no endereço (ainda sem confirmações)
+ * @param {string} address - Endereço de depósito
+ * @param {number} amount - Valor na unidade da moeda
+ * @returns {string} - Hash da transação
+ */
+function send(address, amount) {
+  const entry = addresses.get(address);
+
+  if (!entry) {
+    throw new Error(`Endereço desconhecido na blockchain simulada: ${address}`);
+  }
+
+  const hash = crypto.randomBytes(32).toString('hex');
+  entry.transactions.push({ hash, amount: Number(amount), blockHeight: null });
+
+  return hash;
+}
+
+/**
+ * Minera blocos, incluindo os depósitos pendentes no primeiro deles
+ * @param {number} [blocks=1] - Quantidade de blocos
+ * @returns {number} - Altura atual
+ */
+function mine(blocks = 1) {
+  for (const entry of addresses.values()) {
+    for (const tx of entry.transactions) {
+      if (!tx.blockHeight) {
+        tx.blockHeight = height + 1;
+      }
+    }
+  }
+
+  height += blocks;
+  return height;
+}
+
+/**
+ * Apaga todos os endereços e blocos simulados
+ */
+function reset() {
+  addresses.clear();
+  height = 0;
+}
+
+module.exports = {
+  name: 'fake',
+  createAddress,
+  getTransactions,
+  send,
+  mine,
+  reset
+};
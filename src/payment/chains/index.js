@@ -0,0 +1,50 @@
+/**
+ * Registro de adaptadores de blockchain usados nos pagamentos em criptomoeda
+ *
+ * Cada adaptador deve expor:
+ * - name {string}: identificador usado na configuração (payment.crypto.adapter)
+ * - createAddress(currency, reference) {Promise<string>}: gera um endereço de depósito exclusivo do pedido
+ * - getTransactions(currency, address) {Promise<Array>}: lista os depósitos recebidos no endereço em
+ *   [{ hash, amount, confirmations }], com o valor na unidade da moeda
+ */
+const adapters = new Map();
+
+/**
+ * Registra um adaptador de blockchain
+ * @param {Object} adapter - Adaptador da blockchain
+ */
+function registerChain(adapter) {
+  if (!adapter || !adapter.name ||
+      typeof adapter.createAddress !== 'function' ||
+      typeof adapter.getTransactions !== 'function') {
+    throw new Error('Adaptador de blockchain inválido');
+  }
+
+  adapters.set(adapter.name.toLowerCase(), adapter);
+}
+
+/**
+ * Obtém um adaptador pelo nome
+ * @param {string} name - Nome do adaptador
+ * @returns {Object|null} - Adaptador ou null se não registrado
+ */
+function getChain(name) {
+  return adapters.get(String(name || '').toLowerCase()) || null;
+}
+
+/**
+ * Lista os adaptadores registrados
+ * @returns {Array<string>} - Nomes dos adaptadores
+ */
+function listChains() {
+  return Array.from(adapters.keys());
+}
+
+// Adaptadores incluídos no sistema
+registerChain(require('./fake'));
+
+module.exports = {
+  registerChain,
+  getChain,
+  listChains
+};
@@ -0,0 +1,473 @@
+/**
+ * Disputas de pagamentos concluídos (PIX MED)
+ * Ao registrar uma disputa, o comprador é bloqueado pelo sistema antifraude e um pacote
+ * de evidências é montado a partir da trilha de auditoria, da entrega e das atividades do usuário
+ */
+const config = require('../config');
+const Dispute = require('../models/dispute');
+const Payment = require('../models/payment');
+const Receipt = require('../models/receipt');
+const userService = require('../user/profile');
+const fraudDetectionService = require('../ai/fraud');
+const lifecycle = require('./lifecycle');
+const { formatReceiptNumber } = require('./receipt');
+const { logger, formatDate, maskDocument } = require('../utils/helpers');
+const auditLogger = require('../audit/logger');
+
+// Transições permitidas a partir de cada status da disputa (WON e LOST são finais)
+const DISPUTE_TRANSITIONS = {
+  OPENED: ['EVIDENCE_SUBMITTED', 'WON', 'LOST'],
+  EVIDENCE_SUBMITTED: ['WON', 'LOST'],
+  WON: [],
+  LOST: []
+};
+
+// Descrição dos status exibida para a equipe
+const DISPUTE_STATUS_LABELS = {
+  OPENED: '🟠 Aberta',
+  EVIDENCE_SUBMITTED: '🔵 Defesa enviada',
+  WON: '🟢 Ganha',
+  LOST: '🔴 Perdida'
+};
+
+// Atividades do usuário relevantes para a defesa
+const RELEVANT_ACTIVITIES = ['PAYMENT_INITIATED', 'PRODUCT_PURCHASE', 'BUTTON_INTERACTION', 'MODAL_INTERACTION', 'SELECT_INTERACTION', 'COMMAND_USED'];
+
+/**
+ * Monta o pacote de evidências de um pagamento
+ * @param {Object} payment - Documento do pagamento
+ * @returns {Promise<Object>} - Evidências (pagamento, entrega, trilha de auditoria e atividades)
+ */
+async function buildEvidence(payment) {
+  const { logs } = await auditLogger.searchLogs(
+    { paymentId: payment._id.toString() },
+    { limit: 200, sort: { timestamp: 1 } }
+  );
+
+  const receipt = await Receipt.findOne({ paymentId: payment._id });
+
+  // Atividades do comprador desde a criação do pagamento
+  const history = await userService.getUserHistory(payment.userId, 100).catch(() => []);
+  const activities = history
+    .filter(activity => activity.timestamp >= payment.createdAt &&
+      (RELEVANT_ACTIVITIES.includes(activity.action) ||
+        (activity.data && String(activity.data.paymentId) === payment._id.toString())))
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .map(activity => {
+      const data = activity.data || {};
+      return {
+        action: activity.action,
+        timestamp: activity.timestamp,
+        detail: data.productName || data.buttonId || data.modalId || data.selectId || data.command || undefined
+      };
+    });
+
+  const deliveries = payment.items && payment.items.length > 0
+    ? payment.items.map(item => ({
+      productName: item.productName,
+      status: item.status,
+      deliveredAt: item.deliveryDetails && item.deliveryDetails.deliveredAt,
+      revealedAt: item.deliveryDetails && item.deliveryDetails.revealedAt
+    }))
+    : [{
+      productName: payment.productName,
+      status: payment.deliveryDetails && payment.deliveryDetails.deliveredAt ? 'DELIVERED' : 'PENDING',
+      deliveredAt: payment.deliveryDetails && payment.deliveryDetails.deliveredAt,
+      revealedAt: payment.deliveryDetails && payment.deliveryDetails.revealedAt
+    }];
+
+  const payer = payment.bankInfo && payment.bankInfo.payer;
+
+  return {
+    payment: {
+      id: payment._id.toString(),
+      buyer: `${payment.userName} (${payment.userId})`,
+      amount: payment.amount,
+      method: payment.method,
+      createdAt: payment.createdAt,
+      paidAt: payment.bankInfo && payment.bankInfo.paidAt,
+      bankTransactionId: payment.bankInfo && (payment.bankInfo.receiptId || payment.bankInfo.transactionId),
+      payer: payer && payer.name ? `${payer.name}${payer.document ? ` (${maskDocument(payer.document)})` : ''}` : undefined,
+      approvedBy: payment.approvalInfo && payment.approvalInfo.approvedBy,
+      completedAt: payment.completedAt,
+      receipt: receipt ? formatReceiptNumber(receipt.number) : undefined
+    },
+    deliveries,
+    auditTrail: logs.map(log => ({
+      timestamp: log.timestamp,
+      action: log.action,
+      status: log.status,
+      actor: log.user && log.user.id
+    })),
+    activities
+  };
+}
+
+/**
+ * Gera o pacote de evidências em texto, pronto para anexar à defesa no banco
+ * @param {Object} dispute - Documento da disputa
+ * @returns {Object} - Anexo ({ attachment, name })
+ */
+function getEvidenceFile(dispute) {
+  const bundle = dispute.evidence.bundle || {};
+  const info = bundle.payment || {};
+  const line = (label, value) => (value !== undefined && value !== null && value !== '' ? `${label}: ${value instanceof Date ? formatDate(value) : value}` : null);
+
+  const sections = [
+    `PACOTE DE EVIDÊNCIAS — DISPUTA ${dispute._id}`,
+    `Gerado em ${formatDate(dispute.evidence.generatedAt)}`,
+    '',
+    '== Pagamento ==',
+    line('Pedido', info.id),
+    line('Comprador', info.buyer),
+    line('Valor', info.amount !== undefined ? `R$ ${Number(info.amount).toFixed(2)}` : undefined),
+    line('Forma de pagamento', info.method),
+    line('Pagador', info.payer),
+    line('Identificador da transação', info.bankTransactionId),
+    line('Pedido criado em', info.createdAt),
+    line('Pago em', info.paidAt),
+    line('Aprovado em', info.completedAt),
+    line('Aprovado por', info.approvedBy),
+    line('Recibo', info.receipt),
+    line('Protocolo do MED', dispute.medId),
+    line('Motivo informado', dispute.reason),
+    '',
+    '== Entrega ==',
+    ...(bundle.deliveries || []).map(delivery =>
+      `${delivery.productName}: ${delivery.deliveredAt ? `entregue em ${formatDate(delivery.deliveredAt)}` : 'não entregue'}` +
+      (delivery.revealedAt ? `; dados de acesso enviados ao comprador em ${formatDate(delivery.revealedAt)}` : '')),
+    '',
+    '== Trilha de auditoria ==',
+    ...(bundle.auditTrail || []).map(entry => `${formatDate(entry.timestamp)}  ${entry.action} (${entry.status})${entry.actor ? ` por ${entry.actor}` : ''}`),
+    '',
+    '== Atividades do comprador ==',
+    ...(bundle.activities || []).map(activity => `${formatDate(activity.timestamp)}  ${activity.action}${activity.detail ? ` — ${activity.detail}` : ''}`)
+  ].filter(item => item !== null);
+
+  return {
+    attachment: Buffer.from(sections.join('\n'), 'utf8'),
+    name: `evidencias-${dispute._id}.txt`
+  };
+}
+
+/**
+ * Registra uma disputa (PIX MED) para um pagamento concluído
+ * O comprador é bloqueado e marcado no sistema antifraude automaticamente
+ * @param {string} paymentId - ID do pagamento
+ * @param {Object} data - Dados da notificação ({ medId, reason })
+ * @param {string} adminId - ID do administrador que registrou
+ * @returns {Promise<Object>} - Resultado ({ success, message, dispute, buyerBlocked })
+ */
+async function openDispute(paymentId, data, adminId) {
+  try {
+    const payment = await Payment.findById(paymentId);
+
+    if (!payment) {
+      return {
+        success: false,
+        message: 'Pagamento não encontrado'
+      };
+    }
+
+    if (payment.status !== 'COMPLETED') {
+      return {
+        success: false,
+        message: `Apenas pagamentos concluídos podem ser contestados (status atual: ${payment.status})`
+      };
+    }
+
+    const existing = await Dispute.findOne({ paymentId: payment._id });
+    if (existing) {
+      return {
+        success: false,
+        message: `Este pagamento já possui a disputa ${existing._id} (${DISPUTE_STATUS_LABELS[existing.status]})`
+      };
+    }
+
+    const day = 24 * 60 * 60 * 1000;
+    const now = new Date();
+
+    const dispute = await Dispute.create({
+      paymentId: payment._id,
+      userId: payment.userId,
+      userName: payment.userName,
+      amount: payment.amount,
+      medId: data.medId || undefined,
+      reason: data.reason || undefined,
+      evidenceDeadline: new Date(now.getTime() + config.payment.disputes.evidenceDeadlineDays * day),
+      resolutionDeadline: new Date(now.getTime() + config.payment.disputes.resolutionDeadlineDays * day),
+      evidence: {
+        generatedAt: now,
+        bundle: await buildEvidence(payment)
+      },
+      history: [{ status: 'OPENED', by: adminId, note: data.reason || undefined, at: now }],
+      openedBy: adminId,
+      createdAt: now
+    });
+
+    // Bloqueio automático e registro no antifraude (eleva a pontuação de risco do comprador)
+    const buyerBlocked = await fraudDetectionService.reportFraud({
+      userId: payment.userId,
+      transactionId: payment._id.toString(),
+      fraudType: 'PIX_MED',
+      evidence: {
+        disputeId: dispute._id.toString(),
+        medId: dispute.medId,
+        amount: payment.amount
+      }
+    });
+
+    if (!buyerBlocked) {
+      logger.warn(`Disputa ${dispute._id}: falha ao bloquear o comprador ${payment.userId} no antifraude; bloqueie manualmente`);
+    }
+
+    await auditLogger.log({
+      action: 'DISPUTE_OPENED',
+      category: 'SECURITY',
+      severity: buyerBlocked ? 'WARNING' : 'ERROR',
+      status: buyerBlocked ? 'WARNING' : 'ERROR',
+      user: {
+        id: adminId
+      },
+      target: {
+        id: payment.userId,
+        username: payment.userName
+      },
+      payment: {
+        id: payment._id,
+        amount: payment.amount,
+        method: payment.method
+      },
+      details: {
+        disputeId: dispute._id.toString(),
+        medId: dispute.medId,
+        reason: dispute.reason,
+        evidenceDeadline: dispute.evidenceDeadline,
+        buyerBlocked
+      }
+    });
+
+    logger.warn(`Disputa ${dispute._id} aberta para o pagamento ${paymentId} por ${adminId}` +
+      (buyerBlocked ? `; comprador ${payment.userId} bloqueado` : ''));
+
+    return {
+      success: true,
+      dispute,
+      buyerBlocked
+    };
+  } catch (error) {
+    // Registro simultâneo para o mesmo pagamento
+    if (error.code === 11000) {
+      return {
+        success: false,
+        message: 'Este pagamento já possui uma disputa'
+      };
+    }
+
+    logger.error(`Erro ao abrir disputa para o pagamento ${paymentId}:`, error);
+    return {
+      success: false,
+      message: 'Erro ao abrir disputa'
+    };
+  }
+}
+
+/**
+ * Altera o status de uma disputa
+ * @param {Object} dispute - Documento da disputa
+ * @param {string} to - Novo status
+ * @param {string} adminId - ID do administrador
+ * @param {string} [note] - Observação
+ * @returns {Promise<Object>} - Resultado ({ success, message })
+ * @private
+ */
+async function _transition(dispute, to, adminId, note) {
+  const from = dispute.status;
+
+  if (!DISPUTE_TRANSITIONS[from].includes(to)) {
+    return {
+      success: false,
+      message: `A disputa já está com status ${DISPUTE_STATUS_LABELS[from]}`
+    };
+  }
+
+  // Só grava se ninguém alterou a disputa desde a leitura
+  const update = {
+    $set: { status: to },
+    $push: { history: { status: to, by: adminId, note: note || undefined, at: new Date() } }
+  };
+
+  if (to === 'EVIDENCE_SUBMITTED') {
+    update.$set['evidence.submittedAt'] = new Date();
+    update.$set['evidence.submittedBy'] = adminId;
+  } else {
+    update.$set.resolvedAt = new Date();
+    update.$set.resolvedBy = adminId;
+  }
+
+  const updated = await Dispute.findOneAndUpdate({ _id: dispute._id, status: from }, update, { new: true });
+
+  if (!updated) {
+    return {
+      success: false,
+      message: 'A disputa foi alterada por outro administrador. Tente novamente.'
+    };
+  }
+
+  await auditLogger.log({
+    action: `DISPUTE_${to}`,
+    category: 'SECURITY',
+    severity: to === 'LOST' ? 'WARNING' : 'INFO',
+    status: 'SUCCESS',
+    user: {
+      id: adminId
+    },
+    target: {
+      id: dispute.userId,
+      username: dispute.userName
+    },
+    payment: {
+      id: dispute.paymentId,
+      amount: dispute.amount
+    },
+    details: {
+      disputeId: dispute._id.toString(),
+      from,
+      note
+    }
+  });
+
+  logger.info(`Disputa ${dispute._id}: ${from} → ${to} por ${adminId}`);
+  return {
+    success: true,
+    dispute: updated
+  };
+}
+
+/**
+ * Registra o envio da defesa ao banco
+ * @param {string} disputeId - ID da disputa
+ * @param {string} adminId - ID do administrador
+ * @param {string} [note] - Observação (ex.: protocolo da defesa)
+ * @returns {Promise<Object>} - Resultado ({ success, message, dispute, late })
+ */
+async function submitEvidence(disputeId, adminId, note) {
+  try {
+    const dispute = await Dispute.findById(disputeId);
+
+    if (!dispute) {
+      return {
+        success: false,
+        message: 'Disputa não encontrada'
+      };
+    }
+
+    const result = await _transition(dispute, 'EVIDENCE_SUBMITTED', adminId, note);
+
+    return result.success
+      ? { ...result, late: dispute.evidenceDeadline < new Date() }
+      : result;
+  } catch (error) {
+    logger.error(`Erro ao registrar defesa da disputa ${disputeId}:`, error);
+    return {
+      success: false,
+      message: 'Erro ao registrar defesa'
+    };
+  }
+}
+
+/**
+ * Registra a decisão do banco
+ * Disputa perdida: o valor foi devolvido ao pagador e o pagamento passa a reembolsado
+ * @param {string} disputeId - ID da disputa
+ * @param {string} outcome - WON ou LOST
+ * @param {string} adminId - ID do administrador
+ * @param {string} [note] - Observação
+ * @returns {Promise<Object>} - Resultado ({ success, message, dispute, buyerBlocked })
+ */
+async function resolveDispute(disputeId, outcome, adminId, note) {
+  try {
+    if (outcome !== 'WON' && outcome !== 'LOST') {
+      return {
+        success: false,
+        message: 'Resultado inválido'
+      };
+    }
+
+    const dispute = await Dispute.findById(disputeId);
+
+    if (!dispute) {
+      return {
+        success: false,
+        message: 'Disputa não encontrada'
+      };
+    }
+
+    const result = await _transition(dispute, outcome, adminId, note);
+
+    if (!result.success || outcome === 'WON') {
+      return result;
+    }
+
+    const payment = await Payment.findById(dispute.paymentId);
+    if (payment && lifecycle.canTransition(payment.status, 'REFUNDED')) {
+      const refund = await lifecycle.transition(payment, 'REFUNDED', {
+        actor: adminId,
+        reason: `Devolvido pelo banco via MED (disputa ${dispute._id})`
+      });
+
+      if (!refund.success) {
+        logger.warn(`Disputa ${dispute._id} perdida, mas o pagamento ${dispute.paymentId} não foi marcado como reembolsado: ${refund.message}`);
+      }
+    }
+
+    return result;
+  } catch (error) {
+    logger.error(`Erro ao resolver disputa ${disputeId}:`, error);
+    return {
+      success: false,
+      message: 'Erro ao resolver disputa'
+    };
+  }
+}
+
+/**
+ * Obtém uma disputa pelo ID da disputa ou do pagamento
+ * @param {string} id - ID da disputa ou do pagamento
+ * @returns {Promise<Object|null>} - Disputa ou null
+ */
+async function getDispute(id) {
+  try {
+    return await Dispute.findOne({ $or: [{ _id: id }, { paymentId: id }] });
+  } catch (error) {
+    logger.error(`Erro ao obter disputa ${id}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Lista disputas, das com prazo mais próximo para as mais distantes
+ * @param {string} [status] - Filtrar por status (padrão: em andamento)
+ * @param {number} [limit=15] - Quantidade máxima
+ * @returns {Promise<Array>} - Disputas
+ */
+async function listDisputes(status, limit = 15) {
+  try {
+    const query = status ? { status } : { status: { $in: ['OPENED', 'EVIDENCE_SUBMITTED'] } };
+    return await Dispute.find(query).sort({ evidenceDeadline: 1 }).limit(limit);
+  } catch (error) {
+    logger.error('Erro ao listar disputas:', error);
+    return [];
+  }
+}
+
+module.exports = {
+  DISPUTE_STATUS_LABELS,
+  buildEvidence,
+  getEvidenceFile,
+  openDispute,
+  submitEvidence,
+  resolveDispute,
+  getDispute,
+  listDisputes
+};
@@ -0,0 +1,246 @@
+/**
+ * Ciclo de vida dos pagamentos
+ * Único ponto do sistema que altera o status de um pagamento: valida a transição,
+ * grava com controle de concorrência otimista e emite eventos tipados
+ */
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const Payment = require('../models/payment');
+const { logger } = require('../utils/helpers');
+
+// Transições permitidas a partir de cada status (os demais são finais)
+const TRANSITIONS = {
+  PENDING: ['PROCESSING', 'COMPLETED', 'REJECTED', 'EXPIRED', 'CANCELLED', 'FAILED', 'REFUND_PENDING'],
+  // EXPIRED e FAILED: análise aberta só pelo comprovante, sem confirmação do banco
+  PROCESSING: ['COMPLETED', 'REJECTED', 'REFUND_PENDING', 'EXPIRED', 'FAILED'],
+  COMPLETED: ['REFUNDED'],
+  REFUND_PENDING: ['REFUNDED'],
+  FAILED: [],
+  REJECTED: [],
+  EXPIRED: [],
+  CANCELLED: [],
+  REFUNDED: []
+};
+
+// Eventos emitidos na criação e a cada transição
+const PAYMENT_EVENTS = {
+  CREATED: 'payment:created', // pagamento criado (PENDING)
+  TRANSITION: 'payment:transition', // qualquer mudança de status
+  PROCESSING: 'payment:processing',
+  COMPLETED: 'payment:completed',
+  REJECTED: 'payment:rejected',
+  EXPIRED: 'payment:expired',
+  CANCELLED: 'payment:cancelled',
+  FAILED: 'payment:failed',
+  REFUND_PENDING: 'payment:refund_pending',
+  REFUNDED: 'payment:refunded',
+  BANK_CONFIRMED: 'payment:bank_confirmed' // confirmação do banco de um pagamento que já estava em análise
+};
+
+// Descrição do status atual, usada nas mensagens de transição inválida
+const STATUS_LABELS = {
+  PENDING: 'pendente',
+  PROCESSING: 'em análise',
+  COMPLETED: 'já aprovado',
+  REJECTED: 'já rejeitado',
+  EXPIRED: 'expirado',
+  CANCELLED: 'cancelado',
+  FAILED: 'recusado pelo banco',
+  REFUND_PENDING: 'aguardando reembolso',
+  REFUNDED: 'reembolsado'
+};
+
+// Ação correspondente ao status de destino
+const ACTION_LABELS = {
+  PROCESSING: 'enviado para análise',
+  COMPLETED: 'aprovado',
+  REJECTED: 'rejeitado',
+  EXPIRED: 'expirado',
+  CANCELLED: 'cancelado',
+  FAILED: 'marcado como recusado',
+  REFUND_PENDING: 'marcado para reembolso',
+  REFUNDED: 'reembolsado'
+};
+
+// Status de destino que registram quem encerrou o pagamento e o motivo
+const REJECTION_STATUS = ['REJECTED', 'CANCELLED', 'FAILED', 'REFUND_PENDING'];
+
+const emitter = new EventEmitter();
+
+/**
+ * @typedef {Object} PaymentTransitionEvent
+ * @property {string} type - Nome do evento (PAYMENT_EVENTS)
+ * @property {Object} payment - Documento do pagamento após a transição
+ * @property {string} from - Status anterior
+ * @property {string} to - Novo status
+ * @property {string|null} actor - ID de quem provocou a transição (null para o sistema)
+ * @property {string|null} reason - Motivo informado
+ * @property {Date} at - Momento da transição
+ */
+
+/**
+ * Verifica se uma transição de status é permitida
+ * @param {string} from - Status atual
+ * @param {string} to - Status desejado
+ * @returns {boolean} - Verdadeiro se permitida
+ */
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Monta a mensagem exibida quando uma transição não é permitida
+ * @param {string} from - Status atual
+ * @param {string} to - Status desejado
+ * @returns {string} - Mensagem
+ */
+function describeInvalidTransition(from, to) {
+  if (from === to) {
+    return `Pagamento já foi ${ACTION_LABELS[to] || to} anteriormente`;
+  }
+
+  return `Pagamento ${STATUS_LABELS[from] || `com status ${from}`} não pode ser ${ACTION_LABELS[to] || to}`;
+}
+
+/**
+ * Registra um ouvinte para eventos de pagamento
+ * Falhas no ouvinte são registradas sem interromper a transição
+ * @param {string} event - Nome do evento (PAYMENT_EVENTS)
+ * @param {Function} listener - Função que recebe o PaymentTransitionEvent
+ */
+function on(event, listener) {
+  emitter.on(event, async (payload) => {
+    try {
+      await listener(payload);
+    } catch (error) {
+      logger.error(`Erro no ouvinte do evento ${event}:`, error);
+    }
+  });
+}
+
+/**
+ * Emite os eventos de uma transição concluída
+ * @param {PaymentTransitionEvent} payload - Dados da transição
+ * @private
+ */
+function _emit(payload) {
+  const specific = PAYMENT_EVENTS[payload.to];
+
+  if (specific) {
+    emitter.emit(specific, { ...payload, type: specific });
+  }
+
+  emitter.emit(PAYMENT_EVENTS.TRANSITION, { ...payload, type: PAYMENT_EVENTS.TRANSITION });
+}
+
+/**
+ * Anuncia um pagamento recém-criado
+ * @param {Object} payment - Documento do pagamento
+ * @param {string} [actor] - ID do comprador
+ */
+function announceCreated(payment, actor = null) {
+  emitter.emit(PAYMENT_EVENTS.CREATED, {
+    type: PAYMENT_EVENTS.CREATED,
+    payment,
+    from: null,
+    to: payment.status,
+    actor,
+    reason: null,
+    at: new Date()
+  });
+}
+
+/**
+ * Anuncia a confirmação do banco de um pagamento que já estava em análise
+ * (ex.: o comprador enviou o comprovante antes do webhook chegar)
+ * @param {Object} payment - Documento do pagamento
+ */
+function announceBankConfirmed(payment) {
+  emitter.emit(PAYMENT_EVENTS.BANK_CONFIRMED, {
+    type: PAYMENT_EVENTS.BANK_CONFIRMED,
+    payment,
+    from: payment.status,
+    to: payment.status,
+    actor: null,
+    reason: null,
+    at: new Date()
+  });
+}
+
+/**
+ * Altera o status de um pagamento
+ * Alterações pendentes no documento são gravadas junto com o novo status; se o
+ * pagamento foi modificado por outra operação desde a leitura, nada é gravado
+ * @param {Object} payment - Documento do pagamento
+ * @param {string} to - Novo status
+ * @param {Object} [options] - Opções
+ * @param {string} [options.actor] - ID de quem provocou a transição
+ * @param {string} [options.reason] - Motivo (rejeição, cancelamento, falha)
+ * @returns {Promise<Object>} - Resultado ({ success, message, payment, from, conflict })
+ */
+async function transition(payment, to, { actor = null, reason = null } = {}) {
+  const from = payment.status;
+
+  if (!canTransition(from, to)) {
+    return {
+      success: false,
+      message: describeInvalidTransition(from, to),
+      payment,
+      from
+    };
+  }
+
+  const at = new Date();
+  payment.status = to;
+
+  if (to === 'PROCESSING') {
+    payment.set('review.processingAt', at);
+  } else if (to === 'COMPLETED') {
+    payment.set('approvalInfo.approvedBy', actor || undefined);
+    payment.set('approvalInfo.approvedAt', at);
+  } else if (REJECTION_STATUS.includes(to)) {
+    payment.set('approvalInfo.rejectedBy', actor || undefined);
+    payment.set('approvalInfo.rejectedAt', at);
+    payment.set('approvalInfo.rejectionReason', reason || undefined);
+  }
+
+  try {
+    await payment.save();
+  } catch (error) {
+    if (!(error instanceof mongoose.Error.VersionError)) {
+      throw error;
+    }
+
+    const current = await Payment.findById(payment._id);
+    logger.warn(`Transição ${from} → ${to} do pagamento ${payment._id} descartada: pagamento alterado por outra operação`);
+
+    return {
+      success: false,
+      conflict: true,
+      message: current
+        ? `O pagamento foi alterado por outra operação (status atual: ${current.status})`
+        : 'O pagamento foi alterado por outra operação',
+      payment: current,
+      from
+    };
+  }
+
+  logger.debug(`Pagamento ${payment._id}: ${from} → ${to}${actor ? ` por ${actor}` : ''}`);
+  _emit({ payment, from, to, actor, reason, at });
+
+  return {
+    success: true,
+    payment,
+    from
+  };
+}
+
+module.exports = {
+  PAYMENT_EVENTS,
+  canTransition,
+  describeInvalidTransition,
+  transition,
+  announceCreated,
+  announceBankConfirmed,
+  on
+};
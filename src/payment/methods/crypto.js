@@ -0,0 +1,445 @@
+/**
+ * Forma de pagamento em criptomoeda (USDT, LTC)
+ * Cada pedido recebe um endereço de depósito exclusivo e o valor em reais é convertido pela
+ * tabela de cotações da configuração. As confirmações são consultadas periodicamente no
+ * adaptador de blockchain configurado (payment/chains)
+ */
+const config = require('../../config');
+const Payment = require('../../models/payment');
+const chains = require('../chains');
+const lifecycle = require('../lifecycle');
+const { logger } = require('../../utils/helpers');
+const auditLogger = require('../../audit/logger');
+
+// Status em que um depósito confirmado não credita mais o pagamento e é sinalizado à equipe
+const LATE_DEPOSIT_STATUS = ['EXPIRED', 'CANCELLED'];
+
+let timer = null;
+let polling = false;
+let onLateDeposit = null;
+
+/**
+ * Obtém o adaptador de blockchain configurado
+ * A blockchain simulada só é aceita fora de produção
+ * @returns {Object|null} - Adaptador ou null se indisponível
+ * @private
+ */
+function _getChain() {
+  const { adapter, fakeEnabled } = config.payment.crypto;
+
+  if (adapter === 'fake' && !fakeEnabled) {
+    return null;
+  }
+
+  return chains.getChain(adapter);
+}
+
+/**
+ * Verifica se pagamentos em criptomoeda estão disponíveis
+ * @returns {boolean} - Verdadeiro se habilitados e com adaptador disponível
+ */
+function isEnabled() {
+  const cryptoConfig = config.payment.crypto;
+  return cryptoConfig.enabled && Boolean(_getChain()) && Object.keys(cryptoConfig.currencies).length > 0;
+}
+
+/**
+ * Uma opção por criptomoeda aceita
+ * @returns {Array<Object>} - Opções ({ name, value, options })
+ */
+function getChoices() {
+  return Object.entries(config.payment.crypto.currencies).map(([code, currency]) => ({
+    name: `🪙 ${code} (${currency.network})`,
+    value: code,
+    options: { currency: code }
+  }));
+}
+
+/**
+ * Converte um valor em reais para a criptomoeda pela tabela de cotações
+ * O valor é arredondado para cima nas casas decimais da moeda, para nunca cobrar menos
+ * @param {number} amount - Valor em reais
+ * @param {string} currency - Código da moeda (ex.: USDT)
+ * @returns {Object|null} - Cotação ({ currency, network, rate, amount }) ou null se a moeda não for aceita
+ */
+function quote(amount, currency) {
+  const code = String(currency || '').toUpperCase();
+  const currencyConfig = config.payment.crypto.currencies[code];
+
+  if (!currencyConfig || !(currencyConfig.rate > 0)) {
+    return null;
+  }
+
+  const factor = 10 ** currencyConfig.decimals;
+
+  return {
+    currency: code,
+    network: currencyConfig.network,
+    rate: currencyConfig.rate,
+    amount: Math.ceil(Number((amount / currencyConfig.rate * factor).toFixed(6))) / factor
+  };
+}
+
+/**
+ * Gera o endereço de depósito e o valor em criptomoeda do pagamento
+ * @param {Object} payment - Dados do pagamento ({ _id, amount, productName })
+ * @param {Object} options - Opções ({ currency })
+ * @returns {Promise<Object>} - Campos a gravar no pagamento
+ */
+async function createCharge(payment, options = {}) {
+  const chain = _getChain();
+  const quoted = quote(payment.amount, options.currency);
+
+  if (!chain) {
+    throw new Error('Pagamentos em criptomoeda indisponíveis no momento');
+  }
+
+  if (!quoted) {
+    throw new Error(`Criptomoeda não aceita: ${options.currency || 'não informada'}`);
+  }
+
+  const address = await chain.createAddress(quoted.currency, payment._id.toString());
+
+  return {
+    cryptoDetails: {
+      ...quoted,
+      address,
+      adapter: chain.name,
+      received: 0
+    }
+  };
+}
+
+/**
+ * Lê os depósitos no endereço do pagamento
+ * @param {Object} details - cryptoDetails do pagamento
+ * @returns {Promise<Object|null>} - Depósitos ({ transactions, received, confirmedAmount, confirmations })
+ *   ou null se o adaptador estiver indisponível
+ * @private
+ */
+async function _readDeposits(details) {
+  const chain = chains.getChain(details.adapter);
+
+  if (!chain) {
+    return null;
+  }
+
+  // Moedas removidas da configuração continuam sendo acompanhadas com valores conservadores
+  const currencyConfig = config.payment.crypto.currencies[details.currency] || { decimals: 8, minConfirmations: 6 };
+  const factor = 10 ** currencyConfig.decimals;
+  const sum = list => Math.round(list.reduce((total, tx) => total + tx.amount, 0) * factor) / factor;
+
+  const transactions = await chain.getTransactions(details.currency, details.address);
+
+  return {
+    transactions,
+    received: sum(transactions),
+    confirmedAmount: sum(transactions.filter(tx => tx.confirmations >= currencyConfig.minConfirmations)),
+    confirmations: transactions.length > 0 ? Math.min(...transactions.map(tx => tx.confirmations)) : 0
+  };
+}
+
+/**
+ * Consulta os depósitos no endereço do pagamento e o envia para análise quando
+ * o valor cobrado tiver as confirmações mínimas da moeda
+ * @param {Object} payment - Documento do pagamento (PENDING, método CRYPTO)
+ * @returns {Promise<Object>} - Resultado ({ success, status, confirmed, received, confirmations })
+ */
+async function checkPayment(payment) {
+  const details = payment.cryptoDetails;
+  const deposits = await _readDeposits(details);
+
+  if (!deposits) {
+    return {
+      success: false,
+      message: `Adaptador de blockchain ${details.adapter} indisponível`
+    };
+  }
+
+  const { transactions, received, confirmedAmount, confirmations } = deposits;
+
+  const outcome = {
+    success: true,
+    status: payment.status,
+    confirmed: false,
+    received,
+    confirmations
+  };
+
+  if (confirmedAmount < details.amount) {
+    const changed = transactions.length !== details.transactions.length ||
+      transactions.some((tx, index) => tx.confirmations !== details.transactions[index].confirmations);
+
+    if (changed) {
+      if (!details.detectedAt && transactions.length > 0) {
+        logger.info(`Depósito de ${received} ${details.currency} detectado para o pagamento ${payment._id}`);
+      }
+
+      // Só atualiza o acompanhamento enquanto o pagamento continuar pendente
+      await Payment.updateOne({ _id: payment._id, status: 'PENDING' }, {
+        $set: {
+          'cryptoDetails.received': received,
+          'cryptoDetails.transactions': transactions,
+          'cryptoDetails.detectedAt': details.detectedAt || (transactions.length > 0 ? new Date() : undefined)
+        }
+      });
+    }
+
+    return outcome;
+  }
+
+  payment.cryptoDetails.received = received;
+  payment.cryptoDetails.transactions = transactions;
+  payment.cryptoDetails.detectedAt = details.detectedAt || new Date();
+  payment.cryptoDetails.confirmedAt = new Date();
+
+  const result = await lifecycle.transition(payment, 'PROCESSING');
+  if (!result.success) {
+    return result;
+  }
+
+  await auditLogger.log({
+    action: 'PAYMENT_CRYPTO_CONFIRMED',
+    category: 'TRANSACTION',
+    severity: 'INFO',
+    status: 'SUCCESS',
+    target: {
+      id: payment.userId,
+      username: payment.userName
+    },
+    payment: {
+      id: payment._id,
+      amount: payment.amount,
+      method: 'CRYPTO'
+    },
+    details: {
+      currency: details.currency,
+      network: details.network,
+      address: details.address,
+      expected: details.amount,
+      received,
+      transactions: transactions.map(tx => tx.hash)
+    }
+  });
+
+  logger.info(`Pagamento ${payment._id} confirmado na blockchain (${received} ${details.currency})`);
+
+  return {
+    ...outcome,
+    status: payment.status,
+    confirmed: true
+  };
+}
+
+/**
+ * Consulta um pagamento a pedido do comprador
+ * @param {string} paymentId - ID do pagamento
+ * @param {string} userId - ID do comprador
+ * @returns {Promise<Object>} - Resultado da consulta
+ */
+async function checkPaymentById(paymentId, userId) {
+  try {
+    const payment = await Payment.findById(paymentId);
+
+    if (!payment || payment.userId !== userId || payment.method !== 'CRYPTO') {
+      return {
+        success: false,
+        message: 'Pagamento não encontrado'
+      };
+    }
+
+    if (payment.status !== 'PENDING') {
+      return {
+        success: true,
+        status: payment.status,
+        confirmed: Boolean(payment.cryptoDetails.confirmedAt),
+        received: payment.cryptoDetails.received,
+        confirmations: 0,
+        payment
+      };
+    }
+
+    return { ...await checkPayment(payment), payment };
+  } catch (error) {
+    logger.error(`Erro ao consultar pagamento em criptomoeda ${paymentId}:`, error);
+    return {
+      success: false,
+      message: 'Erro ao consultar a blockchain'
+    };
+  }
+}
+
+/**
+ * Sinaliza um depósito confirmado em um pagamento que já expirou ou foi cancelado
+ * O pagamento não é reaberto (as reservas já foram liberadas); a equipe decide entre a
+ * entrega manual e a devolução do valor
+ * @param {Object} payment - Documento do pagamento (EXPIRED ou CANCELLED, método CRYPTO)
+ * @returns {Promise<boolean>} - Verdadeiro se o depósito foi sinalizado agora
+ */
+async function flagLateDeposit(payment) {
+  const deposits = await _readDeposits(payment.cryptoDetails);
+
+  if (!deposits || deposits.confirmedAmount <= 0) {
+    return false;
+  }
+
+  const flaggedAt = new Date();
+  const result = await Payment.updateOne(
+    { _id: payment._id, status: payment.status, 'cryptoDetails.lateDepositAt': { $exists: false } },
+    {
+      $set: {
+        'cryptoDetails.received': deposits.received,
+        'cryptoDetails.transactions': deposits.transactions,
+        'cryptoDetails.lateDepositAt': flaggedAt
+      }
+    }
+  );
+
+  // Outra consulta já sinalizou o depósito
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  payment.cryptoDetails.received = deposits.received;
+  payment.cryptoDetails.transactions = deposits.transactions;
+  payment.cryptoDetails.lateDepositAt = flaggedAt;
+
+  const { currency, address, amount } = payment.cryptoDetails;
+
+  await auditLogger.log({
+    action: 'PAYMENT_CRYPTO_LATE_DEPOSIT',
+    category: 'TRANSACTION',
+    severity: 'WARNING',
+    status: 'WARNING',
+    target: {
+      id: payment.userId,
+      username: payment.userName
+    },
+    payment: {
+      id: payment._id,
+      amount: payment.amount,
+      method: 'CRYPTO'
+    },
+    details: {
+      paymentStatus: payment.status,
+      currency,
+      address,
+      expected: amount,
+      received: deposits.received,
+      confirmedAmount: deposits.confirmedAmount,
+      transactions: deposits.transactions.map(tx => tx.hash)
+    }
+  });
+
+  logger.warn(`Depósito de ${deposits.received} ${currency} recebido após o pagamento ${payment._id} ficar ${payment.status}`);
+
+  if (onLateDeposit) {
+    try {
+      await onLateDeposit(payment);
+    } catch (error) {
+      logger.error(`Erro ao avisar a equipe do depósito tardio do pagamento ${payment._id}:`, error);
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Consulta todos os pagamentos em criptomoeda pendentes e, dentro da janela de
+ * config.payment.crypto.lateDepositWindow após a validade, os expirados ou cancelados
+ * Pendentes ainda não expirados pelo cron são creditados normalmente; os demais são sinalizados
+ * @returns {Promise<number>} - Quantidade de pagamentos confirmados
+ */
+async function checkPendingPayments() {
+  // Uma consulta lenta na blockchain não deve acumular execuções
+  if (polling) {
+    return 0;
+  }
+
+  polling = true;
+  let confirmed = 0;
+
+  try {
+    const windowStart = new Date(Date.now() - config.payment.crypto.lateDepositWindow * 1000);
+
+    const payments = await Payment.find({
+      method: 'CRYPTO',
+      status: 'PENDING',
+      expiresAt: { $gt: windowStart }
+    });
+
+    for (const payment of payments) {
+      try {
+        const result = await checkPayment(payment);
+        if (result.confirmed) {
+          confirmed++;
+        }
+      } catch (error) {
+        logger.error(`Erro ao consultar pagamento em criptomoeda ${payment._id}:`, error);
+      }
+    }
+
+    const closedPayments = await Payment.find({
+      method: 'CRYPTO',
+      status: { $in: LATE_DEPOSIT_STATUS },
+      expiresAt: { $gt: windowStart },
+      'cryptoDetails.lateDepositAt': { $exists: false }
+    });
+
+    for (const payment of closedPayments) {
+      try {
+        await flagLateDeposit(payment);
+      } catch (error) {
+        logger.error(`Erro ao consultar depósito tardio do pagamento ${payment._id}:`, error);
+      }
+    }
+  } catch (error) {
+    logger.error('Erro ao consultar pagamentos em criptomoeda pendentes:', error);
+  } finally {
+    polling = false;
+  }
+
+  return confirmed;
+}
+
+/**
+ * Inicia a consulta periódica das confirmações
+ * @param {Object} [options] - Opções
+ * @param {Function} [options.onLateDeposit] - Chamada com o pagamento quando um depósito tardio é sinalizado
+ */
+function start(options = {}) {
+  if (timer) {
+    return;
+  }
+
+  onLateDeposit = options.onLateDeposit || null;
+
+  timer = setInterval(checkPendingPayments, config.payment.crypto.pollInterval);
+  logger.info(`Consulta de pagamentos em criptomoeda iniciada (adaptador: ${config.payment.crypto.adapter})`);
+}
+
+/**
+ * Encerra a consulta periódica das confirmações
+ */
+function stop() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+module.exports = {
+  id: 'CRYPTO',
+  label: '🪙 Criptomoeda',
+  expiration: config.payment.crypto.expiration,
+  isEnabled,
+  getChoices,
+  quote,
+  createCharge,
+  checkPayment,
+  checkPaymentById,
+  checkPendingPayments,
+  flagLateDeposit,
+  start,
+  stop
+};
@@ -0,0 +1,117 @@
+/**
+ * Registro das formas de pagamento aceitas na criação de pagamentos
+ *
+ * Cada forma de pagamento deve expor:
+ * - id {string}: valor gravado em payment.method (ex.: PIX, CRYPTO)
+ * - label {string}: nome exibido ao comprador
+ * - isEnabled() {boolean}: se a forma está disponível na configuração atual
+ * - createCharge(payment, options) {Promise<Object>}: gera a cobrança ({ _id, amount, productName })
+ *   e retorna os campos a gravar no pagamento (ex.: { pixDetails })
+ *
+ * E, opcionalmente:
+ * - getChoices() {Array}: variantes oferecidas ao comprador ({ name, value, options })
+ * - updateAmount(payment, amount) {Promise<Object>}: campos a alterar quando um cupom muda o valor
+ * - expiration {number}: validade da cobrança em segundos (padrão: payment.expiration)
+ * - start(options) / stop(): tarefas em segundo plano, como a consulta de confirmações
+ */
+const methods = new Map();
+
+/**
+ * Registra uma forma de pagamento
+ * @param {Object} method - Forma de pagamento
+ */
+function registerMethod(method) {
+  if (!method || !method.id || !method.label ||
+      typeof method.isEnabled !== 'function' ||
+      typeof method.createCharge !== 'function') {
+    throw new Error('Forma de pagamento inválida');
+  }
+
+  methods.set(method.id.toUpperCase(), method);
+}
+
+/**
+ * Obtém uma forma de pagamento pelo ID
+ * @param {string} id - ID da forma de pagamento
+ * @returns {Object|null} - Forma de pagamento ou null se não registrada
+ */
+function getMethod(id) {
+  return methods.get(String(id || '').toUpperCase()) || null;
+}
+
+/**
+ * Lista as formas de pagamento habilitadas
+ * @returns {Array<Object>} - Formas de pagamento
+ */
+function listEnabledMethods() {
+  return Array.from(methods.values()).filter(method => method.isEnabled());
+}
+
+/**
+ * Opções oferecidas ao comprador nos comandos de compra
+ * Formas com variantes (ex.: uma opção por criptomoeda) usam o valor "ID:variante"
+ * @returns {Array<Object>} - Opções ({ name, value })
+ */
+function getChoices() {
+  return listEnabledMethods().flatMap(method => (method.getChoices
+    ? method.getChoices().map(choice => ({ name: choice.name, value: `${method.id}:${choice.value}` }))
+    : [{ name: method.label, value: method.id }]));
+}
+
+/**
+ * Converte a opção escolhida pelo comprador na forma de pagamento e nas suas opções
+ * @param {string} value - Valor da opção (ver getChoices)
+ * @returns {Object|null} - { method, options } ou null se indisponível
+ */
+function resolveChoice(value) {
+  const [id, variant] = String(value || '').split(':');
+  const method = getMethod(id);
+
+  if (!method || !method.isEnabled()) {
+    return null;
+  }
+
+  if (!method.getChoices) {
+    return { method: method.id, options: {} };
+  }
+
+  const choice = method.getChoices().find(item => item.value === variant);
+  return choice ? { method: method.id, options: choice.options } : null;
+}
+
+/**
+ * Inicia as tarefas em segundo plano das formas de pagamento habilitadas
+ * @param {Object} [options] - Opções repassadas a cada forma (ex.: { onLateDeposit })
+ */
+function startAll(options = {}) {
+  for (const method of listEnabledMethods()) {
+    if (typeof method.start === 'function') {
+      method.start(options);
+    }
+  }
+}
+
+/**
+ * Encerra as tarefas em segundo plano das formas de pagamento
+ */
+function stopAll() {
+  for (const method of methods.values()) {
+    if (typeof method.stop === 'function') {
+      method.stop();
+    }
+  }
+}
+
+// Formas de pagamento incluídas no sistema
+registerMethod(require('./pix'));
+registerMethod(require('./crypto'));
+
+module.exports = {
+  registerMethod,
+  getMethod,
+  listEnabledMethods,
+  getChoices,
+  resolveChoice,
+  startAll,
+  stopAll
+};
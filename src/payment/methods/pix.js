@@ -0,0 +1,118 @@
+/**
+ * Forma de pagamento PIX (BR Code "Copia e Cola" com QR Code)
+ * A confirmação chega pelos webhooks dos provedores (payment/providers)
+ */
+const { v4: uuidv4 } = require('uuid');
+const QRCode = require('qrcode');
+const config = require('../../config');
+const Payment = require('../../models/payment');
+const brcode = require('../brcode');
+const { logger } = require('../../utils/helpers');
+
+/**
+ * Gera uma chave PIX única para o pagamento
+ * @private
+ */
+function _generatePixKey() {
+  // Gerar identificador único para a transação
+  const transactionId = uuidv4().replace(/-/g, '').substring(0, 16);
+
+  // Adicionar prefixo para identificar no sistema
+  return `DISCBOT${transactionId}`;
+}
+
+/**
+ * Gera o código PIX para pagamento
+ * @param {Object} paymentData - Dados do pagamento
+ * @returns {string} - Código PIX no formato "Copia e Cola"
+ * @private
+ */
+function _generatePixCode(paymentData) {
+  const pixConfig = config.payment.pix;
+
+  // Payload no padrão EMV (BR Code) do Banco Central
+  return brcode.encode({
+    keyType: pixConfig.keyType,
+    keyValue: pixConfig.keyValue,
+    merchantName: pixConfig.merchantName,
+    merchantCity: pixConfig.merchantCity,
+    amount: paymentData.amount,
+    txid: paymentData._id.toString(),
+    description: `Compra: ${(paymentData.productName || '').substring(0, 30)}`
+  });
+}
+
+/**
+ * Gera URL de um QR Code para o pagamento PIX
+ * @param {string} pixCode - Código PIX
+ * @returns {Promise<string>} - URL do QR Code em data:image/png;base64
+ * @private
+ */
+async function _generateQRCode(pixCode) {
+  try {
+    // Gerar QR code como data URL
+    return await QRCode.toDataURL(pixCode, {
+      errorCorrectionLevel: 'H',
+      margin: 1,
+      width: 300
+    });
+  } catch (error) {
+    logger.error('Erro ao gerar QR Code:', error);
+    // Retornar URL de um QR code genérico em caso de erro
+    return 'https://i.imgur.com/placeholder-qr.png';
+  }
+}
+
+/**
+ * Gera o código PIX e o QR Code do pagamento
+ * @param {Object} payment - Dados do pagamento ({ _id, amount, productName })
+ * @returns {Promise<Object>} - Campos a gravar no pagamento
+ */
+async function createCharge(payment) {
+  const pixCode = _generatePixCode(payment);
+  const qrCodeUrl = await _generateQRCode(pixCode);
+
+  // Verificar modelo de Payment a ser usado
+  if (Payment.schema.obj.pixDetails) {
+    return {
+      pixDetails: {
+        code: pixCode,
+        qrCode: qrCodeUrl,
+        transactionId: _generatePixKey()
+      }
+    };
+  }
+
+  // Modelo antigo
+  return {
+    pixCode,
+    qrCodeUrl
+  };
+}
+
+/**
+ * Gera um novo código PIX para o valor atualizado (o anterior deixa de valer)
+ * @param {Object} payment - Documento do pagamento
+ * @param {number} amount - Novo valor
+ * @returns {Promise<Object>} - Campos a alterar no pagamento
+ */
+async function updateAmount(payment, amount) {
+  const pixCode = _generatePixCode({
+    _id: payment._id,
+    amount,
+    productName: payment.productName
+  });
+
+  return {
+    'pixDetails.code': pixCode,
+    'pixDetails.qrCode': await _generateQRCode(pixCode)
+  };
+}
+
+module.exports = {
+  id: 'PIX',
+  label: '💠 PIX',
+  isEnabled: () => true,
+  createCharge,
+  updateAmount
+};
@@ -0,0 +1,149 @@
+/**
+ * Identificação do pagador nas confirmações bancárias
+ * Normaliza os dados enviados pelos provedores, aplica a lista de bancos bloqueados
+ * e detecta o mesmo CPF/CNPJ pagando por várias contas do Discord (revenda)
+ */
+const config = require('../config');
+const Payment = require('../models/payment');
+const { isValidCpf, isValidCnpj, removeAccents } = require('../utils/helpers');
+
+// Códigos dos alertas gravados em payment.riskFlags
+const PAYER_FLAGS = {
+  BLOCKED_BANK: 'BLOCKED_BANK',
+  INVALID_DOCUMENT: 'INVALID_DOCUMENT',
+  SHARED_DOCUMENT: 'SHARED_DOCUMENT'
+};
+
+/**
+ * Converte os dados do pagador recebidos do provedor para o formato interno
+ * Aceita os nomes de campo mais comuns entre os provedores
+ * @param {Object} raw - Dados do pagador enviados pelo provedor
+ * @returns {Object|null} - Pagador normalizado ou null se ausente
+ */
+function normalizePayer(raw) {
+  if (!raw || typeof raw !== 'object') {
+    return null;
+  }
+
+  const bank = raw.bank && typeof raw.bank === 'object' ? raw.bank : {};
+  const document = String(raw.document || raw.cpf || raw.cnpj || raw.tax_id || raw.taxId || '').replace(/\D/g, '');
+
+  let documentType;
+  let documentValid;
+  if (document.length === 11) {
+    documentType = 'CPF';
+    documentValid = isValidCpf(document);
+  } else if (document.length === 14) {
+    documentType = 'CNPJ';
+    documentValid = isValidCnpj(document);
+  } else if (document) {
+    documentValid = false;
+  }
+
+  const ispb = String(raw.ispb || raw.bank_ispb || raw.bankIspb || bank.ispb || '').replace(/\D/g, '');
+
+  return {
+    name: raw.name || raw.nome || raw.payer_name || undefined,
+    document: document || undefined,
+    documentType,
+    documentValid,
+    bankName: raw.bank_name || raw.bankName || raw.institution || bank.name || (typeof raw.bank === 'string' ? raw.bank : undefined),
+    bankIspb: ispb ? ispb.padStart(8, '0') : undefined
+  };
+}
+
+/**
+ * Verifica se o pagador usou uma instituição bloqueada (pelo ISPB ou pelo nome)
+ * @param {Object} payer - Pagador normalizado
+ * @returns {boolean} - Verdadeiro se bloqueada
+ */
+function isBlockedBank(payer) {
+  if (!payer) {
+    return false;
+  }
+
+  const { blockedBanks, blockedBankIspbs } = config.payment.pix;
+
+  if (payer.bankIspb && blockedBankIspbs.includes(payer.bankIspb)) {
+    return true;
+  }
+
+  if (!payer.bankName) {
+    return false;
+  }
+
+  // Compara palavras inteiras para "Banco Inter S.A." bloquear e "Interbank" não
+  const bankName = removeAccents(payer.bankName).toLowerCase();
+  return blockedBanks.some(blocked => {
+    const escaped = removeAccents(blocked).toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`\\b${escaped}\\b`).test(bankName);
+  });
+}
+
+/**
+ * Lista as outras contas do Discord pagas pelo mesmo documento no período configurado
+ * @param {string} document - CPF ou CNPJ (somente dígitos)
+ * @param {string} userId - Comprador atual (excluído da lista)
+ * @returns {Promise<Array<string>>} - IDs dos outros compradores
+ */
+async function findOtherUsersByDocument(document, userId) {
+  const { lookbackDays } = config.payment.pix.payerIdentity;
+
+  return Payment.distinct('userId', {
+    'bankInfo.payer.document': document,
+    userId: { $ne: userId },
+    createdAt: { $gte: new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000) }
+  });
+}
+
+/**
+ * Avalia o pagador de uma confirmação bancária
+ * @param {Object} payment - Pagamento confirmado
+ * @param {Object|null} payer - Pagador normalizado
+ * @returns {Promise<Object>} - Resultado ({ blocked, flags, otherUsers })
+ */
+async function checkPayer(payment, payer) {
+  const flags = [];
+  let otherUsers = [];
+
+  if (!payer) {
+    return { blocked: false, flags, otherUsers };
+  }
+
+  const blocked = isBlockedBank(payer);
+  if (blocked) {
+    flags.push({
+      code: PAYER_FLAGS.BLOCKED_BANK,
+      reason: `Pagamento feito por instituição bloqueada (${payer.bankName || payer.bankIspb})`
+    });
+  }
+
+  if (payer.documentValid === false) {
+    flags.push({
+      code: PAYER_FLAGS.INVALID_DOCUMENT,
+      reason: `${payer.documentType || 'Documento'} do pagador inválido`
+    });
+  }
+
+  if (payer.document && payer.documentValid) {
+    otherUsers = await findOtherUsersByDocument(payer.document, payment.userId);
+
+    // O comprador atual conta como uma das contas pagas pelo documento
+    if (otherUsers.length + 1 > config.payment.pix.payerIdentity.maxUsersPerDocument) {
+      flags.push({
+        code: PAYER_FLAGS.SHARED_DOCUMENT,
+        reason: `${payer.documentType} do pagador já pagou por ${otherUsers.length} ${otherUsers.length === 1 ? 'outra conta' : 'outras contas'} do Discord`
+      });
+    }
+  }
+
+  return { blocked, flags, otherUsers };
+}
+
+module.exports = {
+  PAYER_FLAGS,
+  normalizePayer,
+  isBlockedBank,
+  findOtherUsersByDocument,
+  checkPayer
+};
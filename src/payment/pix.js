@@ -1,95 +1,222 @@
 /**
  * Sistema de pagamento via PIX
  */
-const { v4: uuidv4 } = require('uuid');
 const crypto = require('crypto');
-const QRCode = require('qrcode');
+const mongoose = require('mongoose');
 const config = require('../config');
 const Payment = require('../models/payment');
-const { logger } = require('../utils/helpers');
+const productService = require('../product/catalog');
+const lztService = require('../product/lzt');
+const couponService = require('../marketing/coupons');
+const loyaltyService = require('../marketing/loyalty');
+const { logger, distributeDiscount } = require('../utils/helpers');
 const auditLogger = require('../audit/logger');
+const paymentMethods = require('./methods');
+const lifecycle = require('./lifecycle');
+const payerService = require('./payer');
+const walletService = require('./wallet');
 
 /**
- * Gera uma chave PIX única para o pagamento
- * @private
+ * Libera as reservas (produto, fornecedor, cupom, vale de pontos e saldo da carteira) de um pagamento que não será concluído
+ * Altera o documento do pagamento, cabendo ao chamador salvá-lo
+ * @param {Object} payment - Documento do pagamento
+ * @returns {Promise<void>}
  */
-function _generatePixKey() {
-  // Gerar identificador único para a transação
-  const transactionId = uuidv4().replace(/-/g, '').substring(0, 16);
+async function releaseReservations(payment) {
+  // Pedidos do carrinho têm uma reserva por item
+  if (payment.items && payment.items.length > 0) {
+    for (const item of payment.items) {
+      if (item.status === 'PENDING') {
+        await productService.releaseProductReservation(item.productId, payment._id);
+        await lztService.releasePaymentReservation(item);
+      }
+    }
+  } else {
+    await productService.releaseProductReservation(payment.productId, payment._id);
+    await lztService.releasePaymentReservation(payment);
+  }
 
-  // Adicionar prefixo para identificar no sistema
-  return `DISCBOT${transactionId}`;
+  await couponService.releaseCoupon(payment);
+  await loyaltyService.releaseVoucher(payment);
+  await walletService.releasePayment(payment);
 }
 
 /**
- * Gera o código PIX para pagamento
- * @param {Object} paymentData - Dados do pagamento
- * @returns {string} - Código PIX no formato "Copia e Cola"
+ * Reserva um produto (e o item no fornecedor, se for do LZT) para um pagamento
+ * Se a reserva no fornecedor falhar, a reserva local é desfeita
+ * @param {string} productId - ID do produto
+ * @param {string} paymentId - ID do pagamento
+ * @param {string} userId - ID do comprador
+ * @param {Date} expiresAt - Validade da reserva
+ * @returns {Promise<Object>} - { product, lztReservation }
  * @private
  */
-function _generatePixCode(paymentData) {
-  // Esta é uma implementação simplificada
-  // Em produção, deve seguir o padrão EMV do Banco Central
-  const pixData = {
-    keyType: config.payment.pix.keyType,
-    keyValue: config.payment.pix.keyValue,
-    name: "Bot de Vendas Discord",
-    city: "São Paulo",
-    txId: paymentData._id.toString().substring(0, 25),
-    amount: paymentData.amount.toFixed(2),
-    description: `Compra: ${paymentData.productName.substring(0, 30)}`
-  };
+async function _reserveProduct(productId, paymentId, userId, expiresAt) {
+  // Reservar o produto para este pagamento, impedindo pagamentos simultâneos pela mesma unidade
+  const productReservation = await productService.reserveProduct(productId, paymentId, userId, expiresAt);
 
-  // Criar String do PIX (formato simplificado)
-  return Buffer.from(JSON.stringify(pixData)).toString('base64');
-}
+  if (!productReservation.success) {
+    throw new Error(productReservation.message);
+  }
 
-/**
- * Gera URL de um QR Code para o pagamento PIX
- * @param {string} pixCode - Código PIX
- * @returns {Promise<string>} - URL do QR Code em data:image/png;base64
- * @private
- */
-async function _generateQRCode(pixCode) {
-  try {
-    // Gerar QR code como data URL
-    return await QRCode.toDataURL(pixCode, {
-      errorCorrectionLevel: 'H',
-      margin: 1,
-      width: 300
-    });
-  } catch (error) {
-    logger.error('Erro ao gerar QR Code:', error);
-    // Retornar URL de um QR code genérico em caso de erro
-    return 'https://i.imgur.com/placeholder-qr.png';
+  const product = productReservation.product;
+
+  // Produtos do LZT Market ficam reservados no fornecedor enquanto o PIX está pendente
+  if (product.origem !== 'LZT') {
+    return { product, lztReservation: undefined };
   }
+
+  const reservation = await lztService.reserveLZTProduct(product.origemId);
+
+  if (!reservation.success) {
+    await productService.releaseProductReservation(productId, paymentId);
+    throw new Error(`${product.nome}: produto indisponível no fornecedor no momento`);
+  }
+
+  return {
+    product,
+    lztReservation: {
+      reservationId: reservation.reservationId,
+      status: 'RESERVED',
+      price: reservation.price,
+      reservedAt: new Date()
+    }
+  };
 }
 
 /**
  * Cria um novo pagamento
+ * Pedidos do carrinho informam `items` ({ productId, productName, originalPrice, price }),
+ * gerando um único PIX para todos os produtos. Um `couponCode` opcional tem o uso
+ * reservado para o pagamento e é descontado do valor informado, assim como o vale
+ * de pontos de fidelidade que o comprador tiver disponível. Com `useWallet`, o saldo
+ * da carteira paga o valor restante (ou parte dele); pedidos cobertos pela carteira
+ * não geram cobrança e seguem direto para análise. `method` escolhe a forma de pagamento
+ * do restante (padrão: PIX), com as opções da forma em `methodOptions`
  * @param {Object} paymentData - Dados do pagamento
  * @returns {Promise<Object>} - Dados do pagamento criado
  */
 async function createPayment(paymentData) {
+  const paymentId = new mongoose.Types.ObjectId();
+  const isOrder = Array.isArray(paymentData.items) && paymentData.items.length > 0;
+  const reserved = [];
+  let newPayment;
+  let lztReservation;
+  let items;
+  let coupon;
+  let voucher;
+  let wallet;
+
   try {
+    const paymentMethod = paymentMethods.getMethod(paymentData.method || 'PIX');
+
+    if (!paymentMethod || !paymentMethod.isEnabled()) {
+      throw new Error('Forma de pagamento indisponível');
+    }
+
     // Calcular data de expiração
-    const expirationTime = config.payment.expiration; // em segundos
+    const expirationTime = paymentMethod.expiration || config.payment.expiration; // em segundos
     const expiresAt = new Date(Date.now() + expirationTime * 1000);
 
-    // Verificar modelo de Payment a ser usado
-    let newPayment;
+    if (isOrder) {
+      items = [];
+
+      for (const item of paymentData.items) {
+        const reservation = await _reserveProduct(item.productId, paymentId, paymentData.userId, expiresAt);
+        reserved.push({ productId: item.productId, productType: reservation.product.tipo, lztReservation: reservation.lztReservation });
+
+        items.push({
+          productId: item.productId,
+          productName: item.productName,
+          originalPrice: item.originalPrice,
+          price: item.price,
+          status: 'PENDING',
+          lztReservation: reservation.lztReservation
+        });
+      }
+    } else {
+      const reservation = await _reserveProduct(paymentData.productId, paymentId, paymentData.userId, expiresAt);
+      reserved.push({ productId: paymentData.productId, productType: reservation.product.tipo, lztReservation: reservation.lztReservation });
+      lztReservation = reservation.lztReservation;
+    }
+
+    // Aplicar o cupom sobre os preços já promocionais
+    let amount = paymentData.amount;
+
+    if (paymentData.couponCode) {
+      const lines = isOrder
+        ? items.map((item, index) => ({ productId: item.productId, productType: reserved[index].productType, price: item.price }))
+        : [{ productId: paymentData.productId, productType: reserved[0].productType, price: paymentData.amount }];
+
+      const redemption = await couponService.reserveCoupon(paymentData.couponCode, paymentData.userId, paymentId, lines);
+
+      if (!redemption.success) {
+        throw new Error(redemption.message);
+      }
+
+      coupon = {
+        couponId: redemption.coupon._id,
+        code: redemption.coupon.codigo,
+        discount: redemption.discount
+      };
+      amount = redemption.total;
+
+      if (isOrder) {
+        redemption.lines.forEach((line, index) => {
+          items[index].price = line.price;
+        });
+      }
+    }
+
+    // Vale de pontos resgatado pelo comprador é aplicado automaticamente
+    const reservedVoucher = await loyaltyService.reserveVoucher(paymentData.userId, paymentId, amount);
+
+    if (reservedVoucher) {
+      voucher = {
+        voucherId: reservedVoucher._id,
+        points: reservedVoucher.points,
+        discount: reservedVoucher.value
+      };
+      amount = Math.round((amount - reservedVoucher.value) * 100) / 100;
 
+      if (isOrder) {
+        distributeDiscount(items, reservedVoucher.value).forEach((line, index) => {
+          items[index].price = line.price;
+        });
+      }
+    }
+
+    // Saldo da carteira é uma forma de pagamento, não desconto: os preços dos itens não mudam
+    if (paymentData.useWallet && amount > 0) {
+      wallet = await walletService.reserveForPayment(paymentData.userId, paymentId, amount) || undefined;
+
+      if (wallet) {
+        amount = Math.round((amount - wallet.amount) * 100) / 100;
+      }
+    }
+
+    const paidByWallet = Boolean(wallet) && amount <= 0;
+    const method = paidByWallet ? 'WALLET' : paymentMethod.id;
+
+    // Verificar modelo de Payment a ser usado
     if (Payment.schema.obj.pixDetails) {
       // Usar modelo novo
       newPayment = new Payment({
+        _id: paymentId,
         userId: paymentData.userId,
         userName: paymentData.userName,
         productId: paymentData.productId,
         productName: paymentData.productName,
-        amount: paymentData.amount,
-        method: 'PIX',
+        amount,
+        method,
         status: 'PENDING',
         expiresAt: expiresAt,
+        lztReservation,
+        items,
+        combo: paymentData.combo,
+        coupon,
+        voucher,
+        wallet,
         metadata: {
           ipAddress: paymentData.ipAddress,
           userAgent: paymentData.userAgent
@@ -98,41 +225,30 @@ async function createPayment(paymentData) {
     } else {
       // Usar modelo antigo
       newPayment = new Payment({
+        _id: paymentId,
         userId: paymentData.userId,
         userName: paymentData.userName,
         productId: paymentData.productId,
         productName: paymentData.productName,
-        amount: paymentData.amount,
-        method: 'PIX',
+        amount,
+        method,
         status: 'PENDING',
-        expiresAt: expiresAt
+        expiresAt: expiresAt,
+        lztReservation,
+        items,
+        combo: paymentData.combo,
+        coupon,
+        voucher,
+        wallet
       });
     }
 
-    // Salvar para obter o ID
-    await newPayment.save();
-
-    // Gerar código PIX
-    const pixCode = _generatePixCode(newPayment);
-
-    // Gerar QR Code
-    const qrCodeUrl = await _generateQRCode(pixCode);
-
-    // Atualizar modelo com informações do PIX
-    if (Payment.schema.obj.pixDetails) {
-      // Modelo novo
-      newPayment.pixDetails = {
-        code: pixCode,
-        qrCode: qrCodeUrl,
-        transactionId: _generatePixKey()
-      };
-    } else {
-      // Modelo antigo
-      newPayment.pixCode = pixCode;
-      newPayment.qrCodeUrl = qrCodeUrl;
+    // Gerar a cobrança (código PIX, endereço de depósito...); pedidos pagos integralmente pela carteira não têm
+    if (!paidByWallet) {
+      newPayment.set(await paymentMethod.createCharge(newPayment, paymentData.methodOptions || {}));
     }
 
-    // Salvar com as informações adicionais
+    // Salvar pagamento
     await newPayment.save();
 
     // Registrar na auditoria
@@ -148,22 +264,221 @@ async function createPayment(paymentData) {
       payment: {
         id: newPayment._id,
         amount: newPayment.amount,
-        method: 'PIX'
+        method
       },
       product: {
         id: paymentData.productId,
         name: paymentData.productName
-      }
+      },
+      details: isOrder || coupon || voucher || wallet ? {
+        items: isOrder ? items.map(item => ({ productId: item.productId, price: item.price })) : undefined,
+        combo: paymentData.combo,
+        coupon,
+        voucher,
+        wallet
+      } : undefined
     });
 
-    logger.info(`Novo pagamento PIX criado: ${newPayment._id}`);
+    logger.info(`Novo pagamento ${method} criado: ${newPayment._id}${isOrder ? ` (${items.length} itens)` : ''}`);
+    lifecycle.announceCreated(newPayment, paymentData.userId);
+
+    // O saldo da carteira já está confirmado: o pedido segue direto para análise
+    if (paidByWallet) {
+      await lifecycle.transition(newPayment, 'PROCESSING', { actor: paymentData.userId });
+    }
+
     return newPayment;
   } catch (error) {
-    logger.error('Erro ao criar pagamento PIX:', error);
+    logger.error('Erro ao criar pagamento:', error);
+
+    // Não manter reservas para um pagamento que não foi criado
+    if (!newPayment || newPayment.isNew) {
+      for (const reservation of reserved) {
+        if (reservation.lztReservation) {
+          await lztService.cancelLZTReservation(reservation.lztReservation.reservationId);
+        }
+        await productService.releaseProductReservation(reservation.productId, paymentId);
+      }
+
+      if (coupon) {
+        await couponService.releaseCoupon({ _id: paymentId, userId: paymentData.userId, coupon });
+      }
+
+      if (voucher) {
+        await loyaltyService.releaseVoucher({ _id: paymentId, userId: paymentData.userId, voucher });
+      }
+
+      if (wallet) {
+        await walletService.releasePayment({ _id: paymentId, userId: paymentData.userId, wallet });
+      }
+    }
+
     throw error;
   }
 }
 
+/**
+ * Marca um pagamento pendente como expirado e libera suas reservas
+ * @param {Object} payment - Documento do pagamento
+ * @param {string} [reason] - Motivo da expiração
+ * @returns {Promise<Object>} - Resultado da transição
+ */
+async function expirePayment(payment, reason = null) {
+  const result = await lifecycle.transition(payment, 'EXPIRED', { reason });
+
+  if (!result.success) {
+    return result;
+  }
+
+  await releaseReservations(payment);
+  await payment.save();
+
+  // Registrar na auditoria
+  await auditLogger.log({
+    action: 'PAYMENT_EXPIRED',
+    category: 'TRANSACTION',
+    severity: 'INFO',
+    status: 'SUCCESS',
+    payment: {
+      id: payment._id,
+      amount: payment.amount
+    },
+    details: reason ? { reason } : undefined
+  });
+
+  return result;
+}
+
+/**
+ * Expira os pagamentos pendentes que passaram da validade
+ * Pagamentos alterados nesse meio-tempo são ignorados pela transição
+ * @returns {Promise<number>} - Quantidade de pagamentos expirados
+ */
+async function expireOverduePayments() {
+  try {
+    const payments = await Payment.find({
+      status: 'PENDING',
+      expiresAt: { $lt: new Date() }
+    });
+
+    let expired = 0;
+
+    for (const payment of payments) {
+      try {
+        const result = await expirePayment(payment);
+
+        if (result.success) {
+          expired++;
+        } else {
+          logger.debug(`Pagamento ${payment._id} não expirado: ${result.message}`);
+        }
+      } catch (error) {
+        logger.error(`Erro ao processar pagamento expirado ${payment._id}:`, error);
+      }
+    }
+
+    return expired;
+  } catch (error) {
+    logger.error('Erro ao expirar pagamentos pendentes:', error);
+    return 0;
+  }
+}
+
+/**
+ * Verifica se o pagamento está em análise só pelo comprovante, ainda sem confirmação do banco
+ * @param {Object} payment - Documento do pagamento
+ * @returns {boolean} - Verdadeiro se aguarda a confirmação do banco
+ */
+function isAwaitingBankConfirmation(payment) {
+  return payment.status === 'PROCESSING' &&
+    payment.method === 'PIX' &&
+    !(payment.bankInfo && payment.bankInfo.status);
+}
+
+/**
+ * Sinaliza uma confirmação do banco recebida depois que o pagamento expirou ou foi cancelado
+ * O pagamento não é reaberto (as reservas já foram liberadas); a equipe decide entre a
+ * entrega manual e a devolução do valor
+ * @param {Object} payment - Documento do pagamento (EXPIRED ou CANCELLED)
+ * @param {Object} bankData - Dados da confirmação do banco
+ * @returns {Promise<boolean>} - Verdadeiro se a confirmação foi sinalizada agora
+ */
+async function flagLateBankPayment(payment, bankData) {
+  const flaggedAt = new Date();
+  const bankInfo = { ...bankData, lateConfirmedAt: flaggedAt };
+
+  const result = await Payment.updateOne(
+    { _id: payment._id, status: payment.status, 'bankInfo.lateConfirmedAt': { $exists: false } },
+    { $set: { bankInfo } }
+  );
+
+  // Outro evento já sinalizou a confirmação
+  if (result.modifiedCount === 0) {
+    return false;
+  }
+
+  payment.bankInfo = bankInfo;
+
+  await auditLogger.log({
+    action: 'PAYMENT_PIX_LATE_CONFIRMATION',
+    category: 'TRANSACTION',
+    severity: 'WARNING',
+    status: 'WARNING',
+    target: {
+      id: payment.userId,
+      username: payment.userName
+    },
+    payment: {
+      id: payment._id,
+      amount: payment.amount,
+      method: payment.method
+    },
+    details: {
+      paymentStatus: payment.status,
+      provider: bankData.provider || '',
+      transactionId: bankData.transactionId || '',
+      paidAmount: bankData.amount
+    }
+  });
+
+  logger.warn(`Confirmação do banco recebida após o pagamento ${payment._id} ficar ${payment.status}`);
+  return true;
+}
+
+/**
+ * Expira os pagamentos em análise só pelo comprovante que passaram do prazo de revisão
+ * sem confirmação do banco nem decisão da equipe, liberando suas reservas
+ * @returns {Promise<number>} - Quantidade de pagamentos expirados
+ */
+async function expireStaleProofPayments() {
+  try {
+    const limit = new Date(Date.now() - config.payment.proof.reviewHours * 60 * 60 * 1000);
+    const payments = await Payment.find({
+      status: 'PROCESSING',
+      method: 'PIX',
+      'bankInfo.status': { $exists: false },
+      'pixDetails.paymentProof.submittedAt': { $lt: limit }
+    });
+
+    let expired = 0;
+
+    // Pagamentos alterados nesse meio-tempo são ignorados pela transição
+    for (const payment of payments) {
+      const result = await expirePayment(payment, 'Comprovante não confirmado pelo banco nem pela equipe no prazo');
+
+      if (result.success) {
+        expired++;
+        logger.warn(`Pagamento ${payment._id} expirado: comprovante sem confirmação no prazo de revisão`);
+      }
+    }
+
+    return expired;
+  } catch (error) {
+    logger.error('Erro ao expirar pagamentos em análise sem confirmação:', error);
+    return 0;
+  }
+}
+
 /**
  * Verifica o status de um pagamento
  * @param {string} paymentId - ID do pagamento
@@ -171,7 +486,7 @@ async function createPayment(paymentData) {
  */
 async function checkPaymentStatus(paymentId) {
   try {
-    const payment = await Payment.findById(paymentId);
+    let payment = await Payment.findById(paymentId);
 
     if (!payment) {
       return {
@@ -182,20 +497,8 @@ async function checkPaymentStatus(paymentId) {
 
     // Verificar se expirou
     if (payment.status === 'PENDING' && new Date() > payment.expiresAt) {
-      payment.status = 'EXPIRED';
-      await payment.save();
-
-      // Registrar na auditoria
-      await auditLogger.log({
-        action: 'PAYMENT_EXPIRED',
-        category: 'TRANSACTION',
-        severity: 'INFO',
-        status: 'SUCCESS',
-        payment: {
-          id: payment._id,
-          amount: payment.amount
-        }
-      });
+      const result = await expirePayment(payment);
+      payment = result.payment || payment;
     }
 
     return {
@@ -242,36 +545,21 @@ async function cancelPayment(paymentId, userId) {
       };
     }
 
-    // Verificar se já está aprovado ou rejeitado
-    if (payment.status === 'COMPLETED') {
-      return {
-        success: false,
-        message: 'Pagamento já foi aprovado e não pode ser cancelado'
-      };
-    }
+    // Apenas pagamentos ainda não confirmados pelo banco podem ser cancelados
+    const result = await lifecycle.transition(payment, 'CANCELLED', {
+      actor: userId,
+      reason: 'Cancelado pelo usuário'
+    });
 
-    if (payment.status === 'REJECTED' || payment.status === 'CANCELLED') {
+    if (!result.success) {
       return {
         success: false,
-        message: 'Pagamento já foi cancelado ou rejeitado'
+        message: result.message
       };
     }
 
-    // Atualizar status
-    payment.status = 'CANCELLED';
-
-    // Atualizar informações de rejeição/cancelamento
-    if (Payment.schema.obj.approvalInfo) {
-      payment.approvalInfo = {
-        ...payment.approvalInfo,
-        rejectedAt: new Date(),
-        rejectionReason: 'Cancelado pelo usuário'
-      };
-    } else {
-      payment.rejectedAt = new Date();
-      payment.rejectionReason = 'Cancelado pelo usuário';
-    }
-
+    // Liberar reservas do produto
+    await releaseReservations(payment);
     await payment.save();
 
     // Registrar na auditoria
@@ -286,7 +574,7 @@ async function cancelPayment(paymentId, userId) {
       payment: {
         id: payment._id,
         amount: payment.amount,
-        method: 'PIX'
+        method: payment.method
       },
       product: {
         id: payment.productId,
@@ -342,21 +630,146 @@ async function updatePaymentFromBank(paymentId, bankData) {
       };
     }
 
-    // Verificar se o pagamento já foi processado
-    if (payment.status !== 'PENDING') {
+    // Valor recebido depois que o pagamento expirou ou foi cancelado: o pedido não é reaberto,
+    // a confirmação é sinalizada para a equipe
+    if ((bankData.status === 'approved' || bankData.status === 'completed') &&
+        ['EXPIRED', 'CANCELLED'].includes(payment.status)) {
+      const latePayment = await flagLateBankPayment(payment, {
+        ...bankData,
+        payer: payerService.normalizePayer(bankData.payer) || undefined
+      });
+
+      return {
+        success: true,
+        status: payment.status,
+        latePayment,
+        payment
+      };
+    }
+
+    // Verificar se o pagamento já foi processado (o comprovante não dispensa a confirmação do banco)
+    const awaitingBank = isAwaitingBankConfirmation(payment);
+
+    if (!awaitingBank && !lifecycle.canTransition(payment.status, 'PROCESSING')) {
       return {
         success: false,
         message: `Pagamento já está com status ${payment.status}`
       };
     }
 
+    // Valor pago menor que o cobrado é tratado como rejeição
+    if ((bankData.status === 'approved' || bankData.status === 'completed') &&
+        bankData.amount !== undefined && bankData.amount + 0.009 < payment.amount) {
+      bankData = {
+        ...bankData,
+        status: 'failed',
+        reason: `Valor pago (R$ ${Number(bankData.amount).toFixed(2)}) menor que o cobrado (R$ ${payment.amount.toFixed(2)})`
+      };
+    }
+
+    const confirmed = bankData.status === 'approved' || bankData.status === 'completed';
+    const payer = payerService.normalizePayer(bankData.payer);
+    bankData = { ...bankData, payer: payer || undefined };
+
+    const payerCheck = confirmed
+      ? await payerService.checkPayer(payment, payer)
+      : { blocked: false, flags: [], otherUsers: [] };
+
+    // Pagamento de banco bloqueado: o valor foi recebido, então o pedido é recusado e marcado para reembolso
+    if (payerCheck.blocked && config.payment.pix.blockedBankAction === 'reject') {
+      const { reason } = payerCheck.flags.find(flag => flag.code === payerService.PAYER_FLAGS.BLOCKED_BANK);
+      payment.bankInfo = { ...bankData, reason };
+
+      const result = await lifecycle.transition(payment, 'REFUND_PENDING', { reason });
+      if (!result.success) {
+        return result;
+      }
+
+      await releaseReservations(payment);
+      await payment.save();
+
+      await auditLogger.log({
+        action: 'PAYMENT_BLOCKED_BANK',
+        category: 'SECURITY',
+        severity: 'WARNING',
+        status: 'ERROR',
+        target: {
+          id: payment.userId,
+          username: payment.userName
+        },
+        payment: {
+          id: payment._id,
+          amount: payment.amount
+        },
+        details: {
+          bankName: payer.bankName || '',
+          bankIspb: payer.bankIspb || '',
+          transactionId: bankData.transactionId || ''
+        }
+      });
+
+      logger.warn(`Pagamento ${paymentId} recusado: ${reason}`);
+
+      return {
+        success: true,
+        status: payment.status
+      };
+    }
+
     // Atualizar status baseado na resposta do banco
-    if (bankData.status === 'approved' || bankData.status === 'completed') {
-      // Pagamento confirmado pelo banco
-      payment.status = 'PROCESSING'; // Aguardando aprovação manual
+    if (confirmed) {
+      // Pagamento confirmado pelo banco, aguardando aprovação manual
+      payment.bankInfo = bankData;
+      payment.riskFlags = payerCheck.flags;
 
-      if (Payment.schema.obj.bankInfo) {
-        payment.bankInfo = bankData;
+      if (awaitingBank) {
+        // Já em análise pelo comprovante: grava a confirmação sem mudar o status
+        try {
+          await payment.save();
+        } catch (error) {
+          if (!(error instanceof mongoose.Error.VersionError)) {
+            throw error;
+          }
+
+          return {
+            success: false,
+            conflict: true,
+            message: 'O pagamento foi alterado por outra operação'
+          };
+        }
+
+        lifecycle.announceBankConfirmed(payment);
+      } else {
+        const result = await lifecycle.transition(payment, 'PROCESSING');
+        if (!result.success) {
+          return result;
+        }
+      }
+
+      if (payerCheck.flags.length > 0) {
+        await auditLogger.log({
+          action: 'PAYMENT_PAYER_FLAGGED',
+          category: 'SECURITY',
+          severity: 'WARNING',
+          status: 'WARNING',
+          target: {
+            id: payment.userId,
+            username: payment.userName
+          },
+          payment: {
+            id: payment._id,
+            amount: payment.amount
+          },
+          details: {
+            flags: payerCheck.flags.map(flag => flag.code),
+            bankName: payer.bankName || '',
+            bankIspb: payer.bankIspb || '',
+            documentType: payer.documentType || '',
+            otherUsers: payerCheck.otherUsers
+          }
+        });
+
+        logger.warn(`Pagamento ${paymentId} sinalizado para revisão: ${payerCheck.flags.map(flag => flag.reason).join('; ')}`);
       }
 
       // Registrar na auditoria
@@ -370,6 +783,7 @@ async function updatePaymentFromBank(paymentId, bankData) {
           amount: payment.amount
         },
         details: {
+          provider: bankData.provider || '',
           transactionId: bankData.transactionId || '',
           receiptId: bankData.receiptId || ''
         }
@@ -378,19 +792,16 @@ async function updatePaymentFromBank(paymentId, bankData) {
       logger.info(`Pagamento ${paymentId} confirmado pelo banco`);
     } else {
       // Pagamento rejeitado pelo banco
-      payment.status = 'FAILED';
-
-      if (Payment.schema.obj.approvalInfo) {
-        payment.approvalInfo = {
-          ...payment.approvalInfo,
-          rejectedAt: new Date(),
-          rejectionReason: `Rejeitado pelo banco: ${bankData.reason || 'Motivo não especificado'}`
-        };
-      } else {
-        payment.rejectedAt = new Date();
-        payment.rejectionReason = `Rejeitado pelo banco: ${bankData.reason || 'Motivo não especificado'}`;
+      const result = await lifecycle.transition(payment, 'FAILED', {
+        reason: `Rejeitado pelo banco: ${bankData.reason || 'Motivo não especificado'}`
+      });
+      if (!result.success) {
+        return result;
       }
 
+      await releaseReservations(payment);
+      await payment.save();
+
       // Registrar na auditoria
       await auditLogger.log({
         action: 'PAYMENT_BANK_REJECTED',
@@ -409,8 +820,6 @@ async function updatePaymentFromBank(paymentId, bankData) {
       logger.warn(`Pagamento ${paymentId} rejeitado pelo banco: ${bankData.reason || 'Motivo não especificado'}`);
     }
 
-    await payment.save();
-
     return {
       success: true,
       status: payment.status
@@ -419,15 +828,294 @@ async function updatePaymentFromBank(paymentId, bankData) {
     logger.error(`Erro ao atualizar pagamento ${paymentId} com dados bancários:`, error);
     return {
       success: false,
+      retryable: true,
       message: 'Erro ao processar dados bancários'
     };
   }
 }
 
+/**
+ * Registra o comprovante de pagamento enviado pelo comprador
+ * Pagamentos pendentes passam para análise (PROCESSING); um novo envio substitui o anterior.
+ * A confirmação do banco ainda é aceita depois (ver updatePaymentFromBank); sem ela nem decisão
+ * da equipe, o pagamento expira após config.payment.proof.reviewHours
+ * @param {string} paymentId - ID do pagamento
+ * @param {string} userId - ID do comprador
+ * @param {Object} file - Anexo enviado ({ url, name, contentType, size })
+ * @returns {Promise<Object>} - Resultado com o pagamento atualizado
+ */
+async function submitPaymentProof(paymentId, userId, file) {
+  try {
+    const payment = await Payment.findById(paymentId);
+
+    if (!payment) {
+      return {
+        success: false,
+        message: 'Pagamento não encontrado'
+      };
+    }
+
+    if (payment.userId !== userId) {
+      return {
+        success: false,
+        message: 'Você não tem permissão para enviar comprovante deste pagamento'
+      };
+    }
+
+    // Pagamentos em criptomoeda são confirmados pela blockchain
+    if (payment.method !== 'PIX') {
+      return {
+        success: false,
+        message: 'Comprovantes só são aceitos em pagamentos PIX'
+      };
+    }
+
+    const contentType = (file.contentType || '').split(';')[0].trim().toLowerCase();
+    if (!config.payment.proof.allowedTypes.includes(contentType)) {
+      return {
+        success: false,
+        message: 'Formato não suportado. Envie uma imagem (PNG, JPG ou WEBP) ou um PDF'
+      };
+    }
+
+    if (file.size > config.payment.proof.maxSize) {
+      return {
+        success: false,
+        message: `Arquivo muito grande (máximo de ${Math.floor(config.payment.proof.maxSize / 1024 / 1024)} MB)`
+      };
+    }
+
+    if (payment.status === 'PENDING' && new Date() > payment.expiresAt) {
+      return {
+        success: false,
+        message: 'Este pagamento expirou. Se você já pagou, entre em contato com o suporte'
+      };
+    }
+
+    if (payment.status !== 'PENDING' && payment.status !== 'PROCESSING') {
+      return {
+        success: false,
+        message: lifecycle.describeInvalidTransition(payment.status, 'PROCESSING')
+      };
+    }
+
+    payment.pixDetails.paymentProofUrl = file.url;
+    payment.pixDetails.paymentProof = {
+      fileName: file.name,
+      contentType,
+      size: file.size,
+      submittedAt: new Date()
+    };
+
+    if (payment.status === 'PENDING') {
+      const result = await lifecycle.transition(payment, 'PROCESSING', { actor: userId });
+      if (!result.success) {
+        return result;
+      }
+    } else {
+      await payment.save();
+    }
+
+    await auditLogger.log({
+      action: 'PAYMENT_PROOF_SUBMITTED',
+      category: 'TRANSACTION',
+      severity: 'INFO',
+      status: 'SUCCESS',
+      user: {
+        id: userId
+      },
+      payment: {
+        id: payment._id,
+        amount: payment.amount,
+        method: payment.method
+      },
+      product: {
+        id: payment.productId,
+        name: payment.productName
+      },
+      details: {
+        fileName: file.name,
+        contentType,
+        size: file.size
+      }
+    });
+
+    logger.info(`Comprovante recebido para o pagamento ${paymentId} de ${userId}`);
+    return {
+      success: true,
+      payment
+    };
+  } catch (error) {
+    logger.error(`Erro ao registrar comprovante do pagamento ${paymentId}:`, error);
+    return {
+      success: false,
+      message: 'Erro ao registrar comprovante'
+    };
+  }
+}
+
+/**
+ * Registra a mensagem da equipe que exibe o comprovante do pagamento
+ * @param {string} paymentId - ID do pagamento
+ * @param {string} channelId - ID do canal de análise
+ * @param {string} messageId - ID da mensagem publicada
+ * @returns {Promise<boolean>} - Verdadeiro se registrado
+ */
+async function linkPaymentProofReview(paymentId, channelId, messageId) {
+  try {
+    const result = await Payment.updateOne(
+      { _id: paymentId },
+      {
+        $set: {
+          'pixDetails.paymentProof.reviewChannelId': channelId,
+          'pixDetails.paymentProof.reviewMessageId': messageId
+        }
+      }
+    );
+
+    return result.modifiedCount > 0;
+  } catch (error) {
+    logger.error(`Erro ao vincular análise do comprovante do pagamento ${paymentId}:`, error);
+    return false;
+  }
+}
+
+/**
+ * Aplica um cupom a um pagamento PIX pendente
+ * O valor é recalculado e um novo código PIX é gerado; o código anterior deixa de valer
+ * @param {string} paymentId - ID do pagamento
+ * @param {string} userId - ID do comprador
+ * @param {string} code - Código do cupom
+ * @returns {Promise<Object>} - Resultado com o pagamento atualizado
+ */
+async function applyCoupon(paymentId, userId, code) {
+  try {
+    const payment = await Payment.findById(paymentId);
+
+    if (!payment || payment.userId !== userId) {
+      return {
+        success: false,
+        message: 'Pagamento não encontrado'
+      };
+    }
+
+    if (payment.status !== 'PENDING' || payment.expiresAt < new Date()) {
+      return {
+        success: false,
+        message: 'Cupons só podem ser aplicados a pagamentos pendentes'
+      };
+    }
+
+    if (payment.coupon && payment.coupon.couponId) {
+      return {
+        success: false,
+        message: `Este pagamento já possui o cupom ${payment.coupon.code}`
+      };
+    }
+
+    if (payment.wallet && payment.wallet.amount) {
+      return {
+        success: false,
+        message: 'Pagamentos com saldo da carteira só aceitam cupom informado na compra'
+      };
+    }
+
+    // Formas de pagamento sem como refazer a cobrança (ex.: criptomoeda) só aceitam cupom na compra
+    const paymentMethod = paymentMethods.getMethod(payment.method);
+    if (!paymentMethod || typeof paymentMethod.updateAmount !== 'function') {
+      return {
+        success: false,
+        message: 'Esta forma de pagamento só aceita cupom informado na compra'
+      };
+    }
+
+    const isOrder = payment.items && payment.items.length > 0;
+    const sources = isOrder
+      ? payment.items.map(item => ({ productId: item.productId, price: item.price }))
+      : [{ productId: payment.productId, price: payment.amount }];
+
+    const lines = [];
+    for (const source of sources) {
+      const product = await productService.getProductById(source.productId);
+      lines.push({ ...source, productType: product ? product.tipo : null });
+    }
+
+    const redemption = await couponService.reserveCoupon(code, userId, payment._id, lines);
+
+    if (!redemption.success) {
+      return redemption;
+    }
+
+    const coupon = {
+      couponId: redemption.coupon._id,
+      code: redemption.coupon.codigo,
+      discount: redemption.discount
+    };
+
+    let charge;
+    try {
+      charge = await paymentMethod.updateAmount(payment, redemption.total);
+    } catch (error) {
+      // A cobrança não foi refeita: o uso reservado do cupom é devolvido
+      await couponService.releaseCoupon({ _id: payment._id, userId, coupon });
+      throw error;
+    }
+
+    const update = {
+      amount: redemption.total,
+      coupon,
+      ...charge
+    };
+
+    if (isOrder) {
+      redemption.lines.forEach((line, index) => {
+        update[`items.${index}.price`] = line.price;
+      });
+    }
+
+    // Só altera o pagamento se ele continuar pendente e sem cupom
+    const updated = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'PENDING', 'coupon.couponId': { $exists: false } },
+      { $set: update, $inc: { __v: 1 } }, // invalida cópias em memória (ver lifecycle)
+      { new: true }
+    );
+
+    if (!updated) {
+      await couponService.releaseCoupon({ _id: payment._id, userId, coupon });
+      return {
+        success: false,
+        message: 'O pagamento foi alterado enquanto o cupom era aplicado. Tente novamente.'
+      };
+    }
+
+    logger.info(`Cupom ${coupon.code} aplicado ao pagamento ${paymentId} (-R$ ${coupon.discount.toFixed(2)})`);
+    return {
+      success: true,
+      payment: updated,
+      discount: redemption.discount
+    };
+  } catch (error) {
+    logger.error(`Erro ao aplicar cupom ao pagamento ${paymentId}:`, error);
+    return {
+      success: false,
+      message: 'Erro ao aplicar cupom'
+    };
+  }
+}
+
 module.exports = {
   createPayment,
+  applyCoupon,
   checkPaymentStatus,
+  expirePayment,
+  expireOverduePayments,
+  expireStaleProofPayments,
+  isAwaitingBankConfirmation,
+  flagLateBankPayment,
   cancelPayment,
   getPendingPayments,
-  updatePaymentFromBank
+  updatePaymentFromBank,
+  submitPaymentProof,
+  linkPaymentProofReview,
+  releaseReservations
 };
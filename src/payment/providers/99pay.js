@@ -0,0 +1,73 @@
+/**
+ * Adaptador de webhook do provedor 99pay
+ */
+const crypto = require('crypto');
+
+// Cabeçalho com a assinatura HMAC-SHA256 (hex) do corpo da requisição
+const SIGNATURE_HEADER = 'x-99pay-signature';
+
+// Mapeamento dos status do provedor para o formato interno
+const STATUS_MAP = {
+  paid: 'approved',
+  approved: 'approved',
+  completed: 'completed',
+  failed: 'failed',
+  rejected: 'failed',
+  refused: 'failed'
+};
+
+/**
+ * Verifica a assinatura HMAC do corpo recebido
+ * @param {Buffer} rawBody - Corpo bruto da requisição
+ * @param {Object} headers - Cabeçalhos da requisição
+ * @param {string} secret - Segredo compartilhado com o provedor
+ * @returns {boolean} - Verdadeiro se a assinatura for válida
+ */
+function verifySignature(rawBody, headers, secret) {
+  const received = String(headers[SIGNATURE_HEADER] || '').replace(/^sha256=/, '');
+
+  if (!secret || !received) {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+
+  const receivedBuffer = Buffer.from(received, 'hex');
+  const expectedBuffer = Buffer.from(expected, 'hex');
+
+  return receivedBuffer.length === expectedBuffer.length &&
+    crypto.timingSafeEqual(receivedBuffer, expectedBuffer);
+}
+
+/**
+ * Converte o evento do provedor para o formato interno
+ * @param {Object} body - Corpo já convertido de JSON
+ * @returns {Object} - Evento normalizado
+ */
+function parseEvent(body) {
+  const data = body.data || body;
+
+  if (!data.id || !data.txid) {
+    throw new Error('Evento 99pay sem id ou txid');
+  }
+
+  return {
+    transactionId: String(data.id),
+    txid: String(data.txid),
+    bankData: {
+      status: STATUS_MAP[String(data.status || '').toLowerCase()] || null, // ex.: pending, created
+      transactionId: String(data.id),
+      receiptId: data.end_to_end_id || data.endToEndId || '',
+      amount: data.amount !== undefined ? Number(data.amount) : undefined,
+      paidAt: data.paid_at ? new Date(data.paid_at) : new Date(),
+      payer: data.payer || null,
+      reason: data.reason || data.status_reason
+    }
+  };
+}
+
+module.exports = {
+  name: '99pay',
+  verifySignature,
+  parseEvent
+};
@@ -0,0 +1,52 @@
+/**
+ * Registro de adaptadores de provedores de pagamento PIX
+ *
+ * Cada adaptador deve expor:
+ * - name {string}: identificador usado na rota do webhook
+ * - verifySignature(rawBody, headers, secret) {boolean}: valida a assinatura da requisição
+ * - parseEvent(body, headers) {Object}: converte o evento em
+ *   { transactionId, txid, bankData: { status, transactionId, receiptId, amount, paidAt, payer, reason } },
+ *   com status null para eventos que não alteram o pagamento
+ */
+const adapters = new Map();
+
+/**
+ * Registra um adaptador de provedor
+ * @param {Object} adapter - Adaptador do provedor
+ */
+function registerProvider(adapter) {
+  if (!adapter || !adapter.name ||
+      typeof adapter.verifySignature !== 'function' ||
+      typeof adapter.parseEvent !== 'function') {
+    throw new Error('Adaptador de provedor inválido');
+  }
+
+  adapters.set(adapter.name.toLowerCase(), adapter);
+}
+
+/**
+ * Obtém um adaptador pelo nome
+ * @param {string} name - Nome do provedor
+ * @returns {Object|null} - Adaptador ou null se não registrado
+ */
+function getProvider(name) {
+  return adapters.get(String(name || '').toLowerCase()) || null;
+}
+
+/**
+ * Lista os provedores registrados
+ * @returns {Array<string>} - Nomes dos provedores
+ */
+function listProviders() {
+  return Array.from(adapters.keys());
+}
+
+// Provedores incluídos no sistema
+registerProvider(require('./99pay'));
+registerProvider(require('./mock'));
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listProviders
+};
@@ -0,0 +1,93 @@
+/**
+ * Provedor PIX simulado para testes e desenvolvimento local
+ */
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+
+/**
+ * Assina um corpo de requisição com o segredo informado
+ * @param {string|Buffer} body - Corpo da requisição
+ * @param {string} secret - Segredo compartilhado
+ * @returns {string} - Assinatura HMAC-SHA256 em hexadecimal
+ */
+function sign(body, secret) {
+  return crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+/**
+ * Verifica a assinatura HMAC do corpo recebido
+ * @param {Buffer} rawBody - Corpo bruto da requisição
+ * @param {Object} headers - Cabeçalhos da requisição
+ * @param {string} secret - Segredo compartilhado
+ * @returns {boolean} - Verdadeiro se a assinatura for válida
+ */
+function verifySignature(rawBody, headers, secret) {
+  const received = String(headers[SIGNATURE_HEADER] || '');
+
+  if (!secret || !/^[0-9a-f]{64}$/i.test(received)) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(Buffer.from(received, 'hex'), Buffer.from(sign(rawBody, secret), 'hex'));
+}
+
+/**
+ * Converte o evento simulado para o formato interno
+ * @param {Object} body - Corpo já convertido de JSON
+ * @returns {Object} - Evento normalizado
+ */
+function parseEvent(body) {
+  if (!body.transactionId || !body.txid) {
+    throw new Error('Evento mock sem transactionId ou txid');
+  }
+
+  return {
+    transactionId: String(body.transactionId),
+    txid: String(body.txid),
+    bankData: {
+      status: body.status || 'approved',
+      transactionId: String(body.transactionId),
+      receiptId: body.receiptId || '',
+      amount: body.amount !== undefined ? Number(body.amount) : undefined,
+      paidAt: body.paidAt ? new Date(body.paidAt) : new Date(),
+      payer: body.payer || null,
+      reason: body.reason
+    }
+  };
+}
+
+/**
+ * Monta uma requisição simulada pronta para envio ao webhook
+ * @param {Object} payment - Pagamento a ser confirmado
+ * @param {string} secret - Segredo compartilhado
+ * @param {Object} overrides - Campos a sobrescrever no evento
+ * @returns {Object} - { body, headers }
+ */
+function buildRequest(payment, secret, overrides = {}) {
+  const body = JSON.stringify({
+    transactionId: uuidv4(),
+    txid: payment._id.toString(),
+    status: 'approved',
+    amount: payment.amount,
+    paidAt: new Date().toISOString(),
+    ...overrides
+  });
+
+  return {
+    body,
+    headers: {
+      'content-type': 'application/json',
+      [SIGNATURE_HEADER]: sign(body, secret)
+    }
+  };
+}
+
+module.exports = {
+  name: 'mock',
+  verifySignature,
+  parseEvent,
+  sign,
+  buildRequest
+};
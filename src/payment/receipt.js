@@ -0,0 +1,328 @@
+/**
+ * Recibos numerados dos pagamentos concluídos
+ * O recibo é emitido na aprovação, enviado ao comprador como arquivo HTML e pode ser
+ * baixado novamente pelo histórico de compras do /perfil
+ */
+const config = require('../config');
+const Receipt = require('../models/receipt');
+const Counter = require('../models/counter');
+const Payment = require('../models/payment');
+const { logger, formatCurrency, formatDate } = require('../utils/helpers');
+const auditLogger = require('../audit/logger');
+
+// Nome do contador da numeração dos recibos
+const RECEIPT_COUNTER = 'receipt';
+
+// Descrição das formas de pagamento no recibo
+const METHOD_LABELS = {
+  PIX: 'PIX',
+  CRYPTO: 'Criptomoeda',
+  WALLET: 'Saldo da carteira',
+  CREDIT_CARD: 'Cartão de crédito',
+  MANUAL: 'Manual'
+};
+
+/**
+ * Formata o número de um recibo (ex.: REC-000123)
+ * @param {number} number - Número sequencial
+ * @returns {string} - Número formatado
+ */
+function formatReceiptNumber(number) {
+  const { numberPrefix, numberDigits } = config.payment.receipt;
+  return `${numberPrefix}-${String(number).padStart(numberDigits, '0')}`;
+}
+
+/**
+ * Monta os dados do recibo a partir do pagamento
+ * O valor do pagamento já desconta cupom, vale de pontos e saldo da carteira;
+ * o recibo reconstrói o subtotal a partir desses valores
+ * @param {Object} payment - Documento do pagamento
+ * @returns {Object} - Dados do recibo (sem número)
+ * @private
+ */
+function _buildReceiptData(payment) {
+  const round = value => Math.round(value * 100) / 100;
+  const walletAmount = payment.wallet && payment.wallet.amount ? payment.wallet.amount : 0;
+  const total = round((payment.method === 'WALLET' ? 0 : payment.amount) + walletAmount);
+
+  const discounts = [];
+  if (payment.coupon && payment.coupon.discount) {
+    discounts.push({ label: `Cupom ${payment.coupon.code}`, amount: payment.coupon.discount });
+  }
+  if (payment.voucher && payment.voucher.discount) {
+    discounts.push({ label: `Vale de ${payment.voucher.points} pontos`, amount: payment.voucher.discount });
+  }
+
+  const subtotal = round(total + discounts.reduce((sum, discount) => sum + discount.amount, 0));
+
+  // Pedidos do carrinho guardam o preço de tabela de cada item; a diferença é a promoção
+  const items = payment.items && payment.items.length > 0
+    ? payment.items.map(item => ({
+      name: item.productName,
+      price: item.originalPrice || item.price,
+      delivered: item.status !== 'FAILED'
+    }))
+    : [{ name: payment.productName, price: subtotal, delivered: true }];
+
+  const promotion = round(items.reduce((sum, item) => sum + item.price, 0) - subtotal);
+  if (promotion >= 0.01) {
+    discounts.unshift({ label: 'Promoções', amount: promotion });
+  }
+
+  const payments = [];
+  if (walletAmount > 0) {
+    payments.push({ method: 'WALLET', amount: walletAmount });
+  }
+
+  if (payment.method !== 'WALLET') {
+    let reference;
+    if (payment.method === 'CRYPTO' && payment.cryptoDetails) {
+      const hashes = (payment.cryptoDetails.transactions || []).map(tx => tx.hash).join(', ');
+      reference = `${payment.cryptoDetails.received || payment.cryptoDetails.amount} ${payment.cryptoDetails.currency}${hashes ? ` (${hashes})` : ''}`;
+    } else if (payment.bankInfo) {
+      reference = payment.bankInfo.receiptId || payment.bankInfo.transactionId;
+    }
+
+    payments.push({ method: payment.method, amount: payment.amount, reference: reference || undefined });
+  }
+
+  const paidAt = (payment.bankInfo && payment.bankInfo.paidAt) ||
+    (payment.cryptoDetails && payment.cryptoDetails.confirmedAt) ||
+    payment.completedAt;
+
+  return {
+    paymentId: payment._id,
+    userId: payment.userId,
+    userName: payment.userName,
+    store: { ...config.store },
+    items,
+    subtotal,
+    discounts,
+    total,
+    payments,
+    createdAt: payment.createdAt,
+    paidAt,
+    completedAt: payment.completedAt
+  };
+}
+
+/**
+ * Emite o recibo de um pagamento concluído (ou retorna o já emitido)
+ * Falhas são registradas e não interrompem a aprovação
+ * @param {Object} payment - Documento do pagamento (COMPLETED)
+ * @returns {Promise<Object|null>} - Recibo ou null em caso de erro
+ */
+async function issueReceipt(payment) {
+  try {
+    const existing = await Receipt.findOne({ paymentId: payment._id });
+    if (existing) {
+      return existing;
+    }
+
+    if (payment.status !== 'COMPLETED') {
+      logger.warn(`Recibo não emitido: pagamento ${payment._id} está com status ${payment.status}`);
+      return null;
+    }
+
+    const receipt = await Receipt.create({
+      ..._buildReceiptData(payment),
+      number: await Counter.next(RECEIPT_COUNTER)
+    });
+
+    await auditLogger.log({
+      action: 'RECEIPT_ISSUED',
+      category: 'TRANSACTION',
+      severity: 'INFO',
+      status: 'SUCCESS',
+      target: {
+        id: payment.userId,
+        username: payment.userName
+      },
+      payment: {
+        id: payment._id,
+        amount: receipt.total,
+        method: payment.method
+      },
+      details: {
+        number: formatReceiptNumber(receipt.number)
+      }
+    });
+
+    logger.info(`Recibo ${formatReceiptNumber(receipt.number)} emitido para o pagamento ${payment._id}`);
+    return receipt;
+  } catch (error) {
+    // Emissão simultânea para o mesmo pagamento: vale o recibo já gravado
+    if (error.code === 11000) {
+      return Receipt.findOne({ paymentId: payment._id });
+    }
+
+    logger.error(`Erro ao emitir recibo do pagamento ${payment._id}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Obtém o recibo de uma compra do usuário, emitindo-o se a compra for anterior aos recibos
+ * @param {string} paymentId - ID do pagamento
+ * @param {string} userId - ID do comprador
+ * @returns {Promise<Object>} - Resultado ({ success, message, receipt })
+ */
+async function getUserReceipt(paymentId, userId) {
+  try {
+    const payment = await Payment.findById(paymentId);
+
+    if (!payment || payment.userId !== userId) {
+      return {
+        success: false,
+        message: 'Compra não encontrada'
+      };
+    }
+
+    if (payment.status !== 'COMPLETED') {
+      return {
+        success: false,
+        message: 'Recibos só são emitidos para compras concluídas'
+      };
+    }
+
+    const receipt = await issueReceipt(payment);
+
+    if (!receipt) {
+      return {
+        success: false,
+        message: 'Não foi possível gerar o recibo. Tente novamente mais tarde.'
+      };
+    }
+
+    return {
+      success: true,
+      receipt
+    };
+  } catch (error) {
+    logger.error(`Erro ao obter recibo do pagamento ${paymentId}:`, error);
+    return {
+      success: false,
+      message: 'Erro ao obter recibo'
+    };
+  }
+}
+
+/**
+ * Escapa um texto para inclusão no HTML
+ * @param {*} value - Valor a escapar
+ * @returns {string} - Texto escapado
+ * @private
+ */
+function _escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Gera o recibo em HTML (arquivo único, sem recursos externos)
+ * @param {Object} receipt - Documento do recibo
+ * @returns {string} - Documento HTML
+ */
+function renderReceiptHtml(receipt) {
+  const number = formatReceiptNumber(receipt.number);
+  const store = receipt.store || {};
+  const row = (label, value, className = '') =>
+    `<tr class="${className}"><td>${_escapeHtml(label)}</td><td class="value">${_escapeHtml(value)}</td></tr>`;
+
+  const items = receipt.items.map(item => row(
+    item.delivered ? item.name : `${item.name} (não entregue, reembolso pendente)`,
+    formatCurrency(item.price)
+  )).join('\n');
+
+  const discounts = receipt.discounts.map(discount => row(discount.label, `- ${formatCurrency(discount.amount)}`, 'discount')).join('\n');
+
+  const payments = receipt.payments.map(entry => row(
+    `${METHOD_LABELS[entry.method] || entry.method}${entry.reference ? ` — ${entry.reference}` : ''}`,
+    formatCurrency(entry.amount)
+  )).join('\n');
+
+  const dates = [
+    ['Pedido criado em', receipt.createdAt],
+    ['Pagamento confirmado em', receipt.paidAt],
+    ['Compra aprovada em', receipt.completedAt],
+    ['Recibo emitido em', receipt.issuedAt]
+  ].filter(([, date]) => date).map(([label, date]) => row(label, formatDate(date))).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="utf-8">
+<title>Recibo ${_escapeHtml(number)}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; color: #111827; max-width: 640px; margin: 32px auto; padding: 0 16px; }
+  h1 { font-size: 22px; margin-bottom: 4px; }
+  h2 { font-size: 15px; margin: 24px 0 8px; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; }
+  .store { color: #4b5563; font-size: 13px; line-height: 1.5; }
+  table { width: 100%; border-collapse: collapse; font-size: 14px; }
+  td { padding: 4px 0; vertical-align: top; }
+  td.value { text-align: right; white-space: nowrap; padding-left: 16px; }
+  tr.discount td { color: #047857; }
+  tr.total td { font-weight: bold; border-top: 1px solid #111827; padding-top: 8px; }
+  .footer { margin-top: 32px; color: #6b7280; font-size: 12px; }
+</style>
+</head>
+<body>
+<h1>Recibo ${_escapeHtml(number)}</h1>
+<div class="store">
+  <strong>${_escapeHtml(store.legalName)}</strong><br>
+  CNPJ: ${_escapeHtml(store.document)}${store.address ? `<br>${_escapeHtml(store.address)}` : ''}${store.email ? `<br>${_escapeHtml(store.email)}` : ''}
+</div>
+
+<h2>Pedido</h2>
+<table>
+${row('Número do pedido', receipt.paymentId.toString())}
+${row('Comprador', `${receipt.userName || ''} (ID ${receipt.userId})`)}
+</table>
+
+<h2>Itens</h2>
+<table>
+${items}
+${row('Subtotal', formatCurrency(receipt.subtotal))}
+${discounts}
+${row('Total pago', formatCurrency(receipt.total), 'total')}
+</table>
+
+<h2>Pagamento</h2>
+<table>
+${payments}
+</table>
+
+<h2>Datas</h2>
+<table>
+${dates}
+</table>
+
+<p class="footer">Documento emitido automaticamente como comprovante de compra. Não substitui nota fiscal.</p>
+</body>
+</html>
+`;
+}
+
+/**
+ * Gera o arquivo do recibo para envio como anexo no Discord
+ * @param {Object} receipt - Documento do recibo
+ * @returns {Object} - Anexo ({ attachment, name })
+ */
+function getReceiptFile(receipt) {
+  return {
+    attachment: Buffer.from(renderReceiptHtml(receipt), 'utf8'),
+    name: `recibo-${formatReceiptNumber(receipt.number)}.html`
+  };
+}
+
+module.exports = {
+  formatReceiptNumber,
+  issueReceipt,
+  getUserReceipt,
+  renderReceiptHtml,
+  getReceiptFile
+};
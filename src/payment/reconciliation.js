@@ -0,0 +1,288 @@
+/**
+ * Conciliação de extratos bancários com os pagamentos PIX
+ * Cada crédito do extrato é associado a um pagamento pelo txid (ID do pagamento),
+ * pelo identificador end-to-end da confirmação ou, na falta deles, pelo valor e horário
+ */
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const Payment = require('../models/payment');
+const approvalService = require('./approval');
+const lifecycle = require('./lifecycle');
+const { parseStatement } = require('./statement');
+const cache = require('../utils/cache');
+const { logger } = require('../utils/helpers');
+const auditLogger = require('../audit/logger');
+
+// Prefixo das conciliações aguardando aprovação em lote
+const CACHE_KEY_RECONCILIATION = 'reconciliation:';
+
+// Forma como o crédito foi associado ao pagamento
+const MATCH_METHODS = {
+  TXID: 'TXID',
+  RECEIPT: 'RECEIPT',
+  AMOUNT: 'AMOUNT'
+};
+
+/**
+ * Procura o pagamento citado na descrição ou no identificador do lançamento
+ * @param {Object} entry - Lançamento do extrato
+ * @param {Map} byId - Pagamentos por ID
+ * @param {Map} byReceipt - Pagamentos por identificador end-to-end
+ * @returns {Object|null} - { payment, method } ou null
+ * @private
+ */
+function _findByReference(entry, byId, byReceipt) {
+  const text = `${entry.reference} ${entry.description}`;
+
+  for (const id of text.match(/\b[0-9a-f]{24}\b/gi) || []) {
+    const payment = byId.get(id.toLowerCase());
+    if (payment) {
+      return { payment, method: MATCH_METHODS.TXID };
+    }
+  }
+
+  for (const [receiptId, payment] of byReceipt.entries()) {
+    if (entry.reference === receiptId || entry.description.includes(receiptId)) {
+      return { payment, method: MATCH_METHODS.RECEIPT };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Concilia os lançamentos de um extrato com os pagamentos
+ * @param {Array} entries - Lançamentos (payment/statement)
+ * @returns {Promise<Object>} - Relatório ({ period, credits, matched, unmatchedCredits, mismatches, approvedWithoutCredit })
+ */
+async function reconcileEntries(entries) {
+  const windowMs = config.payment.reconciliation.matchWindowMinutes * 60 * 1000;
+  const credits = entries.filter(entry => entry.amount > 0).sort((a, b) => a.date - b.date);
+
+  const report = {
+    period: null,
+    credits: credits.length,
+    matched: [],
+    unmatchedCredits: [],
+    mismatches: [],
+    approvedWithoutCredit: []
+  };
+
+  if (credits.length === 0) {
+    return report;
+  }
+
+  report.period = {
+    start: credits[0].date,
+    end: credits[credits.length - 1].date
+  };
+
+  // Pagamentos criados até uma janela antes do primeiro crédito podem ter sido pagos no período
+  const referencedIds = credits
+    .flatMap(entry => `${entry.reference} ${entry.description}`.match(/\b[0-9a-f]{24}\b/gi) || [])
+    .map(id => id.toLowerCase());
+
+  const payments = await Payment.find({
+    method: 'PIX',
+    $or: [
+      { createdAt: { $gte: new Date(report.period.start.getTime() - windowMs), $lte: report.period.end } },
+      { _id: { $in: referencedIds } }
+    ]
+  });
+
+  const byId = new Map(payments.map(payment => [payment._id.toString(), payment]));
+  const byReceipt = new Map(payments
+    .filter(payment => payment.bankInfo && payment.bankInfo.receiptId)
+    .map(payment => [payment.bankInfo.receiptId, payment]));
+
+  const matchedIds = new Set();
+  const pendingByAmount = [];
+
+  for (const entry of credits) {
+    const found = _findByReference(entry, byId, byReceipt);
+
+    if (!found) {
+      pendingByAmount.push(entry);
+      continue;
+    }
+
+    matchedIds.add(found.payment._id.toString());
+
+    if (Math.abs(found.payment.amount - entry.amount) >= 0.01) {
+      report.mismatches.push({ entry, payment: found.payment, method: found.method, difference: Math.round((entry.amount - found.payment.amount) * 100) / 100 });
+    } else {
+      report.matched.push({ entry, payment: found.payment, method: found.method });
+    }
+  }
+
+  // Créditos sem referência: valor igual e pago entre a criação do pagamento e o fim da janela
+  for (const entry of pendingByAmount) {
+    const candidates = payments.filter(payment =>
+      !matchedIds.has(payment._id.toString()) &&
+      Math.abs(payment.amount - entry.amount) < 0.01 &&
+      entry.date >= payment.createdAt &&
+      entry.date.getTime() - payment.createdAt.getTime() <= windowMs);
+
+    if (candidates.length === 1) {
+      matchedIds.add(candidates[0]._id.toString());
+      report.matched.push({ entry, payment: candidates[0], method: MATCH_METHODS.AMOUNT });
+    } else {
+      report.unmatchedCredits.push({ entry, candidates: candidates.length });
+    }
+  }
+
+  // Aprovados dentro do período do extrato deveriam ter um crédito correspondente
+  report.approvedWithoutCredit = payments.filter(payment =>
+    payment.status === 'COMPLETED' &&
+    !matchedIds.has(payment._id.toString()) &&
+    payment.createdAt >= report.period.start &&
+    payment.completedAt && payment.completedAt <= report.period.end);
+
+  return report;
+}
+
+/**
+ * Importa um extrato, concilia e guarda os pagamentos confirmados para aprovação em lote
+ * @param {string} content - Conteúdo do arquivo
+ * @param {string} fileName - Nome do arquivo
+ * @param {string} adminId - ID do administrador que importou
+ * @returns {Promise<Object>} - Resultado ({ success, message, reportId, report, approvable })
+ */
+async function importStatement(content, fileName, adminId) {
+  try {
+    let entries;
+    try {
+      entries = parseStatement(content, fileName);
+    } catch (parseError) {
+      return {
+        success: false,
+        message: parseError.message
+      };
+    }
+
+    if (entries.length === 0) {
+      return {
+        success: false,
+        message: 'Nenhum lançamento encontrado no extrato'
+      };
+    }
+
+    const report = await reconcileEntries(entries);
+
+    // Apenas associações com valor correto em pagamentos ainda abertos podem ser aprovadas
+    const approvable = report.matched
+      .filter(match => lifecycle.canTransition(match.payment.status, 'COMPLETED'))
+      .map(match => match.payment._id.toString());
+
+    const reportId = uuidv4().replace(/-/g, '').substring(0, 12);
+
+    if (approvable.length > 0) {
+      await cache.set(`${CACHE_KEY_RECONCILIATION}${reportId}`, {
+        importedBy: adminId,
+        fileName,
+        paymentIds: approvable
+      }, config.payment.reconciliation.reportTtl);
+    }
+
+    await auditLogger.log({
+      action: 'BANK_STATEMENT_RECONCILED',
+      category: 'TRANSACTION',
+      severity: report.mismatches.length > 0 || report.approvedWithoutCredit.length > 0 ? 'WARNING' : 'INFO',
+      status: 'SUCCESS',
+      user: {
+        id: adminId
+      },
+      details: {
+        reportId,
+        fileName,
+        entries: entries.length,
+        credits: report.credits,
+        matched: report.matched.length,
+        unmatchedCredits: report.unmatchedCredits.length,
+        mismatches: report.mismatches.map(mismatch => mismatch.payment._id.toString()),
+        approvedWithoutCredit: report.approvedWithoutCredit.map(payment => payment._id.toString()),
+        approvable: approvable.length
+      }
+    });
+
+    logger.info(`Extrato ${fileName} conciliado por ${adminId}: ${report.matched.length}/${report.credits} créditos associados`);
+
+    return {
+      success: true,
+      reportId,
+      report,
+      approvable
+    };
+  } catch (error) {
+    logger.error('Erro ao conciliar extrato bancário:', error);
+    return {
+      success: false,
+      message: 'Erro ao conciliar extrato bancário'
+    };
+  }
+}
+
+/**
+ * Aprova os pagamentos confirmados por uma conciliação
+ * @param {string} reportId - ID da conciliação
+ * @param {string} adminId - ID do administrador que aprova
+ * @returns {Promise<Object>} - Resultado ({ success, message, results })
+ */
+async function approveMatches(reportId, adminId) {
+  try {
+    const key = `${CACHE_KEY_RECONCILIATION}${reportId}`;
+    const pending = await cache.get(key);
+
+    if (!pending) {
+      return {
+        success: false,
+        message: 'Conciliação não encontrada ou expirada. Importe o extrato novamente.'
+      };
+    }
+
+    // Remover antes de aprovar evita que dois cliques aprovem a mesma lista
+    await cache.del(key);
+
+    const results = [];
+    for (const paymentId of pending.paymentIds) {
+      results.push({
+        paymentId,
+        result: await approvalService.approvePayment(paymentId, adminId)
+      });
+    }
+
+    await auditLogger.log({
+      action: 'BANK_STATEMENT_MATCHES_APPROVED',
+      category: 'TRANSACTION',
+      severity: 'INFO',
+      status: 'SUCCESS',
+      user: {
+        id: adminId
+      },
+      details: {
+        reportId,
+        fileName: pending.fileName,
+        approved: results.filter(item => item.result.success).map(item => item.paymentId),
+        failed: results.filter(item => !item.result.success).map(item => item.paymentId)
+      }
+    });
+
+    return {
+      success: true,
+      results
+    };
+  } catch (error) {
+    logger.error(`Erro ao aprovar pagamentos da conciliação ${reportId}:`, error);
+    return {
+      success: false,
+      message: 'Erro ao aprovar pagamentos conciliados'
+    };
+  }
+}
+
+module.exports = {
+  MATCH_METHODS,
+  reconcileEntries,
+  importStatement,
+  approveMatches
+};
@@ -0,0 +1,502 @@
+/**
+ * Sistema de reembolso de pagamentos
+ */
+const mongoose = require('mongoose');
+const Payment = require('../models/payment');
+const Product = require('../models/product');
+const config = require('../config');
+const userService = require('../user/profile');
+const loyaltyService = require('../marketing/loyalty');
+const paymentService = require('./pix');
+const lifecycle = require('./lifecycle');
+const walletService = require('./wallet');
+const productService = require('../product/catalog');
+const vault = require('../product/vault');
+const { logger } = require('../utils/helpers');
+const auditLogger = require('../audit/logger');
+
+// Status que permitem reembolso
+const REFUNDABLE_STATUS = ['COMPLETED', 'REFUND_PENDING'];
+
+/**
+ * Verifica se o valor exige confirmação de um segundo administrador
+ * Considera o total já reembolsado, para que reembolsos parciais não contornem o limite
+ * @param {number} amount - Valor do reembolso
+ * @param {number} [alreadyRefunded=0] - Valor já reembolsado do pagamento
+ * @returns {boolean} - Verdadeiro se exigir confirmação
+ */
+function requiresSecondApproval(amount, alreadyRefunded = 0) {
+  return Math.round((alreadyRefunded + amount) * 100) / 100 > config.payment.refund.dualApprovalThreshold;
+}
+
+/**
+ * Estorna os pontos de fidelidade concedidos na aprovação
+ * Se o usuário já gastou parte dos pontos, estorna o saldo disponível
+ * @param {Object} payment - Documento do pagamento
+ * @param {number} points - Pontos a estornar
+ * @param {string} adminId - ID do administrador
+ * @returns {Promise<number>} - Pontos efetivamente estornados
+ * @private
+ */
+async function _reverseLoyaltyPoints(payment, points, adminId) {
+  if (points <= 0) {
+    return 0;
+  }
+
+  const metadata = {
+    paymentId: payment._id,
+    productId: payment.productId,
+    adminId
+  };
+
+  let result = await loyaltyService.usePoints(payment.userId, points, 'REFUND', metadata);
+
+  if (!result.success && result.currentPoints > 0) {
+    const available = result.currentPoints;
+    result = await loyaltyService.usePoints(payment.userId, available, 'REFUND', metadata);
+    return result.success ? available : 0;
+  }
+
+  return result.success ? points : 0;
+}
+
+/**
+ * Devolve a unidade reembolsada ao estoque ou a descarta como comprometida
+ * Credenciais já reveladas ao comprador nunca voltam ao estoque: a unidade é descartada
+ * @param {Object} unit - Unidade reembolsada ({ productId, credentials, revealed })
+ * @param {string} productAction - RESTOCK ou COMPROMISED
+ * @param {string} reason - Motivo do reembolso
+ * @param {string} adminId - ID do administrador
+ * @returns {Promise<string|null>} - Destino aplicado (RESTOCK ou COMPROMISED)
+ * @private
+ */
+async function _handleRefundedProduct(unit, productAction, reason, adminId) {
+  const product = await Product.findById(unit.productId);
+
+  if (!product) {
+    return null;
+  }
+
+  if (productAction === 'RESTOCK' && product.origem !== 'LZT' && !unit.revealed) {
+    // A unidade e suas credenciais voltam para o estoque
+    await productService.restockProductUnit(product._id);
+    await vault.returnProductCredentials(product._id, unit.credentials, adminId);
+    return 'RESTOCK';
+  }
+
+  // Unidade descartada; o produto só fica comprometido se não restarem outras unidades
+  const hasOtherUnits = product.estoque > 0 || (product.reservas && product.reservas.length > 0);
+
+  if (!hasOtherUnits) {
+    product.disponivel = false;
+    product.comprometido = true;
+    product.motivoComprometimento = reason;
+    product.ultimaAtualizacao = new Date();
+    await product.save();
+  }
+
+  return 'COMPROMISED';
+}
+
+/**
+ * Executa o reembolso de um pagamento
+ * Reembolso total: revoga as credenciais entregues e devolve o produto ao estoque
+ * (ou o marca como comprometido). Reembolso parcial: compensação, a entrega é mantida.
+ * O pagamento é salvo antes do estorno de pontos e da devolução ao estoque: com o controle
+ * de versão, só uma de duas confirmações concorrentes chega a esses efeitos.
+ * @param {Object} payment - Documento do pagamento
+ * @param {Object} request - Dados do reembolso
+ * @param {string} confirmedBy - ID do administrador que confirmou
+ * @returns {Promise<Object>} - Resultado da operação
+ * @private
+ */
+async function _executeRefund(payment, request, confirmedBy) {
+  const wasCompleted = payment.status === 'COMPLETED';
+  const alreadyRefunded = payment.refundInfo?.refundedAmount || 0;
+  const totalRefunded = Math.round((alreadyRefunded + request.amount) * 100) / 100;
+  const isFullRefund = totalRefunded >= payment.amount;
+
+  // O estorno nunca passa dos pontos concedidos na aprovação (pagamentos antigos: 1 ponto por real);
+  // no reembolso parcial é proporcional ao valor reembolsado
+  const previouslyReversed = payment.refundInfo?.pointsReversed || 0;
+  const pointsAwarded = payment.approvalInfo?.pointsAwarded ?? Math.floor(payment.amount);
+  const reversible = Math.max(pointsAwarded - previouslyReversed, 0);
+  let pointsToReverse = 0;
+  if (wasCompleted) {
+    pointsToReverse = isFullRefund
+      ? reversible
+      : Math.min(Math.floor(request.amount), reversible);
+  }
+
+  let refundedUnits = [];
+
+  if (isFullRefund) {
+    // Pedidos do carrinho: cada item entregue é tratado separadamente
+    const lines = payment.items && payment.items.length > 0
+      ? payment.items.filter(item => item.status === 'DELIVERED')
+      : [payment];
+
+    // Guardar as credenciais antes de revogá-las; voltam ao cofre após salvar o pagamento
+    refundedUnits = lines.map(line => ({
+      productId: line.productId,
+      credentials: line.deliveryDetails && line.deliveryDetails.accessCredentials,
+      revealed: Boolean(line.deliveryDetails && line.deliveryDetails.revealedAt)
+    }));
+
+    // Revogar credenciais entregues
+    for (const line of lines) {
+      if (line.deliveryDetails && line.deliveryDetails.accessCredentials) {
+        line.deliveryDetails.accessCredentials = undefined;
+        line.deliveryDetails.revokedAt = new Date();
+      }
+      if (line !== payment) {
+        line.status = 'REFUNDED';
+      }
+    }
+  }
+
+  payment.refundInfo = {
+    status: 'COMPLETED',
+    amount: request.amount,
+    refundedAmount: totalRefunded,
+    reason: request.reason,
+    productAction: isFullRefund && wasCompleted ? request.productAction : undefined,
+    requestedBy: request.requestedBy,
+    requestedAt: request.requestedAt,
+    confirmedBy,
+    refundedAt: new Date(),
+    pointsReversed: previouslyReversed
+  };
+
+  if (isFullRefund) {
+    const transition = await lifecycle.transition(payment, 'REFUNDED', {
+      actor: confirmedBy,
+      reason: request.reason
+    });
+
+    if (!transition.success) {
+      logger.warn(`Reembolso do pagamento ${payment._id} não executado: ${transition.message}`);
+      return transition;
+    }
+  } else {
+    try {
+      await payment.save();
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.VersionError)) {
+        throw error;
+      }
+
+      logger.warn(`Reembolso parcial do pagamento ${payment._id} não executado: pagamento alterado por outra operação`);
+      return {
+        success: false,
+        conflict: true,
+        message: 'O pagamento foi alterado por outra operação. Confira o status e tente novamente'
+      };
+    }
+  }
+
+  let discardedRevealed = 0;
+  let walletRefunded = 0;
+
+  if (isFullRefund) {
+    if (wasCompleted) {
+      for (const unit of refundedUnits) {
+        const applied = await _handleRefundedProduct(unit, request.productAction, request.reason, confirmedBy);
+
+        if (applied === 'COMPROMISED' && request.productAction === 'RESTOCK' && unit.revealed) {
+          discardedRevealed++;
+        }
+      }
+
+      // Parte paga com saldo da carteira volta para a carteira do comprador
+      if (payment.wallet && payment.wallet.amount) {
+        const walletRefund = await walletService.refundPayment(payment, {
+          reason: request.reason,
+          adminId: confirmedBy
+        });
+
+        if (walletRefund.success) {
+          walletRefunded = walletRefund.amount;
+        } else {
+          logger.warn(`Saldo da carteira do pagamento ${payment._id} não devolvido: ${walletRefund.message}`);
+        }
+      }
+    } else {
+      // Pagamento sem entrega: apenas liberar reservas pendentes
+      await paymentService.releaseReservations(payment);
+    }
+  }
+
+  const pointsReversed = await _reverseLoyaltyPoints(payment, pointsToReverse, confirmedBy);
+
+  if (pointsReversed > 0) {
+    await Payment.updateOne(
+      { _id: payment._id },
+      { $inc: { 'refundInfo.pointsReversed': pointsReversed } }
+    );
+    payment.refundInfo.pointsReversed = previouslyReversed + pointsReversed;
+  }
+
+  await userService.recordActivity(payment.userId, 'PAYMENT_REFUNDED', {
+    paymentId: payment._id,
+    productId: payment.productId,
+    amount: request.amount,
+    reason: request.reason
+  });
+
+  await auditLogger.log({
+    action: 'PAYMENT_REFUNDED',
+    category: 'TRANSACTION',
+    severity: 'WARNING',
+    status: 'SUCCESS',
+    user: {
+      id: confirmedBy
+    },
+    target: {
+      id: payment.userId,
+      username: payment.userName
+    },
+    payment: {
+      id: payment._id,
+      amount: payment.amount,
+      method: payment.method
+    },
+    product: {
+      id: payment.productId,
+      name: payment.productName
+    },
+    details: {
+      refundAmount: request.amount,
+      totalRefunded,
+      fullRefund: isFullRefund,
+      reason: request.reason,
+      productAction: request.productAction,
+      requestedBy: request.requestedBy,
+      confirmedBy,
+      pointsReversed,
+      discardedRevealed,
+      walletRefunded
+    }
+  });
+
+  logger.info(`Pagamento ${payment._id} reembolsado (R$ ${request.amount.toFixed(2)}) por ${confirmedBy}`);
+  return {
+    success: true,
+    payment,
+    refundAmount: request.amount,
+    fullRefund: isFullRefund,
+    pointsReversed,
+    discardedRevealed,
+    walletRefunded
+  };
+}
+
+/**
+ * Solicita o reembolso de um pagamento
+ * Acima do limite configurado, o reembolso aguarda a confirmação de outro administrador
+ * @param {string} paymentId - ID do pagamento
+ * @param {Object} options - Opções do reembolso
+ * @param {string} options.reason - Motivo do reembolso
+ * @param {number} [options.amount] - Valor a reembolsar (padrão: valor restante)
+ * @param {string} [options.productAction] - RESTOCK ou COMPROMISED
+ * @param {string} adminId - ID do administrador solicitante
+ * @returns {Promise<Object>} - Resultado da operação
+ */
+async function requestRefund(paymentId, options, adminId) {
+  try {
+    const payment = await Payment.findById(paymentId);
+
+    if (!payment) {
+      return {
+        success: false,
+        message: 'Pagamento não encontrado'
+      };
+    }
+
+    if (!REFUNDABLE_STATUS.includes(payment.status)) {
+      return {
+        success: false,
+        message: `Pagamento com status ${payment.status} não pode ser reembolsado`
+      };
+    }
+
+    if (payment.refundInfo && payment.refundInfo.status === 'AWAITING_CONFIRMATION') {
+      return {
+        success: false,
+        message: 'Já existe um reembolso aguardando confirmação para este pagamento'
+      };
+    }
+
+    const alreadyRefunded = payment.refundInfo?.refundedAmount || 0;
+    const remaining = Math.round((payment.amount - alreadyRefunded) * 100) / 100;
+    const amount = options.amount !== undefined && options.amount !== null
+      ? Math.round(options.amount * 100) / 100
+      : remaining;
+
+    // Pago só com saldo da carteira: não há valor via PIX, o reembolso total devolve o saldo
+    const walletOnly = remaining <= 0 && Boolean(payment.wallet && payment.wallet.amount);
+
+    if (!(amount > 0 || walletOnly) || amount > remaining) {
+      return {
+        success: false,
+        message: `Valor inválido. O valor máximo reembolsável é R$ ${remaining.toFixed(2)}`
+      };
+    }
+
+    const request = {
+      amount,
+      reason: options.reason,
+      productAction: options.productAction === 'COMPROMISED' ? 'COMPROMISED' : 'RESTOCK',
+      requestedBy: adminId,
+      requestedAt: new Date()
+    };
+
+    // Valores altos exigem confirmação de um segundo administrador; no reembolso total
+    // de uma compra aprovada conta também o saldo da carteira que será devolvido
+    const walletShare = payment.status === 'COMPLETED' && amount >= remaining && payment.wallet && payment.wallet.amount
+      ? payment.wallet.amount
+      : 0;
+
+    if (requiresSecondApproval(amount + walletShare, alreadyRefunded)) {
+      payment.refundInfo = {
+        ...request,
+        status: 'AWAITING_CONFIRMATION',
+        refundedAmount: alreadyRefunded,
+        pointsReversed: payment.refundInfo?.pointsReversed || 0
+      };
+      await payment.save();
+
+      await auditLogger.log({
+        action: 'REFUND_REQUESTED',
+        category: 'TRANSACTION',
+        severity: 'WARNING',
+        status: 'PENDING',
+        user: {
+          id: adminId
+        },
+        target: {
+          id: payment.userId,
+          username: payment.userName
+        },
+        payment: {
+          id: payment._id,
+          amount: payment.amount
+        },
+        details: {
+          refundAmount: amount,
+          reason: request.reason,
+          productAction: request.productAction
+        }
+      });
+
+      return {
+        success: true,
+        requiresConfirmation: true,
+        payment,
+        refundAmount: amount
+      };
+    }
+
+    return await _executeRefund(payment, request, adminId);
+  } catch (error) {
+    logger.error(`Erro ao solicitar reembolso do pagamento ${paymentId}:`, error);
+    return {
+      success: false,
+      message: 'Erro ao processar reembolso'
+    };
+  }
+}
+
+/**
+ * Confirma um reembolso pendente (segundo administrador)
+ * @param {string} paymentId - ID do pagamento
+ * @param {string} adminId - ID do administrador que confirma
+ * @returns {Promise<Object>} - Resultado da operação
+ */
+async function confirmRefund(paymentId, adminId) {
+  try {
+    const payment = await Payment.findById(paymentId);
+
+    if (!payment || !payment.refundInfo || payment.refundInfo.status !== 'AWAITING_CONFIRMATION') {
+      return {
+        success: false,
+        message: 'Nenhum reembolso aguardando confirmação para este pagamento'
+      };
+    }
+
+    if (payment.refundInfo.requestedBy === adminId) {
+      return {
+        success: false,
+        message: 'O reembolso precisa ser confirmado por outro administrador'
+      };
+    }
+
+    if (!REFUNDABLE_STATUS.includes(payment.status)) {
+      return {
+        success: false,
+        message: `Pagamento com status ${payment.status} não pode ser reembolsado`
+      };
+    }
+
+    const { amount, reason, productAction, requestedBy, requestedAt } = payment.refundInfo;
+
+    return await _executeRefund(payment, { amount, reason, productAction, requestedBy, requestedAt }, adminId);
+  } catch (error) {
+    logger.error(`Erro ao confirmar reembolso do pagamento ${paymentId}:`, error);
+    return {
+      success: false,
+      message: 'Erro ao confirmar reembolso'
+    };
+  }
+}
+
+/**
+ * Cancela uma solicitação de reembolso pendente
+ * @param {string} paymentId - ID do pagamento
+ * @param {string} adminId - ID do administrador
+ * @returns {Promise<Object>} - Resultado da operação
+ */
+async function cancelRefundRequest(paymentId, adminId) {
+  try {
+    const payment = await Payment.findById(paymentId);
+
+    if (!payment || !payment.refundInfo || payment.refundInfo.status !== 'AWAITING_CONFIRMATION') {
+      return {
+        success: false,
+        message: 'Nenhum reembolso aguardando confirmação para este pagamento'
+      };
+    }
+
+    payment.refundInfo.status = 'CANCELLED';
+    await payment.save();
+
+    await auditLogger.log({
+      action: 'REFUND_REQUEST_CANCELLED',
+      category: 'TRANSACTION',
+      severity: 'INFO',
+      status: 'SUCCESS',
+      user: {
+        id: adminId
+      },
+      payment: {
+        id: payment._id,
+        amount: payment.amount
+      }
+    });
+
+    return { success: true, payment };
+  } catch (error) {
+    logger.error(`Erro ao cancelar reembolso do pagamento ${paymentId}:`, error);
+    return {
+      success: false,
+      message: 'Erro ao cancelar reembolso'
+    };
+  }
+}
+
+module.exports = {
+  requiresSecondApproval,
+  requestRefund,
+  confirmRefund,
+  cancelRefundRequest
+};
@@ -0,0 +1,222 @@
+/**
+ * Leitura de extratos bancários exportados em CSV ou OFX
+ * Converte os lançamentos para um formato único usado na conciliação
+ */
+const { removeAccents } = require('../utils/helpers');
+
+// Nomes de coluna aceitos nos CSV exportados pelos bancos (sem acentos, minúsculos)
+const CSV_COLUMNS = {
+  date: ['data', 'date', 'data lancamento', 'data_lancamento', 'data/hora', 'data hora', 'datetime'],
+  amount: ['valor', 'amount', 'valor (r$)', 'valor r$', 'value'],
+  description: ['descricao', 'description', 'historico', 'memo', 'detalhes', 'lancamento'],
+  reference: ['id', 'identificador', 'fitid', 'id transacao', 'id da transacao', 'e2e', 'end_to_end_id', 'endtoendid', 'codigo'],
+  type: ['tipo', 'type', 'natureza']
+};
+
+/**
+ * @typedef {Object} StatementEntry
+ * @property {string} reference - Identificador do lançamento no banco (FITID, E2E ou linha)
+ * @property {Date} date - Data do lançamento
+ * @property {number} amount - Valor (positivo para créditos, negativo para débitos)
+ * @property {string} description - Descrição/histórico do lançamento
+ */
+
+/**
+ * Normaliza o nome de uma coluna para comparação
+ * @param {string} name - Nome original
+ * @returns {string} - Nome sem acentos, em minúsculas
+ * @private
+ */
+function _normalizeHeader(name) {
+  return removeAccents(String(name || ''))
+    .replace(/^\uFEFF/, '')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Converte um valor monetário em número, aceitando "1.234,56", "1234.56" e "R$ -10,00"
+ * @param {string} value - Valor em texto
+ * @returns {number} - Valor numérico (NaN se inválido)
+ * @private
+ */
+function _parseAmount(value) {
+  let text = String(value || '').replace(/R\$|\s/g, '');
+
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+
+  // O último separador é o decimal; o outro é de milhar
+  if (lastComma > lastDot) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else {
+    text = text.replace(/,/g, '');
+  }
+
+  return text ? Number(text) : NaN;
+}
+
+/**
+ * Converte uma data do extrato (dd/mm/aaaa [hh:mm[:ss]] ou ISO)
+ * @param {string} value - Data em texto
+ * @returns {Date|null} - Data ou null se inválida
+ * @private
+ */
+function _parseDate(value) {
+  const text = String(value || '').trim();
+  const match = text.match(/^(\d{2})\/(\d{2})\/(\d{4})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?/);
+
+  const date = match
+    ? new Date(Number(match[3]), Number(match[2]) - 1, Number(match[1]),
+      Number(match[4] || 0), Number(match[5] || 0), Number(match[6] || 0))
+    : new Date(text);
+
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Divide uma linha de CSV respeitando campos entre aspas
+ * @param {string} line - Linha do arquivo
+ * @param {string} delimiter - Separador de campos
+ * @returns {Array<string>} - Campos
+ * @private
+ */
+function _splitCsvLine(line, delimiter) {
+  const fields = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (char === '"') {
+      if (quoted && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === delimiter && !quoted) {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  fields.push(current.trim());
+  return fields;
+}
+
+/**
+ * Lê um extrato em CSV
+ * O cabeçalho é localizado automaticamente (alguns bancos incluem linhas de resumo antes dele)
+ * @param {string} content - Conteúdo do arquivo
+ * @returns {Array<StatementEntry>} - Lançamentos
+ */
+function parseCsv(content) {
+  const lines = content.split(/\r?\n/).filter(line => line.trim());
+  const findColumn = (headers, aliases) => headers.findIndex(header => aliases.includes(header));
+
+  for (let headerIndex = 0; headerIndex < lines.length; headerIndex++) {
+    const delimiter = (lines[headerIndex].match(/;/g) || []).length >= (lines[headerIndex].match(/,/g) || []).length ? ';' : ',';
+    const headers = _splitCsvLine(lines[headerIndex], delimiter).map(_normalizeHeader);
+
+    const columns = {};
+    for (const [field, aliases] of Object.entries(CSV_COLUMNS)) {
+      columns[field] = findColumn(headers, aliases);
+    }
+
+    if (columns.date === -1 || columns.amount === -1) {
+      continue;
+    }
+
+    const entries = [];
+    for (let i = headerIndex + 1; i < lines.length; i++) {
+      const fields = _splitCsvLine(lines[i], delimiter);
+      const date = _parseDate(fields[columns.date]);
+      let amount = _parseAmount(fields[columns.amount]);
+
+      // Linhas de saldo e totais não têm data ou valor válidos
+      if (!date || isNaN(amount)) {
+        continue;
+      }
+
+      // Bancos que exportam o valor sem sinal indicam débitos em uma coluna própria
+      const type = columns.type !== -1 ? _normalizeHeader(fields[columns.type]) : '';
+      if (amount > 0 && (type === 'd' || type.startsWith('debito') || type.startsWith('saida'))) {
+        amount = -amount;
+      }
+
+      entries.push({
+        reference: (columns.reference !== -1 && fields[columns.reference]) || `linha-${i + 1}`,
+        date,
+        amount: Math.round(amount * 100) / 100,
+        description: columns.description !== -1 ? fields[columns.description] || '' : ''
+      });
+    }
+
+    return entries;
+  }
+
+  throw new Error('Cabeçalho do CSV não encontrado (colunas de data e valor são obrigatórias)');
+}
+
+/**
+ * Converte uma data OFX (AAAAMMDDHHMMSS[.XXX][-3:BRT])
+ * @param {string} value - Data em texto
+ * @returns {Date|null} - Data ou null se inválida
+ * @private
+ */
+function _parseOfxDate(value) {
+  const match = String(value || '').match(/^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?)?(?:\.\d+)?(?:\[([+-]?\d+(?:\.\d+)?)(?::\w+)?\])?/);
+
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour = '00', minute = '00', second = '00', offset] = match;
+  const utc = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+
+  // Sem fuso informado, a data é tratada como UTC (padrão do OFX)
+  return new Date(utc - Number(offset || 0) * 60 * 60 * 1000);
+}
+
+/**
+ * Lê um extrato em OFX (SGML ou XML)
+ * @param {string} content - Conteúdo do arquivo
+ * @returns {Array<StatementEntry>} - Lançamentos
+ */
+function parseOfx(content) {
+  const blocks = content.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+  const readTag = (block, tag) => {
+    const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+    return match ? match[1].trim() : '';
+  };
+
+  return blocks
+    .map((block, index) => ({
+      reference: readTag(block, 'FITID') || `transacao-${index + 1}`,
+      date: _parseOfxDate(readTag(block, 'DTPOSTED')),
+      amount: Math.round(_parseAmount(readTag(block, 'TRNAMT')) * 100) / 100,
+      description: [readTag(block, 'NAME'), readTag(block, 'MEMO')].filter(Boolean).join(' - ')
+    }))
+    .filter(entry => entry.date && !isNaN(entry.amount));
+}
+
+/**
+ * Lê um extrato identificando o formato pela extensão ou pelo conteúdo
+ * @param {string} content - Conteúdo do arquivo
+ * @param {string} [fileName] - Nome do arquivo
+ * @returns {Array<StatementEntry>} - Lançamentos
+ */
+function parseStatement(content, fileName = '') {
+  const isOfx = /\.ofx$/i.test(fileName) || /<OFX>/i.test(content);
+  return isOfx ? parseOfx(content) : parseCsv(content);
+}
+
+module.exports = {
+  parseCsv,
+  parseOfx,
+  parseStatement
+};
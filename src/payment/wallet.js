@@ -0,0 +1,530 @@
+/**
+ * Carteira de crédito dos usuários
+ * Valores devidos aos compradores (reembolsos parciais, falhas de entrega, compensações)
+ * ficam registrados em um livro-razão de partidas dobradas e podem pagar compras
+ */
+const mongoose = require('mongoose');
+const config = require('../config');
+const Wallet = require('../models/wallet');
+const WalletTransaction = require('../models/walletTransaction');
+const { logger } = require('../utils/helpers');
+const auditLogger = require('../audit/logger');
+
+// Contas do livro-razão
+const ACCOUNTS = {
+  wallet: userId => `wallet:${userId}`, // saldo disponível do usuário
+  hold: paymentId => `hold:${paymentId}`, // saldo reservado por um pagamento pendente
+  SALES: 'revenue:sales', // saldo usado em compras aprovadas
+  ADJUSTMENTS: 'system:adjustments' // débitos feitos pela equipe
+};
+
+// Origem dos créditos concedidos pela equipe (conta debitada no livro-razão)
+const CREDIT_SOURCES = {
+  REFUND: 'expense:refunds',
+  DELIVERY_FAILURE: 'expense:delivery_failures',
+  COMPENSATION: 'expense:compensation',
+  OTHER: ACCOUNTS.ADJUSTMENTS
+};
+
+/**
+ * Arredonda um valor para centavos
+ * @param {number} value - Valor
+ * @returns {number} - Valor arredondado
+ * @private
+ */
+function _round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Registra uma transação no livro-razão
+ * @param {Object} data - Dados da transação
+ * @param {string} data.debit - Conta debitada
+ * @param {string} data.credit - Conta creditada
+ * @returns {Promise<Object>} - Transação criada
+ * @private
+ */
+async function _post({ type, userId, amount, debit, credit, balanceAfter, paymentId, settlementOf, reason, createdBy }) {
+  return WalletTransaction.create({
+    type,
+    userId,
+    amount,
+    entries: [
+      { account: debit, direction: 'DEBIT', amount },
+      { account: credit, direction: 'CREDIT', amount }
+    ],
+    balanceAfter,
+    paymentId,
+    settlementOf,
+    reason,
+    createdBy
+  });
+}
+
+/**
+ * Altera o saldo disponível de uma carteira
+ * Débitos só são aplicados se houver saldo suficiente
+ * @param {string} userId - ID do usuário
+ * @param {number} delta - Valor a somar (negativo para débito)
+ * @returns {Promise<Object|null>} - Carteira atualizada ou null se o saldo for insuficiente
+ * @private
+ */
+async function _changeBalance(userId, delta) {
+  if (delta >= 0) {
+    return Wallet.findOneAndUpdate(
+      { userId },
+      { $inc: { balance: delta }, $set: { updatedAt: new Date() } },
+      { new: true, upsert: true }
+    );
+  }
+
+  return Wallet.findOneAndUpdate(
+    { userId, balance: { $gte: -delta - 0.001 } },
+    { $inc: { balance: delta }, $set: { updatedAt: new Date() } },
+    { new: true }
+  );
+}
+
+/**
+ * Obtém o saldo disponível de um usuário
+ * @param {string} userId - ID do usuário
+ * @returns {Promise<number>} - Saldo em reais
+ */
+async function getBalance(userId) {
+  const wallet = await Wallet.findOne({ userId });
+  return wallet ? _round(wallet.balance) : 0;
+}
+
+/**
+ * Lista as últimas transações da carteira de um usuário
+ * @param {string} userId - ID do usuário
+ * @param {number} [limit] - Quantidade máxima
+ * @returns {Promise<Array>} - Transações, da mais recente para a mais antiga
+ */
+async function getHistory(userId, limit = config.payment.wallet.historyLimit) {
+  return WalletTransaction.find({ userId })
+    .sort({ createdAt: -1 })
+    .limit(limit);
+}
+
+/**
+ * Recalcula o saldo a partir do livro-razão e compara com o saldo registrado
+ * @param {string} userId - ID do usuário
+ * @returns {Promise<Object>} - { balance, ledgerBalance, held, consistent }
+ */
+async function verifyBalance(userId) {
+  const account = ACCOUNTS.wallet(userId);
+  const transactions = await WalletTransaction.find({ userId });
+
+  let ledgerBalance = 0;
+  const holds = new Map();
+
+  for (const transaction of transactions) {
+    for (const entry of transaction.entries) {
+      if (entry.account === account) {
+        ledgerBalance += entry.direction === 'CREDIT' ? entry.amount : -entry.amount;
+      } else if (entry.account.startsWith('hold:')) {
+        holds.set(entry.account, (holds.get(entry.account) || 0) + (entry.direction === 'CREDIT' ? entry.amount : -entry.amount));
+      }
+    }
+  }
+
+  const balance = await getBalance(userId);
+  ledgerBalance = _round(ledgerBalance);
+
+  return {
+    balance,
+    ledgerBalance,
+    held: _round([...holds.values()].reduce((sum, value) => sum + value, 0)),
+    consistent: Math.abs(balance - ledgerBalance) < 0.005
+  };
+}
+
+/**
+ * Concede crédito na carteira de um usuário
+ * @param {string} userId - ID do usuário
+ * @param {number} amount - Valor em reais
+ * @param {Object} options - Opções
+ * @param {string} options.source - Origem do crédito (CREDIT_SOURCES)
+ * @param {string} options.reason - Motivo
+ * @param {string} options.adminId - ID do administrador
+ * @param {string} [options.paymentId] - Pagamento relacionado
+ * @returns {Promise<Object>} - Resultado ({ success, message, balance, transaction })
+ */
+async function creditWallet(userId, amount, { source = 'OTHER', reason, adminId, paymentId } = {}) {
+  try {
+    amount = _round(amount);
+
+    if (!(amount > 0)) {
+      return { success: false, message: 'Valor inválido' };
+    }
+
+    if (amount > config.payment.wallet.maxCredit) {
+      return { success: false, message: `Valor acima do limite por crédito (R$ ${config.payment.wallet.maxCredit.toFixed(2)})` };
+    }
+
+    if (!CREDIT_SOURCES[source]) {
+      return { success: false, message: 'Origem do crédito inválida' };
+    }
+
+    if (paymentId && !mongoose.Types.ObjectId.isValid(paymentId)) {
+      return { success: false, message: 'ID de pagamento inválido' };
+    }
+
+    const wallet = await _changeBalance(userId, amount);
+
+    let transaction;
+    try {
+      transaction = await _post({
+        type: 'CREDIT',
+        userId,
+        amount,
+        debit: CREDIT_SOURCES[source],
+        credit: ACCOUNTS.wallet(userId),
+        balanceAfter: _round(wallet.balance),
+        paymentId: paymentId || undefined,
+        reason,
+        createdBy: adminId
+      });
+    } catch (error) {
+      // Sem lançamento no livro-razão, o saldo não pode ser alterado
+      await _changeBalance(userId, -amount);
+      throw error;
+    }
+
+    await auditLogger.log({
+      action: 'WALLET_CREDITED',
+      category: 'TRANSACTION',
+      severity: 'INFO',
+      status: 'SUCCESS',
+      user: {
+        id: adminId
+      },
+      target: {
+        id: userId
+      },
+      payment: paymentId ? { id: paymentId } : undefined,
+      details: {
+        amount,
+        source,
+        reason,
+        balance: transaction.balanceAfter,
+        transactionId: transaction._id
+      }
+    });
+
+    logger.info(`Carteira de ${userId} creditada em R$ ${amount.toFixed(2)} por ${adminId} (${source})`);
+
+    return {
+      success: true,
+      balance: transaction.balanceAfter,
+      transaction
+    };
+  } catch (error) {
+    logger.error(`Erro ao creditar carteira de ${userId}:`, error);
+    return {
+      success: false,
+      message: 'Erro ao creditar carteira'
+    };
+  }
+}
+
+/**
+ * Debita um valor da carteira de um usuário
+ * @param {string} userId - ID do usuário
+ * @param {number} amount - Valor em reais
+ * @param {Object} options - Opções
+ * @param {string} options.reason - Motivo
+ * @param {string} options.adminId - ID do administrador
+ * @returns {Promise<Object>} - Resultado ({ success, message, balance, transaction })
+ */
+async function debitWallet(userId, amount, { reason, adminId } = {}) {
+  try {
+    amount = _round(amount);
+
+    if (!(amount > 0)) {
+      return { success: false, message: 'Valor inválido' };
+    }
+
+    const wallet = await _changeBalance(userId, -amount);
+
+    if (!wallet) {
+      return {
+        success: false,
+        message: `Saldo insuficiente (disponível: R$ ${(await getBalance(userId)).toFixed(2)})`
+      };
+    }
+
+    let transaction;
+    try {
+      transaction = await _post({
+        type: 'DEBIT',
+        userId,
+        amount,
+        debit: ACCOUNTS.wallet(userId),
+        credit: ACCOUNTS.ADJUSTMENTS,
+        balanceAfter: _round(wallet.balance),
+        reason,
+        createdBy: adminId
+      });
+    } catch (error) {
+      await _changeBalance(userId, amount);
+      throw error;
+    }
+
+    await auditLogger.log({
+      action: 'WALLET_DEBITED',
+      category: 'TRANSACTION',
+      severity: 'WARNING',
+      status: 'SUCCESS',
+      user: {
+        id: adminId
+      },
+      target: {
+        id: userId
+      },
+      details: {
+        amount,
+        reason,
+        balance: transaction.balanceAfter,
+        transactionId: transaction._id
+      }
+    });
+
+    logger.info(`Carteira de ${userId} debitada em R$ ${amount.toFixed(2)} por ${adminId}`);
+
+    return {
+      success: true,
+      balance: transaction.balanceAfter,
+      transaction
+    };
+  } catch (error) {
+    logger.error(`Erro ao debitar carteira de ${userId}:`, error);
+    return {
+      success: false,
+      message: 'Erro ao debitar carteira'
+    };
+  }
+}
+
+/**
+ * Reserva saldo da carteira para um pagamento, até o valor informado
+ * @param {string} userId - ID do comprador
+ * @param {string} paymentId - ID do pagamento
+ * @param {number} amount - Valor máximo a usar
+ * @returns {Promise<Object|null>} - Reserva ({ amount, transactionId }) ou null se não houver saldo
+ */
+async function reserveForPayment(userId, paymentId, amount) {
+  // O saldo pode mudar entre a leitura e o débito; tentar novamente com o valor atualizado
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const held = _round(Math.min(await getBalance(userId), amount));
+
+    if (held <= 0) {
+      return null;
+    }
+
+    const wallet = await _changeBalance(userId, -held);
+    if (!wallet) {
+      continue;
+    }
+
+    try {
+      const transaction = await _post({
+        type: 'PAYMENT_HOLD',
+        userId,
+        amount: held,
+        debit: ACCOUNTS.wallet(userId),
+        credit: ACCOUNTS.hold(paymentId),
+        balanceAfter: _round(wallet.balance),
+        paymentId,
+        reason: 'Saldo reservado para pagamento',
+        createdBy: userId
+      });
+
+      return {
+        amount: held,
+        transactionId: transaction._id
+      };
+    } catch (error) {
+      await _changeBalance(userId, held);
+      throw error;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Usa o saldo reservado por um pagamento aprovado
+ * @param {Object} payment - Pagamento aprovado
+ * @returns {Promise<void>}
+ */
+async function capturePayment(payment) {
+  if (!payment.wallet || !payment.wallet.amount) {
+    return;
+  }
+
+  try {
+    await _post({
+      type: 'PAYMENT_CAPTURE',
+      userId: payment.userId,
+      amount: payment.wallet.amount,
+      debit: ACCOUNTS.hold(payment._id),
+      credit: ACCOUNTS.SALES,
+      paymentId: payment._id,
+      settlementOf: payment._id,
+      reason: 'Saldo usado em compra aprovada',
+      createdBy: config.payment.wallet.systemActorId
+    });
+  } catch (error) {
+    // Reserva já encerrada anteriormente
+    if (error.code === 11000) {
+      return;
+    }
+    logger.error(`Erro ao capturar saldo da carteira do pagamento ${payment._id}:`, error);
+  }
+}
+
+/**
+ * Devolve à carteira o saldo reservado por um pagamento que não será concluído
+ * @param {Object} payment - Pagamento
+ * @returns {Promise<void>}
+ */
+async function releasePayment(payment) {
+  if (!payment.wallet || !payment.wallet.amount) {
+    return;
+  }
+
+  const amount = payment.wallet.amount;
+
+  try {
+    // O lançamento vem primeiro: o índice único impede devolver a mesma reserva duas vezes
+    const transaction = await _post({
+      type: 'PAYMENT_RELEASE',
+      userId: payment.userId,
+      amount,
+      debit: ACCOUNTS.hold(payment._id),
+      credit: ACCOUNTS.wallet(payment.userId),
+      paymentId: payment._id,
+      settlementOf: payment._id,
+      reason: 'Saldo devolvido (pagamento não concluído)',
+      createdBy: config.payment.wallet.systemActorId
+    });
+
+    const wallet = await _changeBalance(payment.userId, amount);
+    transaction.balanceAfter = _round(wallet.balance);
+    await transaction.save();
+
+    await auditLogger.log({
+      action: 'WALLET_HOLD_RELEASED',
+      category: 'TRANSACTION',
+      severity: 'INFO',
+      status: 'SUCCESS',
+      user: {
+        id: payment.userId
+      },
+      payment: {
+        id: payment._id
+      },
+      details: {
+        amount,
+        balance: transaction.balanceAfter
+      }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return;
+    }
+    logger.error(`Erro ao devolver saldo da carteira do pagamento ${payment._id}:`, error);
+  }
+}
+
+/**
+ * Devolve à carteira o saldo usado em uma compra aprovada e reembolsada integralmente
+ * @param {Object} payment - Pagamento reembolsado
+ * @param {Object} options - Dados do reembolso
+ * @param {string} [options.reason] - Motivo do reembolso
+ * @param {string} options.adminId - ID do administrador que confirmou o reembolso
+ * @returns {Promise<Object>} - Resultado da operação
+ */
+async function refundPayment(payment, { reason, adminId } = {}) {
+  if (!payment.wallet || !payment.wallet.amount) {
+    return {
+      success: false,
+      message: 'Pagamento não usou saldo da carteira'
+    };
+  }
+
+  const amount = payment.wallet.amount;
+
+  try {
+    // O lançamento vem primeiro: o índice único impede devolver o mesmo saldo duas vezes
+    const transaction = await _post({
+      type: 'PAYMENT_REFUND',
+      userId: payment.userId,
+      amount,
+      debit: ACCOUNTS.SALES,
+      credit: ACCOUNTS.wallet(payment.userId),
+      paymentId: payment._id,
+      reason: reason || 'Saldo devolvido (compra reembolsada)',
+      createdBy: adminId
+    });
+
+    const wallet = await _changeBalance(payment.userId, amount);
+    transaction.balanceAfter = _round(wallet.balance);
+    await transaction.save();
+
+    await auditLogger.log({
+      action: 'WALLET_PAYMENT_REFUNDED',
+      category: 'TRANSACTION',
+      severity: 'WARNING',
+      status: 'SUCCESS',
+      user: {
+        id: adminId
+      },
+      target: {
+        id: payment.userId
+      },
+      payment: {
+        id: payment._id
+      },
+      details: {
+        amount,
+        reason,
+        balance: transaction.balanceAfter
+      }
+    });
+
+    return {
+      success: true,
+      amount,
+      balance: transaction.balanceAfter
+    };
+  } catch (error) {
+    if (error.code === 11000) {
+      return {
+        success: false,
+        message: 'O saldo da carteira deste pagamento já foi devolvido'
+      };
+    }
+    logger.error(`Erro ao devolver saldo da carteira do pagamento reembolsado ${payment._id}:`, error);
+    return {
+      success: false,
+      message: 'Erro ao devolver saldo da carteira'
+    };
+  }
+}
+
+module.exports = {
+  ACCOUNTS,
+  CREDIT_SOURCES,
+  getBalance,
+  getHistory,
+  verifyBalance,
+  creditWallet,
+  debitWallet,
+  reserveForPayment,
+  capturePayment,
+  releasePayment,
+  refundPayment
+};
@@ -0,0 +1,206 @@
+/**
+ * Servidor de webhooks para confirmação automática de pagamentos PIX
+ */
+const express = require('express');
+const mongoose = require('mongoose');
+const config = require('../config');
+const WebhookEvent = require('../models/webhookEvent');
+const providers = require('./providers');
+const paymentService = require('./pix');
+const { logger } = require('../utils/helpers');
+const auditLogger = require('../audit/logger');
+
+let server = null;
+let onLatePayment = null;
+
+/**
+ * Processa um evento de webhook já autenticado
+ * @param {string} providerName - Nome do provedor
+ * @param {Object} event - Evento normalizado pelo adaptador
+ * @param {Object} payload - Corpo original recebido
+ * @returns {Promise<Object>} - Resultado do processamento
+ */
+async function processEvent(providerName, event, payload) {
+  // Status que não alteram o pagamento (ex.: cobrança criada) não são registrados,
+  // para não bloquear o evento de confirmação da mesma transação
+  if (!event.bankData.status) {
+    logger.info(`Evento ${providerName}/${event.transactionId} ignorado: status não tratado`);
+    return { success: true, duplicate: false, ignored: true };
+  }
+
+  const validPaymentId = mongoose.Types.ObjectId.isValid(event.txid);
+
+  // Registrar o evento primeiro garante idempotência pelo índice único
+  let record;
+  try {
+    record = await WebhookEvent.create({
+      provider: providerName,
+      transactionId: event.transactionId,
+      paymentId: validPaymentId ? event.txid : undefined,
+      payload
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      logger.info(`Evento duplicado ignorado: ${providerName}/${event.transactionId}`);
+      return { success: true, duplicate: true };
+    }
+    throw error;
+  }
+
+  try {
+    let result;
+
+    if (!validPaymentId) {
+      result = { success: false, message: `txid inválido: ${event.txid}` };
+    } else {
+      result = await paymentService.updatePaymentFromBank(event.txid, {
+        ...event.bankData,
+        provider: providerName
+      });
+    }
+
+    // Falhas temporárias (erro interno ou conflito de concorrência) devem ser reenviadas pelo provedor
+    if (!result.success && (result.retryable || result.conflict)) {
+      throw new Error(`Falha ao processar evento ${providerName}/${event.transactionId}: ${result.message}`);
+    }
+
+    record.status = result.success ? 'PROCESSED' : 'IGNORED';
+    record.result = result.success ? result.status : result.message;
+    record.processedAt = new Date();
+    await record.save();
+
+    // Pagamento recebido depois de expirar ou ser cancelado: avisar a equipe
+    if (result.latePayment && onLatePayment) {
+      try {
+        await onLatePayment(result.payment);
+      } catch (error) {
+        logger.error(`Erro ao avisar a equipe do pagamento tardio ${event.txid}:`, error);
+      }
+    }
+
+    return { success: true, duplicate: false, result };
+  } catch (error) {
+    // Remover o registro para permitir que o provedor reenvie o evento
+    await WebhookEvent.deleteOne({ _id: record._id }).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Cria a aplicação Express que recebe os webhooks
+ * @returns {express.Application} - Aplicação configurada
+ */
+function createApp() {
+  const app = express();
+  const webhookConfig = config.payment.webhook;
+
+  // Sem segredo, qualquer um poderia assinar eventos do provedor mock e confirmar pagamentos
+  if (webhookConfig.mockEnabled && !webhookConfig.secrets.mock) {
+    throw new Error('PIX_WEBHOOK_SECRET_MOCK é obrigatório quando o provedor mock está ativado');
+  }
+
+  app.get('/health', (req, res) => {
+    res.json({ status: 'ok' });
+  });
+
+  // Corpo bruto é necessário para validar a assinatura HMAC
+  app.post(`${webhookConfig.path}/:provider`, express.raw({ type: '*/*', limit: '100kb' }), async (req, res) => {
+    const providerName = req.params.provider.toLowerCase();
+    const adapter = providers.getProvider(providerName);
+
+    if (!adapter || (providerName === 'mock' && !webhookConfig.mockEnabled)) {
+      return res.status(404).json({ error: 'Provedor desconhecido' });
+    }
+
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.from('');
+    const secret = webhookConfig.secrets[providerName];
+
+    if (!adapter.verifySignature(rawBody, req.headers, secret)) {
+      logger.warn(`Assinatura inválida no webhook ${providerName} (IP: ${req.ip})`);
+
+      await auditLogger.log({
+        action: 'WEBHOOK_INVALID_SIGNATURE',
+        category: 'SECURITY',
+        severity: 'WARNING',
+        status: 'ERROR',
+        details: {
+          provider: providerName,
+          ipAddress: req.ip
+        }
+      });
+
+      return res.status(401).json({ error: 'Assinatura inválida' });
+    }
+
+    let event;
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString('utf8'));
+      event = adapter.parseEvent(payload, req.headers);
+    } catch (error) {
+      logger.warn(`Evento inválido no webhook ${providerName}: ${error.message}`);
+      return res.status(400).json({ error: 'Evento inválido' });
+    }
+
+    try {
+      const outcome = await processEvent(providerName, event, payload);
+      return res.status(200).json({
+        received: true,
+        duplicate: outcome.duplicate
+      });
+    } catch (error) {
+      logger.error(`Erro ao processar webhook ${providerName}:`, error);
+      return res.status(500).json({ error: 'Erro interno' });
+    }
+  });
+
+  return app;
+}
+
+/**
+ * Inicia o servidor de webhooks
+ * @param {Object} [options] - Opções
+ * @param {Function} [options.onLatePayment] - Chamada com o pagamento quando o banco confirma um pagamento já expirado ou cancelado
+ * @returns {Promise<Object|null>} - Servidor HTTP ou null se desativado
+ */
+function startWebhookServer(options = {}) {
+  const webhookConfig = config.payment.webhook;
+  onLatePayment = options.onLatePayment || null;
+
+  if (!webhookConfig.enabled) {
+    logger.info('Servidor de webhooks PIX desativado');
+    return Promise.resolve(null);
+  }
+
+  return new Promise((resolve, reject) => {
+    server = createApp().listen(webhookConfig.port, () => {
+      logger.info(`Servidor de webhooks PIX ouvindo na porta ${webhookConfig.port}`);
+      resolve(server);
+    });
+    server.on('error', reject);
+  });
+}
+
+/**
+ * Encerra o servidor de webhooks
+ * @returns {Promise<void>}
+ */
+function stopWebhookServer() {
+  if (!server) {
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve) => {
+    server.close(() => {
+      server = null;
+      resolve();
+    });
+  });
+}
+
+module.exports = {
+  createApp,
+  processEvent,
+  startWebhookServer,
+  stopWebhookServer
+};
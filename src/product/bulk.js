@@ -0,0 +1,698 @@
+/**
+ * Importação e exportação de produtos em lote (CSV ou JSON)
+ * A importação acontece em duas etapas: a prévia valida todas as linhas e guarda o lote no cache;
+ * a confirmação cria todos os produtos de uma vez, já com as credenciais criptografadas no cofre
+ *
+ * Colunas do CSV (mesmos nomes das chaves no JSON):
+ * - nome, tipo, preco, descricao (obrigatórias)
+ * - quantidade, estoque_minimo, entrega_manual, disponivel, imagens (separadas por |)
+ * - detalhes.<campo>: campos de detalhes da categoria (product/categories)
+ * - login, senha, info: credenciais de uma unidade; linhas seguintes só com login/senha
+ *   adicionam mais unidades ao mesmo produto (no JSON, use a lista "credenciais")
+ */
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const Product = require('../models/product');
+const catalog = require('./catalog');
+const categories = require('./categories');
+const vault = require('./vault');
+const cache = require('../utils/cache');
+const { logger, removeAccents } = require('../utils/helpers');
+const auditLogger = require('../audit/logger');
+
+// Prefixo das importações validadas aguardando confirmação
+const CACHE_KEY_IMPORT = 'product_import:';
+
+// Prefixo das colunas de detalhes no CSV
+const DETAIL_PREFIX = 'detalhes.';
+
+// Colunas de produto aceitas na importação
+const PRODUCT_COLUMNS = ['nome', 'tipo', 'preco', 'descricao', 'quantidade', 'estoque_minimo', 'entrega_manual', 'disponivel', 'imagens'];
+
+// Colunas das credenciais de uma unidade
+const CREDENTIAL_COLUMNS = ['login', 'senha', 'info'];
+
+// Colunas geradas pela exportação que a importação ignora
+const EXPORT_ONLY_COLUMNS = ['id', 'vendido', 'origem', 'unidades_vendidas', 'credenciais_no_cofre'];
+
+// Chaves do JSON em camelCase equivalentes às colunas do CSV
+const JSON_ALIASES = {
+  estoqueMinimo: 'estoque_minimo',
+  entregaManual: 'entrega_manual',
+  unidadesVendidas: 'unidades_vendidas',
+  credenciaisNoCofre: 'credenciais_no_cofre',
+  estoque: 'quantidade'
+};
+
+const TRUE_VALUES = ['sim', 's', 'true', '1', 'yes'];
+const FALSE_VALUES = ['nao', 'n', 'false', '0', 'no'];
+
+/**
+ * Normaliza o nome de uma coluna para comparação
+ * @param {string} name - Nome original
+ * @returns {string} - Nome sem acentos, em minúsculas
+ * @private
+ */
+function _normalizeHeader(name) {
+  return removeAccents(String(name || ''))
+    .replace(/^\uFEFF/, '')
+    .trim()
+    .toLowerCase();
+}
+
+/**
+ * Verifica se um valor foi preenchido
+ * @param {*} value - Valor
+ * @returns {boolean} - Verdadeiro se não for vazio
+ * @private
+ */
+function _isFilled(value) {
+  return value !== undefined && value !== null && String(value).trim() !== '';
+}
+
+/**
+ * Divide um CSV em registros, respeitando campos entre aspas (inclusive com quebras de linha)
+ * @param {string} content - Conteúdo do arquivo
+ * @returns {Array<Object>} - Registros ({ line, fields }), onde line é a linha inicial no arquivo
+ * @private
+ */
+function _splitCsv(content) {
+  const text = content.replace(/^\uFEFF/, '');
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = (firstLine.match(/;/g) || []).length >= (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const records = [];
+  let fields = [];
+  let current = '';
+  let quoted = false;
+  let line = 1;
+  let startLine = 1;
+
+  const endRecord = () => {
+    fields.push(current.trim());
+    if (fields.some(field => field !== '')) {
+      records.push({ line: startLine, fields });
+    }
+    fields = [];
+    current = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (char === '"') {
+      if (quoted && text[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (char === delimiter && !quoted) {
+      fields.push(current.trim());
+      current = '';
+    } else if ((char === '\n' || char === '\r') && !quoted) {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      startLine = line;
+    } else {
+      if (char === '\n') line++;
+      current += char;
+    }
+  }
+
+  endRecord();
+  return records;
+}
+
+/**
+ * Lê as linhas de um CSV de produtos
+ * @param {string} content - Conteúdo do arquivo
+ * @returns {Object} - { rows, ignoredColumns }
+ * @private
+ */
+function _parseCsv(content) {
+  const [header, ...records] = _splitCsv(content);
+
+  if (!header) {
+    throw new Error('Arquivo vazio');
+  }
+
+  const headers = header.fields.map(_normalizeHeader);
+
+  if (!headers.includes('nome') || !headers.includes('tipo')) {
+    throw new Error('Cabeçalho do CSV não encontrado (colunas nome e tipo são obrigatórias)');
+  }
+
+  const ignoredColumns = headers.filter(name => name &&
+    !PRODUCT_COLUMNS.includes(name) &&
+    !CREDENTIAL_COLUMNS.includes(name) &&
+    !EXPORT_ONLY_COLUMNS.includes(name) &&
+    !name.startsWith(DETAIL_PREFIX));
+
+  const rows = [];
+  for (const record of records) {
+    const row = { label: `Linha ${record.line}`, values: {}, detalhes: {}, credenciais: [] };
+    const credential = {};
+
+    headers.forEach((name, index) => {
+      const value = record.fields[index];
+      if (!_isFilled(value)) return;
+
+      if (PRODUCT_COLUMNS.includes(name)) {
+        row.values[name] = value;
+      } else if (CREDENTIAL_COLUMNS.includes(name)) {
+        credential[name] = value;
+      } else if (name.startsWith(DETAIL_PREFIX)) {
+        // Chaves dos detalhes mantêm a grafia do cabeçalho (ex.: valorantPoints)
+        const rawName = String(header.fields[index]).replace(/^\uFEFF/, '').trim();
+        row.detalhes[rawName.slice(DETAIL_PREFIX.length)] = value;
+      }
+    });
+
+    if (Object.keys(credential).length > 0) {
+      row.credenciais.push(credential);
+    }
+
+    // Linha só com credenciais: mais uma unidade do produto anterior
+    const onlyCredentials = Object.keys(row.values).length === 0 && Object.keys(row.detalhes).length === 0;
+    if (onlyCredentials && row.credenciais.length > 0 && rows.length > 0) {
+      rows[rows.length - 1].credenciais.push(...row.credenciais);
+      continue;
+    }
+
+    rows.push(row);
+  }
+
+  return { rows, ignoredColumns };
+}
+
+/**
+ * Lê os itens de um JSON de produtos (lista ou { produtos: [...] })
+ * @param {string} content - Conteúdo do arquivo
+ * @returns {Object} - { rows, ignoredColumns }
+ * @private
+ */
+function _parseJson(content) {
+  let data;
+  try {
+    data = JSON.parse(content.replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new Error(`JSON inválido: ${error.message}`);
+  }
+
+  const items = Array.isArray(data) ? data : data && data.produtos;
+  if (!Array.isArray(items)) {
+    throw new Error('O JSON deve ser uma lista de produtos ou um objeto com a lista "produtos"');
+  }
+
+  const ignored = new Set();
+  const rows = items.map((item, index) => {
+    const row = { label: `Item ${index + 1}`, values: {}, detalhes: {}, credenciais: [] };
+
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      row.invalid = true;
+      return row;
+    }
+
+    for (const [key, value] of Object.entries(item)) {
+      const name = JSON_ALIASES[key] || key;
+
+      if (name === 'detalhes' && value && typeof value === 'object') {
+        row.detalhes = { ...value };
+      } else if (name === 'credenciais' && Array.isArray(value)) {
+        row.credenciais = value.map(credential => ({
+          login: credential && credential.login,
+          senha: credential && (credential.senha || credential.password),
+          info: credential && (credential.info || credential.additionalInfo)
+        }));
+      } else if (name === 'imagens' && Array.isArray(value)) {
+        row.values.imagens = value.join('|');
+      } else if (PRODUCT_COLUMNS.includes(name)) {
+        if (_isFilled(value)) row.values[name] = value;
+      } else if (!EXPORT_ONLY_COLUMNS.includes(name)) {
+        ignored.add(key);
+      }
+    }
+
+    return row;
+  });
+
+  return { rows, ignoredColumns: Array.from(ignored) };
+}
+
+/**
+ * Converte um número em texto, aceitando "1.234,56" e "1234.56"
+ * @param {*} value - Valor recebido
+ * @returns {number} - Número (NaN se inválido)
+ * @private
+ */
+function _parseNumber(value) {
+  if (typeof value === 'number') return value;
+
+  let text = String(value).replace(/R\$|\s/g, '');
+  const lastComma = text.lastIndexOf(',');
+  const lastDot = text.lastIndexOf('.');
+
+  // O último separador é o decimal; o outro é de milhar
+  if (lastComma > lastDot) {
+    text = text.replace(/\./g, '').replace(',', '.');
+  } else {
+    text = text.replace(/,/g, '');
+  }
+
+  return text ? Number(text) : NaN;
+}
+
+/**
+ * Converte "sim"/"não" (ou booleano) em booleano
+ * @param {*} value - Valor recebido
+ * @returns {boolean|null} - Valor ou null se inválido
+ * @private
+ */
+function _parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+
+  const text = _normalizeHeader(value);
+  if (TRUE_VALUES.includes(text)) return true;
+  if (FALSE_VALUES.includes(text)) return false;
+  return null;
+}
+
+/**
+ * Valida uma linha e monta o produto no formato do modelo
+ * @param {Object} row - Linha lida do arquivo
+ * @param {string} adminId - ID do administrador que importa
+ * @returns {Object} - { product, errors }
+ * @private
+ */
+function _buildProduct(row, adminId) {
+  const errors = [];
+  const { values } = row;
+
+  if (row.invalid) {
+    return { product: null, errors: ['item não é um objeto'] };
+  }
+
+  if (!_isFilled(values.nome)) errors.push('nome é obrigatório');
+  if (!_isFilled(values.descricao)) errors.push('descrição é obrigatória');
+
+  const category = categories.getCategory(values.tipo);
+  if (!category) {
+    errors.push(_isFilled(values.tipo)
+      ? `tipo "${values.tipo}" não cadastrado (use: ${categories.listCategories().map(item => item.id).join(', ')})`
+      : 'tipo é obrigatório');
+  }
+
+  const preco = _isFilled(values.preco) ? _parseNumber(values.preco) : NaN;
+  if (!Number.isFinite(preco) || preco <= 0) {
+    errors.push('preço deve ser um número maior que zero');
+  }
+
+  const readInteger = (name, label, fallback) => {
+    if (!_isFilled(values[name])) return fallback;
+
+    const value = _parseNumber(values[name]);
+    if (!Number.isInteger(value) || value < 0) {
+      errors.push(`${label} deve ser um número inteiro não negativo`);
+    }
+    return value;
+  };
+
+  const readBoolean = (name, label, fallback) => {
+    if (!_isFilled(values[name])) return fallback;
+
+    const value = _parseBoolean(values[name]);
+    if (value === null) {
+      errors.push(`${label}: responda "sim" ou "não"`);
+    }
+    return value;
+  };
+
+  // Credenciais: cada uma corresponde a uma unidade em estoque
+  const credenciais = [];
+  row.credenciais.forEach((credential, index) => {
+    if (!_isFilled(credential.login) || !_isFilled(credential.senha)) {
+      errors.push(`credencial ${index + 1} sem login ou senha`);
+      return;
+    }
+
+    credenciais.push({
+      ...vault.encrypt({
+        login: String(credential.login).trim(),
+        password: String(credential.senha).trim(),
+        additionalInfo: _isFilled(credential.info) ? String(credential.info).trim() : null
+      }),
+      adicionadoPor: adminId
+    });
+  });
+
+  const estoque = readInteger('quantidade', 'quantidade', credenciais.length || 1);
+  if (Number.isInteger(estoque) && estoque < credenciais.length) {
+    errors.push(`quantidade (${estoque}) menor que o número de credenciais (${credenciais.length})`);
+  }
+
+  const estoqueMinimo = readInteger('estoque_minimo', 'estoque mínimo', 0);
+  const entregaManual = readBoolean('entrega_manual', 'entrega manual', false);
+  const disponivel = readBoolean('disponivel', 'disponível', true);
+
+  const imagens = _isFilled(values.imagens)
+    ? String(values.imagens).split('|').map(url => url.trim()).filter(Boolean)
+    : [];
+  imagens.filter(url => !/^https?:\/\/\S+$/i.test(url)).forEach(url => {
+    errors.push(`imagem inválida: ${url.substring(0, 50)}`);
+  });
+
+  // Detalhes validados pelos campos da categoria
+  let detalhes = {};
+  if (category) {
+    const fieldKeys = category.fields.map(field => field.key);
+    Object.keys(row.detalhes)
+      .filter(key => !fieldKeys.includes(key))
+      .forEach(key => errors.push(`detalhe desconhecido para ${category.label}: ${key}`));
+
+    const normalized = categories.normalizeDetails(category.id, row.detalhes);
+    normalized.errors.forEach(error => errors.push(error));
+    detalhes = normalized.details;
+  }
+
+  if (errors.length > 0) {
+    return { product: null, errors };
+  }
+
+  const product = {
+    nome: String(values.nome).trim(),
+    tipo: category.id,
+    preco: Math.round(preco * 100) / 100,
+    descricao: String(values.descricao).trim(),
+    detalhes,
+    disponivel,
+    vendido: false,
+    estoque,
+    estoqueMinimo,
+    entregaManual,
+    imagens,
+    credenciais,
+    criadoPor: adminId,
+    origem: 'MANUAL'
+  };
+
+  // Validação final com o schema do modelo
+  const validationError = new Product(product).validateSync();
+  if (validationError) {
+    return {
+      product: null,
+      errors: Object.values(validationError.errors).map(error => error.message)
+    };
+  }
+
+  return { product, errors: [] };
+}
+
+/**
+ * Valida um arquivo de produtos e guarda o lote para confirmação (prévia sem gravar nada)
+ * O lote só pode ser confirmado se todas as linhas forem válidas
+ * @param {string} content - Conteúdo do arquivo
+ * @param {string} fileName - Nome do arquivo (.csv ou .json)
+ * @param {string} adminId - ID do administrador que importa
+ * @returns {Promise<Object>} - Resultado ({ success, message, importId, products, errors, ignoredColumns })
+ */
+async function previewImport(content, fileName, adminId) {
+  try {
+    let parsed;
+    try {
+      parsed = /\.json$/i.test(fileName) ? _parseJson(content) : _parseCsv(content);
+    } catch (parseError) {
+      return {
+        success: false,
+        message: parseError.message
+      };
+    }
+
+    const { rows, ignoredColumns } = parsed;
+
+    if (rows.length === 0) {
+      return {
+        success: false,
+        message: 'Nenhum produto encontrado no arquivo'
+      };
+    }
+
+    if (rows.length > config.products.bulk.maxRows) {
+      return {
+        success: false,
+        message: `O arquivo tem ${rows.length} produtos (máximo de ${config.products.bulk.maxRows} por importação)`
+      };
+    }
+
+    if (rows.some(row => row.credenciais.length > 0) && !vault.isConfigured()) {
+      return {
+        success: false,
+        message: 'O arquivo traz credenciais, mas o cofre não está configurado (VAULT_KEY)'
+      };
+    }
+
+    const products = [];
+    const errors = [];
+
+    rows.forEach(row => {
+      const result = _buildProduct(row, adminId);
+
+      if (result.errors.length > 0) {
+        errors.push({ label: row.label, messages: result.errors });
+      } else {
+        products.push({ label: row.label, product: result.product });
+      }
+    });
+
+    let importId = null;
+
+    if (errors.length === 0) {
+      importId = uuidv4().replace(/-/g, '').substring(0, 12);
+
+      await cache.set(`${CACHE_KEY_IMPORT}${importId}`, {
+        importedBy: adminId,
+        fileName,
+        products: products.map(item => item.product)
+      }, config.products.bulk.previewTtl);
+    }
+
+    logger.info(`Prévia de importação de ${fileName} por ${adminId}: ${products.length} válidos, ${errors.length} com erro`);
+
+    return {
+      success: true,
+      importId,
+      // Resumo sem as credenciais, para exibição
+      products: products.map(({ label, product }) => ({
+        label,
+        nome: product.nome,
+        tipo: product.tipo,
+        preco: product.preco,
+        estoque: product.estoque,
+        credenciais: product.credenciais.length
+      })),
+      errors,
+      ignoredColumns
+    };
+  } catch (error) {
+    logger.error('Erro ao validar importação de produtos:', error);
+    return {
+      success: false,
+      message: 'Erro ao validar o arquivo de produtos'
+    };
+  }
+}
+
+/**
+ * Cria os produtos de uma importação validada
+ * @param {string} importId - ID da importação
+ * @param {string} adminId - ID do administrador que confirma
+ * @returns {Promise<Object>} - Resultado ({ success, message, produtos })
+ */
+async function confirmImport(importId, adminId) {
+  try {
+    const key = `${CACHE_KEY_IMPORT}${importId}`;
+    const pending = await cache.get(key);
+
+    if (!pending) {
+      return {
+        success: false,
+        message: 'Importação não encontrada ou expirada. Envie o arquivo novamente.'
+      };
+    }
+
+    // Remover antes de importar evita que dois cliques criem o lote duas vezes
+    await cache.del(key);
+
+    const now = new Date();
+    const result = await catalog.createProducts(pending.products.map(product => ({
+      ...product,
+      dataCriacao: now,
+      credenciais: product.credenciais.map(slot => ({ ...slot, adicionadoEm: now }))
+    })));
+
+    await auditLogger.log({
+      action: 'PRODUCTS_IMPORTED',
+      category: 'PRODUCT',
+      severity: result.success ? 'INFO' : 'WARNING',
+      status: result.success ? 'SUCCESS' : 'FAILED',
+      user: {
+        id: adminId
+      },
+      details: {
+        importId,
+        fileName: pending.fileName,
+        validatedBy: pending.importedBy,
+        products: pending.products.length,
+        credentials: pending.products.reduce((sum, product) => sum + product.credenciais.length, 0),
+        productIds: result.success ? result.produtos.map(product => product._id.toString()) : [],
+        error: result.success ? undefined : result.message
+      }
+    });
+
+    if (!result.success) {
+      return {
+        success: false,
+        message: `Nenhum produto foi criado: ${result.message}`
+      };
+    }
+
+    logger.info(`Importação ${importId} (${pending.fileName}) confirmada por ${adminId}: ${result.produtos.length} produtos criados`);
+    return {
+      success: true,
+      produtos: result.produtos
+    };
+  } catch (error) {
+    logger.error(`Erro ao confirmar importação de produtos ${importId}:`, error);
+    return {
+      success: false,
+      message: 'Erro ao importar produtos'
+    };
+  }
+}
+
+/**
+ * Descarta uma importação validada
+ * @param {string} importId - ID da importação
+ * @returns {Promise<void>}
+ */
+async function cancelImport(importId) {
+  await cache.del(`${CACHE_KEY_IMPORT}${importId}`);
+}
+
+/**
+ * Escapa um valor para o CSV (separador ";")
+ * @param {*} value - Valor
+ * @returns {string} - Campo do CSV
+ * @private
+ */
+function _csvField(value) {
+  if (value === undefined || value === null) return '';
+
+  const text = typeof value === 'boolean' ? (value ? 'sim' : 'não') : String(value);
+  return /[";\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Exporta produtos do catálogo em CSV ou JSON, no mesmo formato aceito pela importação
+ * As credenciais nunca são exportadas; apenas a quantidade guardada no cofre. Detalhes fora dos
+ * campos da categoria (ex.: vindos do LZT) ficam de fora, pois a importação não os aceita
+ * @param {Object} filters - Filtros ({ tipo, disponivel, vendido })
+ * @param {string} [format='csv'] - Formato (csv ou json)
+ * @returns {Promise<Object>} - Resultado ({ success, message, fileName, content, count })
+ */
+async function exportProducts(filters = {}, format = 'csv') {
+  try {
+    const query = {};
+    if (filters.tipo) query.tipo = filters.tipo;
+    if (filters.disponivel !== undefined) query.disponivel = filters.disponivel;
+    if (filters.vendido !== undefined) query.vendido = filters.vendido;
+
+    const produtos = await Product.find(query)
+      .select('+credenciais')
+      .sort({ tipo: 1, dataCriacao: -1 })
+      .lean();
+
+    const items = produtos.map(produto => {
+      const category = categories.getCategory(produto.tipo);
+      const detalhes = { ...(produto.detalhes || {}) };
+
+      if (category) {
+        Object.keys(detalhes)
+          .filter(key => !category.fields.some(field => field.key === key))
+          .forEach(key => delete detalhes[key]);
+      }
+
+      return {
+        id: produto._id.toString(),
+        nome: produto.nome,
+        tipo: produto.tipo,
+        preco: produto.preco,
+        descricao: produto.descricao,
+        quantidade: produto.estoque,
+        estoque_minimo: produto.estoqueMinimo || 0,
+        entrega_manual: Boolean(produto.entregaManual),
+        disponivel: produto.disponivel,
+        vendido: produto.vendido,
+        origem: produto.origem,
+        unidades_vendidas: produto.unidadesVendidas || 0,
+        credenciais_no_cofre: (produto.credenciais || []).length,
+        imagens: produto.imagens || [],
+        detalhes
+      };
+    });
+
+    const date = new Date().toISOString().substring(0, 10);
+    const fileName = `produtos-${filters.tipo || 'catalogo'}-${date}.${format === 'json' ? 'json' : 'csv'}`;
+
+    if (format === 'json') {
+      return {
+        success: true,
+        fileName,
+        count: items.length,
+        content: JSON.stringify(items, null, 2)
+      };
+    }
+
+    // Colunas de detalhes: campos das categorias exportadas, na ordem de exibição, e chaves de tipos não cadastrados
+    const detailKeys = [];
+    const addKey = key => {
+      if (!detailKeys.includes(key)) detailKeys.push(key);
+    };
+    categories.listCategories()
+      .filter(category => items.some(item => item.tipo === category.id))
+      .forEach(category => category.fields.forEach(field => addKey(field.key)));
+    items.forEach(item => Object.keys(item.detalhes).forEach(addKey));
+
+    const columns = [...EXPORT_ONLY_COLUMNS.slice(0, 1), ...PRODUCT_COLUMNS, ...EXPORT_ONLY_COLUMNS.slice(1)];
+    const lines = [[...columns, ...detailKeys.map(key => `${DETAIL_PREFIX}${key}`)].join(';')];
+
+    items.forEach(item => {
+      lines.push([
+        ...columns.map(column => _csvField(column === 'imagens' ? item.imagens.join('|') : item[column])),
+        ...detailKeys.map(key => _csvField(item.detalhes[key]))
+      ].join(';'));
+    });
+
+    return {
+      success: true,
+      fileName,
+      count: items.length,
+      // BOM para o Excel reconhecer o UTF-8
+      content: `\uFEFF${lines.join('\r\n')}\r\n`
+    };
+  } catch (error) {
+    logger.error('Erro ao exportar produtos:', error);
+    return {
+      success: false,
+      message: 'Erro ao exportar produtos'
+    };
+  }
+}
+
+module.exports = {
+  previewImport,
+  confirmImport,
+  cancelImport,
+  exportProducts
+};
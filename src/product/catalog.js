@@ -3,15 +3,26 @@
  */
 
 const Product = require('../models/product');
+const Payment = require('../models/payment');
+const categories = require('./categories');
 const db = require('../utils/db');
 const cache = require('../utils/cache');
-const { logger } = require('../utils/helpers');
+const { logger, formatTime } = require('../utils/helpers');
 
 // Chave de cache para produtos
 const CACHE_KEY_PRODUCTS = 'products:all';
 const CACHE_KEY_PRODUCT = 'product:';
 const CACHE_TTL = 300; // 5 minutos
 
+// Ordenações aceitas pela busca do catálogo
+const SEARCH_SORTS = {
+  relevancia: { score: { $meta: 'textScore' }, dataCriacao: -1 },
+  preco_asc: { preco: 1 },
+  preco_desc: { preco: -1 },
+  recentes: { dataCriacao: -1 },
+  populares: { visualizacoes: -1 }
+};
+
 /**
  * Obtém todos os produtos disponíveis
  * @param {number} limit - Limite de produtos a retornar
@@ -143,7 +154,10 @@ async function createProduct(productData) {
       criadoPor: productData.criadoPor,
       origem: productData.origem || 'MANUAL',
       origemId: productData.origemId,
-      imagens: productData.imagens || []
+      imagens: productData.imagens || [],
+      estoque: productData.estoque !== undefined ? productData.estoque : 1,
+      estoqueMinimo: productData.estoqueMinimo || 0,
+      entregaManual: Boolean(productData.entregaManual)
     });
 
     await newProduct.save();
@@ -159,6 +173,42 @@ async function createProduct(productData) {
   }
 }
 
+/**
+ * Cria vários produtos de uma vez (importação em lote)
+ * Os produtos são gravados indisponíveis e só entram no catálogo depois que o lote inteiro foi
+ * gravado; se algum falhar, os já inseridos são removidos sem nunca terem ficado à venda
+ * @param {Array<Object>} productsData - Produtos no formato do modelo (incluindo credenciais criptografadas)
+ * @returns {Promise<Object>} - Resultado ({ success, message, produtos })
+ */
+async function createProducts(productsData) {
+  const docs = productsData.map(productData => new Product(productData));
+  const availableIds = docs.filter(doc => doc.disponivel).map(doc => doc._id);
+
+  try {
+    docs.forEach(doc => { doc.disponivel = false; });
+    await Product.insertMany(docs, { ordered: true });
+
+    // Lote completo: liberar no catálogo os produtos importados como disponíveis
+    await Product.updateMany({ _id: { $in: availableIds } }, { $set: { disponivel: true } });
+    docs.forEach(doc => { doc.disponivel = availableIds.includes(doc._id); });
+
+    // Invalidar cache
+    await cache.del(CACHE_KEY_PRODUCTS);
+
+    logger.info(`${docs.length} produtos criados em lote`);
+    return { success: true, produtos: docs };
+  } catch (error) {
+    logger.error('Erro ao criar produtos em lote:', error);
+
+    // Desfazer as inserções que chegaram a ser gravadas
+    await Product.deleteMany({ _id: { $in: docs.map(doc => doc._id) } }).catch(rollbackError => {
+      logger.error('Erro ao desfazer criação de produtos em lote:', rollbackError);
+    });
+
+    return { success: false, message: error.message };
+  }
+}
+
 /**
  * Atualiza um produto existente
  * @param {string} productId - ID do produto
@@ -176,7 +226,7 @@ async function updateProduct(productId, updateData) {
       // Campos que podem ser atualizados
       const allowedFields = [
         'nome', 'preco', 'descricao', 'detalhes',
-        'disponivel', 'imagens'
+        'disponivel', 'imagens', 'estoque', 'estoqueMinimo', 'entregaManual'
       ];
 
       // Atualizar campos permitidos
@@ -186,6 +236,12 @@ async function updateProduct(productId, updateData) {
         }
       });
 
+      // Reabastecer produto esgotado
+      if (updateData.estoque > 0 && produto.vendido) {
+        produto.vendido = false;
+        produto.disponivel = true;
+      }
+
       // Registrar atualização
       produto.ultimaAtualizacao = new Date();
 
@@ -242,6 +298,270 @@ async function updateProduct(productId, updateData) {
     }
   }
 
+  /**
+   * Obtém a reserva que impede a compra do produto, se houver
+   * Só existe quando todas as unidades livres estão reservadas; retorna a que expira primeiro
+   * @param {Object} produto - Produto
+   * @returns {Object|null} - Reserva ativa ou null
+   */
+  function getActiveReservation(produto) {
+    if (!produto || produto.estoque > 0 || !Array.isArray(produto.reservas)) {
+      return null;
+    }
+
+    const agora = new Date();
+    const ativas = produto.reservas
+      .filter(reserva => reserva.paymentId && reserva.expiraEm && new Date(reserva.expiraEm) > agora)
+      .sort((a, b) => new Date(a.expiraEm) - new Date(b.expiraEm));
+
+    return ativas[0] || null;
+  }
+
+  /**
+   * Devolve ao estoque as unidades de reservas vencidas que não foram liberadas
+   * Reservas de pagamentos em análise (comprovante, banco ou blockchain) são mantidas mesmo
+   * vencidas: o comprador já pagou e a unidade fica com ele até a decisão da equipe
+   * @param {string} productId - ID do produto
+   * @returns {Promise<number>} - Quantidade de unidades devolvidas
+   * @private
+   */
+  async function _reclaimExpiredReservations(productId) {
+    const produto = await Product.findById(productId).select('reservas');
+
+    if (!produto || !produto.reservas || produto.reservas.length === 0) {
+      return 0;
+    }
+
+    const agora = new Date();
+    const expiradas = produto.reservas
+      .filter(reserva => !reserva.expiraEm || new Date(reserva.expiraEm) <= agora)
+      .map(reserva => reserva.paymentId);
+
+    if (expiradas.length === 0) {
+      return 0;
+    }
+
+    const emAnalise = await Payment.find({ _id: { $in: expiradas }, status: 'PROCESSING' }).select('_id');
+    const emAnaliseIds = new Set(emAnalise.map(payment => payment._id.toString()));
+    const vencidas = expiradas.filter(paymentId => !emAnaliseIds.has(String(paymentId)));
+
+    if (vencidas.length === 0) {
+      return 0;
+    }
+
+    // Só aplica se nenhuma outra operação já removeu essas reservas
+    const result = await Product.updateOne(
+      { _id: productId, 'reservas.paymentId': { $all: vencidas } },
+      {
+        $pull: { reservas: { paymentId: { $in: vencidas } } },
+        $inc: { estoque: vencidas.length }
+      }
+    );
+
+    return result.modifiedCount > 0 ? vencidas.length : 0;
+  }
+
+  /**
+   * Atualiza a flag de vendido conforme o estoque restante
+   * @param {string} productId - ID do produto
+   * @returns {Promise<void>}
+   * @private
+   */
+  async function _syncSoldOutFlag(productId) {
+    // Esgotado: sem unidades livres nem reservadas
+    await Product.updateOne(
+      { _id: productId, estoque: { $lte: 0 }, reservas: { $size: 0 } },
+      { $set: { vendido: true, disponivel: false } }
+    );
+  }
+
+  /**
+   * Reserva uma unidade do produto para um pagamento pendente
+   * A operação é atômica: cada unidade só pode ser reservada por um pagamento
+   * @param {string} productId - ID do produto
+   * @param {string} paymentId - ID do pagamento
+   * @param {string} userId - ID do comprador
+   * @param {Date} expiresAt - Validade da reserva
+   * @returns {Promise<Object>} - Resultado da operação
+   */
+  async function reserveProduct(productId, paymentId, userId, expiresAt) {
+    try {
+      await _reclaimExpiredReservations(productId);
+
+      const produto = await Product.findOneAndUpdate(
+        {
+          _id: productId,
+          disponivel: true,
+          vendido: false,
+          estoque: { $gte: 1 }
+        },
+        {
+          $inc: { estoque: -1 },
+          $push: { reservas: { paymentId, userId, expiraEm: expiresAt } }
+        },
+        { new: true }
+      );
+
+      if (!produto) {
+        const atual = await Product.findById(productId);
+        const reserva = getActiveReservation(atual);
+
+        if (reserva) {
+          const propria = atual.reservas.some(r => r.userId === userId && new Date(r.expiraEm) > new Date());
+
+          return {
+            success: false,
+            message: propria
+              ? 'Você já possui um pagamento pendente para este produto'
+              : `Produto reservado por outro comprador até ${formatTime(reserva.expiraEm)}`,
+            reservedUntil: reserva.expiraEm
+          };
+        }
+
+        return { success: false, message: 'Produto não está mais disponível' };
+      }
+
+      // Invalidar cache
+      await cache.del(CACHE_KEY_PRODUCTS);
+      await cache.del(`${CACHE_KEY_PRODUCT}${productId}`);
+
+      logger.info(`Unidade do produto ${productId} reservada para o pagamento ${paymentId} (${produto.estoque} restantes)`);
+      return { success: true, product: produto };
+    } catch (error) {
+      logger.error(`Erro ao reservar produto ${productId}:`, error);
+      return { success: false, message: 'Erro ao reservar produto' };
+    }
+  }
+
+  /**
+   * Libera a reserva de um produto feita por um pagamento, devolvendo a unidade ao estoque
+   * @param {string} productId - ID do produto
+   * @param {string} paymentId - ID do pagamento que detém a reserva
+   * @returns {Promise<boolean>} - Verdadeiro se a reserva foi liberada
+   */
+  async function releaseProductReservation(productId, paymentId) {
+    try {
+      const result = await Product.updateOne(
+        { _id: productId, 'reservas.paymentId': paymentId },
+        {
+          $pull: { reservas: { paymentId } },
+          $inc: { estoque: 1 }
+        }
+      );
+
+      // Invalidar cache
+      await cache.del(CACHE_KEY_PRODUCTS);
+      await cache.del(`${CACHE_KEY_PRODUCT}${productId}`);
+
+      return result.modifiedCount > 0;
+    } catch (error) {
+      logger.error(`Erro ao liberar reserva do produto ${productId}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Baixa uma unidade do estoque na aprovação de um pagamento
+   * Usa a reserva do pagamento; se ela já venceu, tenta uma unidade livre
+   * @param {string} productId - ID do produto
+   * @param {string} paymentId - ID do pagamento aprovado
+   * @param {string} userId - ID do comprador
+   * @returns {Promise<Object>} - Resultado da operação
+   */
+  async function consumeProductUnit(productId, paymentId, userId) {
+    try {
+      const vendaInfo = {
+        $set: { dataVenda: new Date(), compradoPor: userId, ultimaAtualizacao: new Date() }
+      };
+
+      let produto = await Product.findOneAndUpdate(
+        { _id: productId, 'reservas.paymentId': paymentId },
+        {
+          ...vendaInfo,
+          $pull: { reservas: { paymentId } },
+          $inc: { unidadesVendidas: 1 }
+        },
+        { new: true }
+      );
+
+      if (!produto) {
+        produto = await Product.findOneAndUpdate(
+          { _id: productId, disponivel: true, vendido: false, estoque: { $gte: 1 } },
+          {
+            ...vendaInfo,
+            $inc: { estoque: -1, unidadesVendidas: 1 }
+          },
+          { new: true }
+        );
+      }
+
+      if (!produto) {
+        return {
+          success: false,
+          message: 'Não há unidades livres: as restantes estão reservadas para outros pagamentos'
+        };
+      }
+
+      await _syncSoldOutFlag(productId);
+
+      // Invalidar cache
+      await cache.del(CACHE_KEY_PRODUCTS);
+      await cache.del(`${CACHE_KEY_PRODUCT}${productId}`);
+
+      return { success: true, product: produto };
+    } catch (error) {
+      logger.error(`Erro ao baixar estoque do produto ${productId}:`, error);
+      return { success: false, message: 'Erro ao baixar estoque do produto' };
+    }
+  }
+
+  /**
+   * Devolve uma unidade vendida ao estoque (ex.: reembolso)
+   * @param {string} productId - ID do produto
+   * @returns {Promise<boolean>} - Verdadeiro se a unidade foi devolvida
+   */
+  async function restockProductUnit(productId) {
+    try {
+      const result = await Product.updateOne(
+        { _id: productId },
+        {
+          $inc: { estoque: 1, unidadesVendidas: -1 },
+          $set: { vendido: false, disponivel: true, ultimaAtualizacao: new Date() }
+        }
+      );
+
+      // Invalidar cache
+      await cache.del(CACHE_KEY_PRODUCTS);
+      await cache.del(`${CACHE_KEY_PRODUCT}${productId}`);
+
+      return result.modifiedCount > 0;
+    } catch (error) {
+      logger.error(`Erro ao devolver unidade do produto ${productId} ao estoque:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Obtém produtos com estoque igual ou abaixo do limite configurado no próprio produto
+   * @returns {Promise<Array>} - Produtos com estoque baixo
+   */
+  async function getLowStockProducts() {
+    try {
+      return await Product.find({
+        estoqueMinimo: { $gt: 0 },
+        comprometido: { $ne: true },
+        // Produtos removidos do catálogo não geram alerta; esgotados sim
+        $or: [{ disponivel: true }, { vendido: true }],
+        $expr: { $lte: ['$estoque', '$estoqueMinimo'] }
+      })
+      .sort({ estoque: 1 })
+      .select('nome tipo estoque estoqueMinimo reservas unidadesVendidas');
+    } catch (error) {
+      logger.error('Erro ao buscar produtos com estoque baixo:', error);
+      return [];
+    }
+  }
+
   /**
    * Busca produtos por texto
    * @param {string} searchText - Texto para busca
@@ -249,35 +569,140 @@ async function updateProduct(productId, updateData) {
    * @returns {Promise<Array>} - Resultados da busca
    */
   async function searchProducts(searchText, limit = 20) {
+    if (!searchText || searchText.trim().length < 3) {
+      return [];
+    }
+
+    const result = await searchCatalog({ texto: searchText }, { pageSize: limit });
+    return result.produtos;
+  }
+
+  /**
+   * Escapa um texto para uso literal em expressão regular
+   * @param {string} text - Texto
+   * @returns {string} - Texto escapado
+   * @private
+   */
+  function _escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Busca no catálogo com filtros, ordenação e paginação
+   * O texto usa o índice de texto do produto; os filtros de detalhes são os declarados pelas
+   * categorias (product/categories) e ignoram maiúsculas/minúsculas
+   * @param {Object} criteria - Critérios ({ texto, tipo, precoMin, precoMax, filtros: { opção: valor }, ordem })
+   * @param {Object} [options] - Paginação ({ page = 1, pageSize = 10 })
+   * @returns {Promise<Object>} - Resultado ({ produtos, total, page, totalPages })
+   */
+  async function searchCatalog(criteria = {}, { page = 1, pageSize = 10 } = {}) {
+    try {
+      const query = { disponivel: true, vendido: false };
+      const texto = criteria.texto && criteria.texto.trim();
+
+      if (texto) query.$text = { $search: texto };
+      if (criteria.tipo) query.tipo = criteria.tipo.toLowerCase();
+      if (criteria.precoMin !== undefined && criteria.precoMin !== null) query.preco = { $gte: criteria.precoMin };
+      if (criteria.precoMax !== undefined && criteria.precoMax !== null) query.preco = { ...query.preco, $lte: criteria.precoMax };
+
+      Object.entries(criteria.filtros || {}).forEach(([option, value]) => {
+        const filter = categories.getFilter(option);
+        if (!filter || value === undefined || value === null || value === '') return;
+
+        const path = `detalhes.${filter.key}`;
+        if (filter.mode === 'min') {
+          query[path] = { $gte: value };
+        } else if (filter.mode === 'prefix') {
+          query[path] = new RegExp(`^${_escapeRegex(String(value).trim())}`, 'i');
+        } else {
+          query[path] = new RegExp(`^${_escapeRegex(String(value).trim())}$`, 'i');
+        }
+      });
+
+      // Relevância só existe quando há texto; sem ele, os mais recentes primeiro
+      let ordem = SEARCH_SORTS[criteria.ordem] ? criteria.ordem : 'relevancia';
+      if (ordem === 'relevancia' && !texto) ordem = 'recentes';
+
+      const total = await Product.countDocuments(query);
+      const totalPages = Math.max(1, Math.ceil(total / pageSize));
+      const currentPage = Math.min(Math.max(1, page), totalPages);
+
+      const produtos = await Product.find(query, ordem === 'relevancia' ? { score: { $meta: 'textScore' } } : undefined)
+        .sort(SEARCH_SORTS[ordem])
+        .skip((currentPage - 1) * pageSize)
+        .limit(pageSize);
+
+      return {
+        produtos,
+        total,
+        page: currentPage,
+        totalPages
+      };
+    } catch (error) {
+      logger.error('Erro ao buscar produtos no catálogo:', error);
+      return {
+        produtos: [],
+        total: 0,
+        page: 1,
+        totalPages: 1
+      };
+    }
+  }
+
+  /**
+   * Sugere nomes de produtos disponíveis para o autocompletar do /buscar
+   * @param {string} partial - Texto digitado até o momento
+   * @param {number} [limit=25] - Quantidade máxima (limite do Discord)
+   * @returns {Promise<Array<string>>} - Nomes sugeridos, sem repetição
+   */
+  async function suggestProductNames(partial, limit = 25) {
     try {
-      if (!searchText || searchText.trim().length < 3) {
-        return [];
+      const query = { disponivel: true, vendido: false };
+      if (partial && partial.trim()) {
+        query.nome = new RegExp(_escapeRegex(partial.trim()), 'i');
       }
 
-      // Criar expressão regular para busca
-      const searchRegex = new RegExp(searchText.trim(), 'i');
-
-      // Buscar em vários campos
-      const produtos = await Product.find({
-        $or: [
-          { nome: searchRegex },
-          { descricao: searchRegex },
-          { tipo: searchRegex },
-          { 'detalhes.rank': searchRegex }
-        ],
-        disponivel: true,
-        vendido: false
-      })
-      .sort({ dataCriacao: -1 })
-      .limit(limit);
+      const produtos = await Product.find(query)
+        .sort({ visualizacoes: -1 })
+        .limit(limit * 2)
+        .select('nome');
 
-      return produtos;
+      return [...new Set(produtos.map(produto => produto.nome))].slice(0, limit);
     } catch (error) {
-      logger.error(`Erro ao buscar produtos com texto "${searchText}":`, error);
+      logger.error(`Erro ao sugerir produtos para "${partial}":`, error);
       return [];
     }
   }
 
+  /**
+   * Lista produtos do catálogo para a administração, incluindo indisponíveis e vendidos
+   * @param {Object} filters - Filtros ({ tipo, disponivel, vendido })
+   * @param {Object} [options] - Paginação ({ page = 1, pageSize = 15 })
+   * @returns {Promise<Object>} - Resultado ({ produtos, total })
+   */
+  async function listProducts(filters = {}, { page = 1, pageSize = 15 } = {}) {
+    try {
+      const query = {};
+      if (filters.tipo) query.tipo = filters.tipo;
+      if (filters.disponivel !== undefined) query.disponivel = filters.disponivel;
+      if (filters.vendido !== undefined) query.vendido = filters.vendido;
+
+      // Agrupados por tipo para a listagem
+      const [produtos, total] = await Promise.all([
+        Product.find(query)
+          .sort({ tipo: 1, dataCriacao: -1 })
+          .skip((Math.max(1, page) - 1) * pageSize)
+          .limit(pageSize),
+        Product.countDocuments(query)
+      ]);
+
+      return { produtos, total };
+    } catch (error) {
+      logger.error('Erro ao listar produtos do catálogo:', error);
+      return { produtos: [], total: 0 };
+    }
+  }
+
   /**
    * Obtém estatísticas do catálogo
    * @returns {Promise<Object>} - Estatísticas
@@ -359,13 +784,107 @@ async function updateProduct(productId, updateData) {
     }
   }
 
+  /**
+   * Ajusta os produtos criados antes do estoque por unidades
+   * Preenche estoque, reservas e unidadesVendidas ausentes, converte a reserva única antiga
+   * (campo "reserva") para a lista de reservas e as credenciais únicas para a lista de unidades.
+   * Idempotente: só altera documentos que ainda estão no formato antigo
+   * @returns {Promise<Object>} - Quantidade de produtos ajustados por etapa
+   */
+  async function migrateLegacyStock() {
+    try {
+      const reservas = await Product.updateMany(
+        { reserva: { $exists: true } },
+        [
+          {
+            $set: {
+              reservas: {
+                $concatArrays: [
+                  { $ifNull: ['$reservas', []] },
+                  { $cond: [{ $gt: ['$reserva.paymentId', null] }, ['$reserva'], []] }
+                ]
+              }
+            }
+          },
+          { $unset: 'reserva' }
+        ]
+      );
+
+      await Product.updateMany(
+        { reservas: { $exists: false } },
+        { $set: { reservas: [] } }
+      );
+
+      // Produto antigo tem uma unidade: livre se estiver à venda e sem reserva
+      const estoque = await Product.updateMany(
+        { estoque: { $exists: false } },
+        [
+          {
+            $set: {
+              estoque: {
+                $cond: [
+                  {
+                    $and: [
+                      { $eq: ['$disponivel', true] },
+                      { $ne: ['$vendido', true] },
+                      { $eq: [{ $size: '$reservas' }, 0] }
+                    ]
+                  },
+                  1,
+                  0
+                ]
+              }
+            }
+          }
+        ]
+      );
+
+      await Product.updateMany(
+        { unidadesVendidas: { $exists: false } },
+        [{ $set: { unidadesVendidas: { $cond: [{ $eq: ['$vendido', true] }, 1, 0] } } }]
+      );
+
+      const credenciais = await Product.updateMany(
+        { 'credenciais.data': { $exists: true }, 'credenciais.0': { $exists: false } },
+        [{ $set: { credenciais: ['$credenciais'] } }]
+      );
+
+      const result = {
+        reservas: reservas.modifiedCount,
+        estoque: estoque.modifiedCount,
+        credenciais: credenciais.modifiedCount
+      };
+
+      if (result.reservas + result.estoque + result.credenciais > 0) {
+        await cache.del(CACHE_KEY_PRODUCTS);
+        logger.info(`Produtos antigos ajustados para o estoque por unidades: ${result.estoque} com estoque, ${result.reservas} com reserva, ${result.credenciais} com credenciais`);
+      }
+
+      return result;
+    } catch (error) {
+      logger.error('Erro ao ajustar produtos antigos para o estoque por unidades:', error);
+      return { reservas: 0, estoque: 0, credenciais: 0 };
+    }
+  }
+
   module.exports = {
     getAvailableProducts,
     getAllProducts,
     getProductById,
     createProduct,
+    createProducts,
     updateProduct,
     markProductAsSold,
+    getActiveReservation,
+    reserveProduct,
+    releaseProductReservation,
+    consumeProductUnit,
+    restockProductUnit,
+    getLowStockProducts,
     searchProducts,
-    getCatalogStats
+    searchCatalog,
+    suggestProductNames,
+    listProducts,
+    getCatalogStats,
+    migrateLegacyStock
   };
@@ -0,0 +1,63 @@
+/**
+ * Contas de Fortnite
+ */
+module.exports = {
+  id: 'fortnite',
+  label: 'Fortnite',
+  emoji: '🪂',
+  order: 4,
+  fields: [
+    {
+      key: 'skins',
+      label: 'Trajes',
+      type: 'number',
+      integer: true,
+      min: 0,
+      emoji: '🎨',
+      placeholder: 'Ex: 60',
+      lzt: 'skins_count',
+      summary: true,
+      filter: { option: 'skins_min', mode: 'min', description: 'Quantidade mínima de skins' }
+    },
+    {
+      key: 'level',
+      label: 'Nível',
+      type: 'number',
+      integer: true,
+      min: 0,
+      emoji: '⭐',
+      placeholder: 'Ex: 200',
+      lzt: 'level',
+      summary: true,
+      filter: { option: 'nivel_min', mode: 'min', description: 'Nível mínimo da conta' }
+    },
+    {
+      key: 'vbucks',
+      label: 'V-Bucks',
+      type: 'number',
+      integer: true,
+      min: 0,
+      emoji: '💰',
+      placeholder: 'Ex: 1000',
+      lzt: 'vbucks',
+      summary: true
+    },
+    {
+      key: 'platform',
+      label: 'Plataforma',
+      type: 'string',
+      emoji: '🖥️',
+      placeholder: 'PC, PlayStation, Xbox, Switch ou Mobile',
+      options: ['PC', 'PlayStation', 'Xbox', 'Switch', 'Mobile'],
+      lzt: 'platform'
+    },
+    {
+      key: 'stw',
+      label: 'Salve o Mundo',
+      type: 'boolean',
+      emoji: '🧟',
+      placeholder: 'sim ou não',
+      lzt: 'save_the_world'
+    }
+  ]
+};
@@ -0,0 +1,58 @@
+/**
+ * Contas de Genshin Impact
+ */
+module.exports = {
+  id: 'genshin',
+  label: 'Genshin Impact',
+  emoji: '✨',
+  order: 5,
+  lztType: 'genshin_impact',
+  fields: [
+    {
+      key: 'adventureRank',
+      label: 'Nível de Aventura',
+      type: 'number',
+      integer: true,
+      min: 1,
+      max: 60,
+      emoji: '⭐',
+      placeholder: 'Ex: 55',
+      lzt: 'adventure_rank',
+      summary: true,
+      filter: { option: 'ar_min', mode: 'min', description: 'Nível de Aventura mínimo (Genshin)' }
+    },
+    {
+      key: 'region',
+      label: 'Servidor',
+      type: 'string',
+      emoji: '🌎',
+      placeholder: 'America, Europe, Asia ou TW/HK/MO',
+      options: ['America', 'Europe', 'Asia', 'TW/HK/MO'],
+      lzt: 'region',
+      summary: true,
+      filter: { option: 'regiao', mode: 'exact', description: 'Região da conta (ex.: BR)' }
+    },
+    {
+      key: 'fiveStars',
+      label: 'Personagens 5★',
+      type: 'number',
+      integer: true,
+      min: 0,
+      emoji: '🌟',
+      placeholder: 'Ex: 8',
+      lzt: 'legendary_characters',
+      summary: true,
+      filter: { option: 'cinco_estrelas_min', mode: 'min', description: 'Mínimo de personagens 5★ (Genshin)' }
+    },
+    {
+      key: 'primogems',
+      label: 'Primogemas',
+      type: 'number',
+      integer: true,
+      min: 0,
+      emoji: '💠',
+      placeholder: 'Ex: 3200',
+      lzt: 'primogems'
+    }
+  ]
+};
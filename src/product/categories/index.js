@@ -0,0 +1,343 @@
+/**
+ * Registro das categorias de produto e dos campos de detalhes de cada uma
+ *
+ * Cada categoria deve expor:
+ * - id {string}: valor gravado em product.tipo (ex.: valorant)
+ * - label {string}: nome exibido
+ * - emoji {string}: emoji exibido junto ao nome
+ * - order {number}: posição da categoria nas listas e filtros
+ * - fields {Array}: campos de product.detalhes, na ordem de exibição, cada um com:
+ *   - key {string}: chave em product.detalhes
+ *   - label {string}: nome exibido
+ *   - type {string}: string, number ou boolean
+ *   - emoji, placeholder {string} (opcionais)
+ *   - min, max {number}, integer {boolean} (opcionais, para number)
+ *   - maxLength {number}, options {Array<string>} (opcionais, para string; options restringe os valores)
+ *   - lzt {string} (opcional): chave correspondente nos detalhes do LZT Market
+ *   - summary {boolean} (opcional): exibido no resumo das listas de produtos
+ *   - filter {Object} (opcional): filtro do /buscar ({ option, mode: exact|prefix|min, description })
+ *
+ * E, opcionalmente:
+ * - lztType {string}: tipo usado pelo LZT Market para a categoria (padrão: id)
+ *
+ * O formulário de detalhes do admin mostra os 5 primeiros campos (limite de campos de um modal do Discord).
+ */
+const categories = new Map();
+
+// Conversão dos tipos dos campos para o schema do Mongoose
+const SCHEMA_TYPES = {
+  string: String,
+  number: Number,
+  boolean: Boolean
+};
+
+// Limite de campos de um modal do Discord
+const MAX_FORM_FIELDS = 5;
+
+const TRUE_VALUES = ['sim', 's', 'true', '1', 'yes', 'y'];
+const FALSE_VALUES = ['não', 'nao', 'n', 'false', '0', 'no'];
+
+/**
+ * Registra uma categoria de produto
+ * @param {Object} category - Categoria
+ */
+function registerCategory(category) {
+  if (!category || !category.id || !category.label || !Array.isArray(category.fields) ||
+      category.fields.some(field => !field.key || !field.label || !SCHEMA_TYPES[field.type])) {
+    throw new Error(`Categoria de produto inválida: ${category && category.id}`);
+  }
+
+  categories.set(category.id.toLowerCase(), category);
+}
+
+/**
+ * Obtém uma categoria pelo ID (product.tipo)
+ * @param {string} id - ID da categoria
+ * @returns {Object|null} - Categoria ou null se não registrada
+ */
+function getCategory(id) {
+  return categories.get(String(id || '').toLowerCase()) || null;
+}
+
+/**
+ * Lista as categorias na ordem de exibição
+ * @returns {Array<Object>} - Categorias
+ */
+function listCategories() {
+  return Array.from(categories.values()).sort((a, b) => (a.order || 0) - (b.order || 0));
+}
+
+/**
+ * Opções de categoria para os comandos slash
+ * @returns {Array<Object>} - Opções ({ name, value })
+ */
+function getChoices() {
+  return listCategories().map(category => ({
+    name: `${category.emoji ? `${category.emoji} ` : ''}${category.label}`,
+    value: category.id
+  }));
+}
+
+/**
+ * Nome de exibição de uma categoria (ou o próprio tipo, se não registrada)
+ * @param {string} id - ID da categoria
+ * @returns {string} - Nome com emoji
+ */
+function getLabel(id) {
+  const category = getCategory(id);
+  return category ? `${category.emoji ? `${category.emoji} ` : ''}${category.label}` : String(id || '');
+}
+
+/**
+ * Campos exibidos no formulário de detalhes do admin
+ * @param {string} tipo - Categoria do produto
+ * @returns {Array<Object>} - Campos (vazio para categorias não registradas)
+ */
+function getFormFields(tipo) {
+  const category = getCategory(tipo);
+  return category ? category.fields.slice(0, MAX_FORM_FIELDS) : [];
+}
+
+/**
+ * Definição de product.detalhes para o Mongoose, com os campos de todas as categorias
+ * @returns {Object} - Definição do schema
+ */
+function getSchemaDefinition() {
+  const definition = {};
+
+  listCategories().forEach(category => {
+    category.fields.forEach(field => {
+      if (!definition[field.key]) {
+        definition[field.key] = { type: SCHEMA_TYPES[field.type] };
+      }
+    });
+  });
+
+  return definition;
+}
+
+/**
+ * Converte e valida o valor de um campo
+ * Aceita o valor já tipado (JSON, LZT) ou em texto (formulários, CSV)
+ * @param {Object} field - Campo da categoria
+ * @param {*} raw - Valor recebido
+ * @returns {Object} - { value } (undefined quando vazio) ou { error }
+ * @private
+ */
+function _normalizeValue(field, raw) {
+  if (raw === undefined || raw === null || (typeof raw === 'string' && raw.trim() === '')) {
+    return { value: undefined };
+  }
+
+  if (field.type === 'boolean') {
+    if (typeof raw === 'boolean') return { value: raw };
+
+    const text = String(raw).trim().toLowerCase();
+    if (TRUE_VALUES.includes(text)) return { value: true };
+    if (FALSE_VALUES.includes(text)) return { value: false };
+
+    return { error: `${field.label}: responda "sim" ou "não"` };
+  }
+
+  if (field.type === 'number') {
+    const value = typeof raw === 'number' ? raw : Number(String(raw).trim().replace(',', '.'));
+
+    if (!Number.isFinite(value)) {
+      return { error: `${field.label}: informe um número` };
+    }
+    if (field.integer && !Number.isInteger(value)) {
+      return { error: `${field.label}: informe um número inteiro` };
+    }
+    if (field.min !== undefined && value < field.min) {
+      return { error: `${field.label}: o mínimo é ${field.min}` };
+    }
+    if (field.max !== undefined && value > field.max) {
+      return { error: `${field.label}: o máximo é ${field.max}` };
+    }
+
+    return { value };
+  }
+
+  const text = String(raw).trim();
+
+  if (field.options) {
+    const option = field.options.find(item => item.toLowerCase() === text.toLowerCase());
+    return option
+      ? { value: option }
+      : { error: `${field.label}: use um destes valores: ${field.options.join(', ')}` };
+  }
+
+  if (text.length > (field.maxLength || 100)) {
+    return { error: `${field.label}: no máximo ${field.maxLength || 100} caracteres` };
+  }
+
+  return { value: text };
+}
+
+/**
+ * Converte e valida os detalhes de um produto conforme os campos da categoria
+ * Campos vazios ficam de fora de details e são listados em cleared; categorias não registradas
+ * mantêm os valores recebidos como texto
+ * @param {string} tipo - Categoria do produto
+ * @param {Object} values - Valores por chave do campo
+ * @returns {Object} - { details, cleared, errors }
+ */
+function normalizeDetails(tipo, values = {}) {
+  const category = getCategory(tipo);
+  const details = {};
+  const cleared = [];
+  const errors = [];
+
+  if (!category) {
+    Object.entries(values).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && String(value).trim() !== '') {
+        details[key] = typeof value === 'string' ? value.trim() : value;
+      }
+    });
+    return { details, cleared, errors };
+  }
+
+  category.fields.forEach(field => {
+    if (!(field.key in values)) return;
+
+    const result = _normalizeValue(field, values[field.key]);
+    if (result.error) {
+      errors.push(result.error);
+    } else if (result.value === undefined) {
+      cleared.push(field.key);
+    } else {
+      details[field.key] = result.value;
+    }
+  });
+
+  return { details, cleared, errors };
+}
+
+/**
+ * Converte os detalhes recebidos do LZT Market para os campos da categoria
+ * Valores inválidos são descartados; chaves sem campo correspondente são mantidas como vieram
+ * @param {string} tipo - Categoria do produto
+ * @param {Object} lztDetails - Detalhes no formato do LZT
+ * @returns {Object} - Detalhes no formato interno
+ */
+function mapExternalDetails(tipo, lztDetails = {}) {
+  const category = getCategory(tipo);
+  const details = {};
+  const mappedKeys = new Set();
+
+  if (category) {
+    category.fields.forEach(field => {
+      const source = field.lzt || field.key;
+      if (!(source in lztDetails)) return;
+
+      mappedKeys.add(source);
+      const result = _normalizeValue(field, lztDetails[source]);
+      if (!result.error && result.value !== undefined) {
+        details[field.key] = result.value;
+      }
+    });
+  }
+
+  for (const [key, value] of Object.entries(lztDetails)) {
+    if (!mappedKeys.has(key) && details[key] === undefined) {
+      details[key] = value;
+    }
+  }
+
+  return details;
+}
+
+/**
+ * Obtém a categoria correspondente a um tipo do LZT Market
+ * @param {string} lztType - Tipo informado pelo LZT
+ * @returns {Object|null} - Categoria ou null se não registrada
+ */
+function getCategoryByLztType(lztType) {
+  const type = String(lztType || '').toLowerCase();
+  return listCategories().find(category => (category.lztType || category.id).toLowerCase() === type) || null;
+}
+
+/**
+ * Valores preenchidos de um produto, na ordem de exibição da categoria
+ * Números zerados são omitidos; categorias não registradas exibem todos os detalhes
+ * @param {Object} product - Produto
+ * @returns {Array<Object>} - Itens ({ field, key, value, text }), onde field é nulo para detalhes avulsos
+ */
+function getDetailEntries(product) {
+  const raw = product.detalhes && typeof product.detalhes.toObject === 'function'
+    ? product.detalhes.toObject()
+    : (product.detalhes || {});
+  const category = getCategory(product.tipo);
+
+  if (!category) {
+    return Object.entries(raw)
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([key, value]) => ({ field: null, key, value, text: String(value) }));
+  }
+
+  return category.fields
+    .filter(field => raw[field.key] !== undefined && raw[field.key] !== null && raw[field.key] !== '' &&
+      !(field.type === 'number' && raw[field.key] === 0))
+    .map(field => ({
+      field,
+      key: field.key,
+      value: raw[field.key],
+      text: field.type === 'boolean' ? (raw[field.key] ? 'Sim' : 'Não') : String(raw[field.key])
+    }));
+}
+
+/**
+ * Filtros de detalhes oferecidos no /buscar, sem repetir a mesma opção entre categorias
+ * @returns {Array<Object>} - Filtros ({ option, mode, description, key, type, integer, label })
+ */
+function listFilters() {
+  const filters = new Map();
+
+  listCategories().forEach(category => {
+    category.fields.forEach(field => {
+      if (field.filter && !filters.has(field.filter.option)) {
+        filters.set(field.filter.option, {
+          ...field.filter,
+          key: field.key,
+          type: field.filter.mode === 'min' ? 'number' : field.type,
+          integer: Boolean(field.integer),
+          label: field.label
+        });
+      }
+    });
+  });
+
+  return Array.from(filters.values());
+}
+
+/**
+ * Obtém um filtro do /buscar pelo nome da opção
+ * @param {string} option - Nome da opção
+ * @returns {Object|null} - Filtro ou null
+ */
+function getFilter(option) {
+  return listFilters().find(filter => filter.option === option) || null;
+}
+
+// Categorias incluídas no sistema
+registerCategory(require('./valorant'));
+registerCategory(require('./lol'));
+registerCategory(require('./steam'));
+registerCategory(require('./fortnite'));
+registerCategory(require('./genshin'));
+
+module.exports = {
+  registerCategory,
+  getCategory,
+  listCategories,
+  getChoices,
+  getLabel,
+  getFormFields,
+  getSchemaDefinition,
+  normalizeDetails,
+  mapExternalDetails,
+  getCategoryByLztType,
+  getDetailEntries,
+  listFilters,
+  getFilter
+};
@@ -0,0 +1,77 @@
+/**
+ * Contas de League of Legends
+ */
+module.exports = {
+  id: 'lol',
+  label: 'League of Legends',
+  emoji: '⚔️',
+  order: 2,
+  lztType: 'league_of_legends',
+  fields: [
+    {
+      key: 'rank',
+      label: 'Elo',
+      type: 'string',
+      emoji: '🏆',
+      placeholder: 'Ex: Platina IV, Ouro II...',
+      lzt: 'rank',
+      summary: true,
+      filter: { option: 'rank', mode: 'prefix', description: 'Rank ou elo da conta (ex.: Diamante)' }
+    },
+    {
+      key: 'level',
+      label: 'Nível',
+      type: 'number',
+      integer: true,
+      min: 0,
+      emoji: '⭐',
+      placeholder: 'Ex: 150',
+      lzt: 'level',
+      summary: true,
+      filter: { option: 'nivel_min', mode: 'min', description: 'Nível mínimo da conta' }
+    },
+    {
+      key: 'region',
+      label: 'Região',
+      type: 'string',
+      emoji: '🌎',
+      placeholder: 'Ex: BR, LAN, NA, EUW...',
+      options: ['BR', 'LAN', 'LAS', 'NA', 'EUW', 'EUNE', 'KR', 'JP', 'OCE', 'TR', 'RU'],
+      lzt: 'region',
+      summary: true,
+      filter: { option: 'regiao', mode: 'exact', description: 'Região da conta (ex.: BR)' }
+    },
+    {
+      key: 'champions',
+      label: 'Campeões',
+      type: 'number',
+      integer: true,
+      min: 0,
+      emoji: '🛡️',
+      placeholder: 'Ex: 80',
+      lzt: 'champions_count',
+      summary: true,
+      filter: { option: 'campeoes_min', mode: 'min', description: 'Quantidade mínima de campeões' }
+    },
+    {
+      key: 'skins',
+      label: 'Skins',
+      type: 'number',
+      integer: true,
+      min: 0,
+      emoji: '🎨',
+      placeholder: 'Ex: 25',
+      lzt: 'skins_count',
+      filter: { option: 'skins_min', mode: 'min', description: 'Quantidade mínima de skins' }
+    },
+    {
+      key: 'blueEssence',
+      label: 'Essências Azuis',
+      type: 'number',
+      integer: true,
+      min: 0,
+      emoji: '🔷',
+      lzt: 'blue_essence'
+    }
+  ]
+};
@@ -0,0 +1,62 @@
+/**
+ * Contas Steam
+ */
+module.exports = {
+  id: 'steam',
+  label: 'Steam',
+  emoji: '🎮',
+  order: 3,
+  fields: [
+    {
+      key: 'games',
+      label: 'Jogos',
+      type: 'number',
+      integer: true,
+      min: 0,
+      emoji: '🕹️',
+      placeholder: 'Ex: 40',
+      lzt: 'games_count',
+      summary: true,
+      filter: { option: 'jogos_min', mode: 'min', description: 'Quantidade mínima de jogos (Steam)' }
+    },
+    {
+      key: 'level',
+      label: 'Nível Steam',
+      type: 'number',
+      integer: true,
+      min: 0,
+      emoji: '⭐',
+      placeholder: 'Ex: 20',
+      lzt: 'level',
+      summary: true,
+      filter: { option: 'nivel_min', mode: 'min', description: 'Nível mínimo da conta' }
+    },
+    {
+      key: 'region',
+      label: 'Região',
+      type: 'string',
+      emoji: '🌎',
+      placeholder: 'Ex: BR, US, EU...',
+      lzt: 'region',
+      summary: true,
+      filter: { option: 'regiao', mode: 'exact', description: 'Região da conta (ex.: BR)' }
+    },
+    {
+      key: 'vacBanned',
+      label: 'Banimento VAC',
+      type: 'boolean',
+      emoji: '🚫',
+      placeholder: 'sim ou não',
+      lzt: 'vac_banned'
+    },
+    {
+      key: 'balance',
+      label: 'Saldo na carteira (R$)',
+      type: 'number',
+      min: 0,
+      emoji: '💵',
+      placeholder: 'Ex: 12,50',
+      lzt: 'balance'
+    }
+  ]
+};
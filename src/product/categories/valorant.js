@@ -0,0 +1,89 @@
+/**
+ * Contas de Valorant
+ */
+module.exports = {
+  id: 'valorant',
+  label: 'Valorant',
+  emoji: '🔫',
+  order: 1,
+  fields: [
+    {
+      key: 'rank',
+      label: 'Rank',
+      type: 'string',
+      emoji: '🏆',
+      placeholder: 'Ex: Diamante, Ouro, Prata...',
+      lzt: 'rank',
+      summary: true,
+      filter: { option: 'rank', mode: 'prefix', description: 'Rank ou elo da conta (ex.: Diamante)' }
+    },
+    {
+      key: 'skins',
+      label: 'Skins',
+      type: 'number',
+      integer: true,
+      min: 0,
+      emoji: '🎨',
+      placeholder: 'Ex: 15',
+      lzt: 'skins_count',
+      summary: true,
+      filter: { option: 'skins_min', mode: 'min', description: 'Quantidade mínima de skins' }
+    },
+    {
+      key: 'level',
+      label: 'Nível',
+      type: 'number',
+      integer: true,
+      min: 0,
+      emoji: '⭐',
+      placeholder: 'Ex: 100',
+      lzt: 'level',
+      summary: true,
+      filter: { option: 'nivel_min', mode: 'min', description: 'Nível mínimo da conta' }
+    },
+    {
+      key: 'region',
+      label: 'Região',
+      type: 'string',
+      emoji: '🌎',
+      placeholder: 'Ex: BR, NA, EU...',
+      options: ['BR', 'LATAM', 'NA', 'EU', 'AP', 'KR'],
+      lzt: 'region',
+      summary: true,
+      filter: { option: 'regiao', mode: 'exact', description: 'Região da conta (ex.: BR)' }
+    },
+    {
+      key: 'agents',
+      label: 'Agentes',
+      type: 'number',
+      integer: true,
+      min: 0,
+      emoji: '🕵️',
+      placeholder: 'Ex: 10',
+      lzt: 'agents_count'
+    },
+    {
+      key: 'verification',
+      label: 'E-mail verificado',
+      type: 'boolean',
+      emoji: '📧',
+      lzt: 'email_verified'
+    },
+    {
+      key: 'valorantPoints',
+      label: 'Valorant Points',
+      type: 'number',
+      integer: true,
+      min: 0,
+      emoji: '💎',
+      lzt: 'valorant_points'
+    },
+    {
+      key: 'email_changed',
+      label: 'E-mail alterado',
+      type: 'boolean',
+      emoji: '✉️',
+      lzt: 'email_changed'
+    }
+  ]
+};
@@ -3,6 +3,7 @@ const axios = require('axios');
 const crypto = require('crypto');
 const config = require('../config');
 const Product = require('../models/product');
+const categories = require('./categories');
 const { logger } = require('../utils/helpers');
 const auditLogger = require('../audit/logger');
 
@@ -164,7 +165,7 @@ async function syncProducts() {
 
         if (existingProduct) {
           // Atualizar produto existente
-          existingProduct.nome = lztProduct.title || `Conta ${lztProduct.type || 'Valorant'}`;
+          existingProduct.nome = lztProduct.title || `Conta ${categories.getCategory(existingProduct.tipo)?.label || existingProduct.tipo}`;
           existingProduct.preco = lztProduct.price || 0;
           existingProduct.descricao = lztProduct.description || '';
           existingProduct.disponivel = lztProduct.status === 'available';
@@ -174,7 +175,7 @@ async function syncProducts() {
           if (lztProduct.details) {
             existingProduct.detalhes = {
               ...existingProduct.detalhes,
-              ...mapLZTDetails(lztProduct)
+              ...mapLZTDetails(lztProduct, existingProduct.tipo)
             };
           }
 
@@ -189,12 +190,13 @@ async function syncProducts() {
           logger.debug(`Produto atualizado: ${existingProduct._id} (LZT: ${lztProduct.id})`);
         } else {
           // Criar novo produto
+          const tipo = mapLZTCategory(lztProduct);
           const newProduct = new Product({
-            nome: lztProduct.title || `Conta ${lztProduct.type || 'Valorant'}`,
-            tipo: lztProduct.type || 'valorant',
+            nome: lztProduct.title || `Conta ${categories.getCategory(tipo)?.label || tipo}`,
+            tipo,
             preco: lztProduct.price || 0,
             descricao: lztProduct.description || '',
-            detalhes: mapLZTDetails(lztProduct),
+            detalhes: mapLZTDetails(lztProduct, tipo),
             disponivel: lztProduct.status === 'available',
             dataCriacao: new Date(),
             origem: 'LZT',
@@ -258,102 +260,81 @@ async function syncProducts() {
   }
 }
 
+/**
+ * Obtém a categoria interna (product.tipo) de um produto do LZT
+ * @param {Object} lztProduct - Produto do LZT Market
+ * @returns {string} - Categoria do produto
+ * @private
+ */
+function mapLZTCategory(lztProduct) {
+  const category = categories.getCategoryByLztType(lztProduct.type);
+  return category ? category.id : String(lztProduct.type || 'valorant').toLowerCase();
+}
+
 /**
  * Mapeia os detalhes do produto do formato LZT para o formato interno
+ * Os campos são os declarados na categoria (product/categories); os demais são mantidos como vieram
  * @param {Object} lztProduct - Produto do LZT Market
+ * @param {string} tipo - Categoria do produto
  * @returns {Object} - Detalhes mapeados
  * @private
  */
-function mapLZTDetails(lztProduct) {
-  // Implementação de mapeamento de campos específicos
-  // Esta função deve ser adaptada conforme o formato de dados do LZT
-  const details = {};
-
-  // Extrair detalhes específicos do LZT
-  if (lztProduct.details) {
-    // Mapear rank
-    if (lztProduct.details.rank) {
-      details.rank = lztProduct.details.rank;
-    }
-
-    // Mapear quantidade de skins
-    if (lztProduct.details.skins_count) {
-      details.skins = parseInt(lztProduct.details.skins_count) || 0;
-    }
-
-    // Mapear região
-    if (lztProduct.details.region) {
-      details.region = lztProduct.details.region;
-    }
-
-    // Mapear agentes
-    if (lztProduct.details.agents_count) {
-      details.agents = parseInt(lztProduct.details.agents_count) || 0;
-    }
-
-    // Mapear level
-    if (lztProduct.details.level) {
-      details.level = parseInt(lztProduct.details.level) || 0;
-    }
-
-    // Mapear email verificado
-    if (lztProduct.details.email_verified !== undefined) {
-      details.verification = !!lztProduct.details.email_verified;
-    }
-
-    // Mapear pontos valorant
-    if (lztProduct.details.valorant_points) {
-      details.valorantPoints = parseInt(lztProduct.details.valorant_points) || 0;
-    }
-
-    // Incluir todos os outros campos disponíveis
-    for (const [key, value] of Object.entries(lztProduct.details)) {
-      if (!details[key]) {
-        details[key] = value;
-      }
-    }
-  }
-
-  return details;
+function mapLZTDetails(lztProduct, tipo) {
+  return lztProduct.details ? categories.mapExternalDetails(tipo, lztProduct.details) : {};
 }
 
 /**
- * Compra um produto do LZT Market
+ * Reserva um produto no LZT Market
  * @param {string} lztProductId - ID do produto no LZT
- * @param {string} internalPaymentId - ID do pagamento interno
- * @returns {Promise<Object>} - Resultado da compra
+ * @returns {Promise<Object>} - Resultado da reserva
  */
-async function purchaseLZTProduct(lztProductId, internalPaymentId) {
+async function reserveLZTProduct(lztProductId) {
   try {
-    logger.info(`Iniciando compra do produto LZT ${lztProductId}`);
-
-    // Reservar o produto
     const reservation = await lztClient.reserveProduct(lztProductId);
 
     if (!reservation || !reservation.success || !reservation.data || !reservation.data.id) {
       logger.error('Erro ao reservar produto:', reservation);
       return {
         success: false,
-        message: 'Falha ao reservar produto no LZT Market',
-        product: null
+        message: 'Falha ao reservar produto no LZT Market'
       };
     }
 
     logger.info(`Produto LZT ${lztProductId} reservado: ${reservation.data.id}`);
+    return {
+      success: true,
+      reservationId: String(reservation.data.id),
+      price: reservation.data.price
+    };
+  } catch (error) {
+    logger.error(`Erro ao reservar produto LZT ${lztProductId}:`, error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+}
 
-    // Simular dados de pagamento (em um sistema real, isso viria do processador de pagamento)
+/**
+ * Finaliza a compra de uma reserva no LZT Market
+ * @param {string} reservationId - ID da reserva
+ * @param {string} internalPaymentId - ID do pagamento interno
+ * @param {number} amount - Valor da reserva
+ * @returns {Promise<Object>} - Resultado da compra
+ */
+async function completeLZTPurchase(reservationId, internalPaymentId, amount) {
+  try {
     const paymentData = {
       payment_id: internalPaymentId,
       payment_method: 'pix',
-      amount: reservation.data.price
+      amount
     };
 
-    // Finalizar a compra
-    const purchase = await lztClient.purchaseProduct(reservation.data.id, paymentData);
+    const purchase = await lztClient.purchaseProduct(reservationId, paymentData);
 
     if (!purchase || !purchase.success || !purchase.data) {
       // Cancelar reserva em caso de falha
-      await lztClient.cancelReservation(reservation.data.id);
+      await cancelLZTReservation(reservationId);
 
       logger.error('Erro ao finalizar compra:', purchase);
       return {
@@ -363,7 +344,7 @@ async function purchaseLZTProduct(lztProductId, internalPaymentId) {
       };
     }
 
-    logger.info(`Compra do produto LZT ${lztProductId} concluída com sucesso`);
+    logger.info(`Compra da reserva LZT ${reservationId} concluída com sucesso`);
 
     // Retornar dados da conta
     return {
@@ -376,7 +357,8 @@ async function purchaseLZTProduct(lztProductId, internalPaymentId) {
       }
     };
   } catch (error) {
-    logger.error(`Erro ao comprar produto LZT ${lztProductId}:`, error);
+    logger.error(`Erro ao finalizar compra da reserva LZT ${reservationId}:`, error);
+    await cancelLZTReservation(reservationId);
     return {
       success: false,
       message: error.message,
@@ -385,8 +367,77 @@ async function purchaseLZTProduct(lztProductId, internalPaymentId) {
   }
 }
 
+/**
+ * Cancela uma reserva no LZT Market
+ * @param {string} reservationId - ID da reserva
+ * @returns {Promise<Object>} - Resultado do cancelamento
+ */
+async function cancelLZTReservation(reservationId) {
+  try {
+    await lztClient.cancelReservation(reservationId);
+    logger.info(`Reserva LZT ${reservationId} cancelada`);
+    return { success: true };
+  } catch (error) {
+    logger.error(`Erro ao cancelar reserva LZT ${reservationId}:`, error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+}
+
+/**
+ * Libera a reserva LZT vinculada a um pagamento que não será concluído
+ * Altera o documento do pagamento (ou item do pedido), cabendo ao chamador salvá-lo
+ * @param {Object} payment - Documento do pagamento ou item do pedido
+ * @returns {Promise<boolean>} - Verdadeiro se alguma reserva foi liberada
+ */
+async function releasePaymentReservation(payment) {
+  const reservation = payment.lztReservation;
+
+  if (!reservation || !reservation.reservationId || reservation.status !== 'RESERVED') {
+    return false;
+  }
+
+  const result = await cancelLZTReservation(reservation.reservationId);
+
+  reservation.status = result.success ? 'CANCELLED' : 'FAILED';
+  reservation.cancelledAt = new Date();
+  if (!result.success) {
+    reservation.error = result.message;
+  }
+
+  return result.success;
+}
+
+/**
+ * Compra um produto do LZT Market (reserva e compra em sequência)
+ * @param {string} lztProductId - ID do produto no LZT
+ * @param {string} internalPaymentId - ID do pagamento interno
+ * @returns {Promise<Object>} - Resultado da compra
+ */
+async function purchaseLZTProduct(lztProductId, internalPaymentId) {
+  logger.info(`Iniciando compra do produto LZT ${lztProductId}`);
+
+  const reservation = await reserveLZTProduct(lztProductId);
+
+  if (!reservation.success) {
+    return {
+      success: false,
+      message: reservation.message,
+      product: null
+    };
+  }
+
+  return completeLZTPurchase(reservation.reservationId, internalPaymentId, reservation.price);
+}
+
 module.exports = {
   client: lztClient,
   syncProducts,
+  reserveLZTProduct,
+  completeLZTPurchase,
+  cancelLZTReservation,
+  releasePaymentReservation,
   purchaseLZTProduct
 };
@@ -0,0 +1,388 @@
+/**
+ * Avaliações dos compradores
+ * Alguns dias após a conclusão do pagamento o comprador recebe uma DM pedindo uma nota de 1 a 5
+ * e um comentário; as médias por tipo e origem do produto são exibidas no catálogo e usadas
+ * nas recomendações. Avaliações ocultadas pela moderação deixam de contar nas médias
+ */
+const config = require('../config');
+const Review = require('../models/review');
+const Payment = require('../models/payment');
+const Product = require('../models/product');
+const cache = require('../utils/cache');
+const { logger } = require('../utils/helpers');
+const auditLogger = require('../audit/logger');
+
+// Médias das avaliações publicadas
+const CACHE_KEY_STATS = 'reviews:stats';
+
+// Descrição dos status exibida para a equipe
+const REVIEW_STATUS_LABELS = {
+  PUBLISHED: '🟢 Publicada',
+  HIDDEN: '🙈 Oculta'
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Reserva os pagamentos concluídos que já podem receber o pedido de avaliação
+ * A marcação é atômica: cada pagamento recebe um único pedido, mesmo com vários processos
+ * @param {number} [limit] - Quantidade máxima (padrão: config.reviews.batchSize)
+ * @returns {Promise<Array>} - Pagamentos reservados
+ */
+async function claimPendingRequests(limit = config.reviews.batchSize) {
+  try {
+    const now = Date.now();
+    const candidates = await Payment.find({
+      status: 'COMPLETED',
+      completedAt: {
+        $lte: new Date(now - config.reviews.requestDelayDays * DAY),
+        $gte: new Date(now - config.reviews.requestWindowDays * DAY)
+      },
+      'ratingRequest.sentAt': { $exists: false }
+    })
+      .sort({ completedAt: 1 })
+      .limit(limit);
+
+    const claimed = [];
+    for (const payment of candidates) {
+      const result = await Payment.updateOne(
+        { _id: payment._id, 'ratingRequest.sentAt': { $exists: false } },
+        { $set: { 'ratingRequest.sentAt': new Date() } }
+      );
+
+      if (result.modifiedCount > 0) {
+        claimed.push(payment);
+      }
+    }
+
+    return claimed;
+  } catch (error) {
+    logger.error('Erro ao buscar pagamentos para pedido de avaliação:', error);
+    return [];
+  }
+}
+
+/**
+ * Registra se o pedido de avaliação chegou ao comprador
+ * @param {string} paymentId - ID do pagamento
+ * @param {boolean} delivered - Verdadeiro se a DM foi enviada
+ * @returns {Promise<void>}
+ */
+async function recordRequestDelivery(paymentId, delivered) {
+  await Payment.updateOne({ _id: paymentId }, { $set: { 'ratingRequest.delivered': delivered } });
+}
+
+/**
+ * Registra a avaliação do comprador para um pagamento concluído
+ * @param {string} paymentId - ID do pagamento
+ * @param {Object} buyer - Comprador ({ id, tag })
+ * @param {number} rating - Nota de 1 a 5
+ * @param {string} [comment] - Comentário
+ * @returns {Promise<Object>} - Resultado ({ success, message, review })
+ */
+async function submitReview(paymentId, buyer, rating, comment) {
+  try {
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return {
+        success: false,
+        message: 'A nota deve ser um número de 1 a 5'
+      };
+    }
+
+    const text = (comment || '').trim();
+    if (text.length > config.reviews.commentMaxLength) {
+      return {
+        success: false,
+        message: `O comentário deve ter no máximo ${config.reviews.commentMaxLength} caracteres`
+      };
+    }
+
+    const payment = await Payment.findById(paymentId);
+
+    if (!payment || payment.userId !== buyer.id) {
+      return {
+        success: false,
+        message: 'Compra não encontrada'
+      };
+    }
+
+    if (payment.status !== 'COMPLETED') {
+      return {
+        success: false,
+        message: 'Apenas compras concluídas podem ser avaliadas'
+      };
+    }
+
+    if (await Review.exists({ paymentId: payment._id })) {
+      return {
+        success: false,
+        message: 'Você já avaliou esta compra'
+      };
+    }
+
+    // Apenas itens entregues são avaliados (falhas de entrega e reembolsos ficam de fora)
+    const items = payment.items && payment.items.length > 0
+      ? payment.items.filter(item => item.status === 'DELIVERED')
+      : [{ productId: payment.productId, productName: payment.productName }];
+
+    if (items.length === 0) {
+      return {
+        success: false,
+        message: 'Nenhum item desta compra foi entregue'
+      };
+    }
+
+    const produtos = await Product.find({ _id: { $in: items.map(item => item.productId) } }).select('tipo origem');
+    const byId = new Map(produtos.map(produto => [produto._id.toString(), produto]));
+
+    const review = await Review.create({
+      paymentId: payment._id,
+      userId: buyer.id,
+      userName: buyer.tag,
+      rating,
+      comment: text || undefined,
+      products: items.map(item => {
+        const produto = byId.get(String(item.productId));
+        return {
+          productId: item.productId,
+          productName: item.productName,
+          tipo: produto ? produto.tipo : undefined,
+          origem: produto ? produto.origem : undefined
+        };
+      })
+    });
+
+    await cache.del(CACHE_KEY_STATS);
+
+    await auditLogger.log({
+      action: 'REVIEW_SUBMITTED',
+      category: 'PRODUCT',
+      severity: 'INFO',
+      status: 'SUCCESS',
+      user: {
+        id: buyer.id,
+        username: buyer.tag
+      },
+      payment: {
+        id: payment._id
+      },
+      details: {
+        reviewId: review._id.toString(),
+        rating,
+        hasComment: Boolean(text)
+      }
+    });
+
+    logger.info(`Avaliação ${rating}/5 registrada para o pagamento ${paymentId}`);
+    return {
+      success: true,
+      review
+    };
+  } catch (error) {
+    // Dois envios simultâneos para o mesmo pagamento
+    if (error.code === 11000) {
+      return {
+        success: false,
+        message: 'Você já avaliou esta compra'
+      };
+    }
+
+    logger.error(`Erro ao registrar avaliação do pagamento ${paymentId}:`, error);
+    return {
+      success: false,
+      message: 'Erro ao registrar avaliação'
+    };
+  }
+}
+
+/**
+ * Médias das avaliações publicadas, por tipo e origem do produto e no geral
+ * @returns {Promise<Object>} - { byProduct: { 'tipo:origem': { average, count } }, overall: { average, count } }
+ */
+async function getRatingStats() {
+  try {
+    const cached = await cache.get(CACHE_KEY_STATS);
+    if (cached) {
+      return cached;
+    }
+
+    const [byProduct, overall] = await Promise.all([
+      Review.aggregate([
+        { $match: { status: 'PUBLISHED' } },
+        { $unwind: '$products' },
+        {
+          $group: {
+            _id: { tipo: '$products.tipo', origem: '$products.origem' },
+            average: { $avg: '$rating' },
+            count: { $sum: 1 }
+          }
+        }
+      ]),
+      Review.aggregate([
+        { $match: { status: 'PUBLISHED' } },
+        { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const stats = {
+      byProduct: {},
+      overall: overall.length > 0
+        ? { average: overall[0].average, count: overall[0].count }
+        : { average: 0, count: 0 }
+    };
+
+    byProduct.forEach(group => {
+      stats.byProduct[`${group._id.tipo}:${group._id.origem}`] = {
+        average: group.average,
+        count: group.count
+      };
+    });
+
+    await cache.set(CACHE_KEY_STATS, stats, config.reviews.statsTtl);
+    return stats;
+  } catch (error) {
+    logger.error('Erro ao calcular médias das avaliações:', error);
+    return { byProduct: {}, overall: { average: 0, count: 0 } };
+  }
+}
+
+/**
+ * Procura nas médias já carregadas a do tipo e da origem de um produto (usado em listas)
+ * @param {Object} stats - Médias retornadas por getRatingStats
+ * @param {Object} product - Produto
+ * @returns {Object|null} - { average, count } ou null se ainda não houver avaliações
+ */
+function findProductRating(stats, product) {
+  return stats.byProduct[`${product.tipo}:${product.origem || 'MANUAL'}`] || null;
+}
+
+/**
+ * Média das avaliações do tipo e da origem de um produto
+ * @param {Object} product - Produto
+ * @returns {Promise<Object|null>} - { average, count } ou null se ainda não houver avaliações
+ */
+async function getProductRating(product) {
+  return findProductRating(await getRatingStats(), product);
+}
+
+/**
+ * Lista avaliações para a moderação, das mais recentes para as mais antigas
+ * @param {string} [status] - Filtrar por status (padrão: todas)
+ * @param {Object} [options] - Paginação ({ page = 1, pageSize = 10 })
+ * @returns {Promise<Object>} - Resultado ({ reviews, total })
+ */
+async function listReviews(status, { page = 1, pageSize = 10 } = {}) {
+  try {
+    const query = status ? { status } : {};
+
+    const [reviews, total] = await Promise.all([
+      Review.find(query)
+        .sort({ createdAt: -1 })
+        .skip((Math.max(1, page) - 1) * pageSize)
+        .limit(pageSize),
+      Review.countDocuments(query)
+    ]);
+
+    return { reviews, total };
+  } catch (error) {
+    logger.error('Erro ao listar avaliações:', error);
+    return { reviews: [], total: 0 };
+  }
+}
+
+/**
+ * Obtém uma avaliação pelo ID da avaliação ou do pagamento
+ * @param {string} id - ID da avaliação ou do pagamento
+ * @returns {Promise<Object|null>} - Avaliação ou null
+ */
+async function getReview(id) {
+  try {
+    return await Review.findOne({ $or: [{ _id: id }, { paymentId: id }] });
+  } catch (error) {
+    logger.error(`Erro ao obter avaliação ${id}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Oculta ou republica uma avaliação
+ * @param {string} reviewId - ID da avaliação
+ * @param {string} status - Novo status (PUBLISHED ou HIDDEN)
+ * @param {string} adminId - ID do administrador
+ * @param {string} [reason] - Motivo (exibido apenas para a equipe)
+ * @returns {Promise<Object>} - Resultado ({ success, message, review })
+ */
+async function moderateReview(reviewId, status, adminId, reason) {
+  try {
+    if (!REVIEW_STATUS_LABELS[status]) {
+      return {
+        success: false,
+        message: 'Status de avaliação inválido'
+      };
+    }
+
+    const review = await Review.findOneAndUpdate(
+      { _id: reviewId, status: { $ne: status } },
+      {
+        $set: {
+          status,
+          moderation: { by: adminId, at: new Date(), reason }
+        }
+      },
+      { new: true }
+    );
+
+    if (!review) {
+      return {
+        success: false,
+        message: status === 'HIDDEN' ? 'Avaliação não encontrada ou já oculta' : 'Avaliação não encontrada ou já publicada'
+      };
+    }
+
+    await cache.del(CACHE_KEY_STATS);
+
+    await auditLogger.log({
+      action: status === 'HIDDEN' ? 'REVIEW_HIDDEN' : 'REVIEW_RESTORED',
+      category: 'PRODUCT',
+      severity: 'INFO',
+      status: 'SUCCESS',
+      user: {
+        id: adminId
+      },
+      payment: {
+        id: review.paymentId
+      },
+      details: {
+        reviewId: review._id.toString(),
+        buyerId: review.userId,
+        rating: review.rating,
+        reason
+      }
+    });
+
+    logger.info(`Avaliação ${reviewId} alterada para ${status} por ${adminId}`);
+    return {
+      success: true,
+      review
+    };
+  } catch (error) {
+    logger.error(`Erro ao moderar avaliação ${reviewId}:`, error);
+    return {
+      success: false,
+      message: 'Erro ao moderar avaliação'
+    };
+  }
+}
+
+module.exports = {
+  REVIEW_STATUS_LABELS,
+  claimPendingRequests,
+  recordRequestDelivery,
+  submitReview,
+  getRatingStats,
+  findProductRating,
+  getProductRating,
+  listReviews,
+  getReview,
+  moderateReview
+};
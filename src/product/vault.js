@@ -0,0 +1,355 @@
+/**
+ * Cofre de credenciais dos produtos
+ * As credenciais ficam criptografadas (AES-256-GCM) e só são reveladas ao comprador uma vez
+ */
+const crypto = require('crypto');
+const config = require('../config');
+const Product = require('../models/product');
+const Payment = require('../models/payment');
+const { logger } = require('../utils/helpers');
+const auditLogger = require('../audit/logger');
+
+const IV_LENGTH = 12;
+
+/**
+ * Obtém a chave de criptografia configurada
+ * @returns {Buffer} - Chave de 32 bytes
+ * @private
+ */
+function _getKey() {
+  const rawKey = config.vault.key;
+
+  if (!rawKey) {
+    throw new Error('Chave do cofre não configurada (VAULT_KEY)');
+  }
+
+  const key = /^[0-9a-f]{64}$/i.test(rawKey)
+    ? Buffer.from(rawKey, 'hex')
+    : Buffer.from(rawKey, 'base64');
+
+  if (key.length !== 32) {
+    throw new Error('Chave do cofre deve ter 32 bytes');
+  }
+
+  return key;
+}
+
+/**
+ * Verifica se o cofre possui uma chave válida configurada
+ * @returns {boolean} - Verdadeiro se a chave for válida
+ */
+function isConfigured() {
+  try {
+    _getKey();
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Criptografa um objeto de credenciais
+ * @param {Object} credentials - Credenciais em texto claro
+ * @returns {Object} - { iv, tag, data } em base64
+ */
+function encrypt(credentials) {
+  const iv = crypto.randomBytes(IV_LENGTH);
+  const cipher = crypto.createCipheriv(config.vault.algorithm, _getKey(), iv);
+
+  const data = Buffer.concat([
+    cipher.update(JSON.stringify(credentials), 'utf8'),
+    cipher.final()
+  ]);
+
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Descriptografa credenciais armazenadas
+ * @param {Object} sealed - Objeto retornado por encrypt
+ * @returns {Object} - Credenciais em texto claro
+ */
+function decrypt(sealed) {
+  if (!sealed || !sealed.iv || !sealed.tag || !sealed.data) {
+    throw new Error('Credenciais criptografadas inválidas');
+  }
+
+  const decipher = crypto.createDecipheriv(
+    config.vault.algorithm,
+    _getKey(),
+    Buffer.from(sealed.iv, 'base64')
+  );
+  decipher.setAuthTag(Buffer.from(sealed.tag, 'base64'));
+
+  const data = Buffer.concat([
+    decipher.update(Buffer.from(sealed.data, 'base64')),
+    decipher.final()
+  ]);
+
+  return JSON.parse(data.toString('utf8'));
+}
+
+/**
+ * Adiciona ao cofre as credenciais de uma unidade do produto
+ * Se houver mais credenciais do que unidades, o estoque é ampliado para acompanhá-las
+ * @param {string} productId - ID do produto
+ * @param {Object} credentials - { login, password, additionalInfo }
+ * @param {string} adminId - ID do administrador
+ * @returns {Promise<Object>} - Resultado da operação
+ */
+async function addProductCredentials(productId, credentials, adminId) {
+  try {
+    if (!credentials || !credentials.login || !credentials.password) {
+      return {
+        success: false,
+        message: 'Login e senha são obrigatórios'
+      };
+    }
+
+    const slot = {
+      ...encrypt({
+        login: credentials.login,
+        password: credentials.password,
+        additionalInfo: credentials.additionalInfo || null
+      }),
+      adicionadoPor: adminId,
+      adicionadoEm: new Date()
+    };
+
+    const product = await Product.findOneAndUpdate(
+      { _id: productId, comprometido: { $ne: true } },
+      { $push: { credenciais: slot } },
+      { new: true }
+    ).select('+credenciais');
+
+    if (!product) {
+      return {
+        success: false,
+        message: 'Produto não encontrado ou comprometido'
+      };
+    }
+
+    // Cada credencial corresponde a uma unidade (livre ou reservada)
+    const restocked = await Product.updateOne(
+      {
+        _id: productId,
+        $expr: {
+          $gt: [
+            { $size: '$credenciais' },
+            { $add: ['$estoque', { $size: { $ifNull: ['$reservas', []] } }] }
+          ]
+        }
+      },
+      {
+        $inc: { estoque: 1 },
+        $set: { vendido: false, disponivel: true }
+      }
+    );
+
+    await auditLogger.log({
+      action: 'PRODUCT_CREDENTIALS_STORED',
+      category: 'PRODUCT',
+      severity: 'INFO',
+      status: 'SUCCESS',
+      user: {
+        id: adminId
+      },
+      product: {
+        id: product._id,
+        name: product.nome
+      },
+      details: {
+        slots: product.credenciais.length,
+        restocked: restocked.modifiedCount > 0
+      }
+    });
+
+    logger.info(`Credenciais armazenadas no cofre para o produto ${productId} (${product.credenciais.length} unidades)`);
+    return {
+      success: true,
+      slots: product.credenciais.length
+    };
+  } catch (error) {
+    logger.error(`Erro ao armazenar credenciais do produto ${productId}:`, error);
+    return {
+      success: false,
+      message: error.message
+    };
+  }
+}
+
+/**
+ * Retira do cofre as credenciais da próxima unidade do produto
+ * A operação é atômica: cada credencial é entregue a um único pagamento
+ * @param {string} productId - ID do produto
+ * @returns {Promise<Object|null>} - Credenciais criptografadas ou null se não houver
+ */
+async function takeProductCredentials(productId) {
+  const product = await Product.findOneAndUpdate(
+    { _id: productId, 'credenciais.0': { $exists: true } },
+    { $pop: { credenciais: -1 } }
+  ).select('+credenciais');
+
+  if (!product) {
+    return null;
+  }
+
+  const { iv, tag, data } = product.credenciais[0];
+  return { iv, tag, data };
+}
+
+/**
+ * Devolve credenciais criptografadas ao cofre do produto (ex.: reembolso ou falha na entrega)
+ * @param {string} productId - ID do produto
+ * @param {Object} sealed - Credenciais criptografadas
+ * @param {string} actionBy - Responsável pela devolução
+ * @returns {Promise<void>}
+ */
+async function returnProductCredentials(productId, sealed, actionBy) {
+  if (!sealed || !sealed.data) {
+    return;
+  }
+
+  await Product.updateOne({ _id: productId }, {
+    $push: {
+      credenciais: {
+        $each: [{
+          iv: sealed.iv,
+          tag: sealed.tag,
+          data: sealed.data,
+          adicionadoPor: actionBy,
+          adicionadoEm: new Date()
+        }],
+        $position: 0
+      }
+    }
+  });
+}
+
+/**
+ * Filtro das credenciais entregues que ainda não chegaram ao comprador
+ * @param {string} paymentId - ID do pagamento
+ * @param {string} [itemId] - ID do item, em pedidos do carrinho
+ * @returns {Object} - Filtro do MongoDB
+ * @private
+ */
+function _unrevealedFilter(paymentId, itemId) {
+  if (itemId) {
+    return {
+      _id: paymentId,
+      status: 'COMPLETED',
+      items: {
+        $elemMatch: {
+          _id: itemId,
+          'deliveryDetails.accessCredentials': { $exists: true },
+          'deliveryDetails.revealedAt': { $exists: false }
+        }
+      }
+    };
+  }
+
+  return {
+    _id: paymentId,
+    status: 'COMPLETED',
+    'deliveryDetails.accessCredentials': { $exists: true },
+    'deliveryDetails.revealedAt': { $exists: false }
+  };
+}
+
+/**
+ * Lê as credenciais entregues em um pagamento concluído para envio ao comprador
+ * Só são lidas enquanto não forem marcadas como reveladas (markCredentialsRevealed),
+ * o que permite reenviar a entrega quando a DM do comprador estava fechada
+ * @param {string} paymentId - ID do pagamento
+ * @param {string} [itemId] - ID do item, em pedidos do carrinho
+ * @returns {Promise<Object>} - Resultado com as credenciais em texto claro
+ */
+async function readDeliveredCredentials(paymentId, itemId) {
+  try {
+    const payment = await Payment.findOne(_unrevealedFilter(paymentId, itemId));
+
+    if (!payment) {
+      return {
+        success: false,
+        message: 'Credenciais indisponíveis ou já reveladas'
+      };
+    }
+
+    const delivered = itemId ? payment.items.id(itemId) : payment;
+
+    return {
+      success: true,
+      credentials: decrypt(delivered.deliveryDetails.accessCredentials)
+    };
+  } catch (error) {
+    logger.error(`Erro ao ler credenciais do pagamento ${paymentId}:`, error);
+    return {
+      success: false,
+      message: 'Erro ao ler credenciais'
+    };
+  }
+}
+
+/**
+ * Marca as credenciais entregues como reveladas, após a DM chegar ao comprador
+ * A operação é atômica: cada pagamento (ou item do pedido) só é marcado uma vez
+ * @param {string} paymentId - ID do pagamento
+ * @param {string} [itemId] - ID do item, em pedidos do carrinho
+ * @returns {Promise<boolean>} - Verdadeiro se marcadas agora
+ */
+async function markCredentialsRevealed(paymentId, itemId) {
+  try {
+    const payment = await Payment.findOneAndUpdate(
+      _unrevealedFilter(paymentId, itemId),
+      itemId
+        ? { $set: { 'items.$.deliveryDetails.revealedAt': new Date() } }
+        : { $set: { 'deliveryDetails.revealedAt': new Date() } },
+      { new: true }
+    );
+
+    if (!payment) {
+      return false;
+    }
+
+    const delivered = itemId ? payment.items.id(itemId) : payment;
+
+    await auditLogger.log({
+      action: 'CREDENTIALS_REVEALED',
+      category: 'TRANSACTION',
+      severity: 'INFO',
+      status: 'SUCCESS',
+      target: {
+        id: payment.userId,
+        username: payment.userName
+      },
+      payment: {
+        id: payment._id,
+        amount: payment.amount
+      },
+      product: {
+        id: delivered.productId,
+        name: delivered.productName
+      }
+    });
+
+    return true;
+  } catch (error) {
+    logger.error(`Erro ao marcar credenciais do pagamento ${paymentId} como reveladas:`, error);
+    return false;
+  }
+}
+
+module.exports = {
+  isConfigured,
+  encrypt,
+  decrypt,
+  addProductCredentials,
+  takeProductCredentials,
+  returnProductCredentials,
+  readDeliveredCredentials,
+  markCredentialsRevealed
+};
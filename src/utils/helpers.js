@@ -73,6 +73,21 @@ function formatDate(date) {
   return `${day}/${month}/${year} ${hours}:${minutes}`;
 }
 
+/**
+ * Formata o horário de uma data no fuso de Brasília
+ * @param {Date} date - Data a ser formatada
+ * @returns {string} - Horário formatado (ex: 14:35)
+ */
+function formatTime(date) {
+  if (!date) return '';
+
+  return new Date(date).toLocaleTimeString('pt-BR', {
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone: 'America/Sao_Paulo'
+  });
+}
+
 /**
  * Formata um intervalo de tempo de forma amigável
  * @param {Date} date - Data para calcular o intervalo até agora
@@ -117,6 +132,83 @@ function isValidEmail(email) {
   return re.test(String(email).toLowerCase());
 }
 
+/**
+ * Valida um CPF pelos dígitos verificadores
+ * @param {string} cpf - CPF com ou sem pontuação
+ * @returns {boolean} - Verdadeiro se válido
+ */
+function isValidCpf(cpf) {
+  const digits = String(cpf || '').replace(/\D/g, '');
+
+  // Sequências repetidas passam no cálculo, mas não são CPFs válidos
+  if (digits.length !== 11 || /^(\d)\1{10}$/.test(digits)) {
+    return false;
+  }
+
+  for (let position = 9; position < 11; position++) {
+    let sum = 0;
+    for (let i = 0; i < position; i++) {
+      sum += Number(digits[i]) * (position + 1 - i);
+    }
+
+    const check = (sum * 10) % 11 % 10;
+    if (check !== Number(digits[position])) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Valida um CNPJ pelos dígitos verificadores
+ * @param {string} cnpj - CNPJ com ou sem pontuação
+ * @returns {boolean} - Verdadeiro se válido
+ */
+function isValidCnpj(cnpj) {
+  const digits = String(cnpj || '').replace(/\D/g, '');
+
+  if (digits.length !== 14 || /^(\d)\1{13}$/.test(digits)) {
+    return false;
+  }
+
+  for (let position = 12; position < 14; position++) {
+    let sum = 0;
+    let weight = position - 7;
+
+    for (let i = 0; i < position; i++) {
+      sum += Number(digits[i]) * weight;
+      weight = weight === 2 ? 9 : weight - 1;
+    }
+
+    const check = sum % 11 < 2 ? 0 : 11 - (sum % 11);
+    if (check !== Number(digits[position])) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Mascara um CPF ou CNPJ para exibição, mantendo apenas os dígitos centrais
+ * @param {string} document - Documento (somente dígitos)
+ * @returns {string} - Documento mascarado
+ */
+function maskDocument(document) {
+  const digits = String(document || '').replace(/\D/g, '');
+
+  if (digits.length === 11) {
+    return `***.${digits.substring(3, 6)}.${digits.substring(6, 9)}-**`;
+  }
+
+  if (digits.length === 14) {
+    return `**.${digits.substring(2, 5)}.${digits.substring(5, 8)}/${digits.substring(8, 12)}-**`;
+  }
+
+  return digits ? '***' : '';
+}
+
 /**
  * Trunca um texto para um tamanho específico
  * @param {string} text - Texto a ser truncado
@@ -181,16 +273,50 @@ function generatePassword(length = 12, includeSpecial = true) {
   return password;
 }
 
+/**
+ * Distribui um desconto entre itens, proporcionalmente ao preço de cada um
+ * O último item elegível absorve a diferença de arredondamento
+ * @param {Array} lines - Itens com `price`
+ * @param {number} discount - Desconto total em reais
+ * @param {Function} [isEligible] - Filtro dos itens que recebem o desconto
+ * @returns {Array} - Novos itens com o preço descontado
+ */
+function distributeDiscount(lines, discount, isEligible = () => true) {
+  const round = value => Math.round(value * 100) / 100;
+  const eligible = lines.filter(isEligible);
+  const eligibleTotal = eligible.reduce((sum, line) => sum + line.price, 0);
+  const lastEligible = eligible[eligible.length - 1];
+  let remaining = discount;
+
+  return lines.map(line => {
+    if (!eligible.includes(line) || eligibleTotal <= 0) {
+      return line;
+    }
+
+    const share = line === lastEligible
+      ? remaining
+      : round(discount * (line.price / eligibleTotal));
+    remaining = round(remaining - share);
+
+    return { ...line, price: Math.max(0, round(line.price - share)) };
+  });
+}
+
 module.exports = {
   logger,
   generateId,
   formatCurrency,
   formatDate,
+  formatTime,
   timeAgo,
   isValidEmail,
+  isValidCpf,
+  isValidCnpj,
+  maskDocument,
   truncateText,
   md5,
   removeAccents,
   isValidUUID,
-  generatePassword
+  generatePassword,
+  distributeDiscount
 };
@@ -0,0 +1,93 @@
+const brcode = require('../../src/payment/brcode');
+
+// Exemplo do Manual de Padrões para Iniciação do Pix (BCB): QR estático com chave aleatória
+const BCB_SAMPLE = '00020126580014br.gov.bcb.pix0136123e4567-e12b-12d1-a456-4266554400005204000053039865802BR5913Fulano de Tal6008BRASILIA62070503***63041D3D';
+
+const BCB_SAMPLE_DATA = {
+  keyType: 'random',
+  keyValue: '123e4567-e12b-12d1-a456-426655440000',
+  merchantName: 'Fulano de Tal',
+  merchantCity: 'BRASILIA'
+};
+
+describe('brcode', () => {
+  describe('encode', () => {
+    test('reproduz o payload de exemplo do BCB', () => {
+      expect(brcode.encode(BCB_SAMPLE_DATA)).toBe(BCB_SAMPLE);
+    });
+
+    test('inclui valor, txid e descrição e gera CRC válido', () => {
+      const payload = brcode.encode({
+        ...BCB_SAMPLE_DATA,
+        amount: 49.9,
+        txid: '65a1f0c2-9b7e-4d21',
+        description: 'Pedido 123'
+      });
+
+      const result = brcode.validate(payload);
+      expect(result.valid).toBe(true);
+      expect(result.data.amount).toBe(49.9);
+      expect(result.data.txid).toBe('65a1f0c29b7e4d21');
+      expect(result.data.description).toBe('Pedido 123');
+      expect(payload).toContain('540549.90');
+    });
+
+    test('remove acentos e limita nome e cidade', () => {
+      const data = brcode.decode(brcode.encode({
+        ...BCB_SAMPLE_DATA,
+        merchantName: 'Loja de Contas São João do Brasil',
+        merchantCity: 'São José dos Campos'
+      }));
+
+      expect(data.merchantName).toBe('Loja de Contas Sao Joao d');
+      expect(data.merchantCity).toBe('Sao Jose dos Ca');
+    });
+
+    test('normaliza chaves de telefone, CPF e e-mail', () => {
+      expect(brcode.formatPixKey('telefone', '(11) 98765-4321')).toBe('+5511987654321');
+      expect(brcode.formatPixKey('cpf', '123.456.789-09')).toBe('12345678909');
+      expect(brcode.formatPixKey('email', 'Loja@Exemplo.com')).toBe('loja@exemplo.com');
+    });
+
+    test('rejeita valor inválido e chave ausente', () => {
+      expect(() => brcode.encode({ ...BCB_SAMPLE_DATA, amount: -1 })).toThrow('Valor do pagamento inválido');
+      expect(() => brcode.encode({ ...BCB_SAMPLE_DATA, keyValue: '' })).toThrow('Chave PIX não configurada');
+    });
+  });
+
+  describe('validate', () => {
+    test('aceita o payload de exemplo do BCB', () => {
+      const result = brcode.validate(BCB_SAMPLE);
+
+      expect(result.valid).toBe(true);
+      expect(result.errors).toEqual([]);
+      expect(result.data).toMatchObject({
+        gui: 'br.gov.bcb.pix',
+        key: '123e4567-e12b-12d1-a456-426655440000',
+        merchantName: 'Fulano de Tal',
+        merchantCity: 'BRASILIA',
+        txid: '***',
+        amount: null,
+        crc: '1D3D'
+      });
+    });
+
+    test('calcula o CRC16 do exemplo do BCB', () => {
+      expect(brcode.crc16(BCB_SAMPLE.slice(0, -4))).toBe('1D3D');
+    });
+
+    test('rejeita CRC alterado', () => {
+      const result = brcode.validate(`${BCB_SAMPLE.slice(0, -4)}1D3E`);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('CRC inválido');
+    });
+
+    test('rejeita payload truncado', () => {
+      const result = brcode.validate(BCB_SAMPLE.slice(0, 40));
+
+      expect(result.valid).toBe(false);
+      expect(result.data).toBeNull();
+    });
+  });
+});
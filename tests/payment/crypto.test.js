@@ -0,0 +1,154 @@
+jest.mock('../../src/models/payment', () => ({
+  find: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../../src/audit/logger', () => ({
+  log: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const config = require('../../src/config');
+const Payment = require('../../src/models/payment');
+const auditLogger = require('../../src/audit/logger');
+const fakeChain = require('../../src/payment/chains/fake');
+const cryptoMethod = require('../../src/payment/methods/crypto');
+
+const MIN_CONFIRMATIONS = config.payment.crypto.currencies.USDT.minConfirmations;
+
+/**
+ * Cria um pagamento em USDT com endereço na blockchain simulada
+ */
+async function createPayment(overrides = {}) {
+  const address = await fakeChain.createAddress('USDT', 'pedido');
+
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    userId: 'comprador',
+    userName: 'Comprador',
+    productName: 'Conta',
+    amount: 55,
+    method: 'CRYPTO',
+    status: 'PENDING',
+    expiresAt: new Date(Date.now() + 60000),
+    cryptoDetails: {
+      currency: 'USDT',
+      network: 'TRC20',
+      address,
+      adapter: 'fake',
+      amount: 10,
+      received: 0,
+      transactions: []
+    },
+    save: jest.fn().mockResolvedValue(),
+    set(path, value) {
+      const keys = path.split('.');
+      const target = keys.slice(0, -1).reduce((node, key) => (node[key] = node[key] || {}), this);
+      target[keys[keys.length - 1]] = value;
+    },
+    ...overrides
+  };
+}
+
+/**
+ * Faz Payment.find devolver os pendentes na primeira consulta e os encerrados na segunda
+ */
+function mockFind(pending, closed) {
+  Payment.find.mockImplementation(async query => (query.status === 'PENDING' ? pending : closed));
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  fakeChain.reset();
+  Payment.updateOne.mockResolvedValue({ modifiedCount: 1 });
+});
+
+afterEach(() => {
+  cryptoMethod.stop();
+});
+
+describe('checkPayment', () => {
+  test('envia para análise o depósito com as confirmações mínimas', async () => {
+    const payment = await createPayment();
+    fakeChain.send(payment.cryptoDetails.address, 10);
+    fakeChain.mine(MIN_CONFIRMATIONS);
+
+    const result = await cryptoMethod.checkPayment(payment);
+
+    expect(result.confirmed).toBe(true);
+    expect(payment.status).toBe('PROCESSING');
+    expect(payment.cryptoDetails.confirmedAt).toBeInstanceOf(Date);
+    expect(payment.save).toHaveBeenCalled();
+    expect(auditLogger.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'PAYMENT_CRYPTO_CONFIRMED' }));
+  });
+
+  test('mantém pendente o depósito sem confirmações suficientes', async () => {
+    const payment = await createPayment();
+    fakeChain.send(payment.cryptoDetails.address, 10);
+    fakeChain.mine(1);
+
+    const result = await cryptoMethod.checkPayment(payment);
+
+    expect(result.confirmed).toBe(false);
+    expect(payment.status).toBe('PENDING');
+    expect(Payment.updateOne).toHaveBeenCalledWith(
+      { _id: payment._id, status: 'PENDING' },
+      { $set: expect.objectContaining({ 'cryptoDetails.received': 10 }) }
+    );
+  });
+});
+
+describe('depósitos após a validade', () => {
+  test('credita pagamento pendente vencido dentro da janela de consulta', async () => {
+    const payment = await createPayment({ expiresAt: new Date(Date.now() - 60000) });
+    fakeChain.send(payment.cryptoDetails.address, 10);
+    fakeChain.mine(MIN_CONFIRMATIONS);
+    mockFind([payment], []);
+
+    const confirmed = await cryptoMethod.checkPendingPayments();
+
+    expect(confirmed).toBe(1);
+    expect(payment.status).toBe('PROCESSING');
+
+    const [pendingQuery] = Payment.find.mock.calls[0];
+    expect(pendingQuery.expiresAt.$gt.getTime()).toBeLessThan(Date.now() - 60000);
+  });
+
+  test('sinaliza à equipe o depósito confirmado em pagamento expirado', async () => {
+    const onLateDeposit = jest.fn();
+    cryptoMethod.start({ onLateDeposit });
+
+    const payment = await createPayment({ status: 'EXPIRED', expiresAt: new Date(Date.now() - 60000) });
+    fakeChain.send(payment.cryptoDetails.address, 10);
+    fakeChain.mine(MIN_CONFIRMATIONS);
+    mockFind([], [payment]);
+
+    await cryptoMethod.checkPendingPayments();
+
+    expect(payment.status).toBe('EXPIRED');
+    expect(payment.save).not.toHaveBeenCalled();
+    expect(Payment.updateOne).toHaveBeenCalledWith(
+      { _id: payment._id, status: 'EXPIRED', 'cryptoDetails.lateDepositAt': { $exists: false } },
+      { $set: expect.objectContaining({ 'cryptoDetails.received': 10, 'cryptoDetails.lateDepositAt': expect.any(Date) }) }
+    );
+    expect(auditLogger.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'PAYMENT_CRYPTO_LATE_DEPOSIT' }));
+    expect(onLateDeposit).toHaveBeenCalledWith(payment);
+  });
+
+  test('aguarda as confirmações antes de sinalizar', async () => {
+    const payment = await createPayment({ status: 'CANCELLED' });
+    fakeChain.send(payment.cryptoDetails.address, 10);
+
+    expect(await cryptoMethod.flagLateDeposit(payment)).toBe(false);
+    expect(Payment.updateOne).not.toHaveBeenCalled();
+  });
+
+  test('não sinaliza o mesmo depósito duas vezes', async () => {
+    const payment = await createPayment({ status: 'EXPIRED' });
+    fakeChain.send(payment.cryptoDetails.address, 10);
+    fakeChain.mine(MIN_CONFIRMATIONS);
+    Payment.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+    expect(await cryptoMethod.flagLateDeposit(payment)).toBe(false);
+    expect(auditLogger.log).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,169 @@
+process.env.PIX_WEBHOOK_MOCK_ENABLED = 'true';
+process.env.PIX_WEBHOOK_SECRET_MOCK = 'segredo-de-teste';
+
+jest.mock('../../src/models/webhookEvent', () => ({
+  create: jest.fn(),
+  deleteOne: jest.fn()
+}));
+jest.mock('../../src/payment/pix', () => ({
+  updatePaymentFromBank: jest.fn()
+}));
+jest.mock('../../src/audit/logger', () => ({
+  log: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const config = require('../../src/config');
+const WebhookEvent = require('../../src/models/webhookEvent');
+const paymentService = require('../../src/payment/pix');
+const auditLogger = require('../../src/audit/logger');
+const mockProvider = require('../../src/payment/providers/mock');
+const provider99pay = require('../../src/payment/providers/99pay');
+const webhook = require('../../src/payment/webhook');
+
+const SECRET = process.env.PIX_WEBHOOK_SECRET_MOCK;
+const payment = { _id: new mongoose.Types.ObjectId(), amount: 49.9 };
+
+let server;
+let baseUrl;
+
+/**
+ * Envia uma requisição ao webhook do provedor mock
+ */
+function post({ body, headers }) {
+  return fetch(`${baseUrl}${config.payment.webhook.path}/mock`, { method: 'POST', body, headers });
+}
+
+beforeAll(async () => {
+  server = webhook.createApp().listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  WebhookEvent.create.mockImplementation(async data => ({ _id: 'evento', ...data, save: jest.fn() }));
+  WebhookEvent.deleteOne.mockResolvedValue({});
+});
+
+describe('webhook PIX com o provedor mock', () => {
+  test('confirma o pagamento com evento assinado', async () => {
+    paymentService.updatePaymentFromBank.mockResolvedValue({ success: true, status: 'PROCESSING' });
+
+    const response = await post(mockProvider.buildRequest(payment, SECRET));
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ received: true, duplicate: false });
+    expect(paymentService.updatePaymentFromBank).toHaveBeenCalledWith(payment._id.toString(), expect.objectContaining({
+      status: 'approved',
+      amount: 49.9,
+      provider: 'mock'
+    }));
+
+    const record = await WebhookEvent.create.mock.results[0].value;
+    expect(record.status).toBe('PROCESSED');
+    expect(record.save).toHaveBeenCalled();
+  });
+
+  test('recusa evento com assinatura inválida', async () => {
+    const response = await post(mockProvider.buildRequest(payment, 'outro-segredo'));
+
+    expect(response.status).toBe(401);
+    expect(paymentService.updatePaymentFromBank).not.toHaveBeenCalled();
+    expect(auditLogger.log).toHaveBeenCalledWith(expect.objectContaining({ action: 'WEBHOOK_INVALID_SIGNATURE' }));
+  });
+
+  test('ignora evento duplicado', async () => {
+    WebhookEvent.create.mockRejectedValue(Object.assign(new Error('duplicado'), { code: 11000 }));
+
+    const response = await post(mockProvider.buildRequest(payment, SECRET));
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual({ received: true, duplicate: true });
+    expect(paymentService.updatePaymentFromBank).not.toHaveBeenCalled();
+  });
+
+  test('registra como ignorado o evento que não altera o pagamento', async () => {
+    paymentService.updatePaymentFromBank.mockResolvedValue({ success: false, message: 'Pagamento já está com status COMPLETED' });
+
+    const response = await post(mockProvider.buildRequest(payment, SECRET));
+
+    expect(response.status).toBe(200);
+    const record = await WebhookEvent.create.mock.results[0].value;
+    expect(record.status).toBe('IGNORED');
+    expect(WebhookEvent.deleteOne).not.toHaveBeenCalled();
+  });
+
+  test('remove o evento após falha temporária para o provedor reenviar', async () => {
+    paymentService.updatePaymentFromBank.mockResolvedValue({ success: false, retryable: true, message: 'Erro ao processar dados bancários' });
+
+    const response = await post(mockProvider.buildRequest(payment, SECRET));
+
+    expect(response.status).toBe(500);
+    expect(WebhookEvent.deleteOne).toHaveBeenCalledWith({ _id: 'evento' });
+  });
+
+  test('remove o evento após conflito de concorrência', async () => {
+    paymentService.updatePaymentFromBank.mockResolvedValue({ success: false, conflict: true, message: 'O pagamento foi alterado por outra operação' });
+
+    const response = await post(mockProvider.buildRequest(payment, SECRET));
+
+    expect(response.status).toBe(500);
+    expect(WebhookEvent.deleteOne).toHaveBeenCalledWith({ _id: 'evento' });
+  });
+
+  test('avisa a equipe da confirmação de pagamento já expirado', async () => {
+    const onLatePayment = jest.fn();
+    const expired = { ...payment, status: 'EXPIRED' };
+    paymentService.updatePaymentFromBank.mockResolvedValue({ success: true, status: 'EXPIRED', latePayment: true, payment: expired });
+
+    // Só registra o aviso; o servidor do teste já está ouvindo
+    config.payment.webhook.enabled = false;
+    await webhook.startWebhookServer({ onLatePayment });
+    config.payment.webhook.enabled = true;
+
+    const response = await post(mockProvider.buildRequest(payment, SECRET));
+
+    expect(response.status).toBe(200);
+    const record = await WebhookEvent.create.mock.results[0].value;
+    expect(record.status).toBe('PROCESSED');
+    expect(onLatePayment).toHaveBeenCalledWith(expired);
+  });
+});
+
+describe('configuração do provedor mock', () => {
+  test('não inicia sem segredo configurado', () => {
+    const secret = config.payment.webhook.secrets.mock;
+    config.payment.webhook.secrets.mock = '';
+
+    try {
+      expect(() => webhook.createApp()).toThrow('PIX_WEBHOOK_SECRET_MOCK');
+    } finally {
+      config.payment.webhook.secrets.mock = secret;
+    }
+  });
+});
+
+describe('adaptador 99pay', () => {
+  test('não trata status desconhecidos como falha', () => {
+    const event = provider99pay.parseEvent({ data: { id: 'tx1', txid: 'abc', status: 'pending' } });
+    expect(event.bankData.status).toBeNull();
+  });
+
+  test('converte status conhecidos', () => {
+    expect(provider99pay.parseEvent({ data: { id: 'tx1', txid: 'abc', status: 'PAID' } }).bankData.status).toBe('approved');
+    expect(provider99pay.parseEvent({ data: { id: 'tx1', txid: 'abc', status: 'refused' } }).bankData.status).toBe('failed');
+  });
+
+  test('evento com status desconhecido não é registrado nem processado', async () => {
+    const result = await webhook.processEvent('99pay', provider99pay.parseEvent({ data: { id: 'tx1', txid: 'abc', status: 'created' } }), {});
+
+    expect(result.ignored).toBe(true);
+    expect(WebhookEvent.create).not.toHaveBeenCalled();
+    expect(paymentService.updatePaymentFromBank).not.toHaveBeenCalled();
+  });
+});